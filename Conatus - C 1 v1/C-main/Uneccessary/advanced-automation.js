@@ -7,53 +7,281 @@
  */
 
 const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
 
 // Import other services
 const AutomationService = require('./AutomationService');
+const AutomationExecutionService = require('./AutomationExecutionService');
 const LLMService = require('../llm/LLMService');
-const ServiceConnectorRegistry = require('../connectors/ServiceConnectorRegistry');
+const ServiceConnectorRegistry = require('../connectors/ServiceConnectorsRegistry');
+const RetryPolicy = require('./RetryPolicy');
+const DeadLetterService = require('./DeadLetterService');
+const WorkflowWaitService = require('./WorkflowWaitService');
+const ExecutionTraceService = require('./ExecutionTraceService');
+const ConnectorManifest = require('../connectors/ConnectorManifest');
+const ScheduleService = require('./ScheduleService');
+const ConditionEngine = require('../../../shared/conditionEngine');
+const ExpressionLanguage = require('../../../shared/expressionLanguage');
 
 // Initialize clients
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 
+// Maximum nesting of call_workflow blocks (guards against runaway recursion)
+const MAX_CALL_DEPTH = parseInt(process.env.WORKFLOW_MAX_CALL_DEPTH || '5', 10);
+
 class ConditionalExecutionService {
   /**
    * Execute a workflow with conditional logic
    * @param {Object} workflow - Workflow definition with conditionals
    * @param {Object} triggerData - Data from the trigger
    * @param {string} userId - User ID
+   * @param {Object} options - { durable (default true), automationId, automationVersion,
+   *                            executionId, parentRunId, callDepth, onRunCreated(runId),
+   *                            dryRun, mockResults, waitOutcomes }
    * @returns {Promise<Object>} - Execution result
    */
-  async executeConditionalWorkflow(workflow, triggerData, userId) {
+  async executeConditionalWorkflow(workflow, triggerData, userId, options = {}) {
+    // Store execution context with variables that can be referenced throughout execution
+    const context = {
+      userId,
+      automationId: options.automationId || null,
+      executionId: options.executionId || null,
+      callDepth: options.callDepth || 0,
+      triggerData,
+      variables: {},
+      results: {},
+      checkpoint: null,
+      dryRun: null,
+      trace: []
+    };
+    
+    // Dry runs replace every connector with a recording one and trace each block.
+    // Results of simulated actions can be given per block path or connector.action
+    if (options.dryRun) {
+      context.dryRun = {
+        trace: [],
+        mockResults: options.mockResults || {},
+        waitOutcomes: options.waitOutcomes || {}
+      };
+    }
+    
     try {
-      // Store execution context with variables that can be referenced throughout execution
-      const context = {
-        userId,
-        triggerData,
-        variables: {},
-        results: {}
+      // Durable runs are checkpointed after every block so they can be resumed
+      if (options.durable !== false && !context.dryRun) {
+        const runId = await this.createWorkflowRun(workflow, triggerData, userId, options.automationId, {
+          automationVersion: options.automationVersion,
+          executionId: context.executionId,
+          parentRunId: options.parentRunId,
+          callDepth: context.callDepth
+        });
+        context.checkpoint = this.createCheckpoint(runId);
+        
+        if (options.onRunCreated) {
+          await options.onRunCreated(runId);
+        }
+      }
+    } catch (error) {
+      console.error('Error creating workflow run:', error);
+      return {
+        success: false,
+        error: error.message
       };
+    }
+      
+    return this.runWorkflow(workflow, context);
+  }
+
+  /**
+   * Resume an interrupted or failed workflow run from its last checkpoint.
+   * Blocks that completed before the interruption are not executed again.
+   * @param {string} runId - Workflow run ID
+   * @param {Object} options - { completedBlocks: extra block results to treat as completed
+   *                            (e.g. a re-driven dead letter), decisions: extra decisions
+   *                            (e.g. a resolved wait), onlyIfFailed }
+   * @returns {Promise<Object|null>} - Execution result, or null if the run was not resumed
+   *                                  (onlyIfFailed, or another caller claimed it first)
+   */
+  async resumeWorkflow(runId, options = {}) {
+    const { data: run, error } = await supabase
+      .from('workflow_runs')
+      .select('*')
+      .eq('id', runId)
+      .single();
+    
+    if (error || !run) {
+      throw new Error(`Workflow run not found: ${runId}`);
+    }
+    
+    const saved = run.checkpoint || {};
+    
+    if (options.onlyIfFailed && run.status !== 'failed') {
+      return null;
+    }
+    
+    if (run.status === 'completed') {
+      return {
+        success: true,
+        runId,
+        results: saved.results || {},
+        variables: saved.variables || {},
+        finalResult: run.result
+      };
+    }
+    
+    // Claim the run: only one caller moves it on from the state it was read in,
+    // so a run is never resumed twice at the same time
+    let claim = supabase
+      .from('workflow_runs')
+      .update({
+        status: 'running',
+        error: null,
+        attempt: (run.attempt || 1) + 1,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', runId)
+      .eq('status', run.status);
+    
+    claim = run.attempt === null || run.attempt === undefined ? claim.is('attempt', null) : claim.eq('attempt', run.attempt);
+    
+    const { data: claimed, error: claimError } = await claim.select('id');
+    
+    if (claimError) {
+      throw new Error(`Failed to claim workflow run ${runId}: ${claimError.message}`);
+    }
+    
+    if (!claimed || claimed.length === 0) {
+      return null;
+    }
+    
+    // Restore the context as it was at the last checkpoint
+    const context = {
+      userId: run.user_id,
+      automationId: run.automation_id,
+      executionId: run.execution_id || null,
+      callDepth: run.call_depth || 0,
+      triggerData: run.trigger_data || {},
+      variables: saved.variables || {},
+      results: saved.results || {},
+      checkpoint: this.createCheckpoint(runId, saved),
+      trace: run.trace || []
+    };
+    
+    this.traceBlock(context, { type: 'resumed', attempt: (run.attempt || 1) + 1 });
+    
+    if (options.completedBlocks) {
+      Object.assign(context.checkpoint.completed, options.completedBlocks);
+      context.checkpoint.inDoubt = context.checkpoint.inDoubt.filter(path => !(path in options.completedBlocks));
+    }
+    
+    if (options.decisions) {
+      Object.assign(context.checkpoint.decisions, options.decisions);
+    }
+    
+    return this.runWorkflow(run.workflow, context);
+  }
+
+  /**
+   * Find durable runs that stopped making progress (e.g. the process died)
+   * @param {number} staleAfterMs - Time without a checkpoint after which a run is considered interrupted
+   * @param {number} limit - Maximum number of runs to return
+   * @returns {Promise<Array<string>>} - Run IDs
+   */
+  async findInterruptedRuns(staleAfterMs = 10 * 60 * 1000, limit = 10) {
+    const { data, error } = await supabase
+      .from('workflow_runs')
+      .select('id')
+      .eq('status', 'running')
+      .is('parent_run_id', null) // Sub-workflow runs are resumed through their parent
+      .lt('updated_at', new Date(Date.now() - staleAfterMs).toISOString())
+      .order('updated_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      throw new Error(`Failed to fetch interrupted workflow runs: ${error.message}`);
+    }
+    
+    return (data || []).map(run => run.id);
+  }
+
+  /**
+   * Run a workflow in a prepared (new or restored) context
+   * @param {Object} workflow - Workflow definition
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} - Execution result
+   */
+  async runWorkflow(workflow, context) {
+    const runId = context.checkpoint ? context.checkpoint.runId : undefined;
+    
+    try {
+      // Conditions and templates see system.* times in the user's timezone
+      if (!context.timezone && context.userId) {
+        context.timezone = await ScheduleService.getUserTimezone(context.userId);
+      }
+      
+      // Workflows built in the builder can be gated by a top-level condition (checked
+      // once; a resumed run already passed it)
+      const resuming = context.checkpoint && context.checkpoint.initialized;
+      if (workflow.conditionalLogic && !resuming && !this.evaluateCondition(workflow.conditionalLogic, context)) {
+        await this.finishWorkflowRun(context, 'completed', null);
+        
+        return {
+          success: true,
+          runId,
+          skipped: true,
+          results: context.results,
+          variables: context.variables,
+          ...this.getDryRunTrace(context)
+        };
+      }
       
       // Execute any initialization steps
-      if (workflow.initialization) {
+      if (workflow.initialization && !(context.checkpoint && context.checkpoint.initialized)) {
         await this.executeInitialization(workflow.initialization, context);
+        
+        if (context.checkpoint) {
+          context.checkpoint.initialized = true;
+          await this.persistCheckpoint(context);
+        }
       }
       
       // Execute the main workflow logic with conditions
       const result = await this.executeLogicBlocks(workflow.logic, context);
       
+      await this.finishWorkflowRun(context, 'completed', result);
+      
       // Return final result
       return {
         success: true,
+        runId,
         results: context.results,
         variables: context.variables,
-        finalResult: result
+        finalResult: result,
+        ...this.getDryRunTrace(context)
       };
     } catch (error) {
+      // A wait block paused the run; it is resumed when the wait is resolved
+      if (error.suspended) {
+        await this.suspendWorkflowRun(context);
+        
+        return {
+          success: true,
+          runId,
+          status: 'waiting',
+          waitId: error.waitId,
+          results: context.results,
+          variables: context.variables
+        };
+      }
+      
       console.error('Error executing conditional workflow:', error);
+      
+      await this.finishWorkflowRun(context, 'failed', null, error.message);
+      
       return {
         success: false,
-        error: error.message
+        runId,
+        error: error.message,
+        ...this.getDryRunTrace(context)
       };
     }
   }
@@ -68,8 +296,10 @@ class ConditionalExecutionService {
       try {
         switch (step.type) {
           case 'set_variable':
-            // Set a variable directly
-            context.variables[step.name] = this.resolveValue(step.value, context);
+            // Set a variable directly, or compute it from an expression
+            context.variables[step.name] = step.expression !== undefined
+              ? this.evaluateExpression(step.expression, context)
+              : this.resolveValue(step.value, context);
             break;
             
           case 'extract_from_trigger':
@@ -84,18 +314,30 @@ class ConditionalExecutionService {
           case 'data_transformation':
             // Apply a transformation to data
             const input = this.resolveValue(step.input, context);
-            context.variables[step.name] = await this.applyTransformation(input, step.transformation);
+            context.variables[step.name] = await this.applyTransformation(input, step.transformation, context);
             break;
             
           case 'llm_generation':
             // Generate content using LLM
             const prompt = this.resolveValue(step.prompt, context);
+            
+            if (context.dryRun) {
+              this.traceBlock(context, { path: `initialization.${step.name}`, type: step.type, status: 'simulated', prompt });
+              context.variables[step.name] = `[dry run] ${step.name}`;
+              break;
+            }
+            
             const llmResult = await LLMService.routeQuery(prompt, step.provider);
             context.variables[step.name] = llmResult.content;
             break;
         }
+        
+        if (step.name in context.variables) {
+          this.traceBlock(context, { path: `initialization.${step.name}`, type: 'variable', name: step.name, value: context.variables[step.name] });
+        }
       } catch (error) {
         console.error(`Error in initialization step ${step.type}:`, error);
+        this.traceBlock(context, { path: `initialization.${step.name || step.type}`, type: step.type, status: 'failed', error: error.message });
         // Continue with other steps even if one fails
       }
     }
@@ -105,36 +347,69 @@ class ConditionalExecutionService {
    * Execute logic blocks with conditionals
    * @param {Array} logicBlocks - Logic blocks with conditions and actions
    * @param {Object} context - Execution context
+   * @param {string} path - Checkpoint path of this block list (e.g. logic.2.then)
    * @returns {Promise<any>} - Result of execution
    */
-  async executeLogicBlocks(logicBlocks, context) {
+  async executeLogicBlocks(logicBlocks, context, path = 'logic') {
     let result = null;
     
-    for (const block of logicBlocks) {
+    for (let index = 0; index < logicBlocks.length; index++) {
+      const block = logicBlocks[index];
+      const blockPath = `${path}.${index}`;
+      
+      // Blocks that completed before a resume are replayed from the checkpoint
+      const completed = this.getCompletedBlock(context, blockPath);
+      if (completed) {
+        if ('result' in completed) result = completed.result;
+        if (block.resultName && 'result' in completed) {
+          context.results[block.resultName] = completed.result;
+          context.variables[block.resultName] = completed.result;
+        }
+        if (completed.returned) return completed.result;
+        if (completed.terminal) break;
+        continue;
+      }
+      
+      const startedAt = Date.now();
+      
       try {
         // Check if this block should be executed based on condition
-        if (block.condition && !this.evaluateCondition(block.condition, context)) {
-          continue; // Skip this block if condition is not met
+        if (block.condition) {
+          const shouldRun = await this.decide(context, `${blockPath}.condition`, () =>
+            this.evaluateCondition(block.condition, context)
+          );
+          
+          if (!shouldRun) {
+            this.traceBlock(context, { path: blockPath, type: block.type, status: 'skipped', durationMs: Date.now() - startedAt });
+            continue; // Skip this block if condition is not met
+          }
         }
         
         // Execute the block based on its type
         switch (block.type) {
           case 'action':
-            result = await this.executeAction(block.action, context);
+            await this.markInFlight(context, blockPath, block.action);
+            result = await this.executeActionWithRetry(block.action, context, blockPath, block.retry);
             break;
             
-          case 'conditional':
-            // If/else branching
-            if (this.evaluateCondition(block.if, context)) {
-              result = await this.executeLogicBlocks(block.then, context);
-            } else if (block.else) {
-              result = await this.executeLogicBlocks(block.else, context);
+          case 'conditional': {
+            // If/else branching (the chosen branch is checkpointed so a resume takes the same one)
+            const branch = await this.decide(context, `${blockPath}.branch`, () => {
+              if (this.evaluateCondition(block.if, context)) return 'then';
+              return block.else ? 'else' : null;
+            });
+            
+            if (branch) {
+              result = await this.executeLogicBlocks(block[branch], context, `${blockPath}.${branch}`);
             }
             break;
+          }
             
-          case 'loop':
+          case 'loop': {
             // Loop over items
-            const items = this.resolveValue(block.items, context);
+            const items = await this.decide(context, `${blockPath}.items`, () =>
+              this.resolveValue(block.items, context)
+            );
             const loopResults = [];
             
             if (Array.isArray(items)) {
@@ -149,7 +424,11 @@ class ConditionalExecutionService {
                   }
                 };
                 
-                const iterationResult = await this.executeLogicBlocks(block.body, iterationContext);
+                const iterationResult = await this.executeLogicBlocks(
+                  block.body,
+                  iterationContext,
+                  `${blockPath}.body[${i}]`
+                );
                 loopResults.push(iterationResult);
                 
                 // Update the parent context with any new variables from the iteration
@@ -159,23 +438,54 @@ class ConditionalExecutionService {
             
             result = loopResults;
             break;
+          }
             
           case 'parallel':
-            // Execute actions in parallel
-            const parallelResults = await Promise.all(
-              block.actions.map(action => this.executeAction(action, context))
+            // Execute actions in parallel (each one is checkpointed on its own)
+            result = await Promise.all(
+              block.actions.map((action, actionIndex) =>
+                this.executeCheckpointedAction(action, context, `${blockPath}.actions.${actionIndex}`)
+              )
             );
-            result = parallelResults;
             break;
             
           case 'set_variable':
-            // Set a variable
-            context.variables[block.name] = this.resolveValue(block.value, context);
+            // Set a variable, or compute it from an expression
+            context.variables[block.name] = block.expression !== undefined
+              ? this.evaluateExpression(block.expression, context)
+              : this.resolveValue(block.value, context);
+            this.traceBlock(context, { path: blockPath, type: 'variable', name: block.name, value: context.variables[block.name] });
+            break;
+            
+          case 'call_workflow':
+            // Run another saved automation as a sub-workflow
+            result = await this.callWorkflow(block, context, blockPath);
+            break;
+            
+          case 'wait_for_approval':
+          case 'wait_for_event': {
+            // Pause until the wait is resolved, then run the branch named after the outcome
+            const resolution = await this.waitFor(block, context, blockPath);
+            
+            if (block.resultName) {
+              context.variables[block.resultName] = resolution;
+            }
+            
+            if (Array.isArray(block[resolution.outcome])) {
+              await this.executeLogicBlocks(block[resolution.outcome], context, `${blockPath}.${resolution.outcome}`);
+            }
+            
+            result = resolution;
             break;
+          }
             
-          case 'return':
+          case 'return': {
             // Explicit return from workflow
-            return this.resolveValue(block.value, context);
+            const value = this.resolveValue(block.value, context);
+            this.traceBlock(context, { path: blockPath, type: block.type, status: 'returned', result: value, durationMs: Date.now() - startedAt });
+            await this.completeBlock(context, blockPath, { result: value, returned: true });
+            return value;
+          }
         }
         
         // Store result with name if provided
@@ -184,11 +494,19 @@ class ConditionalExecutionService {
           context.variables[block.resultName] = result;
         }
         
+        this.traceBlock(context, { path: blockPath, type: block.type, status: 'completed', result, durationMs: Date.now() - startedAt });
+        await this.completeBlock(context, blockPath, { result, terminal: block.terminal === true });
+        
         // Handle early termination
         if (block.terminal === true) {
           break;
         }
       } catch (error) {
+        // Pausing is not a failure, let it unwind to runWorkflow
+        if (error.suspended) {
+          throw error;
+        }
+        
         console.error(`Error executing logic block ${block.type}:`, error);
         
         // Store error information
@@ -198,11 +516,19 @@ class ConditionalExecutionService {
           timestamp: new Date().toISOString()
         };
         
+        this.traceBlock(context, { path: blockPath, type: block.type, status: 'failed', error: error.message, durationMs: Date.now() - startedAt });
+        
+        // The failed actions have finished, so they are no longer in doubt
+        this.clearInFlight(context, blockPath);
+        
         // Handle error based on block configuration
         if (block.errorHandling === 'continue') {
+          await this.completeBlock(context, blockPath, { result, error: error.message });
           continue; // Skip to next block
         } else if (block.errorHandling === 'return') {
-          return { error: error.message };
+          const value = { error: error.message };
+          await this.completeBlock(context, blockPath, { result: value, returned: true, error: error.message });
+          return value;
         } else {
           throw error; // Re-throw by default
         }
@@ -213,21 +539,713 @@ class ConditionalExecutionService {
   }
 
   /**
-   * Execute a single action
+   * Execute an action that is checkpointed on its own (used for parallel actions)
+   * @param {Object} action - Action definition
+   * @param {Object} context - Execution context
+   * @param {string} path - Checkpoint path of the action
+   * @returns {Promise<any>} - Action result
+   */
+  async executeCheckpointedAction(action, context, path) {
+    const completed = this.getCompletedBlock(context, path);
+    if (completed) {
+      return completed.result;
+    }
+    
+    await this.markInFlight(context, path, action);
+    const result = await this.executeActionWithRetry(action, context, path);
+    await this.completeBlock(context, path, { result });
+    
+    return result;
+  }
+
+  /**
+   * Execute an action under its retry policy. Actions that still fail are
+   * recorded as dead letters (unless deadLetter is false) so they can be
+   * edited and re-driven later.
+   * @param {Object} action - Action definition
+   * @param {Object} context - Execution context
+   * @param {string} path - Block path of the action
+   * @param {Object} retry - Retry policy of the block (the action's own policy is used otherwise)
+   * @returns {Promise<any>} - Action result
+   */
+  async executeActionWithRetry(action, context, path, retry = null) {
+    // Dry runs record what the action would send; there is nothing to retry or dead-letter
+    if (context.dryRun) {
+      return this.simulateAction(action, context, path);
+    }
+    
+    // A timeout or dropped connection may come after the action took effect, so only
+    // idempotent actions are retried after one
+    const policy = this.isIdempotentAction(action)
+      ? retry || action.retry
+      : RetryPolicy.withoutInDoubtRetries(retry || action.retry);
+    
+    // Retries, resumes and re-drives of this action send the same key
+    const actionContext = {
+      ...context,
+      idempotencyKey: context.checkpoint ? this.getIdempotencyKey(context.checkpoint.runId, path) : null
+    };
+    
+    try {
+      return await RetryPolicy.execute(
+        attempt => this.executeTracedAction(action, actionContext, path, attempt),
+        policy,
+        {
+          onRetry: (error, attempt, delay) => {
+            console.warn(`Action at ${path} failed (${error.errorClass}, attempt ${attempt}), retrying in ${delay}ms:`, error.message);
+          }
+        }
+      );
+    } catch (error) {
+      if (action.deadLetter !== false) {
+        await DeadLetterService.record({
+          userId: context.userId,
+          source: 'workflow',
+          automationId: context.automationId,
+          referenceId: context.checkpoint ? context.checkpoint.runId : null,
+          blockPath: path,
+          action,
+          context: {
+            triggerData: context.triggerData,
+            variables: context.variables,
+            results: context.results
+          },
+          error
+        });
+      }
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Execute one attempt of an action, adding the request and response to the run's trace
+   * @param {Object} action - Action definition
+   * @param {Object} context - Execution context
+   * @param {string} path - Block path of the action
+   * @param {number} attempt - Attempt number
+   * @returns {Promise<any>} - Action result
+   */
+  async executeTracedAction(action, context, path, attempt) {
+    const startedAt = Date.now();
+    const entry = { path, type: 'action_call', service: action.service || action.type, action: action.type, attempt, request: null };
+    
+    try {
+      const result = await this.executeAction(action, {
+        ...context,
+        traceRequest: request => { entry.request = ExecutionTraceService.summarize(request); }
+      });
+      
+      this.traceBlock(context, {
+        ...entry,
+        status: 'succeeded',
+        response: ExecutionTraceService.summarize(result),
+        durationMs: Date.now() - startedAt
+      });
+      
+      return result;
+    } catch (error) {
+      this.traceBlock(context, {
+        ...entry,
+        status: 'failed',
+        error: error.message,
+        errorClass: RetryPolicy.classifyError(error),
+        response: error.response ? ExecutionTraceService.summarize(error.response) : null,
+        durationMs: Date.now() - startedAt
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Run an action against recording connectors and add it to the dry-run trace
+   * @param {Object} action - Action definition
+   * @param {Object} context - Execution context (in dry-run mode)
+   * @param {string} path - Block path of the action
+   * @returns {Promise<any>} - Simulated result
+   */
+  async simulateAction(action, context, path) {
+    const mockResults = context.dryRun.mockResults;
+    const calls = [];
+    
+    const recordCall = call => {
+      calls.push(call);
+      
+      // A canned result for the block wins over one for the connector action
+      return [path, `${call.connector}.${call.action}`, `${call.connector}.${call.method}`]
+        .map(key => mockResults[key])
+        .find(value => value !== undefined);
+    };
+    
+    try {
+      const result = await this.executeAction(action, { ...context, recordCall });
+      this.traceBlock(context, { path, type: 'action_call', service: action.service || action.type, calls, result });
+      return result;
+    } catch (error) {
+      this.traceBlock(context, { path, type: 'action_call', service: action.service || action.type, calls, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a call that doesn't go through a connector (custom API requests, LLM queries) in a dry run
+   * @param {Object} context - Execution context (in dry-run mode)
+   * @param {string} service - Service name used in the trace
+   * @param {string} method - Method that would have been called
+   * @param {Object} params - Parameters it would have been called with
+   * @param {any} sample - Result to return when no mock result is configured
+   * @returns {any} - Simulated result
+   */
+  simulateCall(context, service, method, params, sample) {
+    const result = context.recordCall({ connector: service, action: null, method, params });
+    return result !== undefined ? result : sample;
+  }
+
+  /**
+   * Add an entry to the trace of the run (real runs store it redacted with the run)
+   * @param {Object} context - Execution context
+   * @param {Object} entry - { path, type, status, durationMs, ... }
+   */
+  traceBlock(context, entry) {
+    if (context.dryRun) {
+      context.dryRun.trace.push(entry);
+    } else if (context.trace) {
+      ExecutionTraceService.record(context.trace, entry);
+    }
+  }
+
+  /**
+   * Get the trace fields to include in a workflow result
+   * @param {Object} context - Execution context
+   * @returns {Object} - { dryRun, trace } for dry runs, empty otherwise
+   */
+  getDryRunTrace(context) {
+    return context.dryRun ? { dryRun: true, trace: context.dryRun.trace } : {};
+  }
+
+  /**
+   * Run another saved automation as a sub-workflow. Inputs are resolved in the
+   * caller's context and checked against the callee's workflow.inputs schema;
+   * the callee's return value is checked against workflow.outputs. Callees
+   * with wait blocks are rejected before they start: a paused child would be
+   * resumed later, after its caller had already failed.
+   * @param {Object} block - call_workflow block ({ automationId, inputs })
+   * @param {Object} context - Execution context of the caller
+   * @param {string} path - Block path
+   * @returns {Promise<any>} - Return value of the called workflow
+   */
+  async callWorkflow(block, context, path) {
+    const callDepth = (context.callDepth || 0) + 1;
+    
+    if (callDepth > MAX_CALL_DEPTH) {
+      throw new Error(`Maximum workflow call depth of ${MAX_CALL_DEPTH} exceeded calling ${block.automationId}`);
+    }
+    
+    const { data: automation, error } = await supabase
+      .from('automations')
+      .select('id, name, workflow, enabled, current_version')
+      .eq('id', block.automationId)
+      .eq('user_id', context.userId)
+      .single();
+    
+    if (error || !automation) {
+      throw new Error(`Called automation not found: ${block.automationId}`);
+    }
+    
+    if (!automation.enabled) {
+      throw new Error(`Called automation is disabled: ${automation.name}`);
+    }
+    
+    const workflow = automation.workflow || {};
+    
+    if (!Array.isArray(workflow.logic)) {
+      throw new Error(`Automation ${automation.name} has no workflow logic to call`);
+    }
+    
+    if (this.hasWaitBlock(workflow.logic)) {
+      throw new Error(`Automation ${automation.name} waits for an approval or event, which is not supported in sub-workflows`);
+    }
+    
+    const inputs = {};
+    for (const [name, value] of Object.entries(block.inputs || {})) {
+      inputs[name] = this.resolveValue(value, context);
+    }
+    
+    // Fill in defaults declared by the callee
+    const inputProperties = (workflow.inputs && workflow.inputs.properties) || {};
+    for (const [name, property] of Object.entries(inputProperties)) {
+      if (inputs[name] === undefined && property.default !== undefined) {
+        inputs[name] = property.default;
+      }
+    }
+    
+    const checkpoint = context.checkpoint;
+    const callKey = `${path}.call`;
+    const call = (checkpoint && checkpoint.decisions[callKey]) || { executionId: uuidv4() };
+    const record = { id: automation.id, version: automation.current_version, type: 'workflow', service: null, params: inputs };
+    let childResult;
+    
+    try {
+      if (workflow.inputs) {
+        const validation = ConnectorManifest.validateParams(workflow.inputs, inputs, 'inputs');
+        if (!validation.valid) {
+          throw ConnectorManifest.createValidationError(`Invalid inputs for ${automation.name}`, validation.errors);
+        }
+      }
+      
+      if (context.dryRun) {
+        childResult = await this.executeConditionalWorkflow(workflow, inputs, context.userId, {
+          dryRun: true,
+          automationId: automation.id,
+          callDepth,
+          mockResults: context.dryRun.mockResults,
+          waitOutcomes: context.dryRun.waitOutcomes
+        });
+        this.traceBlock(context, { path, type: 'call_trace', automationId: automation.id, trace: childResult.trace });
+      } else if (call.runId) {
+        // The caller was resumed: continue (or reuse the result of) the existing child run
+        childResult = await this.resumeWorkflow(call.runId);
+        
+        if (!childResult) {
+          throw new Error(`Called workflow ${automation.name} is already being resumed elsewhere`);
+        }
+      } else {
+        childResult = await this.executeConditionalWorkflow(workflow, inputs, context.userId, {
+          durable: !!checkpoint,
+          automationId: automation.id,
+          automationVersion: automation.current_version,
+          executionId: call.executionId,
+          parentRunId: checkpoint ? checkpoint.runId : null,
+          callDepth,
+          onRunCreated: async runId => {
+            checkpoint.decisions[callKey] = { ...call, runId };
+            await this.persistCheckpoint(context);
+          }
+        });
+      }
+      
+      if (childResult.status === 'waiting') {
+        throw new Error(`Called workflow ${automation.name} paused at a wait block, which is not supported in sub-workflows`);
+      }
+      
+      if (!childResult.success) {
+        throw new Error(`Called workflow ${automation.name} failed: ${childResult.error}`);
+      }
+      
+      if (workflow.outputs) {
+        const validation = ConnectorManifest.validateParams(workflow.outputs, childResult.finalResult, 'outputs');
+        if (!validation.valid) {
+          throw ConnectorManifest.createValidationError(`Invalid outputs from ${automation.name}`, validation.errors);
+        }
+      }
+    } catch (callError) {
+      if (context.dryRun) {
+        throw callError;
+      }
+      
+      await AutomationExecutionService.recordExecution(call.executionId, context.userId, record, 'failure', null, callError.message, {
+        parentExecutionId: context.executionId,
+        workflowRunId: childResult ? childResult.runId : call.runId,
+        callDepth
+      });
+      throw callError;
+    }
+    
+    if (!context.dryRun) {
+      this.traceBlock(context, { path, type: 'call', automationId: automation.id, executionId: call.executionId, runId: childResult.runId });
+      
+      await AutomationExecutionService.recordExecution(call.executionId, context.userId, record, 'success', childResult.finalResult, null, {
+        parentExecutionId: context.executionId,
+        workflowRunId: childResult.runId,
+        callDepth
+      });
+    }
+    
+    return childResult.finalResult;
+  }
+
+  /**
+   * Check whether workflow logic contains a wait block, including in branches and loop bodies
+   * @param {Array<Object>} blocks - Logic blocks
+   * @returns {boolean} - Whether any block waits
+   */
+  hasWaitBlock(blocks) {
+    return (blocks || []).some(block => !!block && typeof block === 'object' && (
+      ['wait_for_approval', 'wait_for_event'].includes(block.type) ||
+      Object.values(block).some(value => Array.isArray(value) && this.hasWaitBlock(value))
+    ));
+  }
+
+  /**
+   * Get the resolution of a wait block, or pause the run until it is resolved.
+   * Approvals resolve to approved or rejected, events to received; on timeout
+   * the block's defaultBranch is taken (rejected / timeout if not set).
+   * @param {Object} block - wait_for_approval or wait_for_event block
+   * @param {Object} context - Execution context
+   * @param {string} path - Block path
+   * @returns {Promise<Object>} - { outcome, data, timedOut, resolvedAt }
+   */
+  async waitFor(block, context, path) {
+    const checkpoint = context.checkpoint;
+    const isApproval = block.type === 'wait_for_approval';
+    
+    // Dry runs don't pause: the outcome comes from waitOutcomes (approved / received by default)
+    if (context.dryRun) {
+      const outcome = context.dryRun.waitOutcomes[path] || (isApproval ? 'approved' : 'received');
+      const resolution = { outcome, data: {}, timedOut: false, resolvedAt: new Date().toISOString() };
+      this.traceBlock(context, { path, type: 'wait', outcome, message: block.message ? this.processTemplate(block.message, context) : null });
+      return resolution;
+    }
+    
+    if (!checkpoint) {
+      throw new Error(`${block.type} blocks can only run in durable workflow runs`);
+    }
+    
+    const resolution = checkpoint.decisions[`${path}.resolution`];
+    if (resolution) {
+      this.traceBlock(context, { path, type: 'wait', status: 'resolved', outcome: resolution.outcome, timedOut: resolution.timedOut });
+      return resolution;
+    }
+    
+    const waitKey = `${path}.wait`;
+    
+    // Create (and announce) the wait only once, even if the run is resumed before it is resolved
+    if (!(waitKey in checkpoint.decisions)) {
+      const message = block.message ? this.processTemplate(block.message, context) : null;
+      
+      const wait = await WorkflowWaitService.createWait({
+        runId: checkpoint.runId,
+        userId: context.userId,
+        automationId: context.automationId,
+        blockPath: path,
+        type: isApproval ? 'approval' : 'event',
+        event: isApproval ? null : block.event,
+        match: isApproval ? null : this.processTemplateValue(block.match || {}, context),
+        message,
+        defaultOutcome: block.defaultBranch || (isApproval ? 'rejected' : 'timeout'),
+        timeoutMs: block.timeoutMs,
+        notify: !(block.notify && block.notify.chat === false),
+        conversationId: context.triggerData && context.triggerData.conversationId
+      });
+      
+      // Optionally notify through a connector as well (e.g. a WhatsApp message)
+      if (block.notify && block.notify.action) {
+        try {
+          await this.executeAction(block.notify.action, {
+            ...context,
+            variables: { ...context.variables, wait: { id: wait.id, message } }
+          });
+        } catch (error) {
+          console.error(`Error sending notification for wait at ${path}:`, error);
+        }
+      }
+      
+      checkpoint.decisions[waitKey] = wait.id;
+      this.traceBlock(context, { path, type: 'wait', status: 'waiting', waitId: wait.id, message });
+      await this.persistCheckpoint(context);
+    }
+    
+    const suspension = new Error(`Workflow run ${checkpoint.runId} is waiting at ${path}`);
+    suspension.suspended = true;
+    suspension.waitId = checkpoint.decisions[waitKey];
+    throw suspension;
+  }
+
+  /**
+   * Create the in-memory checkpoint state for a run
+   * @param {string} runId - Workflow run ID
+   * @param {Object} saved - Persisted checkpoint (when resuming)
+   * @returns {Object} - Checkpoint state
+   */
+  createCheckpoint(runId, saved = {}) {
+    return {
+      runId,
+      initialized: !!saved.initialized,
+      completed: saved.completed || {},
+      decisions: saved.decisions || {},
+      inFlight: [],
+      // Actions that had started but not completed when the run was interrupted
+      inDoubt: saved.inFlight || [],
+      currentPath: saved.currentPath || null,
+      writes: Promise.resolve()
+    };
+  }
+
+  /**
+   * Get the checkpoint entry of a completed block
+   * @param {Object} context - Execution context
+   * @param {string} path - Block path
+   * @returns {Object|undefined} - { result, returned, terminal, error } or undefined
+   */
+  getCompletedBlock(context, path) {
+    return context.checkpoint ? context.checkpoint.completed[path] : undefined;
+  }
+
+  /**
+   * Make a decision once per run (branch taken, loop items, block condition),
+   * so a resumed run follows the same path as the original one
+   * @param {Object} context - Execution context
+   * @param {string} path - Decision path
+   * @param {Function} decideFn - Computes the decision
+   * @returns {Promise<any>} - Decision
+   */
+  async decide(context, path, decideFn) {
+    const checkpoint = context.checkpoint;
+    
+    if (checkpoint && path in checkpoint.decisions) {
+      return checkpoint.decisions[path];
+    }
+    
+    const decision = decideFn();
+    this.traceBlock(context, { path, type: 'decision', value: decision === undefined ? null : decision });
+    
+    if (checkpoint) {
+      checkpoint.decisions[path] = decision === undefined ? null : decision;
+      await this.persistCheckpoint(context);
+    }
+    
+    return decision;
+  }
+
+  /**
+   * Record that an action is about to run. On resume, an action that was
+   * running when the process died is only retried if it is idempotent.
+   * @param {Object} context - Execution context
+   * @param {string} path - Block path
+   * @param {Object} action - Action definition
+   */
+  async markInFlight(context, path, action) {
+    const checkpoint = context.checkpoint;
+    
+    if (!checkpoint) {
+      return;
+    }
+    
+    if (checkpoint.inDoubt.includes(path) && !this.isIdempotentAction(action)) {
+      throw new Error(
+        `Action at ${path} was interrupted and may already have run; mark it idempotent to allow retrying it`
+      );
+    }
+    
+    checkpoint.inFlight.push(path);
+    checkpoint.currentPath = path;
+    await this.persistCheckpoint(context);
+  }
+
+  /**
+   * Check whether an action is safe to run twice
    * @param {Object} action - Action definition
+   * @returns {boolean} - Whether the action is idempotent
+   */
+  isIdempotentAction(action) {
+    if (typeof action.idempotent === 'boolean') {
+      return action.idempotent;
+    }
+    
+    if (action.type === 'http') {
+      const method = String((action.params && action.params.method) || 'GET').toUpperCase();
+      return ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method);
+    }
+    
+    return action.type === 'llm_query';
+  }
+
+  /**
+   * Get the idempotency key connectors send for an action of a workflow run
+   * @param {string} runId - Workflow run ID
+   * @param {string} path - Block path of the action
+   * @returns {string} - Idempotency key
+   */
+  getIdempotencyKey(runId, path) {
+    return `${runId}:${path}`;
+  }
+
+  /**
+   * Forget in-flight markers for a block and its children
+   * @param {Object} context - Execution context
+   * @param {string} path - Block path
+   */
+  clearInFlight(context, path) {
+    if (context.checkpoint) {
+      context.checkpoint.inFlight = context.checkpoint.inFlight.filter(inFlightPath =>
+        inFlightPath !== path && !inFlightPath.startsWith(`${path}.`)
+      );
+    }
+  }
+
+  /**
+   * Record a completed block and persist the checkpoint
+   * @param {Object} context - Execution context
+   * @param {string} path - Block path
+   * @param {Object} entry - { result, returned, terminal, error }
+   */
+  async completeBlock(context, path, entry) {
+    const checkpoint = context.checkpoint;
+    
+    if (!checkpoint) {
+      return;
+    }
+    
+    checkpoint.completed[path] = entry;
+    checkpoint.inFlight = checkpoint.inFlight.filter(inFlightPath => inFlightPath !== path);
+    checkpoint.currentPath = path;
+    await this.persistCheckpoint(context);
+  }
+
+  /**
+   * Persist the checkpoint for a run. Writes are serialized so that a
+   * slower, older write can never overwrite a newer checkpoint.
+   * @param {Object} context - Execution context
+   * @returns {Promise<void>}
+   */
+  persistCheckpoint(context) {
+    const checkpoint = context.checkpoint;
+    
+    // Snapshot now, the context keeps changing while the write is queued
+    const snapshot = JSON.parse(JSON.stringify({
+      initialized: checkpoint.initialized,
+      completed: checkpoint.completed,
+      decisions: checkpoint.decisions,
+      inFlight: checkpoint.inFlight,
+      currentPath: checkpoint.currentPath,
+      variables: context.variables,
+      results: context.results
+    }));
+    
+    // Trace entries are already redacted copies
+    const trace = context.trace ? context.trace.slice() : undefined;
+    
+    checkpoint.writes = checkpoint.writes.then(async () => {
+      const { error } = await supabase
+        .from('workflow_runs')
+        .update({
+          checkpoint: snapshot,
+          trace,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', checkpoint.runId);
+      
+      if (error) {
+        // A missed checkpoint only means more work is redone on resume
+        console.error(`Error saving checkpoint for workflow run ${checkpoint.runId}:`, error);
+      }
+    });
+    
+    return checkpoint.writes;
+  }
+
+  /**
+   * Create a durable workflow run record
+   * @param {Object} workflow - Workflow definition
+   * @param {Object} triggerData - Data from the trigger
+   * @param {string} userId - User ID
+   * @param {string} automationId - Automation ID (optional)
+   * @param {Object} links - { automationVersion, executionId, parentRunId, callDepth }
+   * @returns {Promise<string>} - Run ID
+   */
+  async createWorkflowRun(workflow, triggerData, userId, automationId = null, links = {}) {
+    const { data, error } = await supabase
+      .from('workflow_runs')
+      .insert({
+        user_id: userId,
+        automation_id: automationId,
+        automation_version: links.automationVersion || null,
+        execution_id: links.executionId || null,
+        parent_run_id: links.parentRunId || null,
+        call_depth: links.callDepth || 0,
+        workflow,
+        trigger_data: triggerData || {},
+        status: 'running',
+        checkpoint: {}
+      })
+      .select('id')
+      .single();
+    
+    if (error || !data) {
+      throw new Error(`Failed to create workflow run: ${error ? error.message : 'no data returned'}`);
+    }
+    
+    return data.id;
+  }
+
+  /**
+   * Mark a durable run as waiting for a wait block to be resolved
+   * @param {Object} context - Execution context
+   */
+  async suspendWorkflowRun(context) {
+    const checkpoint = context.checkpoint;
+    
+    try {
+      await this.persistCheckpoint(context);
+      
+      await supabase
+        .from('workflow_runs')
+        .update({
+          status: 'waiting',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', checkpoint.runId);
+    } catch (error) {
+      console.error(`Error pausing workflow run ${checkpoint.runId}:`, error);
+    }
+  }
+
+  /**
+   * Mark a durable run as finished
    * @param {Object} context - Execution context
+   * @param {string} status - completed or failed
+   * @param {any} result - Final result
+   * @param {string} errorMessage - Error message if failed
+   */
+  async finishWorkflowRun(context, status, result = null, errorMessage = null) {
+    const checkpoint = context.checkpoint;
+    
+    if (!checkpoint) {
+      return;
+    }
+    
+    try {
+      await this.persistCheckpoint(context);
+      
+      await supabase
+        .from('workflow_runs')
+        .update({
+          status,
+          result,
+          error: errorMessage,
+          completed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', checkpoint.runId);
+    } catch (error) {
+      console.error(`Error finishing workflow run ${checkpoint.runId}:`, error);
+    }
+  }
+
+  /**
+   * Execute a single action
+   * @param {Object} action - Action definition
+   * @param {Object} context - Execution context (idempotencyKey is passed to connectors that send one)
    * @returns {Promise<any>} - Action result
    */
   async executeAction(action, context) {
-    // Get the appropriate connector for this service
-    const connector = ServiceConnectorRegistry.getConnector(action.service);
+    // Generic HTTP requests don't need a native connector
+    if (action.type === 'http') {
+      return this.executeHttpAction(action, context);
+    }
+    
+    // Get the appropriate connector for this service (dry runs get one that records calls instead)
+    const connector = context.dryRun
+      ? ServiceConnectorRegistry.createRecordingConnector(action.service, context.recordCall)
+      : ServiceConnectorRegistry.getConnector(action.service);
     
     if (!connector) {
       throw new Error(`Unknown service connector: ${action.service}`);
     }
     
     // Get access token for this service
-    const accessToken = await this.getServiceAccessToken(action.service, context.userId);
+    const accessToken = context.dryRun ? null : await this.getServiceAccessToken(action.service, context.userId);
     
     // Process action parameters with variable substitution
     const processedParams = {};
@@ -235,6 +1253,14 @@ class ConditionalExecutionService {
       processedParams[key] = this.resolveValue(value, context);
     }
     
+    if (context.traceRequest) {
+      context.traceRequest(processedParams);
+    }
+    
+    // Times in the action are written in the user's timezone unless it says otherwise
+    const timezone = processedParams.timezone || context.timezone ||
+      (context.userId ? await ScheduleService.getUserTimezone(context.userId) : null);
+    
     // Execute the appropriate action method
     switch (action.type) {
       case 'message_schedule':
@@ -243,7 +1269,8 @@ class ConditionalExecutionService {
             accessToken,
             processedParams.recipient,
             processedParams.content,
-            processedParams.time
+            processedParams.time,
+            timezone
           );
         } else if (action.service === 'gmail') {
           return connector.sendEmail(
@@ -251,7 +1278,8 @@ class ConditionalExecutionService {
             processedParams.recipient,
             processedParams.subject || 'Automated Email',
             processedParams.content,
-            processedParams.time
+            processedParams.time,
+            timezone
           );
         }
         break;
@@ -261,7 +1289,8 @@ class ConditionalExecutionService {
           accessToken,
           processedParams.pickup,
           processedParams.destination,
-          processedParams.time
+          processedParams.time,
+          timezone
         );
         
       case 'calendar_event':
@@ -270,7 +1299,9 @@ class ConditionalExecutionService {
           processedParams.title,
           processedParams.startTime,
           processedParams.duration,
-          processedParams.description
+          processedParams.description,
+          timezone,
+          context.idempotencyKey
         );
         
       case 'music_control':
@@ -285,10 +1316,16 @@ class ConditionalExecutionService {
           accessToken,
           processedParams.recipient,
           processedParams.amount,
-          processedParams.description
+          processedParams.description,
+          null,
+          context.idempotencyKey
         );
         
       case 'api_request':
+        if (context.dryRun) {
+          return this.simulateCall(context, 'api', 'makeApiRequest', processedParams, { success: true, status: 200, data: null });
+        }
+        
         // Custom API request
         return this.makeApiRequest(
           processedParams.url,
@@ -299,6 +1336,10 @@ class ConditionalExecutionService {
         );
         
       case 'llm_query':
+        if (context.dryRun) {
+          return this.simulateCall(context, 'llm', 'routeQuery', processedParams, { content: '[dry run] LLM response' });
+        }
+        
         // Make a query to an LLM
         return LLMService.routeQuery(
           processedParams.query,
@@ -311,6 +1352,107 @@ class ConditionalExecutionService {
     }
   }
 
+  /**
+   * Execute a generic HTTP request action
+   * @param {Object} action - Action definition ({ type: 'http', params: { url, method, headers, body,
+   *                          auth, timeoutMs, successCriteria, responseMapping } })
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} - Response with mapped values
+   */
+  async executeHttpAction(action, context) {
+    const params = action.params || {};
+    
+    if (!params.url) {
+      throw new Error('HTTP action requires a url');
+    }
+    
+    // The service whose token the oauth preset sends must be fixed in the workflow, so it is
+    // listed with the workflow's connectors rather than chosen by trigger data or variables
+    if (params.auth && params.auth.type === 'oauth' && (typeof params.auth.service !== 'string' || params.auth.service.includes('{{'))) {
+      throw new Error('HTTP oauth auth needs a fixed service, not an expression');
+    }
+    
+    const auth = params.auth ? this.processTemplateValue(params.auth, context) : null;
+    
+    // OAuth preset reuses the token from one of the user's connected services
+    let accessToken = null;
+    if (auth && auth.type === 'oauth' && !context.dryRun) {
+      accessToken = await this.getServiceAccessToken(auth.service, context.userId);
+    }
+    
+    // Dry runs still validate the request, but send it to a recording connector
+    const options = context.dryRun
+      ? { connector: ServiceConnectorRegistry.createRecordingConnector('http', context.recordCall) }
+      : {};
+    
+    const request = {
+      url: this.processTemplate(params.url, context),
+      method: String(params.method || 'GET').toUpperCase(),
+      headers: this.processTemplateValue(params.headers || {}, context),
+      body: params.body !== undefined ? this.processTemplateValue(params.body, context) : null,
+      auth,
+      timeoutMs: params.timeoutMs
+    };
+    
+    if (context.traceRequest) {
+      context.traceRequest(request);
+    }
+    
+    const response = await ServiceConnectorRegistry.executeAction('http', 'request', request, accessToken, options);
+    
+    if (!this.isHttpSuccess(response, params.successCriteria)) {
+      const error = new Error(`HTTP request failed with status ${response.status}`);
+      error.status = response.status;
+      error.response = response;
+      throw error;
+    }
+    
+    // Map response fields into variables, e.g. { orderId: 'data.order.id' }
+    const mapped = {};
+    for (const [name, path] of Object.entries(params.responseMapping || {})) {
+      mapped[name] = this.extractByJsonPath(response, path);
+      context.variables[name] = mapped[name];
+      this.traceBlock(context, { type: 'variable', name, value: mapped[name] });
+    }
+    
+    return { ...response, mapped };
+  }
+
+  /**
+   * Check an HTTP response against success criteria
+   * @param {Object} response - Response from the HTTP connector
+   * @param {Object} criteria - { status: 200 | [200, 201] | '2xx', path, equals, exists }
+   * @returns {boolean} - Whether the request succeeded
+   */
+  isHttpSuccess(response, criteria) {
+    if (!criteria) {
+      return response.ok;
+    }
+    
+    if (criteria.status !== undefined) {
+      const statusMatches = [].concat(criteria.status).some(expected => {
+        const pattern = String(expected).toLowerCase();
+        return /^\dxx$/.test(pattern)
+          ? String(response.status)[0] === pattern[0]
+          : Number(expected) === response.status;
+      });
+      
+      if (!statusMatches) return false;
+    } else if (!response.ok) {
+      return false;
+    }
+    
+    if (criteria.path) {
+      const value = this.extractByJsonPath(response, criteria.path);
+      
+      if (criteria.equals !== undefined && value !== criteria.equals) return false;
+      if (criteria.exists === true && (value === undefined || value === null)) return false;
+      if (criteria.exists === false && value !== undefined && value !== null) return false;
+    }
+    
+    return true;
+  }
+
   /**
    * Evaluate a condition
    * @param {Object} condition - Condition definition
@@ -322,65 +1464,42 @@ class ConditionalExecutionService {
       return true; // No condition means always execute
     }
     
-    // Handle different condition types
-    switch (condition.type) {
-      case 'equals':
-        return this.resolveValue(condition.left, context) === this.resolveValue(condition.right, context);
-        
-      case 'not_equals':
-        return this.resolveValue(condition.left, context) !== this.resolveValue(condition.right, context);
-        
-      case 'greater_than':
-        return this.resolveValue(condition.left, context) > this.resolveValue(condition.right, context);
-        
-      case 'less_than':
-        return this.resolveValue(condition.left, context) < this.resolveValue(condition.right, context);
-        
-      case 'contains':
-        const container = this.resolveValue(condition.container, context);
-        const item = this.resolveValue(condition.item, context);
-        
-        if (typeof container === 'string') {
-          return container.includes(item);
-        } else if (Array.isArray(container)) {
-          return container.includes(item);
-        } else if (typeof container === 'object' && container !== null) {
-          return item in container;
-        }
-        return false;
-        
-      case 'regex_match':
-        const text = this.resolveValue(condition.text, context);
-        const pattern = this.resolveValue(condition.pattern, context);
-        return new RegExp(pattern).test(text);
-        
-      case 'and':
-        return condition.conditions.every(cond => this.evaluateCondition(cond, context));
-        
-      case 'or':
-        return condition.conditions.some(cond => this.evaluateCondition(cond, context));
-        
-      case 'not':
-        return !this.evaluateCondition(condition.condition, context);
-        
-      case 'exists':
-        const value = this.resolveValue(condition.value, context);
-        return value !== undefined && value !== null;
-        
-      case 'is_empty':
-        const testValue = this.resolveValue(condition.value, context);
-        if (testValue === null || testValue === undefined) return true;
-        if (Array.isArray(testValue)) return testValue.length === 0;
-        if (typeof testValue === 'object') return Object.keys(testValue).length === 0;
-        if (typeof testValue === 'string') return testValue === '';
-        return false;
-        
-      default:
-        console.warn(`Unknown condition type: ${condition.type}`);
-        return false;
+    try {
+      // Workflows saved before the shared engine existed use snake_case conditions
+      const expression = ConditionEngine.isLegacyCondition(condition)
+        ? ConditionEngine.fromLegacyCondition(condition)
+        : condition;
+      
+      const errors = ConditionEngine.validateCondition(expression);
+      if (errors.length > 0) {
+        console.warn(`Invalid condition: ${errors.join('; ')}`);
+      }
+      
+      // Templates and functions are resolved here; paths are looked up by the engine
+      return ConditionEngine.evaluateCondition(expression, this.createConditionScope(context), {
+        resolveOperand: operand => this.resolveValue(operand, context)
+      });
+    } catch (error) {
+      console.warn(`Could not evaluate condition: ${error.message}`);
+      return false;
     }
   }
 
+  /**
+   * Build the scope conditions are evaluated against (the same one the builder previews with)
+   * @param {Object} context - Execution context
+   * @returns {Object} - Condition scope
+   */
+  createConditionScope(context) {
+    return ConditionEngine.createScope({
+      trigger: context.triggerData,
+      variables: context.variables,
+      results: context.results,
+      user: { id: context.userId },
+      timezone: context.timezone
+    });
+  }
+
   /**
    * Resolve a value, which could be a reference to a variable
    * @param {any} value - Value or reference
@@ -418,6 +1537,11 @@ class ConditionalExecutionService {
       return this.evaluateFunction(value.function, value.args || [], context);
     }
     
+    // If it's an expression
+    if (value.type === 'expression' && typeof value.expression === 'string') {
+      return this.evaluateExpression(value.expression, context);
+    }
+    
     // If it's an array, resolve each element
     if (Array.isArray(value)) {
       return value.map(item => this.resolveValue(item, context));
@@ -437,28 +1561,130 @@ class ConditionalExecutionService {
   }
 
   /**
-   * Process a template string with variable substitution
+   * Process a template string: {{name}} is replaced by the variable's value and
+   * {{ expression }} by the expression's result
    * @param {string} template - Template string
    * @param {Object} context - Execution context
    * @returns {string} - Processed string
    */
   processTemplate(template, context) {
-    // Replace {{variable}} patterns with variable values
-    return template.replace(/\{\{([^}]+)\}\}/g, (match, varName) => {
-      const varPath = varName.trim().split('.');
-      let value = context.variables;
-      
-      // Handle nested properties
-      for (const prop of varPath) {
-        if (value === undefined || value === null) return match;
-        value = value[prop];
+    return ExpressionLanguage.renderTemplate(template, this.createExpressionScope(context));
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {string} expression - Expression source
+   * @param {Object} context - Execution context
+   * @returns {any} - Result
+   */
+  evaluateExpression(expression, context) {
+    return ExpressionLanguage.evaluate(expression, this.createExpressionScope(context));
+  }
+
+  /**
+   * Build the scope expressions are evaluated against: the condition scope with
+   * every variable also available by its own name
+   * @param {Object} context - Execution context
+   * @returns {Object} - Expression scope
+   */
+  createExpressionScope(context) {
+    return ExpressionLanguage.createExpressionScope(this.createConditionScope(context));
+  }
+
+  /**
+   * Check every expression and template in a workflow
+   * @param {Object} workflow - Workflow definition
+   * @returns {Array<Object>} - Errors: { path, message, column }
+   */
+  validateExpressions(workflow) {
+    const errors = [];
+    
+    const visit = (value, path) => {
+      if (typeof value === 'string') {
+        if (value.includes('{{')) {
+          for (const error of ExpressionLanguage.validateTemplate(value).errors) {
+            errors.push({ path, ...error });
+          }
+        }
+        return;
       }
       
-      // Return empty string for undefined/null
-      if (value === undefined || value === null) return '';
+      if (!value || typeof value !== 'object') {
+        return;
+      }
       
-      return String(value);
-    });
+      if (typeof value.expression === 'string') {
+        for (const error of ExpressionLanguage.validate(value.expression).errors) {
+          errors.push({ path: `${path}.expression`, ...error });
+        }
+      }
+      
+      for (const [key, item] of Object.entries(value)) {
+        if (key !== 'expression') {
+          visit(item, path ? `${path}.${key}` : key);
+        }
+      }
+    };
+    
+    visit(workflow, '');
+    
+    return errors;
+  }
+
+  /**
+   * Check the retry policies of a workflow's blocks and actions
+   * @param {Object} workflow - Workflow definition
+   * @returns {Array<Object>} - Errors: { path, message }
+   */
+  validateRetryPolicies(workflow) {
+    const errors = [];
+    
+    const visit = (value, path) => {
+      if (!value || typeof value !== 'object') {
+        return;
+      }
+      
+      // Blocks and actions are the objects with a type
+      if (typeof value.type === 'string' && value.retry !== undefined) {
+        for (const message of RetryPolicy.validate(value.retry)) {
+          errors.push({ path: path ? `${path}.retry` : 'retry', message });
+        }
+      }
+      
+      for (const [key, item] of Object.entries(value)) {
+        if (key !== 'retry') {
+          visit(item, path ? `${path}.${key}` : key);
+        }
+      }
+    };
+    
+    visit(workflow, '');
+    
+    return errors;
+  }
+
+  /**
+   * Process templates in every string of a value (objects and arrays are processed recursively)
+   * @param {any} value - Value containing template strings
+   * @param {Object} context - Execution context
+   * @returns {any} - Processed value
+   */
+  processTemplateValue(value, context) {
+    if (typeof value === 'string') {
+      return this.processTemplate(value, context);
+    }
+    
+    if (Array.isArray(value)) {
+      return value.map(item => this.processTemplateValue(item, context));
+    }
+    
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.processTemplateValue(item, context)])
+      );
+    }
+    
+    return value;
   }
 
   /**
@@ -562,9 +1788,10 @@ class ConditionalExecutionService {
    * Apply a data transformation to input
    * @param {any} input - Input data
    * @param {Object} transformation - Transformation definition
+   * @param {Object} context - Execution context (dry runs simulate LLM transformations)
    * @returns {Promise<any>} - Transformed data
    */
-  async applyTransformation(input, transformation) {
+  async applyTransformation(input, transformation, context = {}) {
     switch (transformation.type) {
       case 'json_parse':
         if (typeof input === 'string') {
@@ -587,7 +1814,7 @@ class ConditionalExecutionService {
         
       case 'array_map':
         if (!Array.isArray(input)) return [];
-        return input.map(item => this.applyTransformation(item, transformation.itemTransformation));
+        return input.map(item => this.applyTransformation(item, transformation.itemTransformation, context));
         
       case 'array_filter':
         if (!Array.isArray(input)) return [];
@@ -651,6 +1878,12 @@ class ConditionalExecutionService {
         // Create a prompt that includes the input data
         const prompt = transformation.prompt.replace('{{input}}', JSON.stringify(input));
         
+        // A dry run must not spend tokens or send the data to a provider
+        if (context.dryRun) {
+          this.traceBlock(context, { type: 'llm_transform', status: 'simulated', prompt });
+          return '[dry run] LLM transformation';
+        }
+        
         // Call the LLM
         const llmResult = await LLMService.routeQuery(prompt, transformation.provider || 'OPENAI');
         
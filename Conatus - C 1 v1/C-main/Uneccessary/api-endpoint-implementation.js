@@ -13,6 +13,8 @@ const { createClient } = require('@supabase/supabase-js');
 // Import services
 const ClassificationService = require('../../services/classification/ClassificationService');
 const LLMService = require('../../services/llm/LLMService');
+const ToolCallingService = require('../../services/llm/ToolCallingService');
+const CircuitBreaker = require('../../services/llm/CircuitBreaker');
 
 // Initialize Supabase client
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
@@ -187,8 +189,12 @@ router.post('/stream', async (req, res) => {
       }
     }
     
-    // First, classify the query to get the provider
-    const selectedProvider = provider || await ClassificationService.classifyQuery(query, enrichedContext);
+    // First, classify the query to get the provider (the category picks its fallback chain)
+    const classification = provider
+      ? { provider, category: enrichedContext.category || null }
+      : await ClassificationService.classify(query, enrichedContext);
+    const selectedProvider = classification.provider;
+    enrichedContext.category = classification.category;
     responseProvider = selectedProvider;
     
     // Send provider information to the client
@@ -211,10 +217,11 @@ router.post('/stream', async (req, res) => {
           responseProvider = data.provider;
           sendEvent('provider', { provider: data.provider });
         } else if (data.type === 'fallback') {
-          // Provider fallback occurred
+          // Provider fallback occurred (midStream: the new provider continues the content sent so far)
           sendEvent('fallback', { 
             original: data.original, 
-            fallback: data.fallback 
+            fallback: data.fallback,
+            midStream: data.midStream
           });
           responseProvider = data.fallback;
         } else if (data.type === 'end') {
@@ -313,6 +320,62 @@ router.post('/stream', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/v1/query/tools
+ * @description Answer a query, letting the model act through the user's connected services.
+ * Actions that change something are held until confirmed via /tools/confirm/:confirmationId.
+ * @access Private
+ */
+router.post('/tools', async (req, res) => {
+  try {
+    const { query, provider, services, context = {} } = req.body;
+    
+    // Validate input
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'Valid query is required' });
+    }
+    
+    if (services !== undefined && (!Array.isArray(services) || services.some(service => typeof service !== 'string'))) {
+      return res.status(400).json({ error: 'services must be an array of connector IDs' });
+    }
+    
+    const result = await ToolCallingService.run(query, {
+      userId: req.user.id,
+      provider,
+      services,
+      context
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error running tool query:', error);
+    res.status(error.status || 500).json({ error: 'Error running tool query', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/query/tools/confirm/:confirmationId
+ * @description Approve or decline the actions a tool query is waiting on, then continue it
+ * @access Private
+ */
+router.post('/tools/confirm/:confirmationId', async (req, res) => {
+  try {
+    const { approved } = req.body;
+    
+    // Either a decision for every pending call or the IDs of the approved ones
+    if (typeof approved !== 'boolean' && (!Array.isArray(approved) || approved.some(id => typeof id !== 'string'))) {
+      return res.status(400).json({ error: 'approved must be true, false or an array of tool call IDs' });
+    }
+    
+    const result = await ToolCallingService.confirmCalls(req.params.confirmationId, req.user.id, approved);
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error confirming tool calls:', error);
+    res.status(error.status || 500).json({ error: 'Error confirming tool calls', message: error.message });
+  }
+});
+
 /**
  * @route POST /api/v1/query/classify
  * @description Classify a query without executing it
@@ -362,7 +425,8 @@ router.get('/providers', async (req, res) => {
     const providerInfo = Object.entries(ClassificationService.providers).map(([id, details]) => ({
       id,
       name: details.name,
-      bestFor: details.bestFor
+      bestFor: details.bestFor,
+      circuit: CircuitBreaker.getState(id)
     }));
     
     res.json(providerInfo);
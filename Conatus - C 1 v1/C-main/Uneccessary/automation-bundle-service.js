@@ -0,0 +1,283 @@
+// backend/services/automation/AutomationBundleService.js
+/**
+ * Automation Bundle Service
+ * 
+ * Exports automations as portable bundles (see shared/automationBundle.js)
+ * and imports them into an account. Imports are checked as a whole before
+ * anything is saved: connectors are mapped (e.g. gmail -> outlook) and must
+ * exist, schedules must be valid and sub-workflow calls must resolve.
+ * Automations that still need a service connection or a secret are imported
+ * disabled, and the report lists what is missing.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const OAuthService = require('../oauth/OAuthService');
+const ServiceConnectorRegistry = require('../connectors/ServiceConnectorsRegistry');
+const ScheduleService = require('./ScheduleService');
+const AutomationBundle = require('../../../shared/automationBundle');
+
+// Initialize Supabase client
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Sub-workflows pulled into an export are followed this many calls deep
+const MAX_CALL_DEPTH = 5;
+
+class AutomationBundleService {
+  /**
+   * Export automations as a bundle. Automations they call as sub-workflows
+   * are included so the bundle is self-contained.
+   * @param {string} userId - User ID
+   * @param {Object} options - { ids: automation IDs (all of the user's automations if empty) }
+   * @returns {Promise<Object>} - Bundle
+   */
+  async exportBundle(userId, options = {}) {
+    const ids = options.ids || [];
+    let query = supabase
+      .from('automations')
+      .select('id, name, description, category, enabled, workflow')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+    
+    if (ids.length > 0) {
+      query = query.in('id', ids);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) throw error;
+    
+    const automations = data || [];
+    const missing = ids.filter(id => !automations.some(automation => automation.id === id));
+    
+    if (missing.length > 0) {
+      throw this.createError(`Automations not found: ${missing.join(', ')}`, 404);
+    }
+    
+    if (automations.length === 0) {
+      throw this.createError('No automations to export', 404);
+    }
+    
+    await this.addCalledAutomations(automations, userId);
+    
+    const scopes = {};
+    for (const automation of automations) {
+      for (const { service } of AutomationBundle.collectConnectors(automation.workflow)) {
+        const manifest = ServiceConnectorRegistry.getConnectorManifest(service);
+        scopes[service] = (manifest && manifest.auth && manifest.auth.scopes) || [];
+      }
+    }
+    
+    return AutomationBundle.createBundle(automations, { scopes });
+  }
+
+  /**
+   * Add the automations called as sub-workflows to an export
+   * @param {Array<Object>} automations - Automations being exported (extended in place)
+   * @param {string} userId - User ID
+   */
+  async addCalledAutomations(automations, userId) {
+    for (let depth = 0; depth < MAX_CALL_DEPTH; depth++) {
+      const exported = new Set(automations.map(automation => automation.id));
+      const called = [...new Set(automations.flatMap(automation =>
+        AutomationBundle.collectWorkflowCalls(automation.workflow)
+      ))].filter(id => !exported.has(id));
+      
+      if (called.length === 0) {
+        return;
+      }
+      
+      const { data, error } = await supabase
+        .from('automations')
+        .select('id, name, description, category, enabled, workflow')
+        .eq('user_id', userId)
+        .in('id', called);
+      
+      if (error) throw error;
+      if (!data || data.length === 0) return; // Calls to missing automations are exported as they are
+      
+      automations.push(...data);
+    }
+  }
+
+  /**
+   * Import a bundle. Nothing is saved if any automation in it is invalid.
+   * @param {string} userId - User ID
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} options - { connectorMap: { bundleService: service }, dryRun }
+   * @returns {Promise<Object>} - { dryRun, imported: [{ key, id, name, enabled, missingConnections,
+   *                              missingSecrets, warnings }], missingConnections: [{ service, scopes, automations }] }
+   */
+  async importBundle(userId, bundle, options = {}) {
+    const connectorMap = options.connectorMap || {};
+    const errors = AutomationBundle.validateBundle(bundle);
+    
+    if (errors.length > 0) {
+      throw this.createError('Invalid bundle', 400, errors);
+    }
+    
+    const entries = bundle.automations;
+    const ids = {};
+    entries.forEach(entry => {
+      ids[entry.key] = uuidv4();
+    });
+    
+    const plans = [];
+    
+    for (const [index, entry] of entries.entries()) {
+      const plan = await this.planImport(entry, `automations.${index}`, { userId, connectorMap, ids });
+      errors.push(...plan.errors);
+      plans.push(plan);
+    }
+    
+    if (errors.length > 0) {
+      throw this.createError('Bundle cannot be imported', 400, errors);
+    }
+    
+    // Check each service once; the report groups missing connections by service
+    const services = [...new Set(plans.flatMap(plan => plan.connectors.map(connector => connector.service)))];
+    const connected = {};
+    
+    await Promise.all(services.map(async service => {
+      connected[service] = await OAuthService.isServiceConnected(userId, service);
+    }));
+    
+    const missingConnections = services
+      .filter(service => !connected[service])
+      .map(service => ({
+        service,
+        scopes: [...new Set(plans.flatMap(plan =>
+          plan.connectors.filter(connector => connector.service === service).flatMap(connector => connector.scopes)
+        ))],
+        automations: plans
+          .filter(plan => plan.connectors.some(connector => connector.service === service))
+          .map(plan => plan.entry.key)
+      }));
+    
+    const now = new Date().toISOString();
+    const imported = plans.map(plan => {
+      const unconnected = plan.connectors.map(connector => connector.service).filter(service => !connected[service]);
+      
+      return {
+        key: plan.entry.key,
+        id: ids[plan.entry.key],
+        name: plan.entry.name,
+        // Left disabled until its connections and secrets are set up
+        enabled: plan.entry.enabled !== false && unconnected.length === 0 && plan.missingSecrets.length === 0,
+        missingConnections: unconnected,
+        missingSecrets: plan.missingSecrets,
+        warnings: plan.warnings,
+        workflow: plan.workflow
+      };
+    });
+    
+    if (!options.dryRun) {
+      // One insert, so a failure leaves nothing half imported
+      const { error } = await supabase
+        .from('automations')
+        .insert(imported.map((automation, index) => ({
+          id: automation.id,
+          user_id: userId,
+          name: automation.name,
+          description: entries[index].description || '',
+          category: entries[index].category || 'other',
+          workflow: automation.workflow,
+          created_at: now,
+          updated_at: now,
+          enabled: automation.enabled,
+          execution_count: 0,
+          is_template: false
+        })));
+      
+      if (error) throw error;
+    }
+    
+    return {
+      dryRun: !!options.dryRun,
+      imported: imported.map(({ workflow, ...automation }) => ({
+        ...automation,
+        id: options.dryRun ? null : automation.id
+      })),
+      missingConnections
+    };
+  }
+
+  /**
+   * Check one bundle entry and prepare its workflow for saving
+   * @param {Object} entry - Bundle entry
+   * @param {string} where - Path of the entry for error messages
+   * @param {Object} options - { userId, connectorMap, ids: { key: new automation ID } }
+   * @returns {Promise<Object>} - { entry, workflow, connectors, missingSecrets, warnings, errors }
+   */
+  async planImport(entry, where, { userId, connectorMap, ids }) {
+    const errors = [];
+    const warnings = [];
+    const workflow = AutomationBundle.mapWorkflow(entry.workflow, { connectors: connectorMap, workflows: ids });
+    
+    const connectors = AutomationBundle.collectConnectors(workflow).map(connector => {
+      const manifest = ServiceConnectorRegistry.getConnectorManifest(connector.service);
+      const declared = (entry.connectors || []).find(declared =>
+        (connectorMap[declared.service] || declared.service) === connector.service
+      );
+      
+      if (!ServiceConnectorRegistry.getConnector(connector.service)) {
+        errors.push(`${where} (${entry.name}): unknown connector ${connector.service}; map it to an available connector`);
+      }
+      
+      return {
+        ...connector,
+        scopes: (manifest && manifest.auth && manifest.auth.scopes) || (declared && declared.scopes) || []
+      };
+    });
+    
+    const trigger = workflow.trigger;
+    if (trigger && trigger.type === 'recurring') {
+      const scheduleErrors = ScheduleService.validate(trigger.config);
+      scheduleErrors.forEach(message => errors.push(`${where} (${entry.name}): ${message}`));
+    }
+    
+    // Calls within the bundle were mapped to the new IDs; other calls must exist in this account
+    AutomationBundle.collectWorkflowCalls(workflow, 'workflowKey')
+      .forEach(key => errors.push(`${where} (${entry.name}): calls ${key}, which is not in the bundle`));
+    
+    const newIds = new Set(Object.values(ids));
+    const external = AutomationBundle.collectWorkflowCalls(workflow).filter(id => !newIds.has(id));
+    
+    if (external.length > 0) {
+      const { data } = await supabase
+        .from('automations')
+        .select('id')
+        .eq('user_id', userId)
+        .in('id', external);
+      
+      external
+        .filter(id => !(data || []).some(automation => automation.id === id))
+        .forEach(id => warnings.push(`Calls automation ${id}, which is not in this account`));
+    }
+    
+    return {
+      entry,
+      workflow,
+      connectors,
+      missingSecrets: entry.secrets || [],
+      warnings,
+      errors
+    };
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {Array<string>} details - Validation errors
+   * @returns {Error} - Error
+   */
+  createError(message, status, details = null) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+  }
+}
+
+module.exports = new AutomationBundleService();
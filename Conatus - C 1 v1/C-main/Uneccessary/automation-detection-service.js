@@ -10,6 +10,8 @@ const { createClient } = require('@supabase/supabase-js');
 const { OpenAI } = require('openai');
 const natural = require('natural');
 const OAuthService = require('../oauth/OAuthService');
+const ScheduleService = require('./ScheduleService');
+const DateParser = require('../../../shared/dateParser');
 
 // Initialize clients
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
@@ -27,7 +29,7 @@ class AutomationDetectionService {
       {
         type: 'message_schedule',
         service: 'whatsapp',
-        regex: /(?:schedule|send)\s+(?:a\s+)?(?:whatsapp|whats app|wa)\s+(?:message|msg|text)\s+(?:to|for)\s+([a-zA-Z\s]+?)(?:\s+(?:at|on|tomorrow|in)\s+(.+?))?(?:\s+saying\s+"?(.*?)"?)?$/i,
+        regex: /(?:schedule|send)\s+(?:a\s+)?(?:whatsapp|whats app|wa)\s+(?:message|msg|text)\s+(?:to|for)\s+([a-zA-Z\s]+?)(?:\s+((?:at|on|by|in|today|tonight|tomorrow|next|this|(?:mon|tues|wednes|thurs|fri|satur|sun)day)\b.*?))?(?:\s+saying\s+"?(.*?)"?)?$/i,
         extractParams: (matches) => ({
           recipient: matches[1]?.trim(),
           time: matches[2]?.trim() || 'now',
@@ -39,7 +41,7 @@ class AutomationDetectionService {
       {
         type: 'message_schedule',
         service: 'gmail',
-        regex: /(?:schedule|send)\s+(?:a\s+)?(?:email|mail|gmail)\s+(?:to|for)\s+([a-zA-Z\s@.]+?)(?:\s+(?:with subject|subject)\s+"?(.*?)"?)?(?:\s+(?:at|on|tomorrow|in)\s+(.+?))?(?:\s+saying\s+"?(.*?)"?)?$/i,
+        regex: /(?:schedule|send)\s+(?:a\s+)?(?:email|mail|gmail)\s+(?:to|for)\s+([a-zA-Z\s@.]+?)(?:\s+(?:with subject|subject)\s+"?(.*?)"?)?(?:\s+((?:at|on|by|in|today|tonight|tomorrow|next|this|(?:mon|tues|wednes|thurs|fri|satur|sun)day)\b.*?))?(?:\s+saying\s+"?(.*?)"?)?$/i,
         extractParams: (matches) => ({
           recipient: matches[1]?.trim(),
           subject: matches[2]?.trim() || '',
@@ -54,7 +56,7 @@ class AutomationDetectionService {
       {
         type: 'ride_request',
         service: 'uber',
-        regex: /(?:get|book|order|schedule)\s+(?:a\s+)?(?:uber|ride|car|taxi)\s+(?:to|from|between)\s+([a-zA-Z0-9\s,.]+?)(?:\s+(?:to|and)\s+([a-zA-Z0-9\s,.]+?))?(?:\s+(?:at|on|tomorrow|in)\s+(.+?))?$/i,
+        regex: /(?:get|book|order|schedule)\s+(?:a\s+)?(?:uber|ride|car|taxi)\s+(?:to|from|between)\s+([a-zA-Z0-9\s,.]+?)(?:\s+(?:to|and)\s+([a-zA-Z0-9\s,.]+?))?(?:\s+((?:at|on|by|in|today|tonight|tomorrow|next|this|(?:mon|tues|wednes|thurs|fri|satur|sun)day)\b.*?))?$/i,
         extractParams: (matches) => ({
           pickup: matches[1]?.trim(),
           destination: matches[2]?.trim() || '',
@@ -68,7 +70,7 @@ class AutomationDetectionService {
       {
         type: 'food_order',
         service: 'doordash',
-        regex: /(?:order|get)\s+(?:food|dinner|lunch|breakfast)\s+(?:from)\s+([a-zA-Z0-9\s,.'&]+?)(?:\s+(?:with|containing)\s+(.+?))?(?:\s+(?:at|on|tomorrow|in)\s+(.+?))?$/i,
+        regex: /(?:order|get)\s+(?:food|dinner|lunch|breakfast)\s+(?:from)\s+([a-zA-Z0-9\s,.'&]+?)(?:\s+(?:with|containing)\s+(.+?))?(?:\s+((?:at|on|by|in|today|tonight|tomorrow|next|this|(?:mon|tues|wednes|thurs|fri|satur|sun)day)\b.*?))?$/i,
         extractParams: (matches) => ({
           restaurant: matches[1]?.trim(),
           items: matches[2]?.trim() || 'my usual order',
@@ -82,7 +84,7 @@ class AutomationDetectionService {
       {
         type: 'calendar_event',
         service: 'google_calendar',
-        regex: /(?:schedule|create|add)\s+(?:a\s+)?(?:meeting|event|appointment|call)\s+(?:with|about|for)\s+([a-zA-Z0-9\s,.]+?)(?:\s+(?:at|on|tomorrow|in)\s+(.+?))?(?:\s+(?:for|lasting)\s+(.+?))?$/i,
+        regex: /(?:schedule|create|add)\s+(?:a\s+)?(?:meeting|event|appointment|call)\s+(?:with|about|for)\s+([a-zA-Z0-9\s,.]+?)(?:\s+((?:at|on|by|in|today|tonight|tomorrow|next|this|(?:mon|tues|wednes|thurs|fri|satur|sun)day)\b.*?))?(?:\s+(?:for|lasting)\s+(.+?))?$/i,
         extractParams: (matches) => ({
           title: matches[1]?.trim(),
           time: matches[2]?.trim() || '',
@@ -140,20 +142,20 @@ class AutomationDetectionService {
         );
         
         if (!hasRequiredServices) {
-          return {
+          return this.resolveTiming({
             ...patternMatch,
             needsConnection: true,
             services: patternMatch.requiredServices
-          };
+          }, userId);
         }
         
-        return patternMatch;
+        return this.resolveTiming(patternMatch, userId);
       }
       
       // If no pattern match, use NLP-based detection (slower but more flexible)
       if (this.isLikelyAutomation(message)) {
         const nlpResult = await this.detectWithNLP(message, userId);
-        return nlpResult;
+        return nlpResult && this.resolveTiming(nlpResult, userId);
       }
       
       return null;
@@ -163,6 +165,37 @@ class AutomationDetectionService {
     }
   }
 
+  /**
+   * Resolve the time of a detected automation in the user's timezone
+   * @param {Object} automation - Detected automation
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Automation with timing, needsClarification and followUpQuestion
+   */
+  async resolveTiming(automation, userId) {
+    const time = automation.params && automation.params.time;
+    
+    if (!time || time === 'now') {
+      return automation;
+    }
+    
+    const { timezone, locale } = await ScheduleService.getUserTimeSettings(userId);
+    const timing = DateParser.parseDateTime(time, { timezone, locale });
+    
+    // Guesses become questions for the user rather than silent assumptions
+    return {
+      ...automation,
+      timing: {
+        start: timing.start && timing.start.toISOString(),
+        end: timing.end && timing.end.toISOString(),
+        timezone: timing.timezone,
+        hasTime: timing.hasTime,
+        ambiguities: timing.ambiguities
+      },
+      needsClarification: !timing.recognized || timing.ambiguous,
+      followUpQuestion: DateParser.getFollowUpQuestion(timing)
+    };
+  }
+
   /**
    * Check if a message matches any automation patterns
    * @param {string} message - User message
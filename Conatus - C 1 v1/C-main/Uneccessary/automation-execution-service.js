@@ -10,6 +10,8 @@ const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
 const OAuthService = require('../oauth/OAuthService');
 const AutomationDetectionService = require('./AutomationDetectionService');
+const ExecutionTraceService = require('./ExecutionTraceService');
+const ScheduleService = require('./ScheduleService');
 
 // Import service connectors
 const WhatsAppConnector = require('../connectors/WhatsAppConnector');
@@ -44,6 +46,10 @@ class AutomationExecutionService {
    * @returns {Promise<Object>} - Execution result
    */
   async executeAutomation(automation, userId) {
+    // Trace of the connector call, stored with the execution
+    const trace = [];
+    let callStartedAt = null;
+    
     try {
       const { type, service, params } = automation;
       
@@ -86,25 +92,29 @@ class AutomationExecutionService {
         throw new Error(`No connector available for service: ${service}`);
       }
       
+      // Times in the action are written in the user's timezone unless it says otherwise
+      const timezone = params.timezone || await ScheduleService.getUserTimezone(userId);
+      
       // Execute the appropriate action based on type
       let result;
+      callStartedAt = Date.now();
       
       switch (type) {
         case 'message_schedule':
           if (service === 'whatsapp') {
-            result = await connector.sendMessage(accessToken, params.recipient, params.content, params.time);
+            result = await connector.sendMessage(accessToken, params.recipient, params.content, params.time, timezone);
           } else if (service === 'gmail') {
-            result = await connector.sendEmail(accessToken, params.recipient, params.subject, params.content, params.time);
+            result = await connector.sendEmail(accessToken, params.recipient, params.subject, params.content, params.time, timezone);
           }
           break;
         case 'ride_request':
-          result = await connector.bookRide(accessToken, params.pickup, params.destination, params.time);
+          result = await connector.bookRide(accessToken, params.pickup, params.destination, params.time, timezone);
           break;
         case 'food_order':
-          result = await connector.orderFood(accessToken, params.restaurant, params.items, params.time);
+          result = await connector.orderFood(accessToken, params.restaurant, params.items, params.time, timezone);
           break;
         case 'calendar_event':
-          result = await connector.createEvent(accessToken, params.title, params.time, params.duration);
+          result = await connector.createEvent(accessToken, params.title, params.time, params.duration, '', timezone);
           break;
         case 'music_control':
           result = await connector.playMusic(accessToken, params.track, params.artist);
@@ -116,8 +126,19 @@ class AutomationExecutionService {
           throw new Error(`Unsupported automation type: ${type}`);
       }
       
+      ExecutionTraceService.record(trace, {
+        path: 'action',
+        type: 'action_call',
+        service,
+        action: type,
+        status: 'succeeded',
+        request: ExecutionTraceService.summarize(params),
+        response: ExecutionTraceService.summarize(result),
+        durationMs: Date.now() - callStartedAt
+      });
+      
       // Record successful execution
-      await this.recordExecution(executionId, userId, automation, 'success', result);
+      await this.recordExecution(executionId, userId, automation, 'success', result, null, { trace });
       
       // Return the execution result
       return {
@@ -131,13 +152,25 @@ class AutomationExecutionService {
       
       // Record failed execution
       if (automation) {
+        ExecutionTraceService.record(trace, {
+          path: 'action',
+          type: callStartedAt ? 'action_call' : 'validation',
+          service: automation.service,
+          action: automation.type,
+          status: 'failed',
+          request: ExecutionTraceService.summarize(automation.params),
+          error: error.message,
+          durationMs: callStartedAt ? Date.now() - callStartedAt : 0
+        });
+        
         await this.recordExecution(
           uuidv4(), 
           userId, 
           automation, 
           'failed', 
           null, 
-          error.message
+          error.message,
+          { trace }
         );
       }
       
@@ -176,6 +209,8 @@ class AutomationExecutionService {
       
       // Prepare execution parameters
       const executionParams = {
+        id: automation.id,
+        version: automation.current_version, // Pins the execution to the version that ran
         type: workflow.action.type,
         service: workflow.action.service,
         params: this.mergeParams(workflow.action.params, triggerData),
@@ -239,22 +274,29 @@ class AutomationExecutionService {
    * @param {string} status - Execution status
    * @param {Object} result - Execution result
    * @param {string} errorMessage - Error message if any
+   * @param {Object} links - { parentExecutionId, workflowRunId, callDepth } for sub-workflow calls, and the trace
    * @returns {Promise<void>}
    */
-  async recordExecution(executionId, userId, automation, status, result = null, errorMessage = null) {
+  async recordExecution(executionId, userId, automation, status, result = null, errorMessage = null, links = {}) {
     try {
+      // Upsert so a later status (e.g. a retried sub-workflow call) replaces the earlier record
       await supabase
         .from('automation_executions')
-        .insert({
+        .upsert({
           id: executionId,
           user_id: userId,
           automation_id: automation.id, // May be null for instant automations
+          automation_version: automation.version || null,
           automation_type: automation.type,
           service: automation.service,
           parameters: automation.params,
           status,
           result: result || null,
           error_message: errorMessage,
+          parent_execution_id: links.parentExecutionId || null,
+          workflow_run_id: links.workflowRunId || null,
+          call_depth: links.callDepth || 0,
+          trace: links.trace || null,
           executed_at: new Date().toISOString()
         });
     } catch (dbError) {
@@ -294,6 +336,10 @@ class AutomationExecutionService {
         query = query.eq('status', filters.status);
       }
       
+      if (filters.parentExecutionId) {
+        query = query.eq('parent_execution_id', filters.parentExecutionId);
+      }
+      
       if (filters.limit) {
         query = query.limit(filters.limit);
       }
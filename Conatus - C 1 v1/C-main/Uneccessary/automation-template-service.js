@@ -0,0 +1,166 @@
+// backend/services/automation/AutomationTemplateService.js
+/**
+ * Automation Template Service
+ * 
+ * Installs shared templates into a user's automations. Templates declare
+ * typed parameters (see shared/templateParameters.js) that the install
+ * wizard collects; the chosen values are checked with the same rules the
+ * wizard uses and written into the copied workflow. A template is only
+ * installed once every service it uses is connected.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const OAuthService = require('../oauth/OAuthService');
+const ServiceConnectorRegistry = require('../connectors/ServiceConnectorsRegistry');
+const ScheduleService = require('./ScheduleService');
+const TemplateParameters = require('../../../shared/templateParameters');
+const { collectConnectors } = require('../../../shared/automationBundle');
+
+// Initialize Supabase client
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+class AutomationTemplateService {
+  /**
+   * Get what installing a template needs: its parameters and the services it uses
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { template, parameters, services: [{ service, name, actions, scopes, connected }], ready }
+   */
+  async getInstallPlan(templateId, userId) {
+    const template = await this.getTemplate(templateId);
+    const services = await this.checkServices(template.workflow, userId);
+    
+    return {
+      template: {
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        category: template.category
+      },
+      parameters: template.workflow.parameters || [],
+      services,
+      ready: services.every(service => service.connected)
+    };
+  }
+
+  /**
+   * Install a template as a new automation of the user
+   * @param {string} templateId - Template ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { name, parameters: { name: value } }
+   * @returns {Promise<Object>} - Created automation
+   */
+  async installTemplate(templateId, userId, options = {}) {
+    const template = await this.getTemplate(templateId);
+    const parameters = template.workflow.parameters || [];
+    
+    const { values, errors } = TemplateParameters.validateParameterValues(parameters, options.parameters || {});
+    
+    if (Object.keys(errors).length > 0) {
+      throw this.createError('Invalid parameters', 400, { details: errors });
+    }
+    
+    const workflow = TemplateParameters.applyParameters(template.workflow, values);
+    
+    // Parameters often set the schedule, so it is checked with the chosen values
+    if (workflow.trigger && workflow.trigger.type === 'recurring') {
+      const scheduleErrors = ScheduleService.validate(workflow.trigger.config);
+      
+      if (scheduleErrors.length > 0) {
+        throw this.createError('Invalid schedule', 400, { details: scheduleErrors });
+      }
+    }
+    
+    const missing = (await this.checkServices(workflow, userId)).filter(service => !service.connected);
+    
+    if (missing.length > 0) {
+      throw this.createError('Required services not connected', 400, {
+        services: missing.map(service => service.service),
+        needsConnection: true
+      });
+    }
+    
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('automations')
+      .insert({
+        id: uuidv4(),
+        user_id: userId,
+        name: options.name || `${template.name} (imported)`,
+        description: template.description,
+        category: template.category,
+        workflow,
+        created_at: now,
+        updated_at: now,
+        enabled: true,
+        execution_count: 0,
+        is_template: false,
+        imported_from: templateId,
+        template_parameters: values
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    return data;
+  }
+
+  /**
+   * List the services a workflow uses and whether the user has connected them
+   * @param {Object} workflow - Workflow definition
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} - [{ service, name, actions, scopes, connected }]
+   */
+  async checkServices(workflow, userId) {
+    return Promise.all(collectConnectors(workflow).map(async ({ service, actions }) => {
+      const metadata = ServiceConnectorRegistry.getConnectorMetadata(service);
+      const manifest = ServiceConnectorRegistry.getConnectorManifest(service);
+      
+      return {
+        service,
+        name: (metadata && metadata.name) || service,
+        actions,
+        scopes: (manifest && manifest.auth && manifest.auth.scopes) || [],
+        connected: await OAuthService.isServiceConnected(userId, service)
+      };
+    }));
+  }
+
+  /**
+   * Get a shared template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} - Template record
+   */
+  async getTemplate(templateId) {
+    const { data, error } = await supabase
+      .from('automations')
+      .select('id, name, description, category, workflow')
+      .eq('id', templateId)
+      .eq('is_template', true)
+      .single();
+    
+    if (error || !data) {
+      throw this.createError('Template not found', 404);
+    }
+    
+    return data;
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @param {Object} fields - Extra fields for the error response
+   * @returns {Error} - Error
+   */
+  createError(message, status, fields = null) {
+    const error = new Error(message);
+    error.status = status;
+    if (fields) error.fields = fields;
+    return error;
+  }
+}
+
+module.exports = new AutomationTemplateService();
@@ -0,0 +1,260 @@
+// backend/services/automation/AutomationVersionService.js
+/**
+ * Automation Version Service
+ * 
+ * Reads the immutable version history of automations, compares versions and
+ * rolls an automation back to an earlier one. Versions themselves are written
+ * by database triggers whenever an automation's name, description, category
+ * or workflow changes, so every write path is covered; a rollback is just an
+ * update that copies an old version and is recorded as a new version.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+// Fields that make up a version
+const VERSIONED_FIELDS = ['name', 'description', 'category', 'workflow'];
+
+class AutomationVersionService {
+  /**
+   * List the versions of an automation, newest first
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { currentVersion, versions: [{ version, name, reason, restoredFrom, createdAt }] }
+   */
+  async listVersions(automationId, userId) {
+    const automation = await this.getOwnedAutomation(automationId, userId);
+    
+    const { data, error } = await supabase
+      .from('automation_versions')
+      .select('version, name, reason, restored_from, created_at')
+      .eq('automation_id', automationId)
+      .eq('user_id', userId)
+      .order('version', { ascending: false });
+    
+    if (error) throw error;
+    
+    return {
+      currentVersion: automation.current_version,
+      versions: (data || []).map(version => ({
+        version: version.version,
+        name: version.name,
+        reason: version.reason,
+        restoredFrom: version.restored_from,
+        createdAt: version.created_at
+      }))
+    };
+  }
+
+  /**
+   * Get one version of an automation
+   * @param {string} automationId - Automation ID
+   * @param {number} version - Version number
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Version with its full definition
+   */
+  async getVersion(automationId, version, userId) {
+    const number = this.parseVersion(version);
+    
+    const { data, error } = await supabase
+      .from('automation_versions')
+      .select('*')
+      .eq('automation_id', automationId)
+      .eq('user_id', userId)
+      .eq('version', number)
+      .single();
+    
+    if (error || !data) {
+      throw this.createError(`Version ${number} not found`, 404);
+    }
+    
+    return this.formatVersion(data);
+  }
+
+  /**
+   * Compare two versions of an automation
+   * @param {string} automationId - Automation ID
+   * @param {number} from - Older version
+   * @param {number} to - Newer version (defaults to the current version)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { from, to, changes: [{ path, change, before, after }] }
+   */
+  async diffVersions(automationId, from, to, userId) {
+    if (to === undefined || to === null || to === '') {
+      const automation = await this.getOwnedAutomation(automationId, userId);
+      to = automation.current_version;
+    }
+    
+    const [before, after] = await Promise.all([
+      this.getVersion(automationId, from, userId),
+      this.getVersion(automationId, to, userId)
+    ]);
+    
+    const changes = [];
+    for (const field of VERSIONED_FIELDS) {
+      this.diff(before[field], after[field], field, changes);
+    }
+    
+    return {
+      from: before.version,
+      to: after.version,
+      changes
+    };
+  }
+
+  /**
+   * Collect the differences between two values. Objects are compared key by key
+   * and arrays index by index, so a change deep in a workflow is reported at its path.
+   * @param {any} before - Old value
+   * @param {any} after - New value
+   * @param {string} path - Path of the values (e.g. workflow.logic.2.then)
+   * @param {Array} changes - Differences found so far
+   * @returns {Array} - [{ path, change: added|removed|changed, before, after }]
+   */
+  diff(before, after, path = '', changes = []) {
+    if (before === undefined || before === null) {
+      if (after !== undefined && after !== null) {
+        changes.push({ path, change: 'added', before: null, after });
+      }
+      return changes;
+    }
+    
+    if (after === undefined || after === null) {
+      changes.push({ path, change: 'removed', before, after: null });
+      return changes;
+    }
+    
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    const bothObjects = typeof before === 'object' && typeof after === 'object' &&
+      !Array.isArray(before) && !Array.isArray(after);
+    
+    if (bothArrays) {
+      const length = Math.max(before.length, after.length);
+      for (let index = 0; index < length; index++) {
+        this.diff(before[index], after[index], path ? `${path}.${index}` : String(index), changes);
+      }
+      return changes;
+    }
+    
+    if (bothObjects) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      for (const key of keys) {
+        this.diff(before[key], after[key], path ? `${path}.${key}` : key, changes);
+      }
+      return changes;
+    }
+    
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ path, change: 'changed', before, after });
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Restore an automation to an earlier version. The restored definition is
+   * saved as a new version, so the history is never rewritten.
+   * @param {string} automationId - Automation ID
+   * @param {number} version - Version to restore
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Updated automation
+   */
+  async rollback(automationId, version, userId) {
+    const automation = await this.getOwnedAutomation(automationId, userId);
+    const target = await this.getVersion(automationId, version, userId);
+    
+    if (target.version === automation.current_version) {
+      throw this.createError(`Automation is already at version ${target.version}`, 409);
+    }
+    
+    const { data, error } = await supabase
+      .from('automations')
+      .update({
+        name: target.name,
+        description: target.description,
+        category: target.category,
+        workflow: target.workflow,
+        restored_from_version: target.version,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', automationId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    return data;
+  }
+
+  /**
+   * Check that an automation exists and belongs to the user
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { id, current_version }
+   */
+  async getOwnedAutomation(automationId, userId) {
+    const { data: automation, error } = await supabase
+      .from('automations')
+      .select('id, current_version')
+      .eq('id', automationId)
+      .eq('user_id', userId)
+      .single();
+    
+    if (error || !automation) {
+      throw this.createError('Automation not found', 404);
+    }
+    
+    return automation;
+  }
+
+  /**
+   * Parse a version number from a request
+   * @param {any} version - Version number or string
+   * @returns {number} - Version number
+   */
+  parseVersion(version) {
+    const number = Number(version);
+    
+    if (!Number.isInteger(number) || number < 1) {
+      throw this.createError(`Invalid version: ${version}`, 400);
+    }
+    
+    return number;
+  }
+
+  /**
+   * Format a version record for API responses
+   * @param {Object} version - Version record
+   * @returns {Object} - Formatted version
+   */
+  formatVersion(version) {
+    return {
+      automationId: version.automation_id,
+      version: version.version,
+      name: version.name,
+      description: version.description,
+      category: version.category,
+      workflow: version.workflow,
+      reason: version.reason,
+      restoredFrom: version.restored_from,
+      createdAt: version.created_at
+    };
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @returns {Error} - Error
+   */
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new AutomationVersionService();
@@ -14,7 +14,17 @@ const { v4: uuidv4 } = require('uuid');
 // Import services
 const AutomationDetectionService = require('../../services/automation/AutomationDetectionService');
 const AutomationExecutionService = require('../../services/automation/AutomationExecutionService');
+const ConditionalExecutionService = require('../../services/automation/ConditionalExecutionService');
+const WebhookTriggerService = require('../../services/automation/WebhookTriggerService');
+const ScheduleService = require('../../services/automation/ScheduleService');
+const ExecutionTraceService = require('../../services/automation/ExecutionTraceService');
+const AutomationVersionService = require('../../services/automation/AutomationVersionService');
+const AutomationBundleService = require('../../services/automation/AutomationBundleService');
+const AutomationTemplateService = require('../../services/automation/AutomationTemplateService');
 const OAuthService = require('../../services/oauth/OAuthService');
+const ExpressionLanguage = require('../../../shared/expressionLanguage');
+const AutomationBundle = require('../../../shared/automationBundle');
+const TemplateParameters = require('../../../shared/templateParameters');
 
 // Initialize Supabase client
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
@@ -87,6 +97,137 @@ router.post('/execute', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/v1/automations/expressions/validate
+ * @description Check an expression, a template or every expression in a workflow
+ * @access Private
+ */
+router.post('/expressions/validate', async (req, res) => {
+  try {
+    const { expression, template, workflow, scope } = req.body;
+    
+    if (typeof expression === 'string') {
+      // A sample scope lets the type checker flag unknown names
+      return res.json(ExpressionLanguage.validate(expression, { scope }));
+    }
+    
+    if (typeof template === 'string') {
+      return res.json(ExpressionLanguage.validateTemplate(template, { scope }));
+    }
+    
+    if (workflow && typeof workflow === 'object') {
+      const errors = ConditionalExecutionService.validateExpressions(workflow);
+      return res.json({ valid: errors.length === 0, errors });
+    }
+    
+    res.status(400).json({ error: 'expression, template or workflow is required' });
+  } catch (error) {
+    console.error('Error validating expression:', error);
+    res.status(500).json({ error: 'Failed to validate expression', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/automations/schedule/preview
+ * @description Preview the next fire times of a recurring trigger config
+ * @access Private
+ */
+router.post('/schedule/preview', async (req, res) => {
+  try {
+    const { config, count, from } = req.body;
+    const userId = req.user.id;
+    
+    if (!config || typeof config !== 'object') {
+      return res.status(400).json({ error: 'Schedule config is required' });
+    }
+    
+    const errors = ScheduleService.validate(config);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule', details: errors });
+    }
+    
+    // Wall times are in the config's timezone, or the user's one when it has none
+    const timezone = config.timezone || await ScheduleService.getUserTimezone(userId);
+    const occurrences = ScheduleService.getNextOccurrences(config, { timezone, from, count: count || 10 });
+    
+    res.json({
+      timezone,
+      occurrences: occurrences.map(date => ({
+        at: date.toISOString(),
+        local: ScheduleService.formatLocal(date, timezone)
+      }))
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Invalid schedule', details: [error.message] });
+    }
+    
+    console.error('Error previewing schedule:', error);
+    res.status(500).json({ error: 'Failed to preview schedule', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/export
+ * @description Download automations as a bundle (?ids=a,b, all automations if omitted; ?format=yaml|json)
+ * @access Private
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'yaml';
+    const ids = req.query.ids ? String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean) : [];
+    
+    const bundle = await AutomationBundleService.exportBundle(req.user.id, { ids });
+    
+    res.type(format === 'json' ? 'application/json' : 'application/x-yaml');
+    res.attachment(`automations.${format}`);
+    res.send(AutomationBundle.serializeBundle(bundle, format));
+  } catch (error) {
+    console.error('Error exporting automations:', error);
+    res.status(error.status || 500).json({ error: 'Failed to export automations', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/automations/import
+ * @description Import a bundle ({ content: YAML or JSON text } or { bundle }), with an optional
+ *              connectorMap ({ gmail: 'outlook' }) and dryRun to only report what would happen
+ * @access Private
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const { content, connectorMap, dryRun } = req.body;
+    let bundle = req.body.bundle;
+    
+    if (typeof content === 'string') {
+      try {
+        bundle = AutomationBundle.parseBundle(content);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid bundle file', message: error.message });
+      }
+    }
+    
+    if (!bundle) {
+      return res.status(400).json({ error: 'Bundle content is required' });
+    }
+    
+    const report = await AutomationBundleService.importBundle(req.user.id, bundle, {
+      connectorMap: connectorMap || {},
+      dryRun: !!dryRun
+    });
+    
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    if (error.details) {
+      return res.status(error.status || 400).json({ error: error.message, details: error.details });
+    }
+    
+    console.error('Error importing automations:', error);
+    res.status(error.status || 500).json({ error: 'Failed to import automations', message: error.message });
+  }
+});
+
 /**
  * @route GET /api/v1/automations
  * @description Get all configured automations for the user
@@ -176,6 +317,28 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Workflow must contain trigger and action' });
     }
     
+    if (workflow.trigger.type === 'recurring') {
+      const scheduleErrors = ScheduleService.validate(workflow.trigger.config);
+      
+      if (scheduleErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid schedule', details: scheduleErrors });
+      }
+    }
+    
+    if (workflow.parameters !== undefined) {
+      const parameterErrors = TemplateParameters.validateParameterDefinitions(workflow);
+      
+      if (parameterErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid template parameters', details: parameterErrors });
+      }
+    }
+    
+    const retryErrors = ConditionalExecutionService.validateRetryPolicies(workflow);
+    
+    if (retryErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid retry policy', details: retryErrors });
+    }
+    
     // Check if required services are connected
     if (workflow.action.service) {
       const isConnected = await OAuthService.isServiceConnected(userId, workflow.action.service);
@@ -248,6 +411,8 @@ router.patch('/:id', async (req, res) => {
     delete updates.created_at;
     delete updates.execution_count;
     delete updates.last_executed_at;
+    delete updates.current_version; // Versions are numbered by the database
+    delete updates.restored_from_version; // Set only by a rollback
     
     // Add updated timestamp
     updates.updated_at = new Date().toISOString();
@@ -258,6 +423,28 @@ router.patch('/:id', async (req, res) => {
         return res.status(400).json({ error: 'Workflow must contain trigger and action' });
       }
       
+      if (updates.workflow.trigger.type === 'recurring') {
+        const scheduleErrors = ScheduleService.validate(updates.workflow.trigger.config);
+        
+        if (scheduleErrors.length > 0) {
+          return res.status(400).json({ error: 'Invalid schedule', details: scheduleErrors });
+        }
+      }
+      
+      if (updates.workflow.parameters !== undefined) {
+        const parameterErrors = TemplateParameters.validateParameterDefinitions(updates.workflow);
+        
+        if (parameterErrors.length > 0) {
+          return res.status(400).json({ error: 'Invalid template parameters', details: parameterErrors });
+        }
+      }
+      
+      const retryErrors = ConditionalExecutionService.validateRetryPolicies(updates.workflow);
+      
+      if (retryErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid retry policy', details: retryErrors });
+      }
+      
       // Check if required services are connected
       if (updates.workflow.action.service) {
         const isConnected = await OAuthService.isServiceConnected(userId, updates.workflow.action.service);
@@ -394,6 +581,48 @@ router.post('/:id/execute', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/v1/automations/:id/dry-run
+ * @description Simulate an automation against sample trigger data without contacting any service
+ * @access Private
+ */
+router.post('/:id/dry-run', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { triggerData, mockResults, waitOutcomes } = req.body;
+    
+    const { data: automation, error } = await supabase
+      .from('automations')
+      .select('id, workflow')
+      .eq('id', req.params.id)
+      .eq('user_id', userId)
+      .single();
+    
+    if (error || !automation) {
+      return res.status(404).json({ error: 'Automation not found' });
+    }
+    
+    // Unsaved edits from the builder can be simulated before saving
+    const workflow = req.body.workflow || automation.workflow;
+    
+    if (!workflow || !Array.isArray(workflow.logic)) {
+      return res.status(400).json({ error: 'Only workflows with logic blocks can be simulated' });
+    }
+    
+    const result = await ConditionalExecutionService.executeConditionalWorkflow(workflow, triggerData || {}, userId, {
+      dryRun: true,
+      automationId: automation.id,
+      mockResults,
+      waitOutcomes
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error simulating automation:', error);
+    res.status(500).json({ error: 'Failed to simulate automation', message: error.message });
+  }
+});
+
 /**
  * @route GET /api/v1/automations/:id/history
  * @description Get execution history for an automation
@@ -430,6 +659,228 @@ router.get('/:id/history', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/automations/:id/executions/:executionId/trace
+ * @description Get the step-by-step trace of an execution, with the sub-workflows it called
+ * @access Private
+ */
+router.get('/:id/executions/:executionId/trace', async (req, res) => {
+  try {
+    const trace = await ExecutionTraceService.getExecutionTrace(req.params.id, req.params.executionId, req.user.id);
+    res.json(trace);
+  } catch (error) {
+    console.error('Error fetching execution trace:', error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch execution trace', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/:id/runs/:runId/trace
+ * @description Get the step-by-step trace of a workflow run, with the sub-workflow runs it started
+ * @access Private
+ */
+router.get('/:id/runs/:runId/trace', async (req, res) => {
+  try {
+    const trace = await ExecutionTraceService.getRunTrace(req.params.id, req.params.runId, req.user.id);
+    res.json(trace);
+  } catch (error) {
+    console.error('Error fetching workflow run trace:', error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch workflow run trace', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/:id/versions
+ * @description List the saved versions of an automation, newest first
+ * @access Private
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const versions = await AutomationVersionService.listVersions(req.params.id, req.user.id);
+    res.json(versions);
+  } catch (error) {
+    console.error('Error fetching automation versions:', error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch automation versions', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/:id/versions/diff
+ * @description Compare two versions of an automation (?from=&to=, to defaults to the current version)
+ * @access Private
+ */
+router.get('/:id/versions/diff', async (req, res) => {
+  try {
+    const diff = await AutomationVersionService.diffVersions(req.params.id, req.query.from, req.query.to, req.user.id);
+    res.json(diff);
+  } catch (error) {
+    console.error('Error comparing automation versions:', error);
+    res.status(error.status || 500).json({ error: 'Failed to compare automation versions', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/:id/versions/:version
+ * @description Get the full definition of an automation version
+ * @access Private
+ */
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const version = await AutomationVersionService.getVersion(req.params.id, req.params.version, req.user.id);
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching automation version:', error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch automation version', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/automations/:id/versions/:version/rollback
+ * @description Restore an automation to an earlier version (saved as a new version)
+ * @access Private
+ */
+router.post('/:id/versions/:version/rollback', async (req, res) => {
+  try {
+    const automation = await AutomationVersionService.rollback(req.params.id, req.params.version, req.user.id);
+    res.json(automation);
+  } catch (error) {
+    console.error('Error rolling back automation:', error);
+    res.status(error.status || 500).json({ error: 'Failed to roll back automation', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/:id/misfires
+ * @description Get the recurring runs of an automation that were missed while no worker was running
+ * @access Private
+ */
+router.get('/:id/misfires', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const misfires = await ScheduleService.getMisfires(req.params.id, req.user.id, limit);
+    res.json(misfires);
+  } catch (error) {
+    console.error('Error fetching missed runs:', error);
+    res.status(500).json({ error: 'Failed to fetch missed runs', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/:id/webhook
+ * @description Get the inbound webhook for an automation
+ * @access Private
+ */
+router.get('/:id/webhook', async (req, res) => {
+  try {
+    const webhook = await WebhookTriggerService.getWebhook(req.params.id, req.user.id);
+    
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/automations/:id/webhook
+ * @description Create (or replace) the inbound webhook for an automation.
+ * The signing secret is only returned by this route and /webhook/rotate.
+ * @access Private
+ */
+router.post('/:id/webhook', async (req, res) => {
+  try {
+    const { payloadSchema, payloadMapping } = req.body;
+    
+    if (payloadMapping !== undefined && (typeof payloadMapping !== 'object' || Array.isArray(payloadMapping))) {
+      return res.status(400).json({ error: 'payloadMapping must be an object of field: path pairs' });
+    }
+    
+    const webhook = await WebhookTriggerService.createWebhook(req.params.id, req.user.id, {
+      payloadSchema,
+      payloadMapping
+    });
+    
+    res.status(201).json(webhook);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(error.status || (error.name === 'ValidationError' ? 400 : 500))
+      .json({ error: 'Failed to create webhook', message: error.message, details: error.details });
+  }
+});
+
+/**
+ * @route PATCH /api/v1/automations/:id/webhook
+ * @description Update payload schema/mapping or enable/disable a webhook
+ * @access Private
+ */
+router.patch('/:id/webhook', async (req, res) => {
+  try {
+    const { payloadSchema, payloadMapping, enabled } = req.body;
+    
+    const webhook = await WebhookTriggerService.updateWebhook(req.params.id, req.user.id, {
+      payloadSchema,
+      payloadMapping,
+      enabled
+    });
+    
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(error.status || (error.name === 'ValidationError' ? 400 : 500))
+      .json({ error: 'Failed to update webhook', message: error.message, details: error.details });
+  }
+});
+
+/**
+ * @route POST /api/v1/automations/:id/webhook/rotate
+ * @description Rotate the webhook signing secret (the previous secret stays valid for 24 hours)
+ * @access Private
+ */
+router.post('/:id/webhook/rotate', async (req, res) => {
+  try {
+    const webhook = await WebhookTriggerService.rotateSecret(req.params.id, req.user.id);
+    res.json(webhook);
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(error.status || 500).json({ error: 'Failed to rotate webhook secret', message: error.message });
+  }
+});
+
+/**
+ * @route DELETE /api/v1/automations/:id/webhook
+ * @description Delete the inbound webhook for an automation
+ * @access Private
+ */
+router.delete('/:id/webhook', async (req, res) => {
+  try {
+    await WebhookTriggerService.deleteWebhook(req.params.id, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/automations/:id/webhook/deliveries
+ * @description Get recent webhook deliveries for an automation
+ * @access Private
+ */
+router.get('/:id/webhook/deliveries', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const deliveries = await WebhookTriggerService.getDeliveries(req.params.id, req.user.id, limit);
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch webhook deliveries', message: error.message });
+  }
+});
+
 /**
  * @route GET /api/v1/automations/history
  * @description Get execution history for all automations
@@ -439,13 +890,14 @@ router.get('/history', async (req, res) => {
   try {
     const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 10;
-    const { service, type, status } = req.query;
+    const { service, type, status, parentExecutionId } = req.query;
     
     // Get execution history
     const history = await AutomationExecutionService.getExecutionHistory(userId, {
       service,
       type,
       status,
+      parentExecutionId,
       limit
     });
     
@@ -490,57 +942,43 @@ router.get('/templates', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/automations/import/:templateId
+ * @description Get what installing a template needs: its parameters and whether its services are connected
+ * @access Private
+ */
+router.get('/import/:templateId', async (req, res) => {
+  try {
+    const plan = await AutomationTemplateService.getInstallPlan(req.params.templateId, req.user.id);
+    res.json(plan);
+  } catch (error) {
+    console.error('Error fetching template install plan:', error);
+    res.status(error.status || 500).json({ error: 'Failed to fetch template', message: error.message });
+  }
+});
+
 /**
  * @route POST /api/v1/automations/import/:templateId
- * @description Import an automation template
+ * @description Import an automation template ({ name, parameters: { name: value } })
  * @access Private
  */
 router.post('/import/:templateId', async (req, res) => {
   try {
-    const templateId = req.params.templateId;
-    const userId = req.user.id;
-    const { name } = req.body;
-    
-    // Get the template
-    const { data: template, error: templateError } = await supabase
-      .from('automations')
-      .select('*')
-      .eq('id', templateId)
-      .eq('is_template', true)
-      .single();
-    
-    if (templateError || !template) {
-      return res.status(404).json({ error: 'Template not found' });
-    }
+    const { name, parameters } = req.body;
     
-    // Create a new automation based on the template
-    const { data, error } = await supabase
-      .from('automations')
-      .insert({
-        id: uuidv4(),
-        user_id: userId,
-        name: name || `${template.name} (imported)`,
-        description: template.description,
-        category: template.category,
-        workflow: template.workflow,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        enabled: true,
-        execution_count: 0,
-        is_template: false,
-        imported_from: templateId
-      })
-      .select()
-      .single();
+    const automation = await AutomationTemplateService.installTemplate(req.params.templateId, req.user.id, {
+      name,
+      parameters
+    });
     
-    if (error) {
-      throw error;
+    res.status(201).json(automation);
+  } catch (error) {
+    if (error.fields) {
+      return res.status(error.status).json({ error: error.message, ...error.fields });
     }
     
-    res.status(201).json(data);
-  } catch (error) {
     console.error('Error importing template:', error);
-    res.status(500).json({ error: 'Failed to import template', message: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to import template', message: error.message });
   }
 });
 
@@ -0,0 +1,201 @@
+// backend/services/llm/providers/ClaudeProvider.js
+/**
+ * Claude Provider
+ * 
+ * Claude models through the Anthropic Messages API.
+ */
+
+const fetch = require('node-fetch');
+const ProviderAdapter = require('../ProviderAdapter');
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+
+class ClaudeProvider {
+  constructor() {
+    this.id = 'CLAUDE';
+    this.name = 'Claude';
+    this.models = {
+      default: 'claude-3-opus-20240229',
+      fallback: 'claude-3-sonnet-20240229'
+    };
+    this.capabilities = {
+      streaming: true,
+      systemPrompt: true,
+      webSearch: false,
+      tools: true,
+      contextWindow: 200000
+    };
+    // USD per 1M tokens
+    this.pricing = {
+      'claude-3-opus-20240229': { input: 15, output: 75 },
+      'claude-3-sonnet-20240229': { input: 3, output: 15 },
+      'claude-3-haiku-20240307': { input: 0.25, output: 1.25 }
+    };
+    this.cacheTtl = 3600;
+  }
+
+  /**
+   * Send a query and wait for the full response
+   * @param {string} query - User query
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} - { content, toolCalls, tokenUsage, model, cacheable }
+   */
+  async complete(query, context = {}) {
+    const response = await this.request(query, context, false);
+    const data = await response.json();
+    const toolCalls = data.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input }));
+    
+    return {
+      content: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      ...(toolCalls.length > 0 ? { toolCalls } : {}),
+      tokenUsage: this.parseUsage(data.usage),
+      model: data.model,
+      cacheable: toolCalls.length === 0
+    };
+  }
+
+  /**
+   * Stream a query, passing text chunks to onChunk as they arrive
+   * @param {string} query - User query
+   * @param {Function} onChunk - Callback for content chunks
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} - { tokenUsage, model }
+   */
+  async stream(query, onChunk, context = {}) {
+    const response = await this.request(query, context, true);
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let model = null;
+    
+    await ProviderAdapter.readEventStream(response, (parsed) => {
+      if (parsed.type === 'message_start' && parsed.message) {
+        model = parsed.message.model;
+        usage.input_tokens = (parsed.message.usage && parsed.message.usage.input_tokens) || 0;
+      } else if (parsed.type === 'content_block_delta' && parsed.delta.type === 'text_delta') {
+        onChunk(parsed.delta.text);
+      } else if (parsed.type === 'message_delta' && parsed.usage) {
+        usage.output_tokens = parsed.usage.output_tokens || 0;
+      } else if (parsed.type === 'error') {
+        throw new Error(`Claude API error: ${parsed.error && parsed.error.message}`);
+      }
+    }, this.name);
+    
+    return { tokenUsage: usage.output_tokens ? this.parseUsage(usage) : null, model };
+  }
+
+  /**
+   * Estimate the tokens in a text
+   * @param {string} text - Text
+   * @returns {number} - Estimated tokens
+   */
+  countTokens(text) {
+    return ProviderAdapter.estimateTokens(text);
+  }
+
+  /**
+   * Call the Messages API
+   * @param {string} query - User query
+   * @param {Object} context - Additional context
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Promise<Object>} - fetch response
+   */
+  async request(query, context, stream) {
+    // The system prompt is a separate field; other history turns alternate user and assistant
+    const messages = this.toMessages(ProviderAdapter.buildMessages(query, context, { system: false }));
+    
+    const body = {
+      model: context.model || this.models.default,
+      messages,
+      max_tokens: context.maxTokens || 1024,
+      temperature: context.temperature || 0.7
+    };
+    
+    if (context.systemPrompt) {
+      body.system = context.systemPrompt;
+    }
+    
+    if (Array.isArray(context.tools) && context.tools.length > 0) {
+      body.tools = context.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+    }
+    
+    if (stream) {
+      body.stream = true;
+    }
+    
+    const response = await fetch(ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.CLAUDE_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify(body)
+    });
+    
+    if (!response.ok) {
+      throw await ProviderAdapter.createApiError(this.name, response);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Convert messages to the Messages API format. Tool calls become tool_use
+   * blocks, and consecutive tool results share one user message.
+   * @param {Array<Object>} messages - Messages and tool turns
+   * @returns {Array<Object>} - Messages API messages
+   */
+  toMessages(messages) {
+    const converted = [];
+    
+    for (const message of messages) {
+      if (message.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+        const previous = converted[converted.length - 1];
+        
+        if (previous && previous.role === 'user' && Array.isArray(previous.content)) {
+          previous.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+      } else if (message.toolCalls) {
+        converted.push({
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.name,
+              input: typeof call.arguments === 'object' && call.arguments ? call.arguments : {}
+            }))
+          ]
+        });
+      } else {
+        converted.push({ role: message.role === 'user' ? 'user' : 'assistant', content: message.content });
+      }
+    }
+    
+    return converted;
+  }
+
+  /**
+   * Normalize reported token usage
+   * @param {Object} usage - { input_tokens, output_tokens }
+   * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+   */
+  parseUsage(usage) {
+    return {
+      prompt_tokens: usage.input_tokens,
+      completion_tokens: usage.output_tokens,
+      total_tokens: usage.input_tokens + usage.output_tokens
+    };
+  }
+}
+
+module.exports = new ClaudeProvider();
@@ -0,0 +1,375 @@
+// backend/services/connectors/ConnectorManifest.js
+/**
+ * Connector Manifest
+ * 
+ * Validates the declarative manifests that every service connector exposes
+ * and checks action parameters against the JSON schemas they declare.
+ * 
+ * A manifest looks like:
+ *   {
+ *     id: 'whatsapp',
+ *     version: '1.0.0',
+ *     auth: { type: 'oauth2', scopes: ['whatsapp_business_messaging'] },
+ *     rateLimit: { requests: 80, windowMs: 1000 },
+ *     actions: {
+ *       send_message: {
+ *         method: 'sendMessage',
+ *         description: 'Send a WhatsApp message',
+ *         idempotent: false,
+ *         readOnly: false,      // true if it only reads data (optional)
+ *         input: { type: 'object', required: [...], properties: {...} },
+ *         output: { type: 'object', properties: {...} }
+ *       }
+ *     }
+ *   }
+ * 
+ * The order of `input.properties` is the order in which parameters are
+ * passed to the connector method (after the access token). Actions that are
+ * not readOnly change something, so the assistant asks before running them.
+ */
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const AUTH_TYPES = ['oauth2', 'api_key', 'none'];
+const FORMATS = {
+  'email': value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'uri': value => /^https?:\/\/\S+$/i.test(value),
+  'date-time': value => !isNaN(new Date(value).getTime())
+};
+
+class ConnectorManifest {
+  /**
+   * Validate a connector manifest
+   * @param {Object} manifest - Manifest declared by the connector
+   * @param {Object} connector - Connector instance the manifest describes
+   * @returns {Object} - { valid, errors }
+   */
+  validate(manifest, connector = null) {
+    const errors = [];
+    
+    if (!manifest || typeof manifest !== 'object') {
+      return { valid: false, errors: ['Manifest is required'] };
+    }
+    
+    if (!manifest.id || typeof manifest.id !== 'string') {
+      errors.push('Manifest id is required');
+    }
+    
+    if (!manifest.version || !/^\d+\.\d+\.\d+$/.test(manifest.version)) {
+      errors.push('Manifest version must be a semantic version (e.g. 1.0.0)');
+    }
+    
+    // Authentication
+    if (!manifest.auth || !AUTH_TYPES.includes(manifest.auth.type)) {
+      errors.push(`Manifest auth.type must be one of: ${AUTH_TYPES.join(', ')}`);
+    } else if (manifest.auth.type === 'oauth2' && !Array.isArray(manifest.auth.scopes)) {
+      errors.push('OAuth connectors must declare auth.scopes');
+    }
+    
+    // Rate limits
+    if (manifest.rateLimit) {
+      const { requests, windowMs } = manifest.rateLimit;
+      if (!Number.isInteger(requests) || requests <= 0 || !Number.isInteger(windowMs) || windowMs <= 0) {
+        errors.push('rateLimit must declare positive integer requests and windowMs');
+      }
+    }
+    
+    // Actions
+    if (!manifest.actions || typeof manifest.actions !== 'object' || Object.keys(manifest.actions).length === 0) {
+      errors.push('Manifest must declare at least one action');
+    } else {
+      for (const [actionId, action] of Object.entries(manifest.actions)) {
+        errors.push(...this.validateAction(actionId, action, connector));
+      }
+    }
+    
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate a single action declaration
+   * @param {string} actionId - Action identifier
+   * @param {Object} action - Action declaration
+   * @param {Object} connector - Connector instance
+   * @returns {Array<string>} - Validation errors
+   */
+  validateAction(actionId, action, connector) {
+    const errors = [];
+    const prefix = `Action ${actionId}`;
+    
+    if (!/^[a-z][a-z0-9_]*$/.test(actionId)) {
+      errors.push(`${prefix}: id must be snake_case`);
+    }
+    
+    if (!action || typeof action !== 'object') {
+      return [...errors, `${prefix}: declaration must be an object`];
+    }
+    
+    if (!action.method) {
+      errors.push(`${prefix}: method is required`);
+    } else if (connector && typeof connector[action.method] !== 'function') {
+      errors.push(`${prefix}: connector does not implement ${action.method}()`);
+    }
+    
+    if (typeof action.idempotent !== 'boolean') {
+      errors.push(`${prefix}: idempotent must be declared as true or false`);
+    }
+    
+    if (action.readOnly !== undefined && typeof action.readOnly !== 'boolean') {
+      errors.push(`${prefix}: readOnly must be true or false`);
+    }
+    
+    if (!action.input || action.input.type !== 'object') {
+      errors.push(`${prefix}: input schema must be of type object`);
+    } else {
+      errors.push(...this.validateSchema(action.input, `${prefix} input`));
+      
+      const properties = Object.keys(action.input.properties || {});
+      for (const field of action.input.required || []) {
+        if (!properties.includes(field)) {
+          errors.push(`${prefix}: required field ${field} is not declared in input.properties`);
+        }
+      }
+    }
+    
+    if (action.output) {
+      errors.push(...this.validateSchema(action.output, `${prefix} output`));
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Check that a schema only uses the supported JSON-schema subset
+   * @param {Object} schema - JSON schema
+   * @param {string} path - Location used in error messages
+   * @returns {Array<string>} - Validation errors
+   */
+  validateSchema(schema, path) {
+    const errors = [];
+    
+    if (!schema || typeof schema !== 'object') {
+      return [`${path}: schema must be an object`];
+    }
+    
+    const types = [].concat(schema.type || []);
+    if (types.length === 0 && !schema.enum) {
+      errors.push(`${path}: type is required`);
+    }
+    
+    for (const type of types) {
+      if (!SCHEMA_TYPES.includes(type)) {
+        errors.push(`${path}: unsupported type ${type}`);
+      }
+    }
+    
+    if (schema.format && !FORMATS[schema.format]) {
+      errors.push(`${path}: unsupported format ${schema.format}`);
+    }
+    
+    if (schema.properties) {
+      for (const [key, child] of Object.entries(schema.properties)) {
+        errors.push(...this.validateSchema(child, `${path}.${key}`));
+      }
+    }
+    
+    if (schema.items) {
+      errors.push(...this.validateSchema(schema.items, `${path}[]`));
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Validate a value against a JSON schema
+   * @param {Object} schema - JSON schema
+   * @param {any} value - Value to validate
+   * @param {string} path - Location used in error messages
+   * @returns {Object} - { valid, errors }
+   */
+  validateParams(schema, value, path = 'params') {
+    const errors = [];
+    this.checkValue(schema, value, path, errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Recursively check a value, collecting errors
+   * @param {Object} schema - JSON schema
+   * @param {any} value - Value to check
+   * @param {string} path - Location used in error messages
+   * @param {Array<string>} errors - Collected errors
+   */
+  checkValue(schema, value, path, errors) {
+    if (!schema) return;
+    
+    const types = [].concat(schema.type || []);
+    const actualType = this.typeOf(value);
+    
+    if (types.length > 0) {
+      const matches = types.some(type =>
+        type === actualType || (type === 'number' && actualType === 'integer')
+      );
+      
+      if (!matches) {
+        errors.push(`${path} must be ${types.join(' or ')}`);
+        return;
+      }
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    
+    switch (actualType) {
+      case 'string': {
+        const text = value instanceof Date ? value.toISOString() : value;
+        
+        if (schema.minLength !== undefined && text.length < schema.minLength) {
+          errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+          errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(text)) {
+          errors.push(`${path} does not match the expected pattern`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](text)) {
+          errors.push(`${path} must be a valid ${schema.format}`);
+        }
+        break;
+      }
+      
+      case 'number':
+      case 'integer':
+        if (schema.minimum !== undefined && value < schema.minimum) {
+          errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+          errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+        break;
+      
+      case 'array':
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+          errors.push(`${path} must contain at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+          errors.push(`${path} must contain at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+          value.forEach((item, index) => this.checkValue(schema.items, item, `${path}[${index}]`, errors));
+        }
+        break;
+      
+      case 'object': {
+        const properties = schema.properties || {};
+        
+        for (const field of schema.required || []) {
+          if (value[field] === undefined || value[field] === null || value[field] === '') {
+            errors.push(`${path}.${field} is required`);
+          }
+        }
+        
+        for (const [key, propValue] of Object.entries(value)) {
+          if (properties[key]) {
+            if (propValue !== undefined) {
+              this.checkValue(properties[key], propValue, `${path}.${key}`, errors);
+            }
+          } else if (schema.additionalProperties === false) {
+            errors.push(`${path}.${key} is not allowed`);
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Get the JSON-schema type of a value
+   * @param {any} value - Value to inspect
+   * @returns {string} - Schema type (Dates are treated as strings)
+   */
+  typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (value instanceof Date) return 'string';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  /**
+   * Convert named parameters to the positional arguments a connector method expects
+   * @param {Object} action - Action declaration
+   * @param {Object} params - Named parameters
+   * @returns {Array} - Arguments in declaration order (defaults applied)
+   */
+  toArguments(action, params = {}) {
+    return Object.entries(action.input.properties || {}).map(([key, schema]) =>
+      params[key] !== undefined ? params[key] : schema.default
+    );
+  }
+
+  /**
+   * Convert positional connector method arguments back to named parameters
+   * @param {Object} action - Action declaration
+   * @param {Array} args - Arguments in declaration order (without the access token)
+   * @returns {Object} - Named parameters
+   */
+  toParams(action, args = []) {
+    const params = {};
+    Object.keys(action.input.properties || {}).forEach((key, index) => {
+      if (args[index] !== undefined) {
+        params[key] = args[index];
+      }
+    });
+    return params;
+  }
+
+  /**
+   * Build a plausible value for a schema (used as the result of simulated actions)
+   * @param {Object} schema - JSON schema
+   * @returns {any} - Sample value
+   */
+  sampleValue(schema) {
+    if (!schema) return null;
+    if (schema.examples && schema.examples.length > 0) return schema.examples[0];
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum) return schema.enum[0];
+    
+    switch ([].concat(schema.type || [])[0]) {
+      case 'object': {
+        const sample = {};
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+          sample[key] = this.sampleValue(child);
+        }
+        return sample;
+      }
+      case 'array':
+        return [];
+      case 'string':
+        return schema.format === 'date-time' ? new Date().toISOString() : 'sample';
+      case 'integer':
+      case 'number':
+        return schema.minimum !== undefined ? schema.minimum : 0;
+      case 'boolean':
+        return true;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build a validation error that ErrorHandlingService maps to a 400 response
+   * @param {string} message - Error message
+   * @param {Array<string>} details - Individual validation failures
+   * @returns {Error} - Validation error
+   */
+  createValidationError(message, details) {
+    const error = new Error(`${message}: ${details.join('; ')}`);
+    error.name = 'ValidationError';
+    error.details = details;
+    return error;
+  }
+}
+
+module.exports = new ConnectorManifest();
@@ -0,0 +1,151 @@
+// backend/services/connectors/ConnectorPluginLoader.js
+/**
+ * Connector Plugin Loader
+ * 
+ * Discovers third-party connector packages so they can be registered without
+ * editing the registry. Plugins are loaded from:
+ *   - CONNECTOR_PLUGIN_DIR: a directory of plugin modules or packages
+ *   - CONNECTOR_PLUGIN_SCOPE: an npm scope (e.g. @conatus-connectors) in node_modules
+ * 
+ * A plugin module exports its registry metadata and a connector instance
+ * that declares a manifest (see ConnectorManifest):
+ *   module.exports = {
+ *     name: 'Slack',
+ *     category: 'Communication',
+ *     description: 'Post messages to Slack channels',
+ *     icon: 'slack',
+ *     connector: new SlackConnector()
+ *   };
+ * 
+ * A plugin that fails to load or register is skipped and recorded, it never
+ * prevents the remaining connectors from loading.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MonitoringService = require('../MonitoringService');
+
+class ConnectorPluginLoader {
+  constructor() {
+    this.config = {
+      pluginDir: process.env.CONNECTOR_PLUGIN_DIR || null,
+      pluginScope: process.env.CONNECTOR_PLUGIN_SCOPE || null,
+      modulesDir: process.env.CONNECTOR_PLUGIN_MODULES_DIR || path.join(process.cwd(), 'node_modules')
+    };
+    
+    // Loaded plugins and failures, by module path
+    this.loaded = [];
+    this.failures = [];
+  }
+
+  /**
+   * Discover and register all plugins with the registry
+   * @param {Object} registry - ServiceConnectorsRegistry instance
+   * @returns {Object} - { loaded, failures }
+   */
+  loadPlugins(registry) {
+    this.loaded = [];
+    this.failures = [];
+    
+    for (const modulePath of this.discover()) {
+      try {
+        const entry = this.loadPlugin(modulePath);
+        
+        if (registry.connectors[entry.id]) {
+          throw new Error(`Connector ${entry.id} is already registered`);
+        }
+        
+        registry.registerConnector(entry);
+        this.loaded.push({ id: entry.id, path: modulePath, version: entry.connector.manifest.version });
+        
+        MonitoringService.info(`Loaded connector plugin ${entry.id}`, { path: modulePath });
+      } catch (error) {
+        this.failures.push({ path: modulePath, error: error.message });
+        MonitoringService.error(`Failed to load connector plugin from ${modulePath}`, error);
+      }
+    }
+    
+    return { loaded: this.loaded, failures: this.failures };
+  }
+
+  /**
+   * Find candidate plugin modules in the configured directory and npm scope
+   * @returns {Array<string>} - Absolute module paths
+   */
+  discover() {
+    const candidates = [];
+    
+    if (this.config.pluginDir) {
+      candidates.push(...this.listModules(path.resolve(this.config.pluginDir)));
+    }
+    
+    if (this.config.pluginScope) {
+      const scope = this.config.pluginScope.startsWith('@')
+        ? this.config.pluginScope
+        : `@${this.config.pluginScope}`;
+      
+      candidates.push(...this.listModules(path.join(this.config.modulesDir, scope)));
+    }
+    
+    return candidates;
+  }
+
+  /**
+   * List loadable modules (.js files and package directories) in a directory
+   * @param {string} directory - Directory to scan
+   * @returns {Array<string>} - Absolute module paths
+   */
+  listModules(directory) {
+    try {
+      return fs.readdirSync(directory, { withFileTypes: true })
+        .filter(dirent => !dirent.name.startsWith('.'))
+        .filter(dirent => dirent.isDirectory() || dirent.name.endsWith('.js'))
+        .map(dirent => path.join(directory, dirent.name))
+        .sort();
+    } catch (error) {
+      MonitoringService.warn(`Connector plugin directory not readable: ${directory}`, { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Load a plugin module and build its registry entry
+   * @param {string} modulePath - Absolute module path
+   * @returns {Object} - Registry entry
+   */
+  loadPlugin(modulePath) {
+    const plugin = require(modulePath);
+    
+    if (!plugin || typeof plugin !== 'object' || !plugin.connector) {
+      throw new Error('Plugin must export an object with a connector');
+    }
+    
+    const manifest = plugin.connector.manifest;
+    
+    if (!manifest || !manifest.id) {
+      throw new Error('Plugin connector must declare a manifest with an id');
+    }
+    
+    // Copy metadata into plain values so a misbehaving plugin object cannot break listings
+    return {
+      id: String(manifest.id),
+      name: String(plugin.name || manifest.name || manifest.id),
+      category: String(plugin.category || 'Other'),
+      connector: plugin.connector,
+      description: String(plugin.description || ''),
+      setupRequired: plugin.setupRequired !== undefined ? !!plugin.setupRequired : manifest.auth?.type !== 'none',
+      icon: String(plugin.icon || manifest.id),
+      source: 'plugin'
+    };
+  }
+
+  /**
+   * Get the result of the last plugin load
+   * @returns {Object} - { loaded, failures }
+   */
+  getStatus() {
+    return { loaded: this.loaded, failures: this.failures };
+  }
+}
+
+module.exports = new ConnectorPluginLoader();
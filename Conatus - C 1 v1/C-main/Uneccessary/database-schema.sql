@@ -836,3 +836,526 @@ begin
   return conversations_archived;
 end;
 $$;
+
+-- database/migrations/04_automation_webhooks.sql
+-- Inbound webhook triggers for automations
+
+-- One inbound webhook per automation
+create table if not exists public.automation_webhooks (
+  id uuid primary key default uuid_generate_v4(),
+  automation_id uuid references public.automations(id) on delete cascade not null unique,
+  user_id uuid references public.users(id) on delete cascade not null,
+  token text unique not null, -- Public path component of the webhook URL
+  secret text not null, -- HMAC signing secret
+  previous_secret text, -- Still accepted until previous_secret_expires_at after a rotation
+  previous_secret_expires_at timestamptz,
+  payload_schema jsonb, -- Optional JSON schema the payload must match
+  payload_mapping jsonb default '{}'::jsonb, -- triggerData field -> JSON path in the payload
+  enabled boolean default true,
+  last_received_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Deliveries received, used for replay protection and auditing
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default uuid_generate_v4(),
+  webhook_id uuid references public.automation_webhooks(id) on delete cascade not null,
+  delivery_id text not null,
+  status text default 'accepted' check (status in ('accepted', 'completed', 'failed')),
+  trigger_data jsonb,
+  error text,
+  received_at timestamptz default now(),
+  completed_at timestamptz,
+  unique (webhook_id, delivery_id)
+);
+
+-- Add indexes for webhooks
+create index if not exists idx_automation_webhooks_user_id on public.automation_webhooks(user_id);
+create index if not exists idx_webhook_deliveries_received on public.webhook_deliveries(webhook_id, received_at);
+
+-- Enable RLS for webhooks
+alter table if exists public.automation_webhooks enable row level security;
+alter table if exists public.webhook_deliveries enable row level security;
+
+-- RLS policies for webhooks
+create policy "Users can view their own automation webhooks"
+  on public.automation_webhooks for select
+  using (auth.uid() = user_id);
+
+create policy "Users can view deliveries for their own webhooks"
+  on public.webhook_deliveries for select
+  using (
+    exists (
+      select 1 from public.automation_webhooks
+      where automation_webhooks.id = webhook_deliveries.webhook_id
+      and automation_webhooks.user_id = auth.uid()
+    )
+  );
+
+-- database/migrations/05_workflow_runs.sql
+-- Durable workflow execution with checkpoints
+
+-- Each execution of a conditional workflow, checkpointed after every block
+create table if not exists public.workflow_runs (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid references public.users(id) on delete cascade not null,
+  automation_id uuid references public.automations(id) on delete set null,
+  workflow jsonb not null, -- Workflow definition as it was when the run started
+  trigger_data jsonb default '{}'::jsonb,
+  status text default 'running' check (status in ('running', 'completed', 'failed')),
+  checkpoint jsonb default '{}'::jsonb, -- Variables, results, completed block paths and branch decisions
+  result jsonb,
+  error text,
+  attempt integer default 1,
+  started_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  completed_at timestamptz
+);
+
+-- Add indexes for workflow runs
+create index if not exists idx_workflow_runs_user_id on public.workflow_runs(user_id);
+create index if not exists idx_workflow_runs_status on public.workflow_runs(status, updated_at);
+
+-- Enable RLS for workflow runs
+alter table if exists public.workflow_runs enable row level security;
+
+-- RLS policies for workflow runs
+create policy "Users can view their own workflow runs"
+  on public.workflow_runs for select
+  using (auth.uid() = user_id);
+
+-- database/migrations/06_dead_letters.sql
+-- Dead-letter queue for actions that failed after exhausting their retry policy
+
+-- Failed actions kept for inspection, editing and re-driving
+create table if not exists public.dead_letters (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid references public.users(id) on delete cascade not null,
+  source text not null check (source in ('workflow', 'scheduled_message')),
+  automation_id uuid references public.automations(id) on delete set null,
+  reference_id uuid, -- Workflow run or scheduled message that failed
+  block_path text, -- Position of the failed action in the workflow (e.g. logic.2.then.0)
+  action jsonb not null, -- Action definition, editable before re-driving
+  context jsonb default '{}'::jsonb, -- Trigger data, variables and results at the time of failure
+  error text,
+  error_class text, -- validation, rate_limited, service_unavailable, ...
+  attempts integer default 1,
+  status text default 'pending' check (status in ('pending', 'redriven', 'discarded')),
+  redrive_count integer default 0,
+  last_result jsonb,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Add indexes for dead letters
+create index if not exists idx_dead_letters_user_status on public.dead_letters(user_id, status, created_at);
+create index if not exists idx_dead_letters_automation_id on public.dead_letters(automation_id);
+
+-- Enable RLS for dead letters
+alter table if exists public.dead_letters enable row level security;
+
+-- RLS policies for dead letters
+create policy "Users can view their own dead letters"
+  on public.dead_letters for select
+  using (auth.uid() = user_id);
+
+-- database/migrations/07_workflow_waits.sql
+-- Workflow runs paused for an approval or an external event
+
+-- Runs can now be paused at a wait block
+alter table public.workflow_runs drop constraint if exists workflow_runs_status_check;
+alter table public.workflow_runs add constraint workflow_runs_status_check
+  check (status in ('running', 'waiting', 'completed', 'failed'));
+
+-- Approval requests and event waits of paused runs
+create table if not exists public.workflow_waits (
+  id uuid primary key default uuid_generate_v4(),
+  run_id uuid references public.workflow_runs(id) on delete cascade not null,
+  user_id uuid references public.users(id) on delete cascade not null,
+  automation_id uuid references public.automations(id) on delete set null,
+  block_path text not null, -- Position of the wait block in the workflow
+  type text not null check (type in ('approval', 'event')),
+  event text, -- Event name for event waits
+  match jsonb default '{}'::jsonb, -- Payload fields the event must match
+  message text,
+  default_outcome text not null, -- Branch taken when the wait times out
+  status text default 'pending' check (status in ('pending', 'resolved', 'expired')),
+  outcome text,
+  response jsonb,
+  expires_at timestamptz,
+  resolved_at timestamptz,
+  created_at timestamptz default now(),
+  unique (run_id, block_path)
+);
+
+-- Add indexes for workflow waits
+create index if not exists idx_workflow_waits_user_status on public.workflow_waits(user_id, status);
+create index if not exists idx_workflow_waits_event on public.workflow_waits(user_id, event) where status = 'pending';
+create index if not exists idx_workflow_waits_expires_at on public.workflow_waits(expires_at) where status = 'pending';
+
+-- Enable RLS for workflow waits
+alter table if exists public.workflow_waits enable row level security;
+
+-- RLS policies for workflow waits
+create policy "Users can view their own workflow waits"
+  on public.workflow_waits for select
+  using (auth.uid() = user_id);
+
+-- database/migrations/08_workflow_calls.sql
+-- Sub-workflow calls: link parent and child runs and executions
+
+-- Runs started by a call_workflow block point at the run that called them
+alter table public.workflow_runs add column if not exists execution_id uuid;
+alter table public.workflow_runs add column if not exists parent_run_id uuid references public.workflow_runs(id) on delete set null;
+alter table public.workflow_runs add column if not exists call_depth integer default 0;
+
+-- Execution history of called workflows (no foreign key on the parent: a child can finish before its parent is recorded)
+alter table public.automation_executions add column if not exists parent_execution_id uuid;
+alter table public.automation_executions add column if not exists workflow_run_id uuid references public.workflow_runs(id) on delete set null;
+alter table public.automation_executions add column if not exists call_depth integer default 0;
+
+-- Add indexes for parent/child lookups
+create index if not exists idx_workflow_runs_parent_run_id on public.workflow_runs(parent_run_id);
+create index if not exists idx_automation_executions_parent on public.automation_executions(parent_execution_id);
+
+-- database/migrations/09_worker_leases.sql
+-- Lease-based claiming so several scheduled tasks workers can run side by side
+
+-- The worker holding a task and until when; a task whose lease ran out is claimed again
+alter table public.automation_schedules add column if not exists locked_by text;
+alter table public.automation_schedules add column if not exists locked_until timestamptz;
+alter table public.automation_schedules add column if not exists heartbeat_at timestamptz;
+alter table public.automation_schedules add column if not exists attempts integer default 0;
+
+alter table public.scheduled_messages add column if not exists locked_by text;
+alter table public.scheduled_messages add column if not exists locked_until timestamptz;
+alter table public.scheduled_messages add column if not exists heartbeat_at timestamptz;
+
+-- Add indexes for finding expired leases
+create index if not exists idx_automation_schedules_lease on public.automation_schedules(locked_until) where status = 'processing';
+create index if not exists idx_scheduled_messages_lease on public.scheduled_messages(locked_until) where status = 'processing';
+
+-- Claim due automation schedules for a worker (rows locked by another claim are skipped)
+create or replace function claim_automation_schedules(
+  worker_id text,
+  batch_size integer default 10,
+  lease_seconds integer default 60
+)
+returns setof public.automation_schedules
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  update automation_schedules s
+  set status = 'processing',
+      locked_by = worker_id,
+      locked_until = now() + (lease_seconds || ' seconds')::interval,
+      heartbeat_at = now(),
+      attempts = coalesce(s.attempts, 0) + 1
+  where s.id in (
+    select d.id
+    from automation_schedules d
+    where (d.status = 'scheduled' and d.scheduled_at <= now())
+    or (d.status = 'processing' and d.locked_until < now()) -- Worker died or stopped renewing
+    order by d.scheduled_at
+    limit batch_size
+    for update skip locked
+  )
+  returning s.*;
+end;
+$$;
+
+-- Claim scheduled messages that are due in Redis for a worker
+create or replace function claim_scheduled_messages(
+  worker_id text,
+  message_ids uuid[],
+  batch_size integer default 10,
+  lease_seconds integer default 60
+)
+returns setof public.scheduled_messages
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  update scheduled_messages m
+  set status = 'processing',
+      locked_by = worker_id,
+      locked_until = now() + (lease_seconds || ' seconds')::interval,
+      heartbeat_at = now()
+  where m.id in (
+    select d.id
+    from scheduled_messages d
+    where d.id = any(message_ids)
+    and (
+      d.status in ('scheduled', 'retry')
+      or (d.status = 'processing' and d.locked_until < now())
+    )
+    order by array_position(message_ids, d.id) -- Keep the order of the Redis schedule
+    limit batch_size
+    for update skip locked
+  )
+  returning m.*;
+end;
+$$;
+
+-- Extend the leases a worker still holds; returns the ids it still owns
+create or replace function renew_task_leases(
+  worker_id text,
+  task_ids uuid[],
+  lease_seconds integer default 60
+)
+returns setof uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  update automation_schedules
+  set locked_until = now() + (lease_seconds || ' seconds')::interval,
+      heartbeat_at = now()
+  where id = any(task_ids)
+  and locked_by = worker_id
+  and status = 'processing'
+  returning id;
+  
+  return query
+  update scheduled_messages
+  set locked_until = now() + (lease_seconds || ' seconds')::interval,
+      heartbeat_at = now()
+  where id = any(task_ids)
+  and locked_by = worker_id
+  and status = 'processing'
+  returning id;
+end;
+$$;
+
+-- The lease functions bypass RLS and return full rows (access tokens included), so only the worker may call them
+revoke execute on function claim_automation_schedules(text, integer, integer) from public, anon, authenticated;
+revoke execute on function claim_scheduled_messages(text, uuid[], integer, integer) from public, anon, authenticated;
+revoke execute on function renew_task_leases(text, uuid[], integer) from public, anon, authenticated;
+
+grant execute on function claim_automation_schedules(text, integer, integer) to service_role;
+grant execute on function claim_scheduled_messages(text, uuid[], integer, integer) to service_role;
+grant execute on function renew_task_leases(text, uuid[], integer) to service_role;
+
+-- database/migrations/10_automation_misfires.sql
+-- Audit trail of recurring runs missed while no worker was running
+
+create table if not exists public.automation_misfires (
+  id uuid primary key default uuid_generate_v4(),
+  automation_id uuid references public.automations(id) on delete cascade not null,
+  user_id uuid references public.users(id) on delete cascade not null,
+  schedule_id uuid references public.automation_schedules(id) on delete set null, -- Late run that revealed the misfire
+  scheduled_for timestamptz not null, -- Window that was missed
+  policy text not null check (policy in ('skip', 'run_once', 'run_all')),
+  outcome text not null check (outcome in ('skipped', 'caught_up')),
+  detected_at timestamptz default now()
+);
+
+-- Add index for missed run lookup by automation
+create index if not exists idx_automation_misfires_automation on public.automation_misfires(automation_id, scheduled_for desc);
+
+-- Enable RLS for automation misfires
+alter table if exists public.automation_misfires enable row level security;
+
+-- RLS policies for automation misfires
+create policy "Users can view their own missed runs"
+  on public.automation_misfires for select
+  using (auth.uid() = user_id);
+
+-- database/migrations/11_execution_traces.sql
+-- Structured traces of automation runs (blocks, decisions, variables, connector calls and timings)
+
+-- Single-action executions keep their trace on the execution record
+alter table public.automation_executions add column if not exists trace jsonb;
+
+-- Workflow runs keep theirs on the run, saved with every checkpoint
+alter table public.workflow_runs add column if not exists trace jsonb default '[]'::jsonb;
+
+-- database/migrations/12_automation_versions.sql
+-- Immutable history of automation definitions, with executions pinned to the version that ran
+
+create table if not exists public.automation_versions (
+  id uuid primary key default uuid_generate_v4(),
+  automation_id uuid references public.automations(id) on delete cascade not null,
+  user_id uuid references public.users(id) on delete cascade not null,
+  version integer not null,
+  name text not null,
+  description text,
+  category text,
+  workflow jsonb not null,
+  reason text not null check (reason in ('created', 'updated', 'rollback')),
+  restored_from integer, -- Version copied by a rollback
+  created_at timestamptz default now(),
+  unique (automation_id, version)
+);
+
+-- Category is part of the versioned definition
+alter table public.automations add column if not exists category text;
+
+-- Version the automation currently matches; a rollback sets the version it restored
+alter table public.automations add column if not exists current_version integer default 0;
+alter table public.automations add column if not exists restored_from_version integer;
+
+-- Executions and workflow runs record the version that ran
+alter table public.automation_executions add column if not exists automation_version integer;
+alter table public.workflow_runs add column if not exists automation_version integer;
+
+-- Enable RLS for automation versions
+alter table if exists public.automation_versions enable row level security;
+
+-- RLS policies for automation versions (written only by the triggers below)
+create policy "Users can view their own automation versions"
+  on public.automation_versions for select
+  using (auth.uid() = user_id);
+
+-- Existing automations start from their current definition (before the triggers below take over numbering)
+insert into public.automation_versions (automation_id, user_id, version, name, description, category, workflow, reason)
+select id, user_id, 1, name, description, category, workflow, 'created'
+from public.automations
+where coalesce(current_version, 0) = 0
+on conflict (automation_id, version) do nothing;
+
+update public.automations set current_version = 1 where coalesce(current_version, 0) = 0;
+
+-- Versions are never changed once written
+create or replace function prevent_automation_version_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'Automation versions are immutable';
+end;
+$$;
+
+drop trigger if exists automation_versions_immutable on public.automation_versions;
+create trigger automation_versions_immutable
+  before update on public.automation_versions
+  for each row execute procedure prevent_automation_version_update();
+
+-- Number the next version whenever the definition (name, description, category, workflow) changes
+create or replace function bump_automation_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if TG_OP = 'INSERT' then
+    new.current_version := 1;
+    new.restored_from_version := null;
+  elsif new.name is distinct from old.name
+    or new.description is distinct from old.description
+    or new.category is distinct from old.category
+    or new.workflow is distinct from old.workflow then
+    new.current_version := coalesce(old.current_version, 0) + 1;
+    
+    -- A rollback sets restored_from_version and copies that version's definition; any
+    -- other edit clears it. The copy is checked rather than a change of the column, so
+    -- restoring the same version twice is still recorded as a rollback
+    if new.restored_from_version is not null and not exists (
+      select 1
+      from automation_versions v
+      where v.automation_id = new.id
+        and v.version = new.restored_from_version
+        and v.name is not distinct from new.name
+        and v.description is not distinct from new.description
+        and v.category is not distinct from new.category
+        and v.workflow is not distinct from new.workflow
+    ) then
+      new.restored_from_version := null;
+    end if;
+  else
+    new.current_version := old.current_version;
+    new.restored_from_version := old.restored_from_version;
+  end if;
+  
+  return new;
+end;
+$$;
+
+drop trigger if exists automations_bump_version on public.automations;
+create trigger automations_bump_version
+  before insert or update on public.automations
+  for each row execute procedure bump_automation_version();
+
+-- Snapshot the definition as the new version, in the same transaction as the change
+create or replace function snapshot_automation_version()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if TG_OP = 'INSERT' or new.current_version is distinct from old.current_version then
+    insert into automation_versions (automation_id, user_id, version, name, description, category, workflow, reason, restored_from)
+    values (
+      new.id,
+      new.user_id,
+      new.current_version,
+      new.name,
+      new.description,
+      new.category,
+      new.workflow,
+      case
+        when TG_OP = 'INSERT' then 'created'
+        when new.restored_from_version is not null then 'rollback'
+        else 'updated'
+      end,
+      new.restored_from_version
+    );
+  end if;
+  
+  return new;
+end;
+$$;
+
+drop trigger if exists automations_snapshot_version on public.automations;
+create trigger automations_snapshot_version
+  after insert or update on public.automations
+  for each row execute procedure snapshot_automation_version();
+
+-- database/migrations/13_template_parameters.sql
+-- Shared templates and the parameter values chosen when one is installed
+
+-- Templates are automations flagged as shareable; their workflow declares the parameters
+alter table public.automations add column if not exists is_template boolean default false;
+alter table public.automations add column if not exists imported_from uuid references public.automations(id) on delete set null;
+alter table public.automations add column if not exists template_parameters jsonb; -- Values chosen in the install wizard
+
+create index if not exists idx_automations_templates on public.automations(category) where is_template;
+
+-- database/migrations/14_query_logs.sql
+-- Query analytics written by LLMService, including the fallback path each query took
+
+create table if not exists public.query_logs (
+  id uuid primary key,
+  provider text not null, -- Provider that answered (or was requested, if none did)
+  query text,
+  response_preview text,
+  from_cache boolean default false,
+  duration_ms integer default 0,
+  prompt_tokens integer default 0,
+  completion_tokens integer default 0,
+  total_tokens integer default 0,
+  created_at timestamptz default now()
+);
+
+alter table public.query_logs add column if not exists requested_provider text;
+alter table public.query_logs add column if not exists category text;
+alter table public.query_logs add column if not exists route_path jsonb default '[]'::jsonb; -- [{ provider, outcome, reason, error, durationMs }]
+alter table public.query_logs add column if not exists fallback_count integer default 0;
+
+create index if not exists idx_query_logs_created_at on public.query_logs(created_at);
+create index if not exists idx_query_logs_fallbacks on public.query_logs(created_at) where fallback_count > 0;
+
+-- database/migrations/15_dead_letter_redrive_claim.sql
+-- A re-drive claims its dead letter (pending -> redriving) before running the action again
+
+alter table public.dead_letters drop constraint if exists dead_letters_status_check;
+alter table public.dead_letters add constraint dead_letters_status_check
+  check (status in ('pending', 'redriving', 'redriven', 'discarded'));
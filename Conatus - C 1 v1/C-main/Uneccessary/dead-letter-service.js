@@ -0,0 +1,314 @@
+// backend/services/automation/DeadLetterService.js
+/**
+ * Dead Letter Service
+ * 
+ * Stores actions that failed after exhausting their retry policy so they can
+ * be inspected, edited and re-driven instead of being lost.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const Redis = require('ioredis');
+const RetryPolicy = require('./RetryPolicy');
+
+// Initialize clients
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+const redis = new Redis(process.env.REDIS_URL);
+
+class DeadLetterService {
+  /**
+   * Record a failed action
+   * @param {Object} entry - { userId, source, automationId, referenceId, blockPath, action, context, error }
+   * @returns {Promise<Object|null>} - Dead letter, or null if it could not be stored
+   */
+  async record(entry) {
+    try {
+      const { data, error } = await supabase
+        .from('dead_letters')
+        .insert({
+          user_id: entry.userId,
+          source: entry.source,
+          automation_id: entry.automationId || null,
+          reference_id: entry.referenceId || null,
+          block_path: entry.blockPath || null,
+          action: entry.action,
+          context: entry.context ? JSON.parse(JSON.stringify(entry.context)) : {},
+          error: entry.error ? entry.error.message : null,
+          error_class: entry.error ? RetryPolicy.classifyError(entry.error) : null,
+          attempts: (entry.error && entry.error.attempts) || 1,
+          status: 'pending'
+        })
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      return data;
+    } catch (error) {
+      // Never let dead-lettering hide the original failure
+      console.error('Error recording dead letter:', error);
+      return null;
+    }
+  }
+
+  /**
+   * List dead letters for a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, source, automationId, limit }
+   * @returns {Promise<Array>} - Dead letters, newest first
+   */
+  async list(userId, filters = {}) {
+    try {
+      let query = supabase
+        .from('dead_letters')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+      
+      if (filters.status) {
+        query = query.eq('status', filters.status);
+      }
+      
+      if (filters.source) {
+        query = query.eq('source', filters.source);
+      }
+      
+      if (filters.automationId) {
+        query = query.eq('automation_id', filters.automationId);
+      }
+      
+      query = query.limit(filters.limit || 50);
+      
+      const { data, error } = await query;
+      
+      if (error) throw error;
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching dead letters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a dead letter
+   * @param {string} id - Dead letter ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Dead letter
+   */
+  async get(id, userId) {
+    const { data, error } = await supabase
+      .from('dead_letters')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+    
+    if (error || !data) {
+      throw this.createError('Dead letter not found', 404);
+    }
+    
+    return data;
+  }
+
+  /**
+   * Edit the action of a pending dead letter before re-driving it
+   * @param {string} id - Dead letter ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - { action }
+   * @returns {Promise<Object>} - Updated dead letter
+   */
+  async update(id, userId, updates) {
+    try {
+      const letter = await this.get(id, userId);
+      
+      if (letter.status !== 'pending') {
+        throw this.createError(`Dead letter is ${letter.status} and can no longer be edited`, 409);
+      }
+      
+      if (!updates.action || typeof updates.action !== 'object') {
+        throw this.createError('action is required', 400);
+      }
+      
+      const { data, error } = await supabase
+        .from('dead_letters')
+        .update({
+          action: updates.action,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      return data;
+    } catch (error) {
+      console.error('Error updating dead letter:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-drive a dead letter: run its (possibly edited) action again
+   * @param {string} id - Dead letter ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { resumeRun: resume the failed workflow run afterwards (default true) }
+   * @returns {Promise<Object>} - { deadLetter, result, resumed }
+   */
+  async redrive(id, userId, options = {}) {
+    const letter = await this.get(id, userId);
+    
+    if (letter.status !== 'pending') {
+      throw this.createError(`Dead letter is already ${letter.status}`, 409);
+    }
+    
+    // Claim the letter so two re-drives of it cannot both run the action
+    const { data: claimed, error: claimError } = await supabase
+      .from('dead_letters')
+      .update({ status: 'redriving', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'pending')
+      .select('id');
+    
+    if (claimError) throw claimError;
+    
+    if (!claimed || claimed.length === 0) {
+      throw this.createError('Dead letter is already being re-driven', 409);
+    }
+    
+    try {
+      let result;
+      let resumed = null;
+      
+      if (letter.source === 'scheduled_message') {
+        result = await this.redriveScheduledMessage(letter);
+      } else {
+        // Required here rather than at the top: ConditionalExecutionService records
+        // dead letters through this service
+        const ConditionalExecutionService = require('./ConditionalExecutionService');
+        
+        const context = {
+          userId,
+          triggerData: letter.context.triggerData || {},
+          variables: letter.context.variables || {},
+          results: letter.context.results || {},
+          // Same key as the failed attempts, so an action that did go through is not repeated
+          idempotencyKey: letter.reference_id && letter.block_path
+            ? ConditionalExecutionService.getIdempotencyKey(letter.reference_id, letter.block_path)
+            : null
+        };
+        
+        result = await ConditionalExecutionService.executeAction(letter.action, context);
+        
+        // Continue the workflow run that stopped at this action
+        if (options.resumeRun !== false && letter.reference_id && letter.block_path) {
+          resumed = await ConditionalExecutionService.resumeWorkflow(letter.reference_id, {
+            completedBlocks: { [letter.block_path]: { result } },
+            onlyIfFailed: true
+          });
+        }
+      }
+      
+      const { data, error } = await supabase
+        .from('dead_letters')
+        .update({
+          status: 'redriven',
+          redrive_count: (letter.redrive_count || 0) + 1,
+          last_result: result === undefined ? null : JSON.parse(JSON.stringify(result)),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .eq('status', 'redriving')
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      return { deadLetter: data, result, resumed };
+    } catch (error) {
+      console.error('Error re-driving dead letter:', error);
+      
+      await supabase
+        .from('dead_letters')
+        .update({
+          status: 'pending',
+          redrive_count: (letter.redrive_count || 0) + 1,
+          error: error.message,
+          error_class: RetryPolicy.classifyError(error),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id);
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Discard a dead letter
+   * @param {string} id - Dead letter ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Updated dead letter
+   */
+  async discard(id, userId) {
+    const letter = await this.get(id, userId);
+    
+    if (letter.status !== 'pending') {
+      throw this.createError(`Dead letter is already ${letter.status}`, 409);
+    }
+    
+    const { data, error } = await supabase
+      .from('dead_letters')
+      .update({ status: 'discarded', updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    return data;
+  }
+
+  /**
+   * Put a failed scheduled message back on the schedule
+   * @param {Object} letter - Dead letter
+   * @returns {Promise<Object>} - { messageId, rescheduledAt }
+   */
+  async redriveScheduledMessage(letter) {
+    const params = letter.action.params || {};
+    const now = new Date();
+    
+    const { error } = await supabase
+      .from('scheduled_messages')
+      .update({
+        recipient: params.recipient,
+        subject: params.subject,
+        content: params.content,
+        status: 'scheduled',
+        retry_count: 0,
+        error: null,
+        scheduled_at: now.toISOString()
+      })
+      .eq('id', letter.reference_id)
+      .eq('user_id', letter.user_id);
+    
+    if (error) throw error;
+    
+    await redis.zadd('scheduled_messages', now.getTime(), letter.reference_id);
+    
+    return { messageId: letter.reference_id, rescheduledAt: now.toISOString() };
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @returns {Error} - Error
+   */
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new DeadLetterService();
@@ -0,0 +1,91 @@
+// backend/api/routes/deadLetters.js
+/**
+ * Dead Letters API Endpoints
+ * 
+ * Inspect, edit and re-drive actions that failed after exhausting their
+ * retry policy.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const DeadLetterService = require('../../services/automation/DeadLetterService');
+
+/**
+ * @route GET /api/v1/dead-letters
+ * @description List failed executions
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, source, automationId } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    
+    const deadLetters = await DeadLetterService.list(req.user.id, { status, source, automationId, limit });
+    res.json(deadLetters);
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/dead-letters/:id
+ * @description Get a failed execution with its action, context and error
+ * @access Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const deadLetter = await DeadLetterService.get(req.params.id, req.user.id);
+    res.json(deadLetter);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to fetch dead letter', message: error.message });
+  }
+});
+
+/**
+ * @route PATCH /api/v1/dead-letters/:id
+ * @description Edit the action of a failed execution before re-driving it
+ * @access Private
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const deadLetter = await DeadLetterService.update(req.params.id, req.user.id, { action: req.body.action });
+    res.json(deadLetter);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to update dead letter', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/dead-letters/:id/redrive
+ * @description Execute a failed action again and resume its workflow run
+ * @access Private
+ */
+router.post('/:id/redrive', async (req, res) => {
+  try {
+    const result = await DeadLetterService.redrive(req.params.id, req.user.id, {
+      resumeRun: req.body.resumeRun !== false
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to re-drive dead letter', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/dead-letters/:id/discard
+ * @description Discard a failed execution
+ * @access Private
+ */
+router.post('/:id/discard', async (req, res) => {
+  try {
+    const deadLetter = await DeadLetterService.discard(req.params.id, req.user.id);
+    res.json(deadLetter);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to discard dead letter', message: error.message });
+  }
+});
+
+module.exports = router;
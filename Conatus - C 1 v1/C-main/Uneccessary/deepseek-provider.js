@@ -0,0 +1,32 @@
+// backend/services/llm/providers/DeepSeekProvider.js
+/**
+ * DeepSeek Provider
+ * 
+ * DeepSeek models (coding and technical questions) through their
+ * OpenAI-compatible API.
+ */
+
+const OpenAICompatibleAdapter = require('../OpenAICompatibleAdapter');
+
+module.exports = new OpenAICompatibleAdapter({
+  id: 'DEEPSEEK',
+  name: 'DeepSeek',
+  baseUrl: 'https://api.deepseek.com/v1',
+  apiKey: () => process.env.DEEPSEEK_API_KEY,
+  models: {
+    default: 'deepseek-coder',
+    fallback: 'deepseek-chat'
+  },
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    webSearch: false,
+    tools: true,
+    contextWindow: 32000
+  },
+  // USD per 1M tokens
+  pricing: {
+    'deepseek-coder': { input: 0.8, output: 0.8 },
+    'deepseek-chat': { input: 0.8, output: 0.8 }
+  }
+});
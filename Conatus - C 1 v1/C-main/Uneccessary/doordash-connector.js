@@ -0,0 +1,477 @@
+// backend/services/connectors/DoorDashConnector.js
+/**
+ * DoorDash Connector
+ * 
+ * Handles interaction with the DoorDash API for placing, scheduling,
+ * tracking and cancelling food orders.
+ */
+
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const MonitoringService = require('../MonitoringService');
+const DateParser = require('../../../shared/dateParser');
+
+class DoorDashConnector {
+  constructor() {
+    // Base URL for DoorDash API (overridable for local stubs)
+    this.baseUrl = process.env.DOORDASH_API_URL || 'https://api.doordash.com/v1';
+    
+    // Cache for restaurant lookups
+    this.restaurantCache = new Map();
+    
+    // Declarative description of the actions this connector supports
+    const orderOutput = {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        orderId: { type: 'string' },
+        status: { type: 'string' },
+        scheduled: { type: 'boolean' }
+      }
+    };
+    
+    this.manifest = {
+      id: 'doordash',
+      version: '1.0.0',
+      auth: { type: 'oauth2', scopes: ['order_fulfillment', 'order_management'] },
+      rateLimit: { requests: 60, windowMs: 60000 },
+      actions: {
+        place_order: {
+          method: 'orderFood',
+          description: 'Order food from a restaurant for delivery',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['restaurant', 'items'],
+            properties: {
+              restaurant: { type: 'string', description: 'Restaurant name or store ID' },
+              items: {
+                type: ['array', 'string'],
+                minItems: 1,
+                items: { type: ['string', 'object'] },
+                description: 'Items to order, e.g. ["2 x margherita", "coke"]'
+              },
+              scheduledTime: { type: ['string', 'null'], description: 'Delivery time; omit for ASAP' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: orderOutput
+        },
+        reorder: {
+          method: 'reorder',
+          description: 'Repeat a previous order',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['orderId'],
+            properties: {
+              orderId: { type: 'string', description: 'Order to repeat' },
+              scheduledTime: { type: ['string', 'null'], description: 'Delivery time; omit for ASAP' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: orderOutput
+        },
+        track_order: {
+          method: 'getOrderStatus',
+          description: 'Get the delivery status of an order',
+          idempotent: true,
+          readOnly: true,
+          input: {
+            type: 'object',
+            required: ['orderId'],
+            properties: {
+              orderId: { type: 'string' }
+            }
+          },
+          output: orderOutput
+        },
+        cancel_order: {
+          method: 'cancelOrder',
+          description: 'Cancel an order that has not been picked up',
+          idempotent: true,
+          input: {
+            type: 'object',
+            required: ['orderId'],
+            properties: {
+              orderId: { type: 'string' }
+            }
+          },
+          output: orderOutput
+        }
+      }
+    };
+  }
+
+  /**
+   * Place a food order
+   * @param {string} accessToken - Access token for DoorDash API
+   * @param {string} restaurant - Restaurant name or store ID
+   * @param {Array<string|Object>} items - Items to order (names or { name, quantity })
+   * @param {string|Date} scheduledTime - Optional delivery time (null for ASAP)
+   * @param {string} timezone - User's timezone, for delivery times without an offset
+   * @param {string} idempotencyKey - Key sent with the request so a retry is not applied twice (a new one by default)
+   * @returns {Promise<Object>} - Order result
+   */
+  async orderFood(accessToken, restaurant, items, scheduledTime = null, timezone = null, idempotencyKey = null) {
+    try {
+      const startTime = Date.now();
+      const trace = MonitoringService.createTrace('DoorDash.orderFood');
+      trace.startSpan('prepare');
+      
+      // Validate inputs
+      if (!accessToken) {
+        throw new Error('Access token is required');
+      }
+      
+      if (!restaurant) {
+        throw new Error('Restaurant is required');
+      }
+      
+      if (!items || (Array.isArray(items) && items.length === 0)) {
+        throw new Error('At least one item is required');
+      }
+      
+      // Resolve the restaurant to a store ID
+      const storeId = await this.resolveStoreId(accessToken, restaurant);
+      
+      // Normalize items to { name, quantity }
+      const orderItems = this.formatItems(items);
+      
+      // Check if order should be scheduled
+      if (scheduledTime && scheduledTime !== 'now') {
+        trace.startSpan('schedule');
+        const scheduled = await this.scheduleOrder(accessToken, storeId, orderItems, scheduledTime, timezone, idempotencyKey);
+        trace.endSpan();
+        trace.end();
+        return scheduled;
+      }
+      
+      trace.startSpan('send');
+      
+      const response = await fetch(`${this.baseUrl}/orders`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+          'Idempotency-Key': idempotencyKey || uuidv4()
+        },
+        body: JSON.stringify({
+          store_id: storeId,
+          items: orderItems
+        })
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      
+      // Track success metric
+      MonitoringService.trackAutomationExecution(
+        'doordash_order',
+        true,
+        Date.now() - startTime
+      );
+      
+      trace.endSpan();
+      trace.end();
+      
+      return {
+        success: true,
+        orderId: result.id,
+        status: result.status,
+        restaurant: result.store_name || restaurant,
+        items: orderItems,
+        total: result.total,
+        estimatedDeliveryTime: result.estimated_delivery_time || null,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      // Track failure metric
+      MonitoringService.trackAutomationExecution('doordash_order', false);
+      
+      // Log error
+      MonitoringService.error('Error placing DoorDash order', error, {
+        restaurant,
+        itemCount: Array.isArray(items) ? items.length : 1
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule an order for future delivery
+   * @param {string} accessToken - Access token for DoorDash API
+   * @param {string} storeId - Resolved store ID
+   * @param {Array<Object>} items - Formatted order items
+   * @param {string|Date} scheduledTime - Requested delivery time
+   * @param {string} timezone - User's timezone, for times without an offset
+   * @param {string} idempotencyKey - Key sent with the request so a retry is not applied twice (a new one by default)
+   * @returns {Promise<Object>} - Scheduling result
+   */
+  async scheduleOrder(accessToken, storeId, items, scheduledTime, timezone = null, idempotencyKey = null) {
+    try {
+      const deliveryTime = this.parseScheduledTime(scheduledTime, timezone);
+      
+      if (deliveryTime <= new Date()) {
+        throw new Error('Invalid scheduled time. Please provide a future time.');
+      }
+      
+      // DoorDash supports scheduled delivery natively
+      const response = await fetch(`${this.baseUrl}/orders`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+          'Idempotency-Key': idempotencyKey || uuidv4()
+        },
+        body: JSON.stringify({
+          store_id: storeId,
+          items,
+          scheduled_delivery_time: deliveryTime.toISOString()
+        })
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      
+      return {
+        success: true,
+        scheduled: true,
+        orderId: result.id,
+        status: result.status || 'scheduled',
+        scheduledFor: deliveryTime.toISOString(),
+        items
+      };
+    } catch (error) {
+      MonitoringService.error('Error scheduling DoorDash order', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reorder a previous order
+   * @param {string} accessToken - Access token for DoorDash API
+   * @param {string} orderId - ID of the order to repeat
+   * @param {string|Date} scheduledTime - Optional delivery time
+   * @param {string} timezone - User's timezone, for delivery times without an offset
+   * @param {string} idempotencyKey - Key sent with the request so a retry is not applied twice (a new one by default)
+   * @returns {Promise<Object>} - Order result
+   */
+  async reorder(accessToken, orderId, scheduledTime = null, timezone = null, idempotencyKey = null) {
+    try {
+      if (!orderId) {
+        throw new Error('Order ID is required');
+      }
+      
+      const response = await fetch(`${this.baseUrl}/orders/${encodeURIComponent(orderId)}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const previous = await response.json();
+      
+      return this.orderFood(accessToken, previous.store_id, previous.items, scheduledTime, timezone, idempotencyKey);
+    } catch (error) {
+      MonitoringService.error('Error reordering DoorDash order', error, { orderId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status of an order
+   * @param {string} accessToken - Access token for DoorDash API
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - Order status
+   */
+  async getOrderStatus(accessToken, orderId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/orders/${encodeURIComponent(orderId)}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const data = await response.json();
+      
+      return {
+        orderId: data.id,
+        status: data.status,
+        restaurant: data.store_name,
+        dasher: data.dasher ? {
+          name: data.dasher.first_name,
+          phone: data.dasher.phone_number
+        } : null,
+        estimatedDeliveryTime: data.estimated_delivery_time || null,
+        updated_at: new Date().toISOString()
+      };
+    } catch (error) {
+      MonitoringService.error('Error getting DoorDash order status', error, { orderId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an order
+   * @param {string} accessToken - Access token for DoorDash API
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - Cancellation result
+   */
+  async cancelOrder(accessToken, orderId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/orders/${encodeURIComponent(orderId)}/cancel`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      return {
+        success: true,
+        orderId,
+        status: 'cancelled',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      MonitoringService.error('Error cancelling DoorDash order', error, { orderId });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a restaurant name to a DoorDash store ID
+   * @param {string} accessToken - Access token
+   * @param {string} restaurant - Restaurant name or store ID
+   * @returns {Promise<string>} - Store ID
+   */
+  async resolveStoreId(accessToken, restaurant) {
+    // Numeric values are already store IDs
+    if (/^\d+$/.test(String(restaurant))) {
+      return String(restaurant);
+    }
+    
+    const cacheKey = restaurant.toLowerCase();
+    if (this.restaurantCache.has(cacheKey)) {
+      return this.restaurantCache.get(cacheKey);
+    }
+    
+    const response = await fetch(
+      `${this.baseUrl}/stores/search?query=${encodeURIComponent(restaurant)}&limit=1`, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+    
+    if (!response.ok) {
+      throw await this.mapApiError(response);
+    }
+    
+    const data = await response.json();
+    const store = data.stores?.[0];
+    
+    if (!store) {
+      throw new Error(`Could not find restaurant: ${restaurant}`);
+    }
+    
+    this.restaurantCache.set(cacheKey, String(store.id));
+    return String(store.id);
+  }
+
+  /**
+   * Normalize order items to { name, quantity } objects
+   * @param {Array<string|Object>|string} items - Raw items
+   * @returns {Array<Object>} - Formatted items
+   */
+  formatItems(items) {
+    const list = Array.isArray(items) ? items : String(items).split(',');
+    
+    return list
+      .map(item => {
+        if (typeof item === 'object' && item !== null) {
+          return { name: item.name, quantity: item.quantity || 1 };
+        }
+        
+        // Handle "2 x burger" / "2 burgers" style strings
+        const match = String(item).trim().match(/^(\d+)\s*x?\s+(.+)$/i);
+        if (match) {
+          return { name: match[2].trim(), quantity: parseInt(match[1]) };
+        }
+        
+        return { name: String(item).trim(), quantity: 1 };
+      })
+      .filter(item => item.name);
+  }
+
+  /**
+   * Map an unsuccessful API response to an Error
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Error>} - Error with status and code attached
+   */
+  async mapApiError(response) {
+    let errorData = {};
+    try {
+      errorData = await response.json();
+    } catch (parseError) {
+      // Non-JSON error body
+    }
+    
+    const error = new Error(`DoorDash API error: ${errorData.message || response.statusText}`);
+    error.status = response.status;
+    
+    if (response.status === 401 || response.status === 403) {
+      error.code = 'unauthorized';
+    } else if (response.status === 404) {
+      error.code = 'not_found';
+    } else if (response.status === 429) {
+      error.code = 'rate_limited';
+    } else if (response.status >= 500) {
+      error.code = 'service_unavailable';
+    } else {
+      error.code = errorData.code || 'invalid_request';
+    }
+    
+    return error;
+  }
+
+  /**
+   * Parse a scheduled time into a Date object
+   * @param {string|Date} scheduledTime - Time specification (e.g. "tomorrow at 9am", "next Friday 6pm")
+   * @param {string} timezone - Timezone the time is written in (defaults to the server's)
+   * @returns {Date} - Parsed date
+   * @throws {Error} - With code invalid_request if the time cannot be parsed
+   */
+  parseScheduledTime(scheduledTime, timezone) {
+    const { start } = DateParser.parseDateTime(scheduledTime, { timezone });
+    
+    if (!start) {
+      const error = new Error(`Could not understand the time "${scheduledTime}"`);
+      error.code = 'invalid_request';
+      throw error;
+    }
+    
+    return start;
+  }
+}
+
+module.exports = new DoorDashConnector();
@@ -0,0 +1,254 @@
+// backend/services/automation/ExecutionTraceService.js
+/**
+ * Execution Trace Service
+ * 
+ * Builds the structured trace stored with every automation run: blocks
+ * entered, condition outcomes, variable values and connector calls, each with
+ * its timing. Values are copied with secrets redacted and large values cut
+ * down, so traces are safe to show to the user and cheap to store.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const { isSecretKey, isSecretValue } = require('../../../shared/secrets');
+
+// Initialize Supabase client
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const REDACTED = '[REDACTED]';
+
+const MAX_ENTRIES = 500;
+
+const LIMITS = {
+  value: { maxString: 500, maxItems: 20, maxDepth: 5 },
+  summary: { maxString: 200, maxItems: 5, maxDepth: 4 }
+};
+
+class ExecutionTraceService {
+  /**
+   * Add an entry to a trace
+   * @param {Array} trace - Trace entries
+   * @param {Object} entry - { path, type, status, durationMs, ... }; results, requests and responses
+   *                         are summarized, a variable's value is redacted by its name
+   */
+  record(trace, entry) {
+    if (trace.length >= MAX_ENTRIES) {
+      if (trace[trace.length - 1].type !== 'truncated') {
+        trace.push({ at: new Date().toISOString(), type: 'truncated', message: `Trace limited to ${MAX_ENTRIES} entries` });
+      }
+      return;
+    }
+    
+    const { value, ...rest } = entry;
+    const recorded = { at: new Date().toISOString(), ...this.redact(rest, LIMITS.summary) };
+    
+    if ('value' in entry) {
+      recorded.value = this.redact(value, LIMITS.value, entry.name);
+    }
+    
+    trace.push(recorded);
+  }
+
+  /**
+   * Copy a value with secrets redacted and long strings, arrays and deep nesting cut down
+   * @param {any} value - Value to copy
+   * @param {Object} limits - { maxString, maxItems, maxDepth }
+   * @param {string} key - Name the value is stored under
+   * @param {number} depth - Current depth
+   * @returns {any} - JSON-safe copy
+   */
+  redact(value, limits = LIMITS.value, key = '', depth = 0) {
+    if (isSecretKey(key) && value !== null && value !== undefined && value !== '') {
+      return REDACTED;
+    }
+    
+    if (value === null || value === undefined) {
+      return null;
+    }
+    
+    if (typeof value === 'string') {
+      if (isSecretValue(value)) return REDACTED;
+      return value.length > limits.maxString ? `${value.slice(0, limits.maxString)}… (${value.length} chars)` : value;
+    }
+    
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return value;
+    }
+    
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    
+    if (value instanceof Error) {
+      return { error: value.message };
+    }
+    
+    if (typeof value !== 'object') {
+      return String(value);
+    }
+    
+    if (depth >= limits.maxDepth) {
+      return Array.isArray(value) ? `[${value.length} items]` : '{…}';
+    }
+    
+    if (Array.isArray(value)) {
+      const items = value.slice(0, limits.maxItems).map(item => this.redact(item, limits, '', depth + 1));
+      
+      if (value.length > limits.maxItems) {
+        items.push(`… ${value.length - limits.maxItems} more`);
+      }
+      
+      return items;
+    }
+    
+    const copy = {};
+    for (const [name, item] of Object.entries(value)) {
+      if (typeof item !== 'function') {
+        copy[name] = this.redact(item, limits, name, depth + 1);
+      }
+    }
+    
+    return copy;
+  }
+
+  /**
+   * Summarize a connector request or response for the trace
+   * @param {any} value - Request parameters or response
+   * @returns {any} - Redacted summary
+   */
+  summarize(value) {
+    return this.redact(value, LIMITS.summary);
+  }
+
+  /**
+   * Get the trace of an automation execution, with the workflow run and sub-workflow calls it made
+   * @param {string} automationId - Automation ID
+   * @param {string} executionId - Execution ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Execution trace
+   */
+  async getExecutionTrace(automationId, executionId, userId) {
+    const { data: execution, error } = await supabase
+      .from('automation_executions')
+      .select('*')
+      .eq('id', executionId)
+      .eq('user_id', userId)
+      .single();
+    
+    if (error || !execution || execution.automation_id !== automationId) {
+      throw this.createError('Execution not found', 404);
+    }
+    
+    const run = execution.workflow_run_id ? await this.getOwnedRun(execution.workflow_run_id, userId) : null;
+    
+    const { data: children, error: childError } = await supabase
+      .from('automation_executions')
+      .select('id, automation_id, status, error_message, workflow_run_id, executed_at')
+      .eq('parent_execution_id', executionId)
+      .eq('user_id', userId)
+      .order('executed_at', { ascending: true });
+    
+    if (childError) throw childError;
+    
+    return {
+      executionId: execution.id,
+      automationId: execution.automation_id,
+      automationVersion: execution.automation_version,
+      type: execution.automation_type,
+      service: execution.service,
+      status: execution.status,
+      error: execution.error_message,
+      executedAt: execution.executed_at,
+      parameters: this.redact(execution.parameters),
+      run: run ? this.formatRun(run) : null,
+      entries: execution.trace || (run && run.trace) || [],
+      children: (children || []).map(child => ({
+        executionId: child.id,
+        automationId: child.automation_id,
+        status: child.status,
+        error: child.error_message,
+        runId: child.workflow_run_id,
+        executedAt: child.executed_at
+      }))
+    };
+  }
+
+  /**
+   * Get the trace of a workflow run, with the sub-workflow runs it started
+   * @param {string} automationId - Automation ID
+   * @param {string} runId - Workflow run ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Run trace
+   */
+  async getRunTrace(automationId, runId, userId) {
+    const run = await this.getOwnedRun(runId, userId);
+    
+    if (!run || run.automation_id !== automationId) {
+      throw this.createError('Workflow run not found', 404);
+    }
+    
+    const { data: children, error } = await supabase
+      .from('workflow_runs')
+      .select('id, automation_id, automation_version, status, attempt, error, started_at, completed_at')
+      .eq('parent_run_id', runId)
+      .eq('user_id', userId)
+      .order('started_at', { ascending: true });
+    
+    if (error) throw error;
+    
+    return {
+      ...this.formatRun(run),
+      entries: run.trace || [],
+      children: (children || []).map(child => this.formatRun(child))
+    };
+  }
+
+  /**
+   * Get a workflow run belonging to a user
+   * @param {string} runId - Workflow run ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Run, or null if not found
+   */
+  async getOwnedRun(runId, userId) {
+    const { data: run, error } = await supabase
+      .from('workflow_runs')
+      .select('id, automation_id, automation_version, status, attempt, error, trace, started_at, completed_at')
+      .eq('id', runId)
+      .eq('user_id', userId)
+      .single();
+    
+    return error ? null : run;
+  }
+
+  /**
+   * Format a workflow run for API responses
+   * @param {Object} run - Workflow run record
+   * @returns {Object} - { runId, automationId, automationVersion, status, attempt, error, startedAt, completedAt, durationMs }
+   */
+  formatRun(run) {
+    return {
+      runId: run.id,
+      automationId: run.automation_id,
+      automationVersion: run.automation_version,
+      status: run.status,
+      attempt: run.attempt,
+      error: run.error,
+      startedAt: run.started_at,
+      completedAt: run.completed_at,
+      durationMs: run.completed_at ? new Date(run.completed_at) - new Date(run.started_at) : null
+    };
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @returns {Error} - Error
+   */
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new ExecutionTraceService();
@@ -0,0 +1,494 @@
+// backend/services/connectors/GoogleCalendarConnector.js
+/**
+ * Google Calendar Connector
+ * 
+ * Handles interaction with the Google Calendar API for creating,
+ * listing and cancelling calendar events.
+ */
+
+const fetch = require('node-fetch');
+const { createHash } = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const MonitoringService = require('../MonitoringService');
+const DateParser = require('../../../shared/dateParser');
+
+class GoogleCalendarConnector {
+  constructor() {
+    // Base URL for Google Calendar API (overridable for local stubs)
+    this.baseUrl = process.env.GOOGLE_CALENDAR_API_URL || 'https://www.googleapis.com/calendar/v3';
+    
+    // Calendar used when none is specified
+    this.defaultCalendarId = 'primary';
+    
+    // Declarative description of the actions this connector supports
+    const eventOutput = {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        eventId: { type: 'string' },
+        title: { type: 'string' },
+        startTime: { type: 'string', format: 'date-time' },
+        endTime: { type: 'string', format: 'date-time' }
+      }
+    };
+    
+    this.manifest = {
+      id: 'google_calendar',
+      version: '1.0.0',
+      auth: {
+        type: 'oauth2',
+        scopes: ['https://www.googleapis.com/auth/calendar', 'https://www.googleapis.com/auth/calendar.events']
+      },
+      rateLimit: { requests: 600, windowMs: 60000 },
+      actions: {
+        create_event: {
+          method: 'createEvent',
+          description: 'Create a calendar event',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['title', 'startTime'],
+            properties: {
+              title: { type: 'string', minLength: 1 },
+              startTime: { type: 'string', description: 'Start time (e.g. "tomorrow at 3pm")' },
+              duration: { type: 'integer', minimum: 1, default: 60, description: 'Duration in minutes' },
+              description: { type: 'string', default: '' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: eventOutput
+        },
+        schedule_event: {
+          method: 'scheduleEvent',
+          description: 'Schedule a meeting and send invitations to attendees',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['title', 'startTime', 'attendees'],
+            properties: {
+              title: { type: 'string', minLength: 1 },
+              startTime: { type: 'string', description: 'Start time (e.g. "tomorrow at 3pm")' },
+              duration: { type: 'integer', minimum: 1, default: 60, description: 'Duration in minutes' },
+              attendees: { type: 'array', minItems: 1, items: { type: 'string', format: 'email' } },
+              description: { type: 'string', default: '' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: eventOutput
+        },
+        list_events: {
+          method: 'listEvents',
+          description: 'List upcoming events',
+          idempotent: true,
+          readOnly: true,
+          input: {
+            type: 'object',
+            properties: {
+              timeMin: { type: ['string', 'null'], description: 'Start of window (defaults to now)' },
+              timeMax: { type: ['string', 'null'], description: 'End of window' },
+              maxResults: { type: 'integer', minimum: 1, maximum: 250, default: 10 },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: { type: 'array', items: eventOutput }
+        },
+        event_status: {
+          method: 'getEventStatus',
+          description: 'Get the details of an event',
+          idempotent: true,
+          readOnly: true,
+          input: {
+            type: 'object',
+            required: ['eventId'],
+            properties: {
+              eventId: { type: 'string' }
+            }
+          },
+          output: eventOutput
+        },
+        cancel_event: {
+          method: 'cancelEvent',
+          description: 'Cancel an event and notify attendees',
+          idempotent: true,
+          input: {
+            type: 'object',
+            required: ['eventId'],
+            properties: {
+              eventId: { type: 'string' }
+            }
+          },
+          output: eventOutput
+        }
+      }
+    };
+  }
+
+  /**
+   * Create a calendar event
+   * @param {string} accessToken - Google access token
+   * @param {string} title - Event title
+   * @param {string|Date} startTime - Event start time
+   * @param {number} duration - Event duration in minutes
+   * @param {string} description - Optional event description
+   * @param {string} timezone - User's timezone, for start times without an offset
+   * @param {string} idempotencyKey - Key a retry is recognised by, so it does not create a second event (optional)
+   * @returns {Promise<Object>} - Created event
+   */
+  async createEvent(accessToken, title, startTime, duration = 60, description = '', timezone = null, idempotencyKey = null) {
+    try {
+      const startedAt = Date.now();
+      const trace = MonitoringService.createTrace('GoogleCalendar.createEvent');
+      trace.startSpan('prepare');
+      
+      // Validate inputs
+      if (!accessToken) {
+        throw new Error('Access token is required');
+      }
+      
+      if (!title || title.trim() === '') {
+        throw new Error('Event title is required');
+      }
+      
+      if (!startTime) {
+        throw new Error('Event start time is required');
+      }
+      
+      const eventData = this.buildEventData(title, startTime, duration, description, timezone, idempotencyKey);
+      
+      trace.startSpan('send');
+      
+      const response = await fetch(
+        `${this.baseUrl}/calendars/${encodeURIComponent(this.defaultCalendarId)}/events`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+          },
+          body: JSON.stringify(eventData)
+        });
+      
+      // An earlier attempt with the same key already created the event
+      if (response.status === 409 && eventData.id) {
+        return this.getEventStatus(accessToken, eventData.id);
+      }
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      
+      // Track success metric
+      MonitoringService.trackAutomationExecution(
+        'calendar_event',
+        true,
+        Date.now() - startedAt
+      );
+      
+      trace.endSpan();
+      trace.end();
+      
+      return this.formatEvent(result);
+    } catch (error) {
+      // Track failure metric
+      MonitoringService.trackAutomationExecution('calendar_event', false);
+      
+      // Log error
+      MonitoringService.error('Error creating Google Calendar event', error, { title });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule an event with attendees, sending them invitations
+   * @param {string} accessToken - Google access token
+   * @param {string} title - Event title
+   * @param {string|Date} startTime - Event start time
+   * @param {number} duration - Event duration in minutes
+   * @param {Array<string>} attendees - Attendee email addresses
+   * @param {string} description - Optional event description
+   * @param {string} timezone - User's timezone, for start times without an offset
+   * @param {string} idempotencyKey - Key a retry is recognised by, so it does not create a second event (optional)
+   * @returns {Promise<Object>} - Created event
+   */
+  async scheduleEvent(accessToken, title, startTime, duration = 60, attendees = [], description = '', timezone = null, idempotencyKey = null) {
+    try {
+      if (!accessToken) {
+        throw new Error('Access token is required');
+      }
+      
+      if (!title || title.trim() === '') {
+        throw new Error('Event title is required');
+      }
+      
+      const eventData = this.buildEventData(title, startTime, duration, description, timezone, idempotencyKey);
+      
+      const start = new Date(eventData.start.dateTime);
+      if (start <= new Date()) {
+        throw new Error('Invalid scheduled time. Please provide a future time.');
+      }
+      
+      eventData.attendees = (attendees || [])
+        .filter(email => this.validateEmail(email))
+        .map(email => ({ email }));
+      
+      // Attach a Meet link so invitees can join remotely
+      eventData.conferenceData = {
+        createRequest: { requestId: eventData.id || uuidv4() }
+      };
+      
+      const response = await fetch(
+        `${this.baseUrl}/calendars/${encodeURIComponent(this.defaultCalendarId)}/events` +
+        '?sendUpdates=all&conferenceDataVersion=1', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${accessToken}`
+          },
+          body: JSON.stringify(eventData)
+        });
+      
+      // An earlier attempt with the same key already created the event
+      if (response.status === 409 && eventData.id) {
+        return {
+          ...(await this.getEventStatus(accessToken, eventData.id)),
+          scheduled: true,
+          attendees: eventData.attendees.map(attendee => attendee.email)
+        };
+      }
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      
+      MonitoringService.trackAutomationExecution('calendar_event', true);
+      
+      return {
+        ...this.formatEvent(result),
+        scheduled: true,
+        attendees: (result.attendees || []).map(attendee => attendee.email)
+      };
+    } catch (error) {
+      MonitoringService.trackAutomationExecution('calendar_event', false);
+      MonitoringService.error('Error scheduling Google Calendar event', error, { title });
+      throw error;
+    }
+  }
+
+  /**
+   * List upcoming events
+   * @param {string} accessToken - Google access token
+   * @param {string|Date} timeMin - Start of the window (defaults to now)
+   * @param {string|Date} timeMax - End of the window (optional)
+   * @param {number} maxResults - Maximum number of events
+   * @param {string} timezone - User's timezone, for window times without an offset
+   * @returns {Promise<Array>} - Events in the window
+   */
+  async listEvents(accessToken, timeMin = null, timeMax = null, maxResults = 10, timezone = null) {
+    try {
+      const params = new URLSearchParams({
+        singleEvents: 'true',
+        orderBy: 'startTime',
+        maxResults: String(maxResults),
+        timeMin: (timeMin ? this.parseScheduledTime(timeMin, timezone) : new Date()).toISOString()
+      });
+      
+      if (timeMax) {
+        params.set('timeMax', this.parseScheduledTime(timeMax, timezone).toISOString());
+      }
+      
+      const response = await fetch(
+        `${this.baseUrl}/calendars/${encodeURIComponent(this.defaultCalendarId)}/events?${params}`, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${accessToken}`
+          }
+        });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      return (result.items || []).map(event => this.formatEvent(event));
+    } catch (error) {
+      MonitoringService.error('Error listing Google Calendar events', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current state of an event
+   * @param {string} accessToken - Google access token
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - Event details
+   */
+  async getEventStatus(accessToken, eventId) {
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/calendars/${encodeURIComponent(this.defaultCalendarId)}/events/${encodeURIComponent(eventId)}`, {
+          method: 'GET',
+          headers: {
+            'Authorization': `Bearer ${accessToken}`
+          }
+        });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      return this.formatEvent(result);
+    } catch (error) {
+      MonitoringService.error('Error getting Google Calendar event', error, { eventId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel (delete) an event
+   * @param {string} accessToken - Google access token
+   * @param {string} eventId - Event ID
+   * @returns {Promise<Object>} - Cancellation result
+   */
+  async cancelEvent(accessToken, eventId) {
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/calendars/${encodeURIComponent(this.defaultCalendarId)}/events/${encodeURIComponent(eventId)}` +
+        '?sendUpdates=all', {
+          method: 'DELETE',
+          headers: {
+            'Authorization': `Bearer ${accessToken}`
+          }
+        });
+      
+      // 410 Gone means the event was already deleted
+      if (!response.ok && response.status !== 410) {
+        throw await this.mapApiError(response);
+      }
+      
+      return {
+        success: true,
+        eventId,
+        status: 'cancelled',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      MonitoringService.error('Error cancelling Google Calendar event', error, { eventId });
+      throw error;
+    }
+  }
+
+  /**
+   * Build the request body for an event
+   * @param {string} title - Event title
+   * @param {string|Date} startTime - Event start time
+   * @param {number} duration - Duration in minutes
+   * @param {string} description - Event description
+   * @param {string} timezone - User's timezone (also shown on the event)
+   * @param {string} idempotencyKey - Key the event ID is derived from (optional)
+   * @returns {Object} - Google Calendar event resource
+   */
+  buildEventData(title, startTime, duration, description, timezone = null, idempotencyKey = null) {
+    const start = this.parseScheduledTime(startTime, timezone);
+    const minutes = parseInt(duration) || 60;
+    const end = new Date(start.getTime() + minutes * 60000);
+    const zone = timezone ? { timeZone: timezone } : {};
+    
+    // Event IDs we choose make inserts idempotent; hex digits are valid in Google's base32hex IDs
+    const id = idempotencyKey ? { id: createHash('sha256').update(String(idempotencyKey)).digest('hex') } : {};
+    
+    return {
+      ...id,
+      summary: title,
+      description: description || '',
+      start: { dateTime: start.toISOString(), ...zone },
+      end: { dateTime: end.toISOString(), ...zone }
+    };
+  }
+
+  /**
+   * Format an API event resource into our result shape
+   * @param {Object} event - Google Calendar event resource
+   * @returns {Object} - Formatted event
+   */
+  formatEvent(event) {
+    return {
+      success: true,
+      eventId: event.id,
+      title: event.summary,
+      status: event.status,
+      startTime: event.start?.dateTime || event.start?.date,
+      endTime: event.end?.dateTime || event.end?.date,
+      link: event.htmlLink || null,
+      meetingLink: event.hangoutLink || null
+    };
+  }
+
+  /**
+   * Validate an email address
+   * @param {string} email - Email address to validate
+   * @returns {boolean} - Is valid email
+   */
+  validateEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+
+  /**
+   * Map an unsuccessful API response to an Error
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Error>} - Error with status and code attached
+   */
+  async mapApiError(response) {
+    let errorData = {};
+    try {
+      errorData = await response.json();
+    } catch (parseError) {
+      // Non-JSON error body
+    }
+    
+    const error = new Error(`Google Calendar API error: ${errorData.error?.message || response.statusText}`);
+    error.status = response.status;
+    
+    // Google reports quota errors as 403 with a rateLimitExceeded reason
+    const reason = errorData.error?.errors?.[0]?.reason;
+    
+    if (response.status === 429 || reason === 'rateLimitExceeded' || reason === 'userRateLimitExceeded') {
+      error.code = 'rate_limited';
+    } else if (response.status === 401 || response.status === 403) {
+      error.code = 'unauthorized';
+    } else if (response.status === 404) {
+      error.code = 'not_found';
+    } else if (response.status >= 500) {
+      error.code = 'service_unavailable';
+    } else {
+      error.code = reason || 'invalid_request';
+    }
+    
+    return error;
+  }
+
+  /**
+   * Parse a scheduled time into a Date object
+   * @param {string|Date} scheduledTime - Time specification (e.g. "tomorrow at 9am", "next Friday 6pm")
+   * @param {string} timezone - Timezone the time is written in (defaults to the server's)
+   * @returns {Date} - Parsed date
+   * @throws {Error} - With code invalid_request if the time cannot be parsed
+   */
+  parseScheduledTime(scheduledTime, timezone) {
+    const { start } = DateParser.parseDateTime(scheduledTime, { timezone });
+    
+    if (!start) {
+      const error = new Error(`Could not understand the time "${scheduledTime}"`);
+      error.code = 'invalid_request';
+      throw error;
+    }
+    
+    return start;
+  }
+}
+
+module.exports = new GoogleCalendarConnector();
@@ -0,0 +1,348 @@
+// backend/services/connectors/HttpConnector.js
+/**
+ * HTTP Connector
+ * 
+ * Generic connector for calling any HTTP API or webhook from a workflow,
+ * for services that do not have a native connector.
+ * 
+ * Requests only go to public addresses: hosts resolving to loopback, private,
+ * link-local (cloud metadata) or other reserved addresses are refused, on
+ * every redirect hop and at connect time. The oauth auth preset only sends a
+ * service's token to that service's own API hosts.
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const fetch = require('node-fetch');
+const MonitoringService = require('../MonitoringService');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 5;
+
+// Hosts each connected service's OAuth token may be sent to
+const OAUTH_API_HOSTS = {
+  gmail: ['gmail.googleapis.com', 'www.googleapis.com'],
+  google_calendar: ['www.googleapis.com'],
+  whatsapp: ['graph.facebook.com'],
+  uber: ['api.uber.com'],
+  doordash: ['api.doordash.com', 'openapi.doordash.com'],
+  spotify: ['api.spotify.com'],
+  venmo: ['api.venmo.com']
+};
+
+// Addresses requests may never reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+class HttpConnector {
+  constructor() {
+    // Upper bound for per-request timeouts
+    this.maxTimeoutMs = parseInt(process.env.HTTP_CONNECTOR_MAX_TIMEOUT_MS || '30000', 10);
+    
+    // Agents that check the address every connection actually uses (hosts can re-resolve between checks)
+    const lookup = this.lookupPublicAddress.bind(this);
+    this.agents = {
+      'http:': new http.Agent({ lookup }),
+      'https:': new https.Agent({ lookup })
+    };
+    
+    // Declarative description of the actions this connector supports
+    this.manifest = {
+      id: 'http',
+      version: '1.0.0',
+      auth: { type: 'none' },
+      actions: {
+        request: {
+          method: 'request',
+          description: 'Send an HTTP request to any API or webhook',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['url'],
+            properties: {
+              url: { type: 'string', format: 'uri' },
+              method: { type: 'string', enum: METHODS, default: 'GET' },
+              headers: { type: 'object', default: {} },
+              body: { type: ['object', 'array', 'string', 'null'], default: null },
+              auth: {
+                type: ['object', 'null'],
+                default: null,
+                description: 'Auth preset: { type: bearer|basic|api_key|oauth, ... }'
+              },
+              timeoutMs: { type: 'integer', minimum: 1, default: 10000 }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              status: { type: 'integer', examples: [200] },
+              statusText: { type: 'string', examples: ['OK'] },
+              headers: { type: 'object' },
+              ok: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Send an HTTP request
+   * @param {string} accessToken - OAuth access token (used by the oauth auth preset)
+   * @param {string} url - Request URL
+   * @param {string} method - HTTP method
+   * @param {Object} headers - HTTP headers
+   * @param {any} body - Request body (objects are sent as JSON)
+   * @param {Object} auth - Auth preset ({ type: 'bearer', token }, { type: 'basic', username, password },
+   *                        { type: 'api_key', in, name, value } or { type: 'oauth', service })
+   * @param {number} timeoutMs - Request timeout in milliseconds
+   * @returns {Promise<Object>} - { status, statusText, headers, data, ok }
+   */
+  async request(accessToken, url, method = 'GET', headers = {}, body = null, auth = null, timeoutMs = 10000) {
+    const trace = MonitoringService.createTrace('http_request');
+    
+    try {
+      method = String(method || 'GET').toUpperCase();
+      
+      if (!METHODS.includes(method)) {
+        throw new Error(`Unsupported HTTP method: ${method}`);
+      }
+      
+      let requestUrl = new URL(url);
+      this.checkUrl(requestUrl);
+      
+      const requestHeaders = { ...headers };
+      
+      // Apply auth preset
+      if (auth) {
+        requestUrl = this.applyAuth(auth, requestHeaders, requestUrl, accessToken);
+      }
+      
+      const requestOptions = {
+        method,
+        headers: requestHeaders,
+        timeout: Math.min(timeoutMs || 10000, this.maxTimeoutMs),
+        redirect: 'manual',
+        agent: parsedUrl => this.agents[parsedUrl.protocol]
+      };
+      
+      // Add body if provided and method allows one
+      if (body !== null && body !== undefined && !['GET', 'HEAD'].includes(method)) {
+        if (typeof body === 'object') {
+          if (!Object.keys(requestHeaders).some(name => name.toLowerCase() === 'content-type')) {
+            requestHeaders['Content-Type'] = 'application/json';
+          }
+          requestOptions.body = JSON.stringify(body);
+        } else {
+          requestOptions.body = String(body);
+        }
+      }
+      
+      trace.startSpan('fetch');
+      const response = await this.fetchFollowingRedirects(requestUrl, requestOptions, headers);
+      trace.endSpan('fetch');
+      
+      // Parse response based on content type
+      const contentType = response.headers.get('content-type') || '';
+      let data = null;
+      
+      if (method !== 'HEAD') {
+        data = contentType.includes('application/json')
+          ? await response.json().catch(() => null)
+          : await response.text();
+      }
+      
+      MonitoringService.trackAutomationExecution('http_request', response.ok);
+      
+      trace.end();
+      
+      return {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(response.headers.entries()),
+        data,
+        ok: response.ok
+      };
+    } catch (error) {
+      MonitoringService.trackAutomationExecution('http_request', false);
+      MonitoringService.error('Error sending HTTP request', error, { method, host: this.getHost(url) });
+      trace.end();
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request, checking every redirect hop before following it
+   * @param {URL} url - Request URL
+   * @param {Object} options - fetch options (with redirect: 'manual')
+   * @param {Object} headers - Caller's headers without the auth preset, sent when a redirect leaves the origin
+   * @returns {Promise<Object>} - Final fetch response
+   */
+  async fetchFollowingRedirects(url, options, headers) {
+    let requestUrl = url;
+    let requestOptions = options;
+    
+    for (let redirects = 0; ; redirects++) {
+      const response = await fetch(requestUrl.toString(), requestOptions);
+      const location = response.headers.get('location');
+      
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+        return response;
+      }
+      
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+      }
+      
+      const nextUrl = new URL(location, requestUrl);
+      this.checkUrl(nextUrl);
+      
+      // Credentials never follow a redirect to another origin
+      const sameOrigin = nextUrl.origin === requestUrl.origin;
+      requestOptions = { ...requestOptions, headers: sameOrigin ? requestOptions.headers : { ...headers } };
+      
+      // 303, and 301/302 after a POST, continue as a GET without the body
+      if (response.status === 303 || ([301, 302].includes(response.status) && requestOptions.method === 'POST')) {
+        const { body, ...rest } = requestOptions;
+        requestOptions = { ...rest, method: 'GET' };
+      }
+      
+      requestUrl = nextUrl;
+    }
+  }
+
+  /**
+   * Check that a URL can be requested: http(s) and not a blocked IP address
+   * (host names are checked when they are resolved)
+   * @param {URL} url - Request URL
+   */
+  checkUrl(url) {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Unsupported URL protocol: ${url.protocol}`);
+    }
+    
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && this.isBlockedAddress(host)) {
+      throw new Error(`Requests to private or reserved addresses are not allowed (${host})`);
+    }
+  }
+
+  /**
+   * dns.lookup replacement for the request agents that refuses blocked addresses
+   * @param {string} hostname - Host name
+   * @param {Object} options - Lookup options
+   * @param {Function} callback - (error, address, family) or (error, addresses) when options.all is set
+   */
+  lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      
+      const blocked = addresses.find(({ address }) => this.isBlockedAddress(address));
+      if (blocked) {
+        return callback(new Error(`Requests to private or reserved addresses are not allowed (${hostname} resolves to ${blocked.address})`));
+      }
+      
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * Check whether an IP address is loopback, private, link-local or otherwise reserved
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} - True if requests to it are refused
+   */
+  isBlockedAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1, or ::ffff:7f00:1 as URL writes it) are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+      return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return BLOCKED_ADDRESSES.check(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`, 'ipv4');
+    }
+    
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Apply an auth preset to the request
+   * @param {Object} auth - Auth preset
+   * @param {Object} headers - Request headers (modified in place)
+   * @param {URL} url - Request URL
+   * @param {string} accessToken - OAuth access token
+   * @returns {URL} - Request URL (with API key query parameter if needed)
+   */
+  applyAuth(auth, headers, url, accessToken) {
+    switch (auth.type) {
+      case 'bearer':
+        headers['Authorization'] = `Bearer ${auth.token}`;
+        break;
+      
+      case 'basic': {
+        const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+        headers['Authorization'] = `Basic ${credentials}`;
+        break;
+      }
+      
+      case 'api_key':
+        if (auth.in === 'query') {
+          url.searchParams.set(auth.name, auth.value);
+        } else {
+          headers[auth.name || 'X-API-Key'] = auth.value;
+        }
+        break;
+      
+      case 'oauth': {
+        if (!accessToken) {
+          throw new Error(`No access token available for ${auth.service || 'oauth'} auth`);
+        }
+        
+        // A service's token only goes to that service's API
+        const hosts = OAUTH_API_HOSTS[auth.service] || [];
+        if (url.protocol !== 'https:' || !hosts.includes(url.hostname)) {
+          throw new Error(`${auth.service || 'oauth'} tokens can only be sent over https to ${hosts.join(', ') || 'its own API'}`);
+        }
+        headers['Authorization'] = `Bearer ${accessToken}`;
+        break;
+      }
+      
+      default:
+        throw new Error(`Unsupported auth type: ${auth.type}`);
+    }
+    
+    return url;
+  }
+
+  /**
+   * Get the host of a URL for logging (never logs paths or query strings)
+   * @param {string} url - Request URL
+   * @returns {string|null} - Host name
+   */
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new HttpConnector();
@@ -13,6 +13,7 @@ const { createClient } = require('@supabase/supabase-js');
 
 // Import services
 const OAuthService = require('../../services/oauth/OAuthService');
+const ServiceConnectorsRegistry = require('../../services/connectors/ServiceConnectorsRegistry');
 
 // Initialize Supabase client
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
@@ -67,6 +68,20 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/integrations/manifests
+ * @description Get action manifests for all connectors (used by the workflow builder)
+ * @access Private
+ */
+router.get('/manifests', async (req, res) => {
+  try {
+    res.json({ manifests: ServiceConnectorsRegistry.getAllManifests() });
+  } catch (error) {
+    console.error('Error fetching connector manifests:', error);
+    res.status(500).json({ error: 'Failed to fetch connector manifests', message: error.message });
+  }
+});
+
 /**
  * @route POST /api/v1/integrations/:service/auth
  * @description Initiate OAuth flow for a service
@@ -250,6 +265,26 @@ router.delete('/:service', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/integrations/:service/manifest
+ * @description Get the action manifest for a connector
+ * @access Private
+ */
+router.get('/:service/manifest', async (req, res) => {
+  try {
+    const manifest = ServiceConnectorsRegistry.getConnectorManifest(req.params.service);
+    
+    if (!manifest) {
+      return res.status(404).json({ error: `Service ${req.params.service} not supported` });
+    }
+    
+    res.json({ manifest });
+  } catch (error) {
+    console.error(`Error fetching manifest for ${req.params.service}:`, error);
+    res.status(500).json({ error: 'Failed to fetch connector manifest', message: error.message });
+  }
+});
+
 /**
  * @route GET /api/v1/integrations/:service/status
  * @description Check connection status for a service
@@ -0,0 +1,238 @@
+// backend/services/llm/CircuitBreaker.js
+/**
+ * LLM Circuit Breaker
+ * 
+ * Tracks recent calls to each provider and stops sending queries to one that
+ * is failing or slow, so LLMService moves on to the next provider in the
+ * fallback chain straight away instead of waiting for another timeout.
+ * 
+ * closed    - calls go through; outcomes in the last windowMs are counted
+ * open      - the error or slow-call rate passed its threshold; calls are
+ *             skipped until openMs has passed
+ * half_open - a limited number of probe calls go through; a fast success
+ *             closes the breaker, anything else opens it again
+ * 
+ * Settings can be overridden with LLM_CIRCUIT_BREAKER (JSON), e.g.
+ * {"errorRate":0.3,"openMs":60000}, or with configure() in tests.
+ */
+
+const DEFAULT_SETTINGS = {
+  windowMs: 60000,     // Outcomes older than this are forgotten
+  minimumCalls: 5,     // Calls in the window before the rates are trusted
+  errorRate: 0.5,      // Share of failed calls that opens the breaker
+  slowCallMs: 20000,   // Calls slower than this count as slow
+  slowCallRate: 0.5,   // Share of slow calls that opens the breaker
+  openMs: 30000,       // How long an open breaker skips the provider
+  halfOpenProbes: 1    // Calls allowed at once while half-open
+};
+
+class CircuitBreaker {
+  constructor() {
+    let settings = {};
+    
+    try {
+      settings = JSON.parse(process.env.LLM_CIRCUIT_BREAKER || '{}');
+    } catch (error) {
+      console.error('Ignoring invalid LLM_CIRCUIT_BREAKER settings:', error.message);
+    }
+    
+    this.configure(settings);
+  }
+
+  /**
+   * Replace the settings and reset every breaker
+   * @param {Object} settings - Overrides for DEFAULT_SETTINGS
+   * @returns {Object} - Active settings
+   */
+  configure(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.breakers = {};
+    return this.settings;
+  }
+
+  /**
+   * Check whether a call to a provider may go ahead. While half-open this
+   * claims a probe, which the next recordSuccess/recordFailure/release gives back.
+   * @param {string} providerId - Provider ID
+   * @returns {boolean} - True if the provider should be called
+   */
+  allowRequest(providerId) {
+    const breaker = this.getBreaker(providerId);
+    
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= this.settings.openMs) {
+      breaker.state = 'half_open';
+      breaker.probes = 0;
+    }
+    
+    if (breaker.state === 'open') {
+      return false;
+    }
+    
+    if (breaker.state === 'half_open') {
+      if (breaker.probes >= this.settings.halfOpenProbes) {
+        return false;
+      }
+      
+      breaker.probes++;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   * @param {string} providerId - Provider ID
+   * @param {number} durationMs - Call latency
+   */
+  recordSuccess(providerId, durationMs) {
+    this.record(providerId, true, durationMs);
+  }
+
+  /**
+   * Record a failed call
+   * @param {string} providerId - Provider ID
+   * @param {number} durationMs - Time until the failure
+   */
+  recordFailure(providerId, durationMs) {
+    this.record(providerId, false, durationMs);
+  }
+
+  /**
+   * Give back a half-open probe without recording an outcome, for calls that
+   * ended in a way that says nothing about the provider's health
+   * @param {string} providerId - Provider ID
+   */
+  release(providerId) {
+    const breaker = this.getBreaker(providerId);
+    
+    if (breaker.state === 'half_open') {
+      breaker.probes = Math.max(0, breaker.probes - 1);
+    }
+  }
+
+  /**
+   * Record a call outcome and open or close the breaker as needed
+   * @param {string} providerId - Provider ID
+   * @param {boolean} ok - Whether the call succeeded
+   * @param {number} durationMs - Call latency
+   */
+  record(providerId, ok, durationMs = 0) {
+    const breaker = this.getBreaker(providerId);
+    const slow = durationMs > this.settings.slowCallMs;
+    
+    if (breaker.state === 'half_open') {
+      breaker.probes = Math.max(0, breaker.probes - 1);
+      
+      if (ok && !slow) {
+        this.close(breaker);
+      } else {
+        this.open(breaker, ok ? 'Probe call was slow' : 'Probe call failed');
+      }
+      
+      return;
+    }
+    
+    if (breaker.state === 'open') {
+      // A call that started before the breaker opened
+      return;
+    }
+    
+    const now = Date.now();
+    breaker.outcomes.push({ at: now, ok, slow });
+    breaker.outcomes = breaker.outcomes.filter(outcome => now - outcome.at <= this.settings.windowMs);
+    
+    const { calls, errorRate, slowCallRate } = this.getRates(breaker);
+    
+    if (calls < this.settings.minimumCalls) {
+      return;
+    }
+    
+    if (errorRate >= this.settings.errorRate) {
+      this.open(breaker, `Error rate ${Math.round(errorRate * 100)}% over the last ${calls} calls`);
+    } else if (slowCallRate >= this.settings.slowCallRate) {
+      this.open(breaker, `${Math.round(slowCallRate * 100)}% of the last ${calls} calls took over ${this.settings.slowCallMs}ms`);
+    }
+  }
+
+  /**
+   * Get a provider's breaker state
+   * @param {string} providerId - Provider ID
+   * @returns {Object} - { state, reason, openedAt, calls, errorRate, slowCallRate }
+   */
+  getState(providerId) {
+    const breaker = this.getBreaker(providerId);
+    
+    // An open breaker past its wait will let the next call through as a probe
+    const state = breaker.state === 'open' && Date.now() - breaker.openedAt >= this.settings.openMs
+      ? 'half_open'
+      : breaker.state;
+    
+    return {
+      state,
+      reason: breaker.reason,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+      ...this.getRates(breaker)
+    };
+  }
+
+  /**
+   * Get the breaker state of every provider called so far
+   * @returns {Object} - States by provider ID
+   */
+  getStatus() {
+    return Object.fromEntries(Object.keys(this.breakers).map(providerId => [providerId, this.getState(providerId)]));
+  }
+
+  /**
+   * Get or create a provider's breaker
+   * @param {string} providerId - Provider ID
+   * @returns {Object} - Breaker
+   */
+  getBreaker(providerId) {
+    if (!this.breakers[providerId]) {
+      this.breakers[providerId] = { state: 'closed', outcomes: [], openedAt: null, reason: null, probes: 0 };
+    }
+    
+    return this.breakers[providerId];
+  }
+
+  /**
+   * Work out the error and slow-call rates in the window
+   * @param {Object} breaker - Breaker
+   * @returns {Object} - { calls, errorRate, slowCallRate }
+   */
+  getRates(breaker) {
+    const calls = breaker.outcomes.length;
+    
+    return {
+      calls,
+      errorRate: calls ? breaker.outcomes.filter(outcome => !outcome.ok).length / calls : 0,
+      slowCallRate: calls ? breaker.outcomes.filter(outcome => outcome.slow).length / calls : 0
+    };
+  }
+
+  /**
+   * Open a breaker
+   * @param {Object} breaker - Breaker
+   * @param {string} reason - Why it opened
+   */
+  open(breaker, reason) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    breaker.reason = reason;
+    breaker.outcomes = [];
+  }
+
+  /**
+   * Close a breaker and start counting afresh
+   * @param {Object} breaker - Breaker
+   */
+  close(breaker) {
+    breaker.state = 'closed';
+    breaker.openedAt = null;
+    breaker.reason = null;
+    breaker.outcomes = [];
+  }
+}
+
+module.exports = new CircuitBreaker();
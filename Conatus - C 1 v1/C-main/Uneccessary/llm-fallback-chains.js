@@ -0,0 +1,86 @@
+// backend/services/llm/FallbackChains.js
+/**
+ * LLM Fallback Chains
+ * 
+ * Ordered lists of providers LLMService tries for a query. The chosen
+ * provider always comes first, followed by the chain for the query's category
+ * (see ClassificationService), or the chain for the chosen provider when the
+ * category is unknown, and finally the default chain.
+ * 
+ * Chains can be overridden with LLM_FALLBACK_CHAINS (JSON) or configure(), e.g.
+ *   {"categories":{"CODING":["DEEPSEEK","CLAUDE"]},"default":["OPENAI"]}
+ */
+
+const LLMProviderRegistry = require('./LLMProviderRegistry');
+
+const DEFAULT_CHAINS = {
+  categories: {
+    CODING: ['CLAUDE', 'DEEPSEEK', 'OPENAI'],
+    REASONING: ['CLAUDE', 'OPENAI'],
+    EXPLANATION: ['CLAUDE', 'OPENAI'],
+    SEARCH: ['PERPLEXITY', 'OPENAI', 'CLAUDE'],
+    RESEARCH: ['PERPLEXITY', 'CLAUDE', 'OPENAI'],
+    CURRENT_EVENTS: ['PERPLEXITY', 'OPENAI'],
+    CREATIVE: ['OPENAI', 'CLAUDE'],
+    SUMMARIZATION: ['OPENAI', 'CLAUDE'],
+    EMOTIONAL: ['OPENAI', 'CLAUDE'],
+    TECHNICAL: ['DEEPSEEK', 'CLAUDE', 'OPENAI'],
+    PROGRAMMING: ['DEEPSEEK', 'CLAUDE', 'OPENAI'],
+    DOCUMENTATION: ['DEEPSEEK', 'CLAUDE', 'OPENAI']
+  },
+  providers: {
+    CLAUDE: ['CLAUDE', 'OPENAI'],
+    PERPLEXITY: ['PERPLEXITY', 'OPENAI'],
+    DEEPSEEK: ['DEEPSEEK', 'CLAUDE'],
+    OPENAI: ['OPENAI', 'CLAUDE']
+  },
+  default: ['OPENAI', 'CLAUDE']
+};
+
+class FallbackChains {
+  constructor() {
+    let chains = {};
+    
+    try {
+      chains = JSON.parse(process.env.LLM_FALLBACK_CHAINS || '{}');
+    } catch (error) {
+      console.error('Ignoring invalid LLM_FALLBACK_CHAINS:', error.message);
+    }
+    
+    this.configure(chains);
+  }
+
+  /**
+   * Override the default chains
+   * @param {Object} chains - { categories, providers, default }
+   * @returns {Object} - Active chains
+   */
+  configure(chains = {}) {
+    this.chains = {
+      categories: { ...DEFAULT_CHAINS.categories, ...(chains.categories || {}) },
+      providers: { ...DEFAULT_CHAINS.providers, ...(chains.providers || {}) },
+      default: chains.default || DEFAULT_CHAINS.default
+    };
+    
+    return this.chains;
+  }
+
+  /**
+   * Get the providers to try for a query, in order
+   * @param {string} provider - Chosen provider
+   * @param {string} category - Query category, if known
+   * @param {Object} options - { tools: only providers that can call tools }
+   * @returns {Array<string>} - Registered provider IDs, without duplicates
+   */
+  getChain(provider, category = null, options = {}) {
+    const next = (category && this.chains.categories[category]) || this.chains.providers[provider] || [];
+    const chain = [...new Set([provider, ...next, ...this.chains.default].filter(Boolean))];
+    
+    return chain.filter(providerId => {
+      const adapter = LLMProviderRegistry.getProvider(providerId);
+      return adapter && (!options.tools || adapter.capabilities.tools);
+    });
+  }
+}
+
+module.exports = new FallbackChains();
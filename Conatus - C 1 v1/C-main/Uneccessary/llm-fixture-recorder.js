@@ -0,0 +1,298 @@
+// backend/services/llm/FixtureRecorder.js
+/**
+ * LLM Fixture Recorder
+ * 
+ * Records provider calls made through LLMService to fixture files and replays
+ * them, so tests get real responses (streamed chunks and their timing
+ * included) without calling hosted APIs. Fixtures are keyed on a hash of the
+ * normalized request: provider, model, messages, tools and sampling settings.
+ * Provider errors are recorded too in record mode, so failure handling can be
+ * replayed; replay mode does not save them, so a timeout or outage while
+ * filling in missing fixtures is not kept as the expected outcome.
+ * 
+ * LLM_FIXTURE_MODE   - off (default), record (always call and save), replay
+ *                      (serve fixtures, record missing ones) or strict (serve
+ *                      fixtures, fail on missing ones)
+ * LLM_FIXTURE_DIR    - Fixture directory (default: fixtures/llm)
+ * LLM_FIXTURE_TIMING - recorded to wait between replayed chunks as the
+ *                      provider did; none (default) replays instantly
+ * 
+ * Tests can call configure() instead of setting the environment.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createHash } = require('crypto');
+const ProviderAdapter = require('./ProviderAdapter');
+
+const MODES = ['off', 'record', 'replay', 'strict'];
+const FIXTURE_VERSION = 1;
+
+class FixtureRecorder {
+  constructor() {
+    this.wrapped = new Map();
+    this.configure({
+      mode: process.env.LLM_FIXTURE_MODE,
+      dir: process.env.LLM_FIXTURE_DIR,
+      timing: process.env.LLM_FIXTURE_TIMING
+    });
+  }
+
+  /**
+   * Set the fixture mode and location
+   * @param {Object} options - { mode, dir, timing }
+   * @returns {Object} - Active settings
+   */
+  configure({ mode, dir, timing } = {}) {
+    const nextMode = mode || 'off';
+    
+    if (!MODES.includes(nextMode)) {
+      throw new Error(`Invalid LLM fixture mode ${nextMode}; use one of ${MODES.join(', ')}`);
+    }
+    
+    this.mode = nextMode;
+    this.dir = path.resolve(dir || path.join('fixtures', 'llm'));
+    this.timing = timing === 'recorded' ? 'recorded' : 'none';
+    this.wrapped.clear();
+    
+    return { mode: this.mode, dir: this.dir, timing: this.timing };
+  }
+
+  /**
+   * Wrap a provider adapter so its calls are recorded or replayed
+   * @param {Object} adapter - Provider adapter
+   * @returns {Object} - The adapter itself when fixtures are off, otherwise a wrapper with the same interface
+   */
+  wrap(adapter) {
+    if (this.mode === 'off') {
+      return adapter;
+    }
+    
+    if (!this.wrapped.has(adapter.id)) {
+      this.wrapped.set(adapter.id, Object.assign(Object.create(adapter), {
+        complete: (query, context = {}) => this.complete(adapter, query, context),
+        stream: (query, onChunk, context = {}) => this.stream(adapter, query, onChunk, context)
+      }));
+    }
+    
+    return this.wrapped.get(adapter.id);
+  }
+
+  /**
+   * Get a full response through the fixtures
+   * @param {Object} adapter - Provider adapter
+   * @param {string} query - User query
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} - Provider response
+   */
+  async complete(adapter, query, context) {
+    const request = this.normalizeRequest(adapter, 'complete', query, context);
+    const fixture = await this.loadFixture(adapter, request);
+    
+    if (fixture) {
+      return this.replayOutcome(fixture);
+    }
+    
+    let response;
+    try {
+      response = await adapter.complete(query, context);
+    } catch (error) {
+      if (this.mode === 'record') {
+        await this.saveFixture(adapter, request, { error: this.serializeError(error) });
+      }
+      throw error;
+    }
+    
+    await this.saveFixture(adapter, request, { response });
+    return response;
+  }
+
+  /**
+   * Stream a response through the fixtures
+   * @param {Object} adapter - Provider adapter
+   * @param {string} query - User query
+   * @param {function} onChunk - Callback for content chunks
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} - { tokenUsage, model }
+   */
+  async stream(adapter, query, onChunk, context) {
+    const request = this.normalizeRequest(adapter, 'stream', query, context);
+    const fixture = await this.loadFixture(adapter, request);
+    
+    if (fixture) {
+      for (const chunk of fixture.chunks || []) {
+        if (this.timing === 'recorded' && chunk.delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, chunk.delayMs));
+        }
+        
+        onChunk(chunk.content);
+      }
+      
+      return this.replayOutcome(fixture);
+    }
+    
+    // Record each chunk with the time since the previous one
+    const chunks = [];
+    let last = Date.now();
+    let result;
+    
+    try {
+      result = await adapter.stream(query, (content) => {
+        const now = Date.now();
+        chunks.push({ delayMs: now - last, content });
+        last = now;
+        onChunk(content);
+      }, context);
+    } catch (error) {
+      // Chunks sent before the failure are kept so a replay fails at the same point
+      if (this.mode === 'record') {
+        await this.saveFixture(adapter, request, { chunks, error: this.serializeError(error) });
+      }
+      throw error;
+    }
+    
+    await this.saveFixture(adapter, request, { chunks, response: result || {} });
+    return result || {};
+  }
+
+  /**
+   * Reduce a request to the parts that decide the response
+   * @param {Object} adapter - Provider adapter
+   * @param {string} kind - complete or stream
+   * @param {string} query - User query
+   * @param {Object} context - Additional context
+   * @returns {Object} - Normalized request
+   */
+  normalizeRequest(adapter, kind, query, context = {}) {
+    const collapse = text => String(text === undefined || text === null ? '' : text).replace(/\s+/g, ' ').trim();
+    
+    return {
+      provider: adapter.id,
+      kind,
+      model: context.model || adapter.models.default,
+      messages: ProviderAdapter.buildMessages(query, context)
+        .map(message => ({ ...message, content: collapse(message.content) })),
+      tools: Array.isArray(context.tools) ? context.tools.map(tool => tool.name) : undefined,
+      temperature: context.temperature || null,
+      maxTokens: context.maxTokens || null
+    };
+  }
+
+  /**
+   * Hash a normalized request
+   * @param {Object} request - Normalized request
+   * @returns {string} - Request hash
+   */
+  hashRequest(request) {
+    return createHash('sha256').update(this.stableStringify(request)).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Serialize a value with object keys sorted, so equal requests hash alike
+   * @param {any} value - Value to serialize
+   * @returns {string} - JSON
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Get the fixture file for a request
+   * @param {Object} adapter - Provider adapter
+   * @param {Object} request - Normalized request
+   * @returns {string} - File path
+   */
+  getFixturePath(adapter, request) {
+    return path.join(this.dir, adapter.id.toLowerCase(), `${request.kind}-${this.hashRequest(request)}.json`);
+  }
+
+  /**
+   * Load the fixture for a request in replay modes
+   * @param {Object} adapter - Provider adapter
+   * @param {Object} request - Normalized request
+   * @returns {Promise<Object|null>} - Fixture, or null if the provider should be called
+   */
+  async loadFixture(adapter, request) {
+    if (this.mode === 'record') {
+      return null;
+    }
+    
+    const fixturePath = this.getFixturePath(adapter, request);
+    
+    try {
+      return JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read LLM fixture ${fixturePath}: ${error.message}`);
+      }
+    }
+    
+    if (this.mode === 'strict') {
+      const error = new Error(
+        `No LLM fixture for ${adapter.id} ${request.kind} request ${this.hashRequest(request)} ` +
+        `(expected ${fixturePath}); record it with LLM_FIXTURE_MODE=record`
+      );
+      error.code = 'LLM_FIXTURE_MISSING';
+      error.request = request;
+      throw error;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Write a fixture file
+   * @param {Object} adapter - Provider adapter
+   * @param {Object} request - Normalized request
+   * @param {Object} outcome - { response } or { error }, plus chunks for streams
+   * @returns {Promise<void>}
+   */
+  async saveFixture(adapter, request, outcome) {
+    const fixturePath = this.getFixturePath(adapter, request);
+    
+    await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify({
+      version: FIXTURE_VERSION,
+      recordedAt: new Date().toISOString(),
+      request,
+      ...outcome
+    }, null, 2) + '\n');
+  }
+
+  /**
+   * Return a recorded response or throw a recorded error
+   * @param {Object} outcome - { response } or { error }
+   * @returns {Object} - Response
+   */
+  replayOutcome(outcome) {
+    if (outcome.error) {
+      const error = new Error(outcome.error.message);
+      error.status = outcome.error.status;
+      throw error;
+    }
+    
+    return outcome.response;
+  }
+
+  /**
+   * Keep the parts of a provider error a replay needs
+   * @param {Error} error - Provider error
+   * @returns {Object} - { message, status }
+   */
+  serializeError(error) {
+    return { message: error.message, status: error.status || null };
+  }
+}
+
+module.exports = new FixtureRecorder();
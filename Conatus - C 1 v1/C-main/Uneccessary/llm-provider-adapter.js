@@ -0,0 +1,242 @@
+// backend/services/llm/ProviderAdapter.js
+/**
+ * Provider Adapter
+ * 
+ * Defines the interface every LLM provider adapter implements, validates
+ * adapters when they are registered, and holds the helpers adapters share
+ * (message shaping, server-sent event parsing, token estimates).
+ * 
+ * An adapter looks like:
+ *   {
+ *     id: 'CLAUDE',
+ *     name: 'Claude',
+ *     models: { default: 'claude-3-opus-20240229', fallback: 'claude-3-sonnet-20240229' },
+ *     capabilities: { streaming: true, systemPrompt: true, webSearch: false, tools: true, contextWindow: 200000 },
+ *     pricing: { 'claude-3-opus-20240229': { input: 15, output: 75 } }, // USD per 1M tokens
+ *     cacheTtl: 3600,                                    // seconds responses stay cached
+ *     complete(query, context)        -> { content, toolCalls, tokenUsage, model, cacheable, ... }
+ *     stream(query, onChunk, context) -> { tokenUsage, model } (either may be null)
+ *     countTokens(text)               -> number
+ *   }
+ * 
+ * context carries { model, systemPrompt, history, maxTokens, temperature }.
+ * Adapters throw on API errors; LLMService handles model and provider fallback.
+ * 
+ * Tool calling is provider-neutral. Adapters with capabilities.tools accept
+ * context.tools ([{ name, description, parameters (JSON schema) }]) and
+ * context.toolTurns, the exchange after the query:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ *   { role: 'tool', toolCallId, name, content }
+ * and return the calls the model makes as toolCalls (arguments parsed to an
+ * object where possible). Adapters without it ignore tools. Tool calls are
+ * only supported by complete().
+ */
+
+const REQUIRED_METHODS = ['complete', 'stream', 'countTokens'];
+
+class ProviderAdapter {
+  /**
+   * Validate a provider adapter
+   * @param {Object} adapter - Adapter instance
+   * @returns {Object} - { valid, errors }
+   */
+  validate(adapter) {
+    const errors = [];
+    
+    if (!adapter || typeof adapter !== 'object') {
+      return { valid: false, errors: ['Adapter must be an object'] };
+    }
+    
+    if (typeof adapter.id !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(adapter.id)) {
+      errors.push('id must be an upper-case identifier (e.g. OPENAI)');
+    }
+    
+    if (typeof adapter.name !== 'string' || !adapter.name) {
+      errors.push('name is required');
+    }
+    
+    if (!adapter.models || typeof adapter.models.default !== 'string') {
+      errors.push('models.default is required');
+    }
+    
+    for (const method of REQUIRED_METHODS) {
+      if (typeof adapter[method] !== 'function') {
+        errors.push(`${method} must be a function`);
+      }
+    }
+    
+    if (!adapter.capabilities || typeof adapter.capabilities !== 'object') {
+      errors.push('capabilities must be an object');
+    }
+    
+    if (!adapter.pricing || typeof adapter.pricing !== 'object') {
+      errors.push('pricing must be an object');
+    } else {
+      for (const [model, price] of Object.entries(adapter.pricing)) {
+        if (!price || typeof price.input !== 'number' || typeof price.output !== 'number') {
+          errors.push(`pricing.${model} must have numeric input and output prices`);
+        }
+      }
+    }
+    
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Build a chat message list from a query and its context
+   * @param {string} query - User query
+   * @param {Object} context - { systemPrompt, history, toolTurns }
+   * @param {Object} options - { system: false to leave the system prompt out (sent separately) }
+   * @returns {Array<Object>} - [{ role, content }]
+   */
+  buildMessages(query, context = {}, options = {}) {
+    const messages = [];
+    
+    if (context.systemPrompt && options.system !== false) {
+      messages.push({ role: 'system', content: context.systemPrompt });
+    }
+    
+    if (Array.isArray(context.history)) {
+      for (const message of context.history) {
+        messages.push({
+          role: message.role === 'user' ? 'user' : (message.role === 'system' ? 'system' : 'assistant'),
+          content: message.content
+        });
+      }
+    }
+    
+    messages.push({ role: 'user', content: query });
+    
+    // Tool calls and their results follow the query they answer
+    if (Array.isArray(context.toolTurns)) {
+      messages.push(...context.toolTurns);
+    }
+    
+    return messages;
+  }
+
+  /**
+   * Parse the arguments of a tool call
+   * @param {string|Object} text - Arguments as the provider sent them
+   * @returns {Object|string} - Parsed arguments, or the original text if it is not a JSON object
+   */
+  parseToolArguments(text) {
+    if (text && typeof text === 'object') {
+      return text;
+    }
+    
+    try {
+      const parsed = JSON.parse(text || '{}');
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : text;
+    } catch (e) {
+      return text;
+    }
+  }
+
+  /**
+   * Read a server-sent event stream and pass each data payload on
+   * @param {Object} response - fetch response with a streaming body
+   * @param {Function} onData - Called with each parsed JSON payload
+   * @param {string} name - Provider name for parse error logs
+   * @returns {Promise<void>}
+   */
+  async readEventStream(response, onData, name) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    const handleLine = (line) => {
+      if (!line.startsWith('data: ')) return;
+      
+      const data = line.slice(6); // Remove 'data: ' prefix
+      if (data === '[DONE]') return;
+      
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        console.error(`Error parsing ${name} stream:`, e);
+        return;
+      }
+      
+      onData(parsed);
+    };
+    
+    // node-fetch bodies are async iterables; WHATWG bodies expose a reader
+    const chunks = response.body.getReader
+      ? this.readChunks(response.body.getReader())
+      : response.body;
+    
+    for await (const value of chunks) {
+      buffer += typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+      
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || ''; // Keep the last incomplete line in the buffer
+      lines.forEach(line => handleLine(line.trim()));
+    }
+    
+    if (buffer) handleLine(buffer.trim());
+  }
+
+  /**
+   * Iterate the chunks of a WHATWG stream reader
+   * @param {Object} reader - Stream reader
+   * @returns {AsyncGenerator<Uint8Array>} - Chunks
+   */
+  async *readChunks(reader) {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  }
+
+  /**
+   * Estimate the number of tokens in a text (about 1.33 tokens per word)
+   * @param {string} text - Text
+   * @returns {number} - Estimated tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil(String(text || '').split(/\s+/).filter(Boolean).length * 1.33);
+  }
+
+  /**
+   * Work out the cost of a call from the adapter's pricing
+   * @param {Object} adapter - Provider adapter
+   * @param {string} model - Model used
+   * @param {Object} tokenUsage - { prompt_tokens, completion_tokens }
+   * @returns {number|null} - Cost in USD, or null if the model has no price
+   */
+  estimateCost(adapter, model, tokenUsage) {
+    const price = adapter.pricing[model] || adapter.pricing[adapter.models.default];
+    
+    if (!price || !tokenUsage) {
+      return null;
+    }
+    
+    return ((tokenUsage.prompt_tokens || 0) * price.input + (tokenUsage.completion_tokens || 0) * price.output) / 1e6;
+  }
+
+  /**
+   * Create an error for a failed API call
+   * @param {string} name - Provider name
+   * @param {Object} response - fetch response
+   * @returns {Promise<Error>} - Error with the provider's message and the HTTP status
+   */
+  async createApiError(name, response) {
+    const text = await response.text().catch(() => '');
+    let message = text || response.statusText;
+    
+    try {
+      const data = JSON.parse(text);
+      message = (data.error && (data.error.message || data.error)) || message;
+    } catch (e) {
+      // Not JSON, keep the text
+    }
+    
+    const error = new Error(`${name} API error: ${message}`);
+    error.status = response.status;
+    return error;
+  }
+}
+
+module.exports = new ProviderAdapter();
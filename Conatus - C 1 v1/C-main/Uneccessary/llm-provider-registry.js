@@ -0,0 +1,98 @@
+// backend/services/llm/LLMProviderRegistry.js
+/**
+ * LLM Provider Registry
+ * 
+ * Registers one adapter per LLM provider (see ProviderAdapter for the
+ * interface). Every module in the providers directory is loaded, so adding a
+ * provider is a single file there; a provider that fails to load or
+ * validate is skipped and recorded instead of taking the others down.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ProviderAdapter = require('./ProviderAdapter');
+
+const PROVIDERS_DIR = path.join(__dirname, 'providers');
+
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = {};
+    this.failures = [];
+    
+    this.loadProviders(PROVIDERS_DIR);
+  }
+
+  /**
+   * Load and register every provider module in a directory
+   * @param {string} dir - Directory of provider modules
+   * @returns {Object} - { loaded: provider IDs, failures: [{ path, error }] }
+   */
+  loadProviders(dir) {
+    const loaded = [];
+    let files = [];
+    
+    try {
+      files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      console.error(`Error reading LLM providers from ${dir}:`, error);
+    }
+    
+    for (const file of files) {
+      const modulePath = path.join(dir, file);
+      
+      try {
+        loaded.push(this.registerProvider(require(modulePath)).id);
+      } catch (error) {
+        this.failures.push({ path: modulePath, error: error.message });
+        console.error(`Failed to load LLM provider from ${modulePath}:`, error);
+      }
+    }
+    
+    return { loaded, failures: this.failures };
+  }
+
+  /**
+   * Register a provider adapter after validating it
+   * @param {Object} adapter - Provider adapter
+   * @returns {Object} - Registered adapter
+   */
+  registerProvider(adapter) {
+    const { valid, errors } = ProviderAdapter.validate(adapter);
+    
+    if (!valid) {
+      throw new Error(`Invalid LLM provider ${(adapter && adapter.id) || ''}: ${errors.join('; ')}`);
+    }
+    
+    if (this.providers[adapter.id]) {
+      throw new Error(`LLM provider ${adapter.id} is already registered`);
+    }
+    
+    this.providers[adapter.id] = adapter;
+    return adapter;
+  }
+
+  /**
+   * Get a provider adapter
+   * @param {string} providerId - Provider ID (e.g. CLAUDE)
+   * @returns {Object|null} - Adapter or null if not registered
+   */
+  getProvider(providerId) {
+    return this.providers[providerId] || null;
+  }
+
+  /**
+   * Describe all registered providers
+   * @returns {Array<Object>} - [{ id, name, models, capabilities, pricing }]
+   */
+  listProviders() {
+    return Object.values(this.providers).map(({ id, name, models, capabilities, pricing }) => ({
+      id,
+      name,
+      models,
+      capabilities,
+      pricing
+    }));
+  }
+}
+
+module.exports = new LLMProviderRegistry();
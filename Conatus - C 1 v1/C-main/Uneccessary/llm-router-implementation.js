@@ -14,7 +14,25 @@ const { OpenAI } = require('openai');
 // Initialize clients
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 const redis = new Redis(process.env.REDIS_URL);
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+
+// The OpenAI client is created on first use: the SDK throws without a key,
+// and a forced (e.g. local) provider never classifies with it
+let openai = null;
+
+/**
+ * Get the OpenAI client used for ML classification
+ * @returns {OpenAI} - Client
+ */
+function getOpenAI() {
+  if (!openai) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  
+  return openai;
+}
+
+// When set, every query goes to this provider and nothing is classified
+const FORCED_PROVIDER = process.env.LLM_PROVIDER || null;
 
 // Initialize tokenizer for feature extraction
 const tokenizer = new natural.WordTokenizer();
@@ -54,6 +72,14 @@ class ClassificationService {
           url: 'https://api.deepseek.com/v1/chat/completions',
           key: process.env.DEEPSEEK_API_KEY
         }
+      },
+      LOCAL: {
+        name: 'Local',
+        bestFor: [],
+        apiConfig: {
+          url: `${process.env.LOCAL_LLM_BASE_URL || 'http://localhost:8080/v1'}/chat/completions`,
+          key: process.env.LOCAL_LLM_API_KEY
+        }
       }
     };
     
@@ -75,12 +101,28 @@ class ClassificationService {
    * @returns {Promise<string>} - Provider identifier (CLAUDE, PERPLEXITY, etc.)
    */
   async classifyQuery(query, context = {}) {
+    const { provider } = await this.classify(query, context);
+    return provider;
+  }
+  
+  /**
+   * Classify a query, keeping the category that chose the provider
+   * @param {string} query - User's query text
+   * @param {Object} context - Additional context for classification
+   * @returns {Promise<Object>} - { provider, category } (category is null when unknown, e.g. on a cache hit)
+   */
+  async classify(query, context = {}) {
+    // Offline setups must not reach the hosted classifier
+    if (FORCED_PROVIDER) {
+      return { provider: FORCED_PROVIDER, category: null };
+    }
+    
     try {
       // 1. Check cache first for similar queries
       const cacheResult = await this.checkCache(query);
       if (cacheResult) {
         console.log(`Cache hit for query classification: ${cacheResult}`);
-        return cacheResult;
+        return { provider: cacheResult, category: null };
       }
       
       // 2. Apply rule-based classification first (faster than ML)
@@ -88,7 +130,7 @@ class ClassificationService {
       if (ruleBasedResult && ruleBasedResult.confidence > 0.8) {
         console.log(`Rule-based classification result: ${ruleBasedResult.provider} (${ruleBasedResult.confidence})`);
         this.cacheResult(query, ruleBasedResult.provider);
-        return ruleBasedResult.provider;
+        return { provider: ruleBasedResult.provider, category: ruleBasedResult.category };
       }
       
       // 3. Apply ML-based classification for more nuanced queries
@@ -99,17 +141,17 @@ class ClassificationService {
         const fallbackProvider = this.determineFallback(mlResult.category, context);
         console.log(`Low confidence, using fallback: ${fallbackProvider}`);
         this.cacheResult(query, fallbackProvider);
-        return fallbackProvider;
+        return { provider: fallbackProvider, category: mlResult.category };
       }
       
       // 5. Cache result for future similar queries
       this.cacheResult(query, mlResult.provider);
       
-      return mlResult.provider;
+      return { provider: mlResult.provider, category: mlResult.category };
     } catch (error) {
       console.error('Error in query classification:', error);
       // Default to OpenAI as a safe fallback
-      return 'OPENAI';
+      return { provider: 'OPENAI', category: null };
     }
   }
   
@@ -195,7 +237,7 @@ class ClassificationService {
   async classifyWithML(query, context = {}) {
     try {
       // Use a lightweight model for classification to reduce cost
-      const response = await openai.chat.completions.create({
+      const response = await getOpenAI().chat.completions.create({
         model: 'gpt-3.5-turbo',
         messages: [
           {
@@ -4,67 +4,46 @@
  * 
  * Handles routing queries to appropriate LLM providers and manages responses.
  * Implements the multi-LLM strategy described in the Conatus architecture.
+ * Providers are reached through their adapters (see LLMProviderRegistry), so
+ * nothing here depends on a particular provider's API. A query goes down its
+ * fallback chain (see FallbackChains) until a provider answers, skipping
+ * providers whose circuit breaker is open; the path taken is logged.
  */
 
-const fetch = require('node-fetch');
 const { Readable } = require('stream');
 const { createClient } = require('@supabase/supabase-js');
 const Redis = require('ioredis');
-const { OpenAI } = require('openai');
 const { v4: uuidv4 } = require('uuid');
 
 // Import the ClassificationService
 const ClassificationService = require('../classification/ClassificationService');
+const LLMProviderRegistry = require('./LLMProviderRegistry');
+const ProviderAdapter = require('./ProviderAdapter');
+const FixtureRecorder = require('./FixtureRecorder');
+const FallbackChains = require('./FallbackChains');
+const CircuitBreaker = require('./CircuitBreaker');
+const RetryPolicy = require('../automation/RetryPolicy');
 
 // Initialize clients
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
 const redis = new Redis(process.env.REDIS_URL);
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
-class LLMService {
-  constructor() {
-    // Configure provider-specific clients and settings
-    this.providers = {
-      CLAUDE: {
-        processQuery: this.processClaudeQuery.bind(this),
-        streamQuery: this.streamClaudeQuery.bind(this),
-        models: {
-          default: 'claude-3-opus-20240229',
-          fallback: 'claude-3-sonnet-20240229'
-        }
-      },
-      PERPLEXITY: {
-        processQuery: this.processPerplexityQuery.bind(this),
-        streamQuery: this.streamPerplexityQuery.bind(this),
-        models: {
-          default: 'sonar-medium-online',
-          fallback: 'sonar-small-online'
-        }
-      },
-      OPENAI: {
-        processQuery: this.processOpenAIQuery.bind(this),
-        streamQuery: this.streamOpenAIQuery.bind(this),
-        models: {
-          default: 'gpt-4-turbo',
-          fallback: 'gpt-3.5-turbo'
-        }
-      },
-      DEEPSEEK: {
-        processQuery: this.processDeepSeekQuery.bind(this),
-        streamQuery: this.streamDeepSeekQuery.bind(this),
-        models: {
-          default: 'deepseek-coder',
-          fallback: 'deepseek-chat'
-        }
-      }
-    };
-  }
+// Send every query to one provider (e.g. LOCAL for offline development and tests)
+const FORCED_PROVIDER = process.env.LLM_PROVIDER || null;
+
+// Sent to the next provider when a stream fails partway through
+const CONTINUE_PROMPT = 'Your previous answer was cut off. Continue it from exactly where it stopped, ' +
+  'without repeating any of it or mentioning the interruption.';
 
+// Error classes that point at the provider rather than the query
+const PROVIDER_FAULT_CLASSES = ['service_unavailable', 'timeout', 'network'];
+
+class LLMService {
   /**
    * Route a query to the appropriate LLM provider
    * @param {string} query - User's query text
    * @param {string} providerId - Provider identifier (if already classified)
-   * @param {Object} context - Additional context for the query
+   * @param {Object} context - Additional context for the query (category: query category, if known)
    * @returns {Promise<Object>} - LLM response
    */
   async routeQuery(query, providerId = null, context = {}) {
@@ -73,7 +52,7 @@ class LLMService {
       const queryId = uuidv4();
       
       // Get the provider if not already specified
-      const provider = providerId || await ClassificationService.classifyQuery(query, context);
+      const { provider, category } = await this.resolveProvider(query, providerId, context);
       
       // Check if we can use cache
       if (context.allowCache !== false) {
@@ -89,82 +68,95 @@ class LLMService {
         }
       }
       
-      // Check provider availability
-      const isAvailable = await this.checkProviderAvailability(provider);
+      // Try each provider in the fallback chain until one answers
+      const path = [];
+      let lastError = null;
       
-      // If provider is not available, fall back to a different one
-      const actualProvider = isAvailable ? provider : this.getFallbackProvider(provider);
-      
-      // Get the appropriate processing function
-      const processFn = this.providers[actualProvider].processQuery;
-      
-      if (!processFn) {
-        throw new Error(`Provider ${actualProvider} not supported`);
+      for (const candidate of this.getProviderChain(provider, category, context)) {
+        if (!await this.isCallable(candidate, path)) {
+          continue;
+        }
+        
+        const adapter = this.getAdapter(candidate);
+        const startTime = Date.now();
+        
+        try {
+          const response = await this.complete(adapter, query, context);
+          const endTime = Date.now();
+          
+          CircuitBreaker.recordSuccess(candidate, endTime - startTime);
+          path.push({ provider: candidate, outcome: 'success', model: response.model || null, durationMs: endTime - startTime });
+          
+          // Get token usage
+          const tokenUsage = response.tokenUsage || this.estimateTokenUsage(query, response.content, adapter);
+          
+          // Log query for analytics
+          await this.logQueryUsage(
+            queryId, 
+            candidate, 
+            query, 
+            response, 
+            false,
+            endTime - startTime,
+            tokenUsage,
+            { requestedProvider: provider, category, path }
+          );
+          
+          // Cache the response if appropriate
+          if (response.cacheable !== false && context.allowCache !== false) {
+            await this.cacheResponse(query, candidate, response);
+          }
+          
+          // Return the response with provider information
+          return {
+            ...response,
+            provider: candidate,
+            fromCache: false,
+            ...(candidate !== provider ? { fallback: true, originalProvider: provider } : {})
+          };
+        } catch (error) {
+          this.recordError(candidate, error, Date.now() - startTime);
+          
+          if (error.code === 'LLM_FIXTURE_MISSING') {
+            throw error;
+          }
+          
+          path.push({ provider: candidate, outcome: 'error', error: error.message, durationMs: Date.now() - startTime });
+          lastError = error;
+        }
       }
       
-      // Process the query with the selected provider
-      const startTime = Date.now();
-      const response = await processFn(query, context);
-      const endTime = Date.now();
-      
-      // Get token usage
-      const tokenUsage = response.tokenUsage || this.estimateTokenUsage(query, response.content);
+      // Every provider failed or was skipped
+      await this.logQueryUsage(queryId, provider, query, { content: '' }, false, 0, null, {
+        requestedProvider: provider,
+        category,
+        path
+      });
       
-      // Log query for analytics
-      await this.logQueryUsage(
-        queryId, 
-        actualProvider, 
-        query, 
-        response, 
-        false,
-        endTime - startTime,
-        tokenUsage
-      );
+      throw lastError || new Error(`No provider available for ${provider}`);
+    } catch (error) {
+      console.error('Error routing query:', error);
       
-      // Cache the response if appropriate
-      if (response.cacheable !== false && context.allowCache !== false) {
-        await this.cacheResponse(query, actualProvider, response);
+      // A missing fixture must fail the test rather than be answered by a fallback
+      if (error.code === 'LLM_FIXTURE_MISSING') {
+        throw error;
       }
       
-      // Return the response with provider information
+      // Return a graceful error
       return {
-        ...response,
-        provider: actualProvider,
-        fromCache: false
+        content: "I'm sorry, I'm having trouble processing your request right now. Please try again in a moment.",
+        provider: 'ERROR',
+        error: error.message
       };
-    } catch (error) {
-      console.error('Error routing query:', error);
-      
-      // Use OpenAI as fallback for errors
-      try {
-        const fallbackResponse = await this.processOpenAIQuery(query, {
-          ...context,
-          isFallback: true
-        });
-        
-        return {
-          ...fallbackResponse,
-          provider: 'OPENAI',
-          fromCache: false,
-          fallback: true,
-          error: error.message
-        };
-      } catch (fallbackError) {
-        // If even the fallback fails, return a graceful error
-        return {
-          content: "I'm sorry, I'm having trouble processing your request right now. Please try again in a moment.",
-          provider: 'ERROR',
-          error: error.message
-        };
-      }
     }
   }
 
   /**
-   * Stream a query response from the appropriate LLM provider
+   * Stream a query response from the appropriate LLM provider. If a provider
+   * fails partway through, the next one in the chain continues the answer.
    * @param {string} query - User's query text
    * @param {string} providerId - Provider identifier (if already classified)
-   * @param {Object} context - Additional context for the query
+   * @param {Object} context - Additional context for the query (category: query category, if known)
    * @returns {Promise<Readable>} - Stream of response chunks
    */
   async streamQuery(query, providerId = null, context = {}) {
@@ -178,7 +170,7 @@ class LLMService {
       const queryId = uuidv4();
       
       // Get the provider if not already specified
-      const provider = providerId || await ClassificationService.classifyQuery(query, context);
+      const { provider, category } = await this.resolveProvider(query, providerId, context);
       
       // Send provider information as first chunk
       outputStream.push(JSON.stringify({
@@ -186,34 +178,14 @@ class LLMService {
         provider
       }));
       
-      // Check provider availability
-      const isAvailable = await this.checkProviderAvailability(provider);
-      
-      // If provider is not available, fall back to a different one
-      const actualProvider = isAvailable ? provider : this.getFallbackProvider(provider);
-      
-      // If we had to fall back, inform the client
-      if (actualProvider !== provider) {
-        outputStream.push(JSON.stringify({
-          type: 'fallback',
-          original: provider,
-          fallback: actualProvider
-        }));
-      }
-      
-      // Get the appropriate streaming function
-      const streamFn = this.providers[actualProvider].streamQuery;
-      
-      if (!streamFn) {
-        throw new Error(`Provider ${actualProvider} does not support streaming`);
-      }
-      
       // Start timing
       const startTime = Date.now();
       
-      // Variables to track the full response and token usage
+      // Variables to track the full response (across providers) and the route taken
       let fullContent = '';
-      let tokenUsage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+      let currentProvider = provider;
+      let lastError = null;
+      const path = [];
       
       // Create a handler for content chunks
       const handleChunk = (chunk) => {
@@ -225,40 +197,114 @@ class LLMService {
         fullContent += chunk;
       };
       
-      // Stream the query with the selected provider
-      await streamFn(query, handleChunk, context);
-      
-      // Calculate end time and estimate token usage
-      const endTime = Date.now();
-      if (!tokenUsage.total_tokens) {
-        tokenUsage = this.estimateTokenUsage(query, fullContent);
+      for (const candidate of this.getProviderChain(provider, category, context)) {
+        const adapter = this.getAdapter(candidate);
+        
+        if (!adapter.capabilities.streaming) {
+          path.push({ provider: candidate, outcome: 'skipped', reason: 'no_streaming' });
+          continue;
+        }
+        
+        if (!await this.isCallable(candidate, path)) {
+          continue;
+        }
+        
+        // If we had to fall back, inform the client (midStream: the content so far is kept and continued)
+        if (candidate !== currentProvider) {
+          outputStream.push(JSON.stringify({
+            type: 'fallback',
+            original: currentProvider,
+            fallback: candidate,
+            midStream: fullContent.length > 0
+          }));
+          currentProvider = candidate;
+        }
+        
+        const partial = fullContent;
+        const attemptStart = Date.now();
+        let firstChunkAt = null;
+        
+        try {
+          // Stream the query with the selected provider
+          const result = await this.stream(
+            adapter,
+            partial ? CONTINUE_PROMPT : query,
+            (chunk) => {
+              firstChunkAt = firstChunkAt || Date.now();
+              handleChunk(chunk);
+            },
+            partial ? this.getContinuationContext(query, partial, context) : context
+          );
+          const endTime = Date.now();
+          
+          // A stream's latency is the wait for its first chunk
+          CircuitBreaker.recordSuccess(candidate, (firstChunkAt || endTime) - attemptStart);
+          path.push({
+            provider: candidate,
+            outcome: 'success',
+            model: result.model || null,
+            durationMs: endTime - attemptStart,
+            ...(partial ? { continued: true } : {})
+          });
+          
+          // Reported usage only covers the whole answer if no provider failed partway through
+          const tokenUsage = result.tokenUsage && !partial
+            ? result.tokenUsage
+            : this.estimateTokenUsage(query, fullContent, adapter);
+          
+          // Log query for analytics
+          await this.logQueryUsage(
+            queryId, 
+            candidate, 
+            query, 
+            { content: fullContent, model: result.model }, 
+            false,
+            endTime - startTime,
+            tokenUsage,
+            { requestedProvider: provider, category, path }
+          );
+          
+          // Cache the complete response
+          await this.cacheResponse(query, candidate, { 
+            content: fullContent,
+            tokenUsage
+          });
+          
+          // Send end of stream marker
+          outputStream.push(JSON.stringify({
+            type: 'end',
+            tokenUsage
+          }));
+          
+          // End the stream
+          outputStream.push(null);
+          return outputStream;
+        } catch (error) {
+          this.recordError(candidate, error, Date.now() - attemptStart);
+          
+          if (error.code === 'LLM_FIXTURE_MISSING') {
+            throw error;
+          }
+          
+          path.push({
+            provider: candidate,
+            outcome: 'error',
+            error: error.message,
+            durationMs: Date.now() - attemptStart,
+            ...(fullContent.length > partial.length ? { partial: true } : {})
+          });
+          lastError = error;
+        }
       }
       
-      // Log query for analytics
-      await this.logQueryUsage(
-        queryId, 
-        actualProvider, 
-        query, 
-        { content: fullContent }, 
-        false,
-        endTime - startTime,
-        tokenUsage
-      );
-      
-      // Cache the complete response
-      await this.cacheResponse(query, actualProvider, { 
-        content: fullContent,
-        tokenUsage
+      // Every provider failed or was skipped
+      await this.logQueryUsage(queryId, provider, query, { content: fullContent }, false, Date.now() - startTime, null, {
+        requestedProvider: provider,
+        category,
+        path
       });
       
-      // Send end of stream marker
-      outputStream.push(JSON.stringify({
-        type: 'end',
-        tokenUsage
-      }));
-      
-      // End the stream
-      outputStream.push(null);
+      throw lastError || new Error(`No provider available for ${provider}`);
     } catch (error) {
       console.error('Error streaming query:', error);
       
@@ -276,637 +322,131 @@ class LLMService {
   }
 
   /**
-   * Process a query using Claude (Anthropic)
+   * Work out the provider a query goes to first
    * @param {string} query - User query
+   * @param {string} providerId - Provider requested by the caller
    * @param {Object} context - Additional context
-   * @returns {Promise<Object>} - Claude response
+   * @returns {Promise<Object>} - { provider, category }
    */
-  async processClaudeQuery(query, context = {}) {
-    try {
-      const anthropicUrl = 'https://api.anthropic.com/v1/messages';
-      const model = context.model || this.providers.CLAUDE.models.default;
-      
-      // Prepare conversation history if provided
-      const messages = [];
-      
-      if (context.history && Array.isArray(context.history)) {
-        // Map conversation history to Anthropic format
-        for (const msg of context.history) {
-          messages.push({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          });
-        }
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Prepare the request body
-      const requestBody = {
-        model,
-        messages,
-        max_tokens: context.maxTokens || 1024,
-        temperature: context.temperature || 0.7
-      };
-      
-      // Make the API request
-      const response = await fetch(anthropicUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Claude API error: ${errorData.error?.message || response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      return {
-        content: data.content[0].text,
-        tokenUsage: {
-          prompt_tokens: data.usage.input_tokens,
-          completion_tokens: data.usage.output_tokens,
-          total_tokens: data.usage.input_tokens + data.usage.output_tokens
-        },
-        model: data.model,
-        cacheable: true
-      };
-    } catch (error) {
-      console.error('Error with Claude API:', error);
-      
-      // Try fallback model if available
-      if (!context.isFallback) {
-        return this.processClaudeQuery(query, {
-          ...context,
-          isFallback: true,
-          model: this.providers.CLAUDE.models.fallback
-        });
-      }
-      
-      throw error;
+  async resolveProvider(query, providerId, context) {
+    if (FORCED_PROVIDER) {
+      return { provider: FORCED_PROVIDER, category: null };
     }
+    
+    if (providerId) {
+      return { provider: providerId, category: context.category || null };
+    }
+    
+    return ClassificationService.classify(query, context);
   }
 
   /**
-   * Stream a query using Claude (Anthropic)
-   * @param {string} query - User query
-   * @param {function} onChunk - Callback for content chunks
-   * @param {Object} context - Additional context
-   * @returns {Promise<void>}
+   * Get the providers to try for a query, in order
+   * @param {string} provider - Chosen provider
+   * @param {string} category - Query category, if known
+   * @param {Object} context - Additional context (queries with tools only go to providers that support them)
+   * @returns {Array<string>} - Provider IDs
    */
-  async streamClaudeQuery(query, onChunk, context = {}) {
-    try {
-      const anthropicUrl = 'https://api.anthropic.com/v1/messages';
-      const model = context.model || this.providers.CLAUDE.models.default;
-      
-      // Prepare conversation history if provided
-      const messages = [];
-      
-      if (context.history && Array.isArray(context.history)) {
-        // Map conversation history to Anthropic format
-        for (const msg of context.history) {
-          messages.push({
-            role: msg.role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          });
-        }
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Prepare the request body
-      const requestBody = {
-        model,
-        messages,
-        max_tokens: context.maxTokens || 1024,
-        temperature: context.temperature || 0.7,
-        stream: true
-      };
-      
-      // Make the API request
-      const response = await fetch(anthropicUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`Claude API error: ${errorData || response.statusText}`);
-      }
-      
-      // Process the stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          break;
-        }
-        
-        // Decode the chunk and add to buffer
-        buffer += decoder.decode(value, { stream: true });
-        
-        // Process complete events in buffer
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep the last incomplete line in the buffer
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6); // Remove 'data: ' prefix
-            
-            if (data === '[DONE]') {
-              // End of stream
-              continue;
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              
-              if (parsed.type === 'content_block_delta' && 
-                  parsed.delta.type === 'text_delta') {
-                // Send the text chunk to the callback
-                onChunk(parsed.delta.text);
-              }
-            } catch (e) {
-              console.error('Error parsing Claude stream:', e);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error with Claude streaming API:', error);
-      
-      // Try fallback model if available
-      if (!context.isFallback) {
-        return this.streamClaudeQuery(query, onChunk, {
-          ...context,
-          isFallback: true,
-          model: this.providers.CLAUDE.models.fallback
-        });
-      }
-      
-      throw error;
+  getProviderChain(provider, category, context = {}) {
+    // A forced provider has nothing to fall back to
+    if (FORCED_PROVIDER) {
+      return [FORCED_PROVIDER];
     }
+    
+    return FallbackChains.getChain(provider, category, {
+      tools: Array.isArray(context.tools) && context.tools.length > 0
+    });
   }
 
   /**
-   * Process a query using OpenAI
-   * @param {string} query - User query
-   * @param {Object} context - Additional context
-   * @returns {Promise<Object>} - OpenAI response
+   * Check whether a provider in the chain should be called, recording why if not
+   * @param {string} providerId - Provider identifier
+   * @param {Array<Object>} path - Route taken so far
+   * @returns {Promise<boolean>} - True if the provider should be called
    */
-  async processOpenAIQuery(query, context = {}) {
-    try {
-      const model = context.model || this.providers.OPENAI.models.default;
-      
-      // Prepare messages array
-      const messages = [];
-      
-      // Add system message if provided
-      if (context.systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: context.systemPrompt
-        });
-      }
-      
-      // Add conversation history if provided
-      if (context.history && Array.isArray(context.history)) {
-        messages.push(...context.history);
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Call the OpenAI API
-      const completion = await openai.chat.completions.create({
-        model,
-        messages,
-        temperature: context.temperature || 0.7,
-        max_tokens: context.maxTokens || 1024
-      });
-      
-      return {
-        content: completion.choices[0].message.content,
-        tokenUsage: {
-          prompt_tokens: completion.usage.prompt_tokens,
-          completion_tokens: completion.usage.completion_tokens,
-          total_tokens: completion.usage.total_tokens
-        },
-        model: completion.model,
-        cacheable: true
-      };
-    } catch (error) {
-      console.error('Error with OpenAI API:', error);
-      
-      // Try fallback model if available
-      if (!context.isFallback) {
-        return this.processOpenAIQuery(query, {
-          ...context,
-          isFallback: true,
-          model: this.providers.OPENAI.models.fallback
-        });
-      }
-      
-      throw error;
+  async isCallable(providerId, path) {
+    if (!await this.checkProviderAvailability(providerId)) {
+      path.push({ provider: providerId, outcome: 'skipped', reason: 'unavailable' });
+      return false;
     }
+    
+    if (!CircuitBreaker.allowRequest(providerId)) {
+      path.push({ provider: providerId, outcome: 'skipped', reason: 'circuit_open' });
+      return false;
+    }
+    
+    return true;
   }
 
   /**
-   * Stream a query using OpenAI
-   * @param {string} query - User query
-   * @param {function} onChunk - Callback for content chunks
-   * @param {Object} context - Additional context
-   * @returns {Promise<void>}
+   * Record a failed provider call with the circuit breaker. Only 5xx, timeout
+   * and network errors count against the provider; a bad request or an
+   * over-long context is down to the query, so it just gives back any
+   * half-open probe the call held.
+   * @param {string} providerId - Provider identifier
+   * @param {Error} error - Error from the call
+   * @param {number} durationMs - Time until the failure
    */
-  async streamOpenAIQuery(query, onChunk, context = {}) {
-    try {
-      const model = context.model || this.providers.OPENAI.models.default;
-      
-      // Prepare messages array
-      const messages = [];
-      
-      // Add system message if provided
-      if (context.systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: context.systemPrompt
-        });
-      }
-      
-      // Add conversation history if provided
-      if (context.history && Array.isArray(context.history)) {
-        messages.push(...context.history);
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Call the OpenAI API with streaming
-      const stream = await openai.chat.completions.create({
-        model,
-        messages,
-        temperature: context.temperature || 0.7,
-        max_tokens: context.maxTokens || 1024,
-        stream: true
-      });
-      
-      // Process the stream
-      for await (const chunk of stream) {
-        if (chunk.choices[0]?.delta?.content) {
-          onChunk(chunk.choices[0].delta.content);
-        }
-      }
-    } catch (error) {
-      console.error('Error with OpenAI streaming API:', error);
-      
-      // Try fallback model if available
-      if (!context.isFallback) {
-        return this.streamOpenAIQuery(query, onChunk, {
-          ...context,
-          isFallback: true,
-          model: this.providers.OPENAI.models.fallback
-        });
-      }
-      
-      throw error;
+  recordError(providerId, error, durationMs) {
+    if (error.code !== 'LLM_FIXTURE_MISSING' && PROVIDER_FAULT_CLASSES.includes(RetryPolicy.classifyError(error))) {
+      CircuitBreaker.recordFailure(providerId, durationMs);
+    } else {
+      CircuitBreaker.release(providerId);
     }
   }
 
   /**
-   * Process a query using Perplexity
+   * Build the context that asks a provider to continue a partial answer
    * @param {string} query - User query
-   * @param {Object} context - Additional context
-   * @returns {Promise<Object>} - Perplexity response
+   * @param {string} partial - Answer streamed so far
+   * @param {Object} context - Original context
+   * @returns {Object} - Context with the query and partial answer in the history
    */
-  async processPerplexityQuery(query, context = {}) {
-    try {
-      const perplexityUrl = 'https://api.perplexity.ai/chat/completions';
-      const model = context.model || this.providers.PERPLEXITY.models.default;
-      
-      // Prepare messages array
-      const messages = [];
-      
-      // Add system message if provided
-      if (context.systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: context.systemPrompt || 'You are a helpful assistant that provides accurate and current information with sources when possible.'
-        });
-      }
-      
-      // Add conversation history if provided
-      if (context.history && Array.isArray(context.history)) {
-        messages.push(...context.history);
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Prepare the request body
-      const requestBody = {
-        model,
-        messages,
-        temperature: context.temperature || 0.7,
-        max_tokens: context.maxTokens || 1024
-      };
-      
-      // Make the API request
-      const response = await fetch(perplexityUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`Perplexity API error: ${errorData.error?.message || response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      // Extract references if available
-      const references = [];
-      try {
-        // This is a simplified approach - actual reference extraction depends on Perplexity's format
-        const content = data.choices[0].message.content;
-        const referencesMatch = content.match(/Sources:\s*((?:.|\n)*?)(?:\n\n|$)/i);
-        
-        if (referencesMatch && referencesMatch[1]) {
-          const referencesText = referencesMatch[1];
-          const refMatches = referencesText.match(/\[(\d+)\]\s*(.+?)(?=\[\d+\]|$)/g);
-          
-          if (refMatches) {
-            for (const refMatch of refMatches) {
-              const parts = refMatch.match(/\[(\d+)\]\s*(.+)/);
-              if (parts) {
-                references.push({
-                  number: parseInt(parts[1]),
-                  text: parts[2].trim()
-                });
-              }
-            }
-          }
-        }
-      } catch (e) {
-        console.error('Error extracting references:', e);
-      }
-      
-      return {
-        content: data.choices[0].message.content,
-        tokenUsage: {
-          prompt_tokens: data.usage.prompt_tokens,
-          completion_tokens: data.usage.completion_tokens,
-          total_tokens: data.usage.total_tokens
-        },
-        model: data.model,
-        references,
-        cacheable: false  // Don't cache search results as they may change
-      };
-    } catch (error) {
-      console.error('Error with Perplexity API:', error);
-      
-      // Try fallback model if available
-      if (!context.isFallback) {
-        return this.processPerplexityQuery(query, {
-          ...context,
-          isFallback: true,
-          model: this.providers.PERPLEXITY.models.fallback
-        });
-      }
-      
-      throw error;
-    }
+  getContinuationContext(query, partial, context) {
+    return {
+      ...context,
+      history: [
+        ...(context.history || []),
+        { role: 'user', content: query },
+        { role: 'assistant', content: partial }
+      ]
+    };
   }
-  
+
   /**
-   * Stream a query using Perplexity
-   * @param {string} query - User query
-   * @param {function} onChunk - Callback for content chunks
-   * @param {Object} context - Additional context
-   * @returns {Promise<void>}
+   * Get the adapter of a registered provider
+   * @param {string} providerId - Provider identifier
+   * @returns {Object} - Provider adapter (recording or replaying fixtures if enabled)
    */
-  async streamPerplexityQuery(query, onChunk, context = {}) {
-    try {
-      const perplexityUrl = 'https://api.perplexity.ai/chat/completions';
-      const model = context.model || this.providers.PERPLEXITY.models.default;
-      
-      // Prepare messages array
-      const messages = [];
-      
-      // Add system message if provided
-      if (context.systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: context.systemPrompt || 'You are a helpful assistant that provides accurate and current information with sources when possible.'
-        });
-      }
-      
-      // Add conversation history if provided
-      if (context.history && Array.isArray(context.history)) {
-        messages.push(...context.history);
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Prepare the request body
-      const requestBody = {
-        model,
-        messages,
-        temperature: context.temperature || 0.7,
-        max_tokens: context.maxTokens || 1024,
-        stream: true
-      };
-      
-      // Make the API request
-      const response = await fetch(perplexityUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`Perplexity API error: ${errorData || response.statusText}`);
-      }
-      
-      // Process the stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          break;
-        }
-        
-        // Decode the chunk and add to buffer
-        buffer += decoder.decode(value, { stream: true });
-        
-        // Process complete events in buffer
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep the last incomplete line in the buffer
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6); // Remove 'data: ' prefix
-            
-            if (data === '[DONE]') {
-              // End of stream
-              continue;
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              
-              if (parsed.choices && 
-                  parsed.choices[0].delta && 
-                  parsed.choices[0].delta.content) {
-                // Send the text chunk to the callback
-                onChunk(parsed.choices[0].delta.content);
-              }
-            } catch (e) {
-              console.error('Error parsing Perplexity stream:', e);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error with Perplexity streaming API:', error);
-      
-      // Try fallback model if available
-      if (!context.isFallback) {
-        return this.streamPerplexityQuery(query, onChunk, {
-          ...context,
-          isFallback: true,
-          model: this.providers.PERPLEXITY.models.fallback
-        });
-      }
-      
-      throw error;
+  getAdapter(providerId) {
+    const adapter = LLMProviderRegistry.getProvider(providerId);
+    
+    if (!adapter) {
+      throw new Error(`Provider ${providerId} not supported`);
     }
+    
+    return FixtureRecorder.wrap(adapter);
   }
 
   /**
-   * Process a query using DeepSeek
+   * Get a full response from a provider, retrying with its fallback model on failure
+   * @param {Object} adapter - Provider adapter
    * @param {string} query - User query
    * @param {Object} context - Additional context
-   * @returns {Promise<Object>} - DeepSeek response
+   * @returns {Promise<Object>} - Provider response
    */
-  async processDeepSeekQuery(query, context = {}) {
+  async complete(adapter, query, context = {}) {
     try {
-      const deepseekUrl = 'https://api.deepseek.com/v1/chat/completions';
-      const model = context.model || this.providers.DEEPSEEK.models.default;
-      
-      // Prepare messages array
-      const messages = [];
-      
-      // Add system message if provided
-      if (context.systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: context.systemPrompt
-        });
-      }
-      
-      // Add conversation history if provided
-      if (context.history && Array.isArray(context.history)) {
-        messages.push(...context.history);
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Prepare the request body
-      const requestBody = {
-        model,
-        messages,
-        temperature: context.temperature || 0.7,
-        max_tokens: context.maxTokens || 1024
-      };
-      
-      // Make the API request
-      const response = await fetch(deepseekUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(`DeepSeek API error: ${errorData.error?.message || response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      return {
-        content: data.choices[0].message.content,
-        tokenUsage: {
-          prompt_tokens: data.usage.prompt_tokens,
-          completion_tokens: data.usage.completion_tokens,
-          total_tokens: data.usage.total_tokens
-        },
-        model: data.model,
-        cacheable: true
-      };
+      return await adapter.complete(query, context);
     } catch (error) {
-      console.error('Error with DeepSeek API:', error);
+      console.error(`Error with ${adapter.name} API:`, error);
       
       // Try fallback model if available
-      if (!context.isFallback) {
-        return this.processDeepSeekQuery(query, {
+      if (error.code !== 'LLM_FIXTURE_MISSING' && !context.isFallback && adapter.models.fallback) {
+        return this.complete(adapter, query, {
           ...context,
           isFallback: true,
-          model: this.providers.DEEPSEEK.models.fallback
+          model: adapter.models.fallback
         });
       }
       
@@ -915,115 +455,33 @@ class LLMService {
   }
 
   /**
-   * Stream a query using DeepSeek
+   * Stream a response from a provider, retrying with its fallback model if it
+   * fails before sending anything
+   * @param {Object} adapter - Provider adapter
    * @param {string} query - User query
    * @param {function} onChunk - Callback for content chunks
    * @param {Object} context - Additional context
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} - { tokenUsage, model }
    */
-  async streamDeepSeekQuery(query, onChunk, context = {}) {
+  async stream(adapter, query, onChunk, context = {}) {
+    let started = false;
+    
     try {
-      const deepseekUrl = 'https://api.deepseek.com/v1/chat/completions';
-      const model = context.model || this.providers.DEEPSEEK.models.default;
-      
-      // Prepare messages array
-      const messages = [];
-      
-      // Add system message if provided
-      if (context.systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: context.systemPrompt
-        });
-      }
-      
-      // Add conversation history if provided
-      if (context.history && Array.isArray(context.history)) {
-        messages.push(...context.history);
-      }
-      
-      // Add the current query
-      messages.push({
-        role: 'user',
-        content: query
-      });
-      
-      // Prepare the request body
-      const requestBody = {
-        model,
-        messages,
-        temperature: context.temperature || 0.7,
-        max_tokens: context.maxTokens || 1024,
-        stream: true
-      };
-      
-      // Make the API request
-      const response = await fetch(deepseekUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorData = await response.text();
-        throw new Error(`DeepSeek API error: ${errorData || response.statusText}`);
-      }
+      const result = await adapter.stream(query, (chunk) => {
+        started = true;
+        onChunk(chunk);
+      }, context);
       
-      // Process the stream
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let buffer = '';
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        
-        if (done) {
-          break;
-        }
-        
-        // Decode the chunk and add to buffer
-        buffer += decoder.decode(value, { stream: true });
-        
-        // Process complete events in buffer
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || ''; // Keep the last incomplete line in the buffer
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6); // Remove 'data: ' prefix
-            
-            if (data === '[DONE]') {
-              // End of stream
-              continue;
-            }
-            
-            try {
-              const parsed = JSON.parse(data);
-              
-              if (parsed.choices && 
-                  parsed.choices[0].delta && 
-                  parsed.choices[0].delta.content) {
-                // Send the text chunk to the callback
-                onChunk(parsed.choices[0].delta.content);
-              }
-            } catch (e) {
-              console.error('Error parsing DeepSeek stream:', e);
-            }
-          }
-        }
-      }
+      return result || {};
     } catch (error) {
-      console.error('Error with DeepSeek streaming API:', error);
+      console.error(`Error with ${adapter.name} streaming API:`, error);
       
-      // Try fallback model if available
-      if (!context.isFallback) {
-        return this.streamDeepSeekQuery(query, onChunk, {
+      // Try fallback model if available (a restart after partial output would repeat it)
+      if (!started && error.code !== 'LLM_FIXTURE_MISSING' && !context.isFallback && adapter.models.fallback) {
+        return this.stream(adapter, query, onChunk, {
           ...context,
           isFallback: true,
-          model: this.providers.DEEPSEEK.models.fallback
+          model: adapter.models.fallback
         });
       }
       
@@ -1076,7 +534,8 @@ class LLMService {
       
       // Store in Redis with TTL based on provider
       // Search results get shorter TTL since they may change
-      const ttl = provider === 'PERPLEXITY' ? 900 : 3600; // 15 min for search, 1 hour for others
+      const adapter = LLMProviderRegistry.getProvider(provider);
+      const ttl = (adapter && adapter.cacheTtl) || 3600;
       
       await redis.set(
         `query_response:${queryHash}`, 
@@ -1139,31 +598,13 @@ class LLMService {
       }
       
       // If no cached status, assume available
-      // In a production system, you might want to implement actual health checks here
+      // Actual health is tracked by the circuit breakers; this status lets operators switch a provider off
       await redis.set(cacheKey, 'available', 'EX', 60); // Cache for 1 minute
       return true;
     } catch (error) {
       console.error(`Error checking provider availability (${provider}):`, error);
-      return false;
-    }
-  }
-
-  /**
-   * Get a fallback provider when primary is unavailable
-   * @param {string} provider - Original provider
-   * @returns {string} - Fallback provider
-   */
-  getFallbackProvider(provider) {
-    // Fallback chain: Claude -> OpenAI -> GPT-3.5
-    switch (provider) {
-      case 'CLAUDE':
-        return 'OPENAI';
-      case 'PERPLEXITY':
-        return 'OPENAI';
-      case 'DEEPSEEK':
-        return 'CLAUDE';
-      default:
-        return 'OPENAI'; // Default fallback
+      // The circuit breakers still protect against a provider that is actually down
+      return true;
     }
   }
 
@@ -1171,12 +612,13 @@ class LLMService {
    * Estimate token usage for a query and response
    * @param {string} query - User query
    * @param {string} response - LLM response
+   * @param {Object} adapter - Provider adapter (its tokenizer is used when given)
    * @returns {Object} - Token usage estimate
    */
-  estimateTokenUsage(query, response) {
-    // Very rough estimation based on token-to-word ratio of ~1.33
-    const promptTokens = Math.ceil(query.split(/\s+/).length * 1.33);
-    const completionTokens = Math.ceil(response.split(/\s+/).length * 1.33);
+  estimateTokenUsage(query, response, adapter = null) {
+    const countTokens = adapter ? text => adapter.countTokens(text) : text => ProviderAdapter.estimateTokens(text);
+    const promptTokens = countTokens(query);
+    const completionTokens = countTokens(response);
     
     return {
       prompt_tokens: promptTokens,
@@ -1194,10 +636,15 @@ class LLMService {
    * @param {boolean} fromCache - Whether response was from cache
    * @param {number} duration - Processing time in ms
    * @param {Object} tokenUsage - Token usage details
+   * @param {Object} route - Route taken: { requestedProvider, category, path: [{ provider, outcome, ... }] }
    * @returns {Promise<void>}
    */
-  async logQueryUsage(queryId, provider, query, response, fromCache, duration = 0, tokenUsage = null) {
+  async logQueryUsage(queryId, provider, query, response, fromCache, duration = 0, tokenUsage = null, route = null) {
     try {
+      const path = route ? route.path : [];
+      const succeeded = fromCache || path.some(step => step.outcome === 'success');
+      const requestedProvider = route ? route.requestedProvider : provider;
+      
       // Store query log in Supabase
       await supabase.from('query_logs').insert({
         id: queryId,
@@ -1209,6 +656,10 @@ class LLMService {
         prompt_tokens: tokenUsage?.prompt_tokens || 0,
         completion_tokens: tokenUsage?.completion_tokens || 0,
         total_tokens: tokenUsage?.total_tokens || 0,
+        requested_provider: requestedProvider,
+        category: route ? route.category : null,
+        route_path: path,
+        fallback_count: path.filter(step => step.outcome !== 'success').length,
         created_at: new Date().toISOString()
       });
       
@@ -1220,10 +671,25 @@ class LLMService {
       if (fromCache) {
         await redis.hincrby(counterKey, 'cache_hits', 1);
       }
+      if (!succeeded) {
+        await redis.hincrby(counterKey, 'failed', 1);
+      } else if (provider !== requestedProvider) {
+        // Count fallbacks against the provider that answered and by route
+        await redis.hincrby(counterKey, 'fallbacks', 1);
+        await redis.hincrby(`fallback_routes:${date}`, `${requestedProvider}>${provider}`, 1);
+        await redis.expire(`fallback_routes:${date}`, 60 * 60 * 24 * 30);
+      }
       if (tokenUsage) {
         await redis.hincrby(counterKey, 'prompt_tokens', tokenUsage.prompt_tokens || 0);
         await redis.hincrby(counterKey, 'completion_tokens', tokenUsage.completion_tokens || 0);
         await redis.hincrby(counterKey, 'total_tokens', tokenUsage.total_tokens || 0);
+        
+        // Cost from the provider's pricing (cache hits cost nothing)
+        const adapter = LLMProviderRegistry.getProvider(provider);
+        const cost = adapter && !fromCache ? ProviderAdapter.estimateCost(adapter, response.model, tokenUsage) : null;
+        if (cost !== null) {
+          await redis.hincrbyfloat(counterKey, 'cost_usd', cost);
+        }
       }
       
       // Set TTL on counter (30 days)
@@ -0,0 +1,373 @@
+// backend/services/llm/ToolCallingService.js
+/**
+ * Tool Calling Service
+ * 
+ * Lets the model act through connector actions. Every action of a connected
+ * service in ServiceConnectorsRegistry is offered as a tool, with the input
+ * schema from its manifest. Tool calls are validated and run through
+ * executeAction, and their results go back to the model until it answers.
+ * 
+ * Actions that are not declared readOnly change something for the user, so
+ * they only run once confirmed: by the confirm callback when one is given,
+ * otherwise the run pauses and is resumed with confirmCalls().
+ */
+
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const LLMService = require('./LLMService');
+const LLMProviderRegistry = require('./LLMProviderRegistry');
+const ServiceConnectorRegistry = require('../connectors/ServiceConnectorsRegistry');
+const ConnectorManifest = require('../connectors/ConnectorManifest');
+const OAuthService = require('../oauth/OAuthService');
+const ScheduleService = require('../automation/ScheduleService');
+
+// Initialize clients
+const redis = new Redis(process.env.REDIS_URL);
+
+const MAX_TURNS = 6;
+const CONFIRMATION_TTL = 15 * 60; // Seconds a paused run waits for confirmation
+const RESULT_LIMIT = 4000; // Characters of a tool result sent back to the model
+const TOOL_PROVIDERS = ['CLAUDE', 'OPENAI'];
+const TOOL_SEPARATOR = '__';
+
+const TOOL_SYSTEM_PROMPT = 'You are Conatus, an assistant that can act in the services the user has connected. ' +
+  'Use the tools when the user asks for something they can do, and ask for missing details instead of guessing them. ' +
+  'Some actions need the user\'s confirmation; if one is declined, do not retry it.';
+
+class ToolCallingService {
+  /**
+   * Get the tools available to a user: the actions of every connected service
+   * @param {string} userId - User ID
+   * @param {Object} options - { services: only offer these connector IDs }
+   * @returns {Promise<Array<Object>>} - [{ name, description, parameters, connector, action, readOnly }]
+   */
+  async getTools(userId, options = {}) {
+    const tools = [];
+    
+    for (const manifest of ServiceConnectorRegistry.getAllManifests()) {
+      if (options.services && !options.services.includes(manifest.id)) {
+        continue;
+      }
+      
+      const connected = manifest.auth.type === 'none' || await OAuthService.isServiceConnected(userId, manifest.id);
+      if (!connected) {
+        continue;
+      }
+      
+      for (const [actionId, action] of Object.entries(manifest.actions)) {
+        tools.push({
+          name: `${manifest.id}${TOOL_SEPARATOR}${actionId}`,
+          description: `${manifest.name}: ${action.description || actionId}`,
+          parameters: action.input,
+          connector: manifest.id,
+          action: actionId,
+          readOnly: action.readOnly === true
+        });
+      }
+    }
+    
+    return tools;
+  }
+
+  /**
+   * Answer a query, letting the model call tools along the way
+   * @param {string} query - User query
+   * @param {Object} options - { userId, provider, context, services, confirm(call) -> boolean }
+   * @returns {Promise<Object>} - Completed run { status: 'completed', content, toolCalls, ... } or
+   *                              paused run { status: 'confirmation_required', confirmationId, pendingCalls, ... }
+   */
+  async run(query, options = {}) {
+    const { userId, context = {}, services, confirm } = options;
+    
+    if (!userId) {
+      throw this.createError('userId is required', 400);
+    }
+    
+    const state = {
+      query,
+      userId,
+      provider: this.selectProvider(options.provider),
+      context,
+      tools: await this.getTools(userId, { services }),
+      toolTurns: [],
+      toolCalls: [],
+      pendingCalls: [],
+      tokenUsage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      turns: 0
+    };
+    
+    return this.continueRun(state, confirm);
+  }
+
+  /**
+   * Resume a run paused for confirmation
+   * @param {string} confirmationId - ID returned with the paused run
+   * @param {string} userId - User ID
+   * @param {boolean|Array<string>} approved - true or false for every pending call, or the IDs of the approved calls
+   * @returns {Promise<Object>} - Run result (may pause again)
+   */
+  async confirmCalls(confirmationId, userId, approved) {
+    const key = `tool_confirmation:${confirmationId}`;
+    const stored = await redis.get(key);
+    const state = stored ? JSON.parse(stored) : null;
+    
+    if (!state || state.userId !== userId) {
+      throw this.createError('Confirmation not found or expired', 404);
+    }
+    
+    // Deleting first means a confirmation can only run its calls once
+    if (!await redis.del(key)) {
+      throw this.createError('Confirmation not found or expired', 404);
+    }
+    
+    const pendingCalls = state.pendingCalls;
+    state.pendingCalls = [];
+    
+    for (const call of pendingCalls) {
+      const isApproved = Array.isArray(approved) ? approved.includes(call.id) : approved === true;
+      await this.handleCall(state, call, () => isApproved);
+    }
+    
+    return this.continueRun(state);
+  }
+
+  /**
+   * Call the model until it answers without tool calls, a call needs
+   * confirmation, or the turn limit is reached
+   * @param {Object} state - Run state
+   * @param {Function} confirm - Optional confirmation callback
+   * @returns {Promise<Object>} - Run result
+   */
+  async continueRun(state, confirm) {
+    let response = null;
+    
+    while (state.turns < MAX_TURNS) {
+      state.turns++;
+      
+      response = await LLMService.routeQuery(state.query, state.provider, {
+        ...state.context,
+        userId: state.userId,
+        systemPrompt: state.context.systemPrompt || TOOL_SYSTEM_PROMPT,
+        tools: state.tools.map(({ name, description, parameters }) => ({ name, description, parameters })),
+        toolTurns: state.toolTurns,
+        allowCache: false
+      });
+      
+      this.addTokenUsage(state, response.tokenUsage);
+      
+      if (response.provider === 'ERROR' || !response.toolCalls || response.toolCalls.length === 0) {
+        return this.finishRun(state, response);
+      }
+      
+      state.toolTurns.push({ role: 'assistant', content: response.content || '', toolCalls: response.toolCalls });
+      
+      for (const call of response.toolCalls) {
+        await this.handleCall(state, call, confirm);
+      }
+      
+      if (state.pendingCalls.length > 0) {
+        return this.pauseRun(state, response);
+      }
+    }
+    
+    return this.finishRun(state, response, 'max_turns');
+  }
+
+  /**
+   * Validate a tool call, then run, decline or hold it for confirmation
+   * @param {Object} state - Run state
+   * @param {Object} call - { id, name, arguments }
+   * @param {Function} confirm - Returns true, false, or undefined to ask the user later
+   * @returns {Promise<void>}
+   */
+  async handleCall(state, call, confirm) {
+    const tool = state.tools.find(candidate => candidate.name === call.name);
+    const record = {
+      id: call.id,
+      tool: call.name,
+      connector: tool ? tool.connector : null,
+      action: tool ? tool.action : null,
+      arguments: call.arguments
+    };
+    
+    const problem = this.checkCall(call, tool);
+    if (problem) {
+      return this.addResult(state, { ...record, status: 'invalid', error: problem.error, details: problem.details });
+    }
+    
+    if (!tool.readOnly) {
+      const approved = confirm ? await confirm(record) : undefined;
+      
+      if (approved === undefined) {
+        state.pendingCalls.push(call);
+        return;
+      }
+      
+      if (!approved) {
+        return this.addResult(state, { ...record, status: 'declined', error: 'The user declined this action' });
+      }
+    }
+    
+    try {
+      const accessToken = await this.getAccessToken(state.userId, tool.connector);
+      const timezone = await ScheduleService.getUserTimezone(state.userId);
+      const result = await ServiceConnectorRegistry.executeAction(tool.connector, tool.action, call.arguments, accessToken, { timezone });
+      this.addResult(state, { ...record, status: 'completed', result });
+    } catch (error) {
+      this.addResult(state, { ...record, status: 'failed', error: error.message, details: error.details });
+    }
+  }
+
+  /**
+   * Check a tool call against the tool's input schema
+   * @param {Object} call - { name, arguments }
+   * @param {Object} tool - Tool, if the name matched one
+   * @returns {Object|null} - { error, details } or null if the call is valid
+   */
+  checkCall(call, tool) {
+    if (!tool) {
+      return { error: `Unknown tool ${call.name}` };
+    }
+    
+    if (!call.arguments || typeof call.arguments !== 'object' || Array.isArray(call.arguments)) {
+      return { error: 'Arguments must be a JSON object' };
+    }
+    
+    const validation = ConnectorManifest.validateParams(tool.parameters, call.arguments);
+    return validation.valid ? null : { error: 'Invalid arguments', details: validation.errors };
+  }
+
+  /**
+   * Record a tool call outcome and give it to the model as the call's result
+   * @param {Object} state - Run state
+   * @param {Object} record - Tool call record with its status
+   */
+  addResult(state, record) {
+    state.toolCalls.push(record);
+    
+    const payload = record.status === 'completed'
+      ? record.result
+      : { error: record.error, ...(record.details ? { details: record.details } : {}) };
+    let content = JSON.stringify(payload === undefined ? null : payload);
+    
+    if (content.length > RESULT_LIMIT) {
+      content = `${content.substring(0, RESULT_LIMIT)}... (truncated)`;
+    }
+    
+    state.toolTurns.push({ role: 'tool', toolCallId: record.id, name: record.tool, content });
+  }
+
+  /**
+   * Store a run until its pending calls are confirmed
+   * @param {Object} state - Run state
+   * @param {Object} response - Last model response
+   * @returns {Promise<Object>} - Paused run
+   */
+  async pauseRun(state, response) {
+    const confirmationId = uuidv4();
+    
+    await redis.set(`tool_confirmation:${confirmationId}`, JSON.stringify(state), 'EX', CONFIRMATION_TTL);
+    
+    return {
+      status: 'confirmation_required',
+      confirmationId,
+      expiresAt: new Date(Date.now() + CONFIRMATION_TTL * 1000).toISOString(),
+      content: response.content || '',
+      pendingCalls: state.pendingCalls.map(call => {
+        const tool = state.tools.find(candidate => candidate.name === call.name);
+        return {
+          id: call.id,
+          tool: call.name,
+          connector: tool.connector,
+          action: tool.action,
+          description: tool.description,
+          arguments: call.arguments
+        };
+      }),
+      toolCalls: state.toolCalls,
+      provider: response.provider,
+      tokenUsage: state.tokenUsage
+    };
+  }
+
+  /**
+   * Build the result of a finished run
+   * @param {Object} state - Run state
+   * @param {Object} response - Last model response
+   * @param {string} stopReason - Why the run ended early, if it did
+   * @returns {Object} - Completed run
+   */
+  finishRun(state, response, stopReason = null) {
+    return {
+      status: 'completed',
+      content: (response && response.content) || '',
+      toolCalls: state.toolCalls,
+      provider: response ? response.provider : state.provider,
+      model: response ? response.model : null,
+      tokenUsage: state.tokenUsage,
+      ...(response && response.error ? { error: response.error } : {}),
+      ...(stopReason ? { stopReason } : {})
+    };
+  }
+
+  /**
+   * Pick a provider that can call tools, preferring the requested one
+   * @param {string} providerId - Requested provider
+   * @returns {string} - Provider ID
+   */
+  selectProvider(providerId) {
+    const candidates = [providerId, ...TOOL_PROVIDERS].filter(Boolean);
+    
+    for (const candidate of candidates) {
+      const adapter = LLMProviderRegistry.getProvider(candidate);
+      if (adapter && adapter.capabilities.tools) {
+        return candidate;
+      }
+    }
+    
+    throw this.createError('No LLM provider with tool calling is available', 503);
+  }
+
+  /**
+   * Get the access token for a connector, if it needs one
+   * @param {string} userId - User ID
+   * @param {string} connectorId - Connector ID
+   * @returns {Promise<string|null>} - Access token
+   */
+  async getAccessToken(userId, connectorId) {
+    const manifest = ServiceConnectorRegistry.getConnectorManifest(connectorId);
+    
+    if (manifest && manifest.auth.type === 'none') {
+      return null;
+    }
+    
+    return OAuthService.getAccessToken(userId, connectorId);
+  }
+
+  /**
+   * Add a response's token usage to the run total
+   * @param {Object} state - Run state
+   * @param {Object} tokenUsage - Token usage
+   */
+  addTokenUsage(state, tokenUsage) {
+    if (!tokenUsage) return;
+    
+    state.tokenUsage.prompt_tokens += tokenUsage.prompt_tokens || 0;
+    state.tokenUsage.completion_tokens += tokenUsage.completion_tokens || 0;
+    state.tokenUsage.total_tokens += tokenUsage.total_tokens || 0;
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @returns {Error} - Error
+   */
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new ToolCallingService();
@@ -0,0 +1,45 @@
+// backend/services/llm/providers/LocalProvider.js
+/**
+ * Local Provider
+ * 
+ * Any OpenAI-compatible server you run yourself (llama.cpp server, Ollama, a
+ * fixture replay server), for development and tests without hosted API keys.
+ * Set LLM_PROVIDER=LOCAL to send every query here.
+ * 
+ * LOCAL_LLM_BASE_URL - Server URL up to /v1 (default: llama.cpp server on port 8080;
+ *                      Ollama is http://localhost:11434/v1)
+ * LOCAL_LLM_MODELS   - Comma-separated models; the first is the default, the second the fallback
+ * LOCAL_LLM_API_KEY  - Sent as a bearer token if the server wants one
+ * LOCAL_LLM_CONTEXT_WINDOW - Context size the server was started with (default 8192)
+ * LOCAL_LLM_TOOLS    - false if the server or model cannot call tools
+ * LOCAL_LLM_PRICING  - "input,output" USD per 1M tokens to cost local runs (default: free)
+ */
+
+const OpenAICompatibleAdapter = require('../OpenAICompatibleAdapter');
+
+const models = (process.env.LOCAL_LLM_MODELS || 'local')
+  .split(',')
+  .map(model => model.trim())
+  .filter(Boolean);
+
+const [inputPrice, outputPrice] = (process.env.LOCAL_LLM_PRICING || '0,0').split(',').map(Number);
+
+module.exports = new OpenAICompatibleAdapter({
+  id: 'LOCAL',
+  name: 'Local',
+  baseUrl: (process.env.LOCAL_LLM_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, ''),
+  apiKey: () => process.env.LOCAL_LLM_API_KEY,
+  models: {
+    default: models[0] || 'local',
+    fallback: models[1] || null
+  },
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    webSearch: false,
+    tools: process.env.LOCAL_LLM_TOOLS !== 'false',
+    contextWindow: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW || '8192', 10)
+  },
+  // USD per 1M tokens
+  pricing: Object.fromEntries(models.map(model => [model, { input: inputPrice || 0, output: outputPrice || 0 }]))
+});
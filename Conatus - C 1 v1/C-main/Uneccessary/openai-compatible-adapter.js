@@ -0,0 +1,200 @@
+// backend/services/llm/OpenAICompatibleAdapter.js
+/**
+ * OpenAI-Compatible Adapter
+ * 
+ * Provider adapter for any API that speaks the OpenAI chat completions
+ * protocol (POST {baseUrl}/chat/completions, streamed as server-sent events).
+ * OpenAI, DeepSeek, Perplexity and local servers are instances of it; a new compatible
+ * provider only needs its settings:
+ * 
+ *   module.exports = new OpenAICompatibleAdapter({
+ *     id: 'MISTRAL',
+ *     name: 'Mistral',
+ *     baseUrl: 'https://api.mistral.ai/v1',
+ *     apiKey: () => process.env.MISTRAL_API_KEY,
+ *     models: { default: 'mistral-large-latest', fallback: 'mistral-small-latest' },
+ *     capabilities: { streaming: true, systemPrompt: true, webSearch: false, tools: true, contextWindow: 32000 },
+ *     pricing: { 'mistral-large-latest': { input: 2, output: 6 } }
+ *   });
+ */
+
+const fetch = require('node-fetch');
+const ProviderAdapter = require('./ProviderAdapter');
+
+class OpenAICompatibleAdapter {
+  /**
+   * @param {Object} config - { id, name, baseUrl, apiKey (string or function), headers, models,
+   *                          capabilities, pricing, cacheTtl, cacheable }
+   */
+  constructor(config) {
+    this.id = config.id;
+    this.name = config.name;
+    this.baseUrl = config.baseUrl;
+    this.apiKey = config.apiKey;
+    this.headers = config.headers || {};
+    this.models = config.models;
+    this.capabilities = config.capabilities || {};
+    this.pricing = config.pricing || {};
+    this.cacheTtl = config.cacheTtl || 3600;
+    this.cacheable = config.cacheable !== false;
+  }
+
+  /**
+   * Send a query and wait for the full response
+   * @param {string} query - User query
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} - { content, tokenUsage, model, cacheable }
+   */
+  async complete(query, context = {}) {
+    const response = await this.request(query, context, false);
+    const data = await response.json();
+    
+    return this.parseCompletion(data);
+  }
+
+  /**
+   * Stream a query, passing text chunks to onChunk as they arrive
+   * @param {string} query - User query
+   * @param {Function} onChunk - Callback for content chunks
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} - { tokenUsage, model } (tokenUsage is null if the server did not report it)
+   */
+  async stream(query, onChunk, context = {}) {
+    const response = await this.request(query, context, true);
+    let tokenUsage = null;
+    let model = null;
+    
+    await ProviderAdapter.readEventStream(response, (parsed) => {
+      model = parsed.model || model;
+      
+      const content = parsed.choices && parsed.choices[0] && parsed.choices[0].delta && parsed.choices[0].delta.content;
+      if (content) {
+        onChunk(content);
+      }
+      
+      if (parsed.usage) {
+        tokenUsage = this.parseUsage(parsed.usage);
+      }
+    }, this.name);
+    
+    return { tokenUsage, model };
+  }
+
+  /**
+   * Estimate the tokens in a text
+   * @param {string} text - Text
+   * @returns {number} - Estimated tokens
+   */
+  countTokens(text) {
+    return ProviderAdapter.estimateTokens(text);
+  }
+
+  /**
+   * Call the chat completions endpoint
+   * @param {string} query - User query
+   * @param {Object} context - Additional context
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Promise<Object>} - fetch response
+   */
+  async request(query, context, stream) {
+    const apiKey = typeof this.apiKey === 'function' ? this.apiKey() : this.apiKey;
+    const body = {
+      model: context.model || this.models.default,
+      messages: ProviderAdapter.buildMessages(query, context).map(message => this.toMessage(message)),
+      temperature: context.temperature || 0.7,
+      max_tokens: context.maxTokens || 1024
+    };
+    
+    if (this.capabilities.tools && Array.isArray(context.tools) && context.tools.length > 0) {
+      body.tools = context.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+    
+    if (stream) {
+      body.stream = true;
+    }
+    
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...this.headers
+      },
+      body: JSON.stringify(body)
+    });
+    
+    if (!response.ok) {
+      throw await ProviderAdapter.createApiError(this.name, response);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Turn a chat completion into a provider response
+   * @param {Object} data - Chat completion
+   * @returns {Object} - { content, tokenUsage, model, cacheable }
+   */
+  parseCompletion(data) {
+    const message = data.choices[0].message;
+    const toolCalls = (message.tool_calls || []).map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: ProviderAdapter.parseToolArguments(call.function.arguments)
+    }));
+    
+    return {
+      content: message.content || '',
+      ...(toolCalls.length > 0 ? { toolCalls } : {}),
+      tokenUsage: data.usage ? this.parseUsage(data.usage) : null,
+      model: data.model,
+      cacheable: this.cacheable && toolCalls.length === 0
+    };
+  }
+
+  /**
+   * Convert a message to the chat completions format
+   * @param {Object} message - { role, content } or a tool turn
+   * @returns {Object} - Chat completions message
+   */
+  toMessage(message) {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    
+    if (message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments)
+          }
+        }))
+      };
+    }
+    
+    return { role: message.role, content: message.content };
+  }
+
+  /**
+   * Normalize reported token usage
+   * @param {Object} usage - Usage from the API
+   * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+   */
+  parseUsage(usage) {
+    return {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+  }
+}
+
+module.exports = OpenAICompatibleAdapter;
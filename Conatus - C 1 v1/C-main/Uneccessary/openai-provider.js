@@ -0,0 +1,31 @@
+// backend/services/llm/providers/OpenAIProvider.js
+/**
+ * OpenAI Provider
+ * 
+ * GPT models through the OpenAI chat completions API.
+ */
+
+const OpenAICompatibleAdapter = require('../OpenAICompatibleAdapter');
+
+module.exports = new OpenAICompatibleAdapter({
+  id: 'OPENAI',
+  name: 'OpenAI',
+  baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey: () => process.env.OPENAI_API_KEY,
+  models: {
+    default: 'gpt-4-turbo',
+    fallback: 'gpt-3.5-turbo'
+  },
+  capabilities: {
+    streaming: true,
+    systemPrompt: true,
+    webSearch: false,
+    tools: true,
+    contextWindow: 128000
+  },
+  // USD per 1M tokens
+  pricing: {
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+  }
+});
@@ -0,0 +1,86 @@
+// backend/services/llm/providers/PerplexityProvider.js
+/**
+ * Perplexity Provider
+ * 
+ * Search-backed Sonar models through Perplexity's OpenAI-compatible API.
+ * Answers cite sources, which are returned as references; they are cached
+ * only briefly since search results change.
+ */
+
+const OpenAICompatibleAdapter = require('../OpenAICompatibleAdapter');
+
+class PerplexityProvider extends OpenAICompatibleAdapter {
+  constructor() {
+    super({
+      id: 'PERPLEXITY',
+      name: 'Perplexity',
+      baseUrl: 'https://api.perplexity.ai',
+      apiKey: () => process.env.PERPLEXITY_API_KEY,
+      models: {
+        default: 'sonar-medium-online',
+        fallback: 'sonar-small-online'
+      },
+      capabilities: {
+        streaming: true,
+        systemPrompt: true,
+        webSearch: true,
+        tools: false,
+        contextWindow: 12000
+      },
+      // USD per 1M tokens
+      pricing: {
+        'sonar-medium-online': { input: 0.8, output: 2.4 },
+        'sonar-small-online': { input: 0.4, output: 1.2 }
+      },
+      cacheTtl: 900,
+      cacheable: false // Don't cache search results as they may change
+    });
+  }
+
+  /**
+   * Turn a chat completion into a provider response with its references
+   * @param {Object} data - Chat completion
+   * @returns {Object} - { content, tokenUsage, model, references, cacheable }
+   */
+  parseCompletion(data) {
+    const response = super.parseCompletion(data);
+    
+    return {
+      ...response,
+      references: this.extractReferences(response.content)
+    };
+  }
+
+  /**
+   * Extract the numbered sources listed at the end of an answer
+   * @param {string} content - Answer text
+   * @returns {Array<Object>} - [{ number, text }]
+   */
+  extractReferences(content) {
+    const references = [];
+    
+    try {
+      const referencesMatch = content.match(/Sources:\s*((?:.|\n)*?)(?:\n\n|$)/i);
+      
+      if (referencesMatch && referencesMatch[1]) {
+        const refMatches = referencesMatch[1].match(/\[(\d+)\]\s*(.+?)(?=\[\d+\]|$)/g);
+        
+        for (const refMatch of refMatches || []) {
+          const parts = refMatch.match(/\[(\d+)\]\s*(.+)/);
+          if (parts) {
+            references.push({
+              number: parseInt(parts[1]),
+              text: parts[2].trim()
+            });
+          }
+        }
+      }
+    } catch (e) {
+      console.error('Error extracting references:', e);
+    }
+    
+    return references;
+  }
+}
+
+module.exports = new PerplexityProvider();
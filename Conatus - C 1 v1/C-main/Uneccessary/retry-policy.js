@@ -0,0 +1,232 @@
+// backend/services/automation/RetryPolicy.js
+/**
+ * Retry Policy
+ * 
+ * Shared retry behaviour for workflow actions and scheduled tasks: maximum
+ * attempts, backoff curve, jitter and which classes of error are retried.
+ * 
+ * A policy looks like:
+ *   {
+ *     maxAttempts: 5,
+ *     backoff: 'exponential',      // fixed | linear | exponential
+ *     initialDelayMs: 1000,
+ *     maxDelayMs: 60000,
+ *     multiplier: 2,
+ *     jitter: 'full',              // none | full | equal
+ *     retryOn: ['rate_limited', 'service_unavailable', 'timeout', 'network']
+ *   }
+ */
+
+const ERROR_CLASSES = [
+  'validation',
+  'unauthorized',
+  'not_found',
+  'rate_limited',
+  'service_unavailable',
+  'timeout',
+  'network',
+  'unknown'
+];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH'];
+
+// Failures that leave it unknown whether the request took effect
+const IN_DOUBT_ERROR_CLASSES = ['timeout', 'network', 'unknown'];
+
+class RetryPolicy {
+  constructor() {
+    // Without a policy an action is attempted once
+    this.defaults = {
+      maxAttempts: 1,
+      backoff: 'exponential',
+      initialDelayMs: 1000,
+      maxDelayMs: 60000,
+      multiplier: 2,
+      jitter: 'full',
+      retryOn: ['rate_limited', 'service_unavailable', 'timeout', 'network']
+    };
+    
+    this.errorClasses = ERROR_CLASSES;
+  }
+
+  /**
+   * Merge a policy with the defaults
+   * @param {Object} policy - Retry policy (optional)
+   * @returns {Object} - Complete policy
+   */
+  normalize(policy = {}) {
+    const normalized = { ...this.defaults, ...(policy || {}) };
+    
+    normalized.maxAttempts = Math.max(1, parseInt(normalized.maxAttempts, 10) || 1);
+    normalized.retryOn = [].concat(normalized.retryOn || []);
+    
+    return normalized;
+  }
+
+  /**
+   * Get a policy that does not retry failures after which the action may
+   * already have run, for actions that are not safe to run twice
+   * @param {Object} policy - Retry policy (optional)
+   * @returns {Object} - Complete policy
+   */
+  withoutInDoubtRetries(policy = {}) {
+    const normalized = this.normalize(policy);
+    
+    normalized.retryOn = normalized.retryOn.filter(errorClass => !IN_DOUBT_ERROR_CLASSES.includes(errorClass));
+    
+    return normalized;
+  }
+
+  /**
+   * Validate a policy definition
+   * @param {Object} policy - Retry policy
+   * @returns {Array<string>} - Validation errors
+   */
+  validate(policy) {
+    const errors = [];
+    
+    if (!policy || typeof policy !== 'object') {
+      return ['Retry policy must be an object'];
+    }
+    
+    if (policy.maxAttempts !== undefined && (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1)) {
+      errors.push('maxAttempts must be a positive integer');
+    }
+    
+    if (policy.backoff !== undefined && !['fixed', 'linear', 'exponential'].includes(policy.backoff)) {
+      errors.push('backoff must be one of: fixed, linear, exponential');
+    }
+    
+    if (policy.jitter !== undefined && !['none', 'full', 'equal'].includes(policy.jitter)) {
+      errors.push('jitter must be one of: none, full, equal');
+    }
+    
+    for (const errorClass of [].concat(policy.retryOn || [])) {
+      if (!ERROR_CLASSES.includes(errorClass)) {
+        errors.push(`Unknown error class in retryOn: ${errorClass}`);
+      }
+    }
+    
+    return errors;
+  }
+
+  /**
+   * Classify an error so policies can decide whether to retry it
+   * @param {Error} error - Error thrown by an action
+   * @returns {string} - Error class
+   */
+  classifyError(error) {
+    if (!error) return 'unknown';
+    
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+    const code = error.code ? String(error.code) : '';
+    
+    if (error.name === 'ValidationError' || code === 'invalid_request' || status === 400 || status === 422) {
+      return 'validation';
+    }
+    if (code === 'unauthorized' || status === 401 || status === 403) {
+      return 'unauthorized';
+    }
+    if (code === 'not_found' || status === 404) {
+      return 'not_found';
+    }
+    if (code === 'rate_limited' || status === 429) {
+      return 'rate_limited';
+    }
+    if (code === 'service_unavailable' || status >= 500) {
+      return 'service_unavailable';
+    }
+    if (code === 'ETIMEDOUT' || error.type === 'request-timeout' || error.name === 'AbortError') {
+      return 'timeout';
+    }
+    if (NETWORK_ERROR_CODES.includes(code) || error.type === 'system') {
+      return 'network';
+    }
+    
+    return 'unknown';
+  }
+
+  /**
+   * Decide whether another attempt should be made
+   * @param {Error} error - Error from the last attempt
+   * @param {number} attempt - Number of attempts made so far
+   * @param {Object} policy - Normalized retry policy
+   * @returns {boolean} - Whether to retry
+   */
+  shouldRetry(error, attempt, policy) {
+    return attempt < policy.maxAttempts && policy.retryOn.includes(this.classifyError(error));
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempt - Number of attempts made so far (1 after the first failure)
+   * @param {Object} policy - Normalized retry policy
+   * @param {Error} error - Error from the last attempt (a Retry-After hint takes precedence)
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempt, policy, error = null) {
+    if (error && error.retryAfter) {
+      return Math.min(Number(error.retryAfter) * 1000, policy.maxDelayMs);
+    }
+    
+    let delay;
+    switch (policy.backoff) {
+      case 'fixed':
+        delay = policy.initialDelayMs;
+        break;
+      case 'linear':
+        delay = policy.initialDelayMs * attempt;
+        break;
+      default:
+        delay = policy.initialDelayMs * Math.pow(policy.multiplier, attempt - 1);
+    }
+    
+    delay = Math.min(delay, policy.maxDelayMs);
+    
+    switch (policy.jitter) {
+      case 'full':
+        return Math.round(Math.random() * delay);
+      case 'equal':
+        return Math.round(delay / 2 + Math.random() * (delay / 2));
+      default:
+        return delay;
+    }
+  }
+
+  /**
+   * Run a function under a retry policy
+   * @param {Function} fn - Async function receiving the attempt number (1-based)
+   * @param {Object} policy - Retry policy (optional)
+   * @param {Object} options - { onRetry(error, attempt, delay) }
+   * @returns {Promise<any>} - Result of the first successful attempt
+   */
+  async execute(fn, policy = {}, options = {}) {
+    const normalized = this.normalize(policy);
+    let attempt = 0;
+    
+    while (true) {
+      attempt++;
+      
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        error.attempts = attempt;
+        error.errorClass = this.classifyError(error);
+        
+        if (!this.shouldRetry(error, attempt, normalized)) {
+          throw error;
+        }
+        
+        const delay = this.getDelay(attempt, normalized, error);
+        
+        if (options.onRetry) {
+          options.onRetry(error, attempt, delay);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = new RetryPolicy();
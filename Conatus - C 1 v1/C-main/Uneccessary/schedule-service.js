@@ -0,0 +1,1041 @@
+// backend/services/automation/ScheduleService.js
+/**
+ * Schedule Service
+ * 
+ * Calculates fire times for recurring automations in the user's timezone.
+ * A recurring trigger config is one of:
+ *   { schedule: 'daily' | 'weekdays' | 'weekends', time: '09:00' }
+ *   { schedule: 'weekly', time: '09:00', day: 'monday' }
+ *   { schedule: 'monthly', time: '09:00', date: 31 }      // last day in shorter months
+ *   { schedule: 'cron', cron: '30 8 * * 1-5' }            // standard 5-field cron
+ *   { schedule: 'rrule', rrule: 'FREQ=MONTHLY;BYDAY=2TU', time: '09:00', startDate: '2024-01-09' }
+ * with optional timezone (IANA name, defaults to the user's setting) and
+ * exclude (['2024-12-25', '2024-12-31T09:00'] in local time).
+ * 
+ * Runs missed while no worker was up are handled by the optional misfire
+ * policy: { policy: 'skip' | 'run_once' | 'run_all', maxRuns: 5, graceMinutes: 10 }.
+ * skip drops them, run_once (the default) runs once for all of them and
+ * run_all runs each of the latest maxRuns. A run is missed once it is more
+ * than graceMinutes late; every missed window is recorded in automation_misfires.
+ * 
+ * Local times that don't exist because of a DST change run once the clocks
+ * have moved forward (02:30 becomes 03:30); local times that occur twice run
+ * at the first occurrence. RRULEs without a start date (DTSTART or startDate)
+ * are anchored at the automation's creation date.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const {
+  isValidTimezone,
+  toZoned,
+  fromZoned,
+  addDays,
+  weekdayOf,
+  dayNumber,
+  daysInMonth,
+  formatDate,
+  formatLocal
+} = require('../../../shared/timezone');
+
+// Initialize Supabase client
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+const PRESETS = ['daily', 'weekdays', 'weekends', 'weekly', 'monthly'];
+
+const DAY_NAMES = {
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+};
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'BYSETPOS', 'BYHOUR', 'BYMINUTE', 'WKST'];
+
+// Upper bounds on how far ahead occurrences are searched
+const MAX_CRON_DAYS = 366 * 8;
+const MAX_RRULE_PERIODS = 5000;
+
+const MAX_PREVIEW = 100;
+const TIMEZONE_CACHE_TTL = 5 * 60 * 1000;
+
+const MISFIRE_POLICIES = ['skip', 'run_once', 'run_all'];
+const MISFIRE_DEFAULTS = { policy: 'run_once', maxRuns: 5, graceMinutes: 10 };
+const MAX_CATCH_UP = 50;
+const MAX_MISSED = 1000; // Missed windows recorded per misfire
+
+class ScheduleService {
+  constructor() {
+    this.timezones = new Map();
+  }
+
+  /**
+   * Check whether a trigger config describes a recurring schedule
+   * @param {Object} triggerConfig - Trigger configuration
+   * @returns {boolean} - Whether it can be scheduled
+   */
+  isRecurring(triggerConfig) {
+    if (!triggerConfig) return false;
+    
+    return !!(triggerConfig.cron || triggerConfig.rrule ||
+      (PRESETS.includes(triggerConfig.schedule) && triggerConfig.time));
+  }
+
+  /**
+   * Validate a recurring trigger config
+   * @param {Object} triggerConfig - Trigger configuration
+   * @returns {Array<string>} - Validation errors
+   */
+  validate(triggerConfig) {
+    try {
+      this.compile(triggerConfig, { timezone: (triggerConfig && triggerConfig.timezone) || 'UTC' });
+      this.getMisfirePolicy(triggerConfig);
+      return [];
+    } catch (error) {
+      if (error.status === 400) return [error.message];
+      throw error;
+    }
+  }
+
+  /**
+   * Get the next fire time after a moment
+   * @param {Object} triggerConfig - Trigger configuration
+   * @param {Object} options - { timezone, from (default now), anchor: start of rules without one }
+   * @returns {Date|null} - Next fire time, or null if the schedule has ended
+   */
+  getNextExecutionTime(triggerConfig, options = {}) {
+    const [next] = this.getNextOccurrences(triggerConfig, { ...options, count: 1 });
+    return next || null;
+  }
+
+  /**
+   * Get the next fire times after a moment
+   * @param {Object} triggerConfig - Trigger configuration
+   * @param {Object} options - { timezone, from (default now), count (default 10, max 100), anchor }
+   * @returns {Array<Date>} - Fire times in ascending order
+   */
+  getNextOccurrences(triggerConfig, options = {}) {
+    const timezone = triggerConfig.timezone || options.timezone || 'UTC';
+    const schedule = this.compile(triggerConfig, { timezone, anchor: options.anchor });
+    const from = options.from ? new Date(options.from).getTime() : Date.now();
+    const count = Math.min(Math.max(parseInt(options.count, 10) || 10, 1), MAX_PREVIEW);
+    
+    if (isNaN(from)) {
+      throw this.createError('from must be a valid date', 400);
+    }
+    
+    const occurrences = schedule.cron
+      ? this.nextCronTimes(schedule, from, count)
+      : this.nextRRuleTimes(schedule, from, count);
+    
+    return occurrences.map(time => new Date(time));
+  }
+
+  /**
+   * Get the fire times within a time span
+   * @param {Object} triggerConfig - Trigger configuration
+   * @param {Object} options - { timezone, from (inclusive), to (exclusive), anchor, limit (default 1000) }
+   * @returns {Array<Date>} - Fire times in ascending order
+   */
+  getOccurrencesBetween(triggerConfig, options = {}) {
+    const to = new Date(options.to || Date.now()).getTime();
+    const limit = options.limit || MAX_MISSED;
+    const occurrences = [];
+    let from = new Date(options.from).getTime() - 1;
+    
+    while (occurrences.length < limit) {
+      const page = this.getNextOccurrences(triggerConfig, { ...options, from, count: MAX_PREVIEW })
+        .filter(date => date.getTime() < to);
+      
+      occurrences.push(...page.slice(0, limit - occurrences.length));
+      
+      if (page.length < MAX_PREVIEW) break;
+      from = page[page.length - 1].getTime();
+    }
+    
+    return occurrences;
+  }
+
+  /**
+   * Get the misfire policy of a trigger config
+   * @param {Object} triggerConfig - Trigger configuration
+   * @returns {Object} - { policy, maxRuns, graceMs }
+   */
+  getMisfirePolicy(triggerConfig) {
+    const misfire = { ...MISFIRE_DEFAULTS, ...((triggerConfig && triggerConfig.misfire) || {}) };
+    
+    if (!MISFIRE_POLICIES.includes(misfire.policy)) {
+      throw this.createError(`Unknown misfire policy: ${misfire.policy} (use ${MISFIRE_POLICIES.join(', ')})`, 400);
+    }
+    
+    const maxRuns = parseInt(misfire.maxRuns, 10);
+    if (isNaN(maxRuns) || maxRuns < 1 || maxRuns > MAX_CATCH_UP) {
+      throw this.createError(`misfire.maxRuns must be between 1 and ${MAX_CATCH_UP}`, 400);
+    }
+    
+    const graceMinutes = Number(misfire.graceMinutes);
+    if (isNaN(graceMinutes) || graceMinutes < 0) {
+      throw this.createError('misfire.graceMinutes must be zero or more', 400);
+    }
+    
+    return { policy: misfire.policy, maxRuns, graceMs: graceMinutes * 60000 };
+  }
+
+  /**
+   * Decide which missed windows of a late run are caught up
+   * @param {Object} triggerConfig - Trigger configuration
+   * @param {Object} options - { timezone, anchor, scheduledAt: time of the late run, now }
+   * @returns {Object|null} - { policy, windows, catchUp } (windows ascending, catchUp a subset), or null if the run is on time
+   */
+  planMisfire(triggerConfig, options = {}) {
+    const { policy, maxRuns, graceMs } = this.getMisfirePolicy(triggerConfig);
+    const scheduledAt = new Date(options.scheduledAt).getTime();
+    const now = options.now ? new Date(options.now).getTime() : Date.now();
+    
+    if (now - scheduledAt <= graceMs) {
+      return null;
+    }
+    
+    let windows = [];
+    
+    try {
+      windows = this.getOccurrencesBetween(triggerConfig, { ...options, from: scheduledAt, to: now });
+    } catch (error) {
+      // The schedule was changed into an invalid one; only the late run itself was missed
+      console.error('Error listing missed schedule windows:', error);
+    }
+    
+    // The late run counts even if the schedule has changed since it was planned
+    if (windows.length === 0 || windows[0].getTime() !== scheduledAt) {
+      windows.unshift(new Date(scheduledAt));
+    }
+    
+    let catchUp = [];
+    
+    if (policy === 'run_once') {
+      catchUp = windows.slice(-1);
+    } else if (policy === 'run_all') {
+      catchUp = windows.slice(-maxRuns);
+    }
+    
+    return { policy, windows, catchUp };
+  }
+
+  /**
+   * Record the windows of a recurring automation that were missed
+   * @param {Object} automation - Automation (id, user_id)
+   * @param {Object} plan - Result of planMisfire
+   * @param {string} scheduleId - Late schedule that revealed the misfire
+   * @returns {Promise<void>}
+   */
+  async recordMisfires(automation, plan, scheduleId) {
+    const caughtUp = new Set(plan.catchUp.map(date => date.getTime()));
+    const detectedAt = new Date().toISOString();
+    
+    const { error } = await supabase
+      .from('automation_misfires')
+      .insert(plan.windows.map(date => ({
+        automation_id: automation.id,
+        user_id: automation.user_id,
+        schedule_id: scheduleId,
+        scheduled_for: date.toISOString(),
+        policy: plan.policy,
+        outcome: caughtUp.has(date.getTime()) ? 'caught_up' : 'skipped',
+        detected_at: detectedAt
+      })));
+    
+    if (error) {
+      console.error('Error recording missed runs:', error);
+    }
+  }
+
+  /**
+   * Get the missed runs of an automation
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<Array>} - Missed windows, newest first
+   */
+  async getMisfires(automationId, userId, limit = 50) {
+    const { data, error } = await supabase
+      .from('automation_misfires')
+      .select('*')
+      .eq('automation_id', automationId)
+      .eq('user_id', userId)
+      .order('scheduled_for', { ascending: false })
+      .limit(limit);
+    
+    if (error) throw error;
+    
+    return data || [];
+  }
+
+  /**
+   * Format a fire time as local wall time in a timezone
+   * @param {Date} date - Fire time
+   * @param {string} timezone - IANA timezone
+   * @returns {string} - YYYY-MM-DDTHH:mm
+   */
+  formatLocal(date, timezone) {
+    return formatLocal(toZoned(date.getTime(), timezone));
+  }
+
+  /**
+   * Get a user's timezone from their settings
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} - IANA timezone (UTC if unset or invalid)
+   */
+  async getUserTimezone(userId) {
+    const { timezone } = await this.getUserTimeSettings(userId);
+    return timezone;
+  }
+
+  /**
+   * Get a user's timezone and language from their settings
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { timezone (UTC if unset or invalid), locale (en if unset) }
+   */
+  async getUserTimeSettings(userId) {
+    const cached = this.timezones.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.settings;
+    }
+    
+    const settings = { timezone: 'UTC', locale: 'en' };
+    
+    try {
+      const { data } = await supabase
+        .from('user_settings')
+        .select('timezone, language')
+        .eq('user_id', userId)
+        .maybeSingle();
+      
+      if (data && data.timezone && isValidTimezone(data.timezone)) {
+        settings.timezone = data.timezone;
+      }
+      
+      if (data && data.language) {
+        settings.locale = data.language;
+      }
+    } catch (error) {
+      console.error('Error fetching user time settings:', error);
+    }
+    
+    this.timezones.set(userId, { settings, expiresAt: Date.now() + TIMEZONE_CACHE_TTL });
+    
+    return settings;
+  }
+
+  /**
+   * Turn a trigger config into a cron or RRULE schedule
+   * @param {Object} triggerConfig - Trigger configuration
+   * @param {Object} options - { timezone, anchor }
+   * @returns {Object} - Compiled schedule
+   */
+  compile(triggerConfig, options) {
+    if (!triggerConfig || typeof triggerConfig !== 'object') {
+      throw this.createError('Schedule configuration is required', 400);
+    }
+    
+    const timezone = options.timezone;
+    
+    if (!isValidTimezone(timezone)) {
+      throw this.createError(`Unknown timezone: ${timezone}`, 400);
+    }
+    
+    const exclusions = this.parseExclusions(triggerConfig.exclude || [], timezone);
+    
+    if (triggerConfig.cron || triggerConfig.schedule === 'cron') {
+      return { timezone, exclusions, cron: this.parseCron(triggerConfig.cron) };
+    }
+    
+    if (triggerConfig.rrule || triggerConfig.schedule === 'rrule') {
+      return this.compileRRule(triggerConfig, timezone, exclusions, options.anchor);
+    }
+    
+    if (!PRESETS.includes(triggerConfig.schedule)) {
+      throw this.createError(`Unknown schedule type: ${triggerConfig.schedule}`, 400);
+    }
+    
+    const [hour, minute] = this.parseTime(triggerConfig.time);
+    
+    switch (triggerConfig.schedule) {
+      case 'daily':
+        return { timezone, exclusions, cron: this.parseCron(`${minute} ${hour} * * *`) };
+      
+      case 'weekdays':
+        return { timezone, exclusions, cron: this.parseCron(`${minute} ${hour} * * 1-5`) };
+      
+      case 'weekends':
+        return { timezone, exclusions, cron: this.parseCron(`${minute} ${hour} * * 0,6`) };
+      
+      case 'weekly': {
+        const day = DAY_NAMES[String(triggerConfig.day || '').toLowerCase()];
+        if (day === undefined) {
+          throw this.createError('Weekly schedules need a day (monday to sunday)', 400);
+        }
+        return { timezone, exclusions, cron: this.parseCron(`${minute} ${hour} * * ${day}`) };
+      }
+      
+      default: {
+        const date = parseInt(triggerConfig.date, 10);
+        if (isNaN(date) || date < 1 || date > 31) {
+          throw this.createError('Monthly schedules need a date between 1 and 31', 400);
+        }
+        
+        // Days past the end of a month run on its last day
+        const days = [];
+        for (let day = Math.min(date, 28); day <= date; day++) days.push(day);
+        
+        return this.compileRRule({
+          rrule: `FREQ=MONTHLY;BYMONTHDAY=${days.join(',')};BYSETPOS=-1`,
+          time: triggerConfig.time
+        }, timezone, exclusions, 0);
+      }
+    }
+  }
+
+  /**
+   * Parse a HH:mm time
+   * @param {string} time - Time of day
+   * @returns {Array<number>} - [hour, minute]
+   */
+  parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      throw this.createError(`Invalid time "${time}" (expected HH:mm)`, 400);
+    }
+    
+    return [Number(match[1]), Number(match[2])];
+  }
+
+  /**
+   * Parse exclusion dates
+   * @param {Array<string>} exclude - YYYY-MM-DD dates or YYYY-MM-DDTHH:mm local times
+   * @param {string} timezone - IANA timezone (for instants with an offset)
+   * @returns {Object} - { dates: Set, times: Set }
+   */
+  parseExclusions(exclude, timezone) {
+    const exclusions = { dates: new Set(), times: new Set() };
+    
+    if (!Array.isArray(exclude)) {
+      throw this.createError('exclude must be a list of dates', 400);
+    }
+    
+    for (const value of exclude) {
+      const text = String(value).trim();
+      
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        exclusions.dates.add(text);
+      } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(text)) {
+        exclusions.times.add(text.slice(0, 16));
+      } else if (!isNaN(Date.parse(text)) && /(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        exclusions.times.add(formatLocal(toZoned(Date.parse(text), timezone)));
+      } else {
+        throw this.createError(`Invalid exclusion date "${value}" (expected YYYY-MM-DD or YYYY-MM-DDTHH:mm)`, 400);
+      }
+    }
+    
+    return exclusions;
+  }
+
+  /**
+   * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+   * @param {string} expression - Cron expression or macro such as @daily
+   * @returns {Object} - { minutes, hours, daysOfMonth, lastDayOfMonth, months, daysOfWeek, domRestricted, dowRestricted }
+   */
+  parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw this.createError('Cron expression is required', 400);
+    }
+    
+    const source = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const fields = source.split(/\s+/);
+    
+    if (fields.length !== 5) {
+      throw this.createError(`Cron expression must have 5 fields (minute hour day month weekday), got ${fields.length}`, 400);
+    }
+    
+    const parsed = fields.map((field, index) => this.parseCronField(field, CRON_FIELDS[index]));
+    
+    // 7 is another name for Sunday
+    const daysOfWeek = new Set([...parsed[4].values].map(day => day % 7));
+    
+    return {
+      minutes: [...parsed[0].values].sort((a, b) => a - b),
+      hours: [...parsed[1].values].sort((a, b) => a - b),
+      daysOfMonth: parsed[2].values,
+      lastDayOfMonth: parsed[2].last,
+      months: parsed[3].values,
+      daysOfWeek,
+      domRestricted: fields[2] !== '*' && fields[2] !== '?',
+      dowRestricted: fields[4] !== '*' && fields[4] !== '?'
+    };
+  }
+
+  /**
+   * Parse one cron field
+   * @param {string} field - Field text (lists, ranges, steps, names; L for the last day of the month)
+   * @param {Object} spec - { name, min, max, names }
+   * @returns {Object} - { values: Set, last }
+   */
+  parseCronField(field, spec) {
+    const values = new Set();
+    let last = false;
+    
+    const toNumber = (text) => {
+      const upper = text.toUpperCase();
+      const named = spec.names ? spec.names.indexOf(upper) : -1;
+      
+      if (named !== -1) {
+        return named + (spec.name === 'month' ? 1 : 0);
+      }
+      
+      if (!/^\d+$/.test(text)) {
+        throw this.createError(`Invalid ${spec.name} "${text}" in cron expression`, 400);
+      }
+      
+      const value = Number(text);
+      if (value < spec.min || value > spec.max) {
+        throw this.createError(`${spec.name} ${value} is out of range (${spec.min}-${spec.max})`, 400);
+      }
+      
+      return value;
+    };
+    
+    for (const part of field.split(',')) {
+      if (spec.name === 'day of month' && part.toUpperCase() === 'L') {
+        last = true;
+        continue;
+      }
+      
+      const [range, stepText] = part.split('/');
+      const step = stepText === undefined ? 1 : Number(stepText);
+      
+      if (!Number.isInteger(step) || step < 1) {
+        throw this.createError(`Invalid step "${stepText}" in ${spec.name}`, 400);
+      }
+      
+      let start;
+      let end;
+      
+      if (range === '*' || range === '?') {
+        start = spec.min;
+        end = spec.name === 'day of week' ? 6 : spec.max;
+      } else if (range.includes('-')) {
+        const [from, to] = range.split('-');
+        start = toNumber(from);
+        end = toNumber(to);
+        
+        if (start > end) {
+          throw this.createError(`Invalid range "${range}" in ${spec.name}`, 400);
+        }
+      } else {
+        start = toNumber(range);
+        end = stepText === undefined ? start : spec.max;
+      }
+      
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+    
+    return { values, last };
+  }
+
+  /**
+   * Compile an RRULE schedule
+   * @param {Object} triggerConfig - { rrule, time, startDate }
+   * @param {string} timezone - IANA timezone
+   * @param {Object} exclusions - Parsed exclusions (EXDATEs are added)
+   * @param {Date|string|number} anchor - Start used when the rule has none
+   * @returns {Object} - Compiled schedule
+   */
+  compileRRule(triggerConfig, timezone, exclusions, anchor) {
+    if (typeof triggerConfig.rrule !== 'string' || !triggerConfig.rrule.trim()) {
+      throw this.createError('RRULE is required', 400);
+    }
+    
+    let ruleText = null;
+    let dtstart = null;
+    
+    for (const line of triggerConfig.rrule.trim().split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      const name = separator === -1 ? 'RRULE' : line.slice(0, separator).split(';')[0].toUpperCase();
+      const value = separator === -1 ? line : line.slice(separator + 1);
+      
+      if (name === 'RRULE') {
+        ruleText = value;
+      } else if (name === 'DTSTART') {
+        dtstart = this.parseICalDate(line.slice(0, separator), value, timezone);
+      } else if (name === 'EXDATE') {
+        for (const date of value.split(',')) {
+          const parsed = this.parseICalDate(line.slice(0, separator), date, timezone);
+          if (parsed.dateOnly) {
+            exclusions.dates.add(formatDate(parsed));
+          } else {
+            exclusions.times.add(formatLocal(parsed));
+          }
+        }
+      } else {
+        throw this.createError(`Unsupported line in RRULE: ${name}`, 400);
+      }
+    }
+    
+    if (!ruleText) {
+      throw this.createError('RRULE is missing its FREQ', 400);
+    }
+    
+    const rule = this.parseRRule(ruleText, timezone);
+    
+    if (!dtstart) {
+      let start;
+      
+      if (triggerConfig.startDate) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(triggerConfig.startDate));
+        if (!match) {
+          throw this.createError(`Invalid startDate "${triggerConfig.startDate}" (expected YYYY-MM-DD)`, 400);
+        }
+        start = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+      } else {
+        start = toZoned(anchor !== undefined && anchor !== null ? new Date(anchor).getTime() : Date.now(), timezone);
+      }
+      
+      dtstart = { year: start.year, month: start.month, day: start.day, hour: 0, minute: 0 };
+    }
+    
+    if (triggerConfig.time) {
+      [dtstart.hour, dtstart.minute] = this.parseTime(triggerConfig.time);
+    }
+    
+    return { timezone, exclusions, rule, dtstart: { ...dtstart, dateOnly: false } };
+  }
+
+  /**
+   * Parse the RRULE parts
+   * @param {string} text - e.g. FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR
+   * @param {string} timezone - IANA timezone (for UNTIL)
+   * @returns {Object} - Parsed rule
+   */
+  parseRRule(text, timezone) {
+    const parts = {};
+    
+    for (const part of text.split(';').filter(Boolean)) {
+      const [key, value] = part.split('=');
+      const name = (key || '').trim().toUpperCase();
+      
+      if (!RRULE_PARTS.includes(name)) {
+        throw this.createError(`Unsupported RRULE part: ${name}`, 400);
+      }
+      
+      parts[name] = (value || '').trim().toUpperCase();
+    }
+    
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(parts.FREQ)) {
+      throw this.createError('RRULE FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY', 400);
+    }
+    
+    const numbers = (name, min, max, allowNegative = false) => {
+      if (!parts[name]) return null;
+      
+      return parts[name].split(',').map(item => {
+        const value = Number(item);
+        if (!Number.isInteger(value) || Math.abs(value) < min || Math.abs(value) > max ||
+            (value < 0 && !allowNegative)) {
+          throw this.createError(`Invalid ${name} value "${item}"`, 400);
+        }
+        return value;
+      });
+    };
+    
+    const interval = numbers('INTERVAL', 1, 1000);
+    const count = numbers('COUNT', 1, 100000);
+    
+    const rule = {
+      freq: parts.FREQ,
+      interval: interval ? interval[0] : 1,
+      count: count ? count[0] : null,
+      until: null,
+      byMonth: numbers('BYMONTH', 1, 12),
+      byMonthDay: numbers('BYMONTHDAY', 1, 31, true),
+      bySetPos: numbers('BYSETPOS', 1, 366, true),
+      byHour: numbers('BYHOUR', 0, 23),
+      byMinute: numbers('BYMINUTE', 0, 59),
+      byDay: null,
+      weekStart: 1
+    };
+    
+    if (parts.UNTIL) {
+      const until = this.parseICalDate('UNTIL', parts.UNTIL, timezone);
+      rule.until = until.dateOnly
+        ? fromZoned({ ...until, hour: 23, minute: 59 }, timezone)
+        : fromZoned(until, timezone);
+    }
+    
+    if (parts.WKST) {
+      rule.weekStart = RRULE_WEEKDAYS.indexOf(parts.WKST);
+      if (rule.weekStart === -1) {
+        throw this.createError(`Invalid WKST value "${parts.WKST}"`, 400);
+      }
+    }
+    
+    if (parts.BYDAY) {
+      rule.byDay = parts.BYDAY.split(',').map(item => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item);
+        if (!match) {
+          throw this.createError(`Invalid BYDAY value "${item}"`, 400);
+        }
+        
+        const nth = match[1] ? Number(match[1]) : 0;
+        if (nth !== 0 && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+          throw this.createError(`BYDAY positions like "${item}" need FREQ=MONTHLY or YEARLY`, 400);
+        }
+        
+        return { weekday: RRULE_WEEKDAYS.indexOf(match[2]), nth };
+      });
+    }
+    
+    return rule;
+  }
+
+  /**
+   * Parse an iCalendar date (20240109, 20240109T090000 or 20240109T090000Z)
+   * @param {string} property - Property with parameters, e.g. DTSTART;TZID=Europe/Berlin
+   * @param {string} value - Date value
+   * @param {string} timezone - Schedule timezone
+   * @returns {Object} - Local wall time in the schedule timezone ({ year, month, day, hour, minute, dateOnly })
+   */
+  parseICalDate(property, value, timezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+    
+    if (!match) {
+      throw this.createError(`Invalid date "${value}" in RRULE`, 400);
+    }
+    
+    const local = {
+      year: Number(match[1]),
+      month: Number(match[2]),
+      day: Number(match[3]),
+      hour: Number(match[4] || 0),
+      minute: Number(match[5] || 0),
+      dateOnly: !match[4]
+    };
+    
+    const tzid = /;TZID=([^;:]+)/i.exec(property || '');
+    
+    // UTC or another zone's wall time is converted to the schedule's wall time
+    if (match[7] || (tzid && tzid[1] !== timezone)) {
+      const sourceZone = match[7] ? 'UTC' : tzid[1];
+      
+      if (!isValidTimezone(sourceZone)) {
+        throw this.createError(`Unknown timezone: ${sourceZone}`, 400);
+      }
+      
+      return { ...toZoned(fromZoned(local, sourceZone), timezone), dateOnly: false };
+    }
+    
+    return local;
+  }
+
+  /**
+   * Find the next cron fire times
+   * @param {Object} schedule - Compiled cron schedule
+   * @param {number} from - Exclusive lower bound (ms)
+   * @param {number} count - Number of fire times
+   * @returns {Array<number>} - Fire times (ms)
+   */
+  nextCronTimes(schedule, from, count) {
+    const { cron, timezone } = schedule;
+    const results = [];
+    let date = toZoned(from, timezone);
+    
+    for (let day = 0; day < MAX_CRON_DAYS && results.length < count; day++) {
+      if (this.cronMatchesDay(cron, date)) {
+        const times = [];
+        
+        for (const hour of cron.hours) {
+          for (const minute of cron.minutes) {
+            times.push(fromZoned({ ...date, hour, minute }, timezone));
+          }
+        }
+        
+        // Times skipped by a DST change move forward and can collide or reorder
+        for (const time of [...new Set(times)].sort((a, b) => a - b)) {
+          if (time > from && this.isIncluded(schedule, time) && results.length < count) {
+            results.push(time);
+          }
+        }
+      }
+      
+      date = addDays(date, 1);
+    }
+    
+    return results;
+  }
+
+  /**
+   * Check whether a cron schedule fires on a local date
+   * @param {Object} cron - Parsed cron expression
+   * @param {Object} date - { year, month, day }
+   * @returns {boolean} - Whether the date matches
+   */
+  cronMatchesDay(cron, date) {
+    if (!cron.months.has(date.month)) {
+      return false;
+    }
+    
+    const domMatch = cron.daysOfMonth.has(date.day) ||
+      (cron.lastDayOfMonth && date.day === daysInMonth(date.year, date.month));
+    const dowMatch = cron.daysOfWeek.has(weekdayOf(date));
+    
+    // Like standard cron, a restricted day of month OR day of week is enough
+    if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+    if (cron.domRestricted) return domMatch;
+    if (cron.dowRestricted) return dowMatch;
+    return true;
+  }
+
+  /**
+   * Find the next RRULE fire times
+   * @param {Object} schedule - Compiled RRULE schedule
+   * @param {number} from - Exclusive lower bound (ms)
+   * @param {number} count - Number of fire times
+   * @returns {Array<number>} - Fire times (ms)
+   */
+  nextRRuleTimes(schedule, from, count) {
+    const { rule, dtstart, timezone } = schedule;
+    const results = [];
+    const startKey = formatLocal(dtstart);
+    const hours = rule.byHour || [dtstart.hour];
+    const minutes = rule.byMinute || [dtstart.minute];
+    let occurrences = 0;
+    
+    // COUNT is counted from the start, so only skip ahead without one
+    const firstPeriod = rule.count ? 0 : this.estimatePeriod(rule, dtstart, toZoned(from, timezone));
+    
+    for (let period = firstPeriod; period < firstPeriod + MAX_RRULE_PERIODS; period++) {
+      let candidates = [];
+      
+      for (const date of this.expandPeriod(rule, dtstart, period)) {
+        for (const hour of [...hours].sort((a, b) => a - b)) {
+          for (const minute of [...minutes].sort((a, b) => a - b)) {
+            candidates.push({ ...date, hour, minute });
+          }
+        }
+      }
+      
+      if (rule.bySetPos) {
+        candidates = rule.bySetPos
+          .map(position => candidates[position > 0 ? position - 1 : candidates.length + position])
+          .filter(Boolean)
+          .sort((a, b) => (formatLocal(a) < formatLocal(b) ? -1 : 1));
+      }
+      
+      for (const candidate of candidates) {
+        if (formatLocal(candidate) < startKey) continue;
+        
+        const time = fromZoned(candidate, timezone);
+        
+        if (rule.until !== null && time > rule.until) return results;
+        if (rule.count && ++occurrences > rule.count) return results;
+        
+        if (time > from && this.isIncluded(schedule, time)) {
+          results.push(time);
+          if (results.length >= count) return results;
+        }
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * Estimate the first period that can contain fire times after a date
+   * @param {Object} rule - Parsed rule
+   * @param {Object} dtstart - Rule start
+   * @param {Object} from - Local date to search from
+   * @returns {number} - Period index
+   */
+  estimatePeriod(rule, dtstart, from) {
+    let elapsed;
+    
+    switch (rule.freq) {
+      case 'DAILY':
+        elapsed = (dayNumber(from) - dayNumber(dtstart));
+        break;
+      case 'WEEKLY':
+        elapsed = (dayNumber(from) - dayNumber(dtstart)) / 7;
+        break;
+      case 'MONTHLY':
+        elapsed = (from.year - dtstart.year) * 12 + (from.month - dtstart.month);
+        break;
+      default:
+        elapsed = from.year - dtstart.year;
+    }
+    
+    return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+  }
+
+  /**
+   * List the local dates of one RRULE period that match the BY* parts
+   * @param {Object} rule - Parsed rule
+   * @param {Object} dtstart - Rule start
+   * @param {number} period - Period index (0 is the period containing dtstart)
+   * @returns {Array<Object>} - Dates ({ year, month, day }) in ascending order
+   */
+  expandPeriod(rule, dtstart, period) {
+    const step = period * rule.interval;
+    const inMonths = date => !rule.byMonth || rule.byMonth.includes(date.month);
+    
+    switch (rule.freq) {
+      case 'DAILY': {
+        const date = addDays(dtstart, step);
+        return [date].filter(inMonths)
+          .filter(day => this.matchesMonthDay(rule, day))
+          .filter(day => !rule.byDay || rule.byDay.some(entry => entry.weekday === weekdayOf(day)));
+      }
+      
+      case 'WEEKLY': {
+        const offset = (weekdayOf(dtstart) - rule.weekStart + 7) % 7;
+        const weekStart = addDays(dtstart, step * 7 - offset);
+        const weekdays = rule.byDay ? rule.byDay.map(entry => entry.weekday) : [weekdayOf(dtstart)];
+        
+        return Array.from({ length: 7 }, (unused, index) => addDays(weekStart, index))
+          .filter(day => weekdays.includes(weekdayOf(day)))
+          .filter(inMonths);
+      }
+      
+      case 'MONTHLY': {
+        const monthIndex = dtstart.month - 1 + step;
+        const year = dtstart.year + Math.floor(monthIndex / 12);
+        const month = (monthIndex % 12) + 1;
+        
+        if (rule.byMonth && !rule.byMonth.includes(month)) {
+          return [];
+        }
+        
+        return this.filterSpan(rule, dtstart, this.monthDays(year, month));
+      }
+      
+      default: {
+        const year = dtstart.year + step;
+        
+        // BYDAY without BYMONTH counts positions within the whole year
+        if (rule.byDay && !rule.byMonth && !rule.byMonthDay) {
+          const days = [];
+          for (let month = 1; month <= 12; month++) days.push(...this.monthDays(year, month));
+          return this.filterSpan(rule, dtstart, days);
+        }
+        
+        const months = rule.byMonth || (rule.byMonthDay || rule.byDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [dtstart.month]);
+        
+        return [...months].sort((a, b) => a - b)
+          .flatMap(month => this.filterSpan(rule, dtstart, this.monthDays(year, month)));
+      }
+    }
+  }
+
+  /**
+   * Apply BYMONTHDAY and BYDAY to the days of a month (or year)
+   * @param {Object} rule - Parsed rule
+   * @param {Object} dtstart - Rule start (its day is used when neither is given)
+   * @param {Array<Object>} days - Days of the span
+   * @returns {Array<Object>} - Matching days
+   */
+  filterSpan(rule, dtstart, days) {
+    if (!rule.byMonthDay && !rule.byDay) {
+      return days.filter(day => day.day === dtstart.day);
+    }
+    
+    return days.filter(day => {
+      if (!this.matchesMonthDay(rule, day)) {
+        return false;
+      }
+      
+      if (!rule.byDay) {
+        return true;
+      }
+      
+      return rule.byDay.some(entry => {
+        if (entry.weekday !== weekdayOf(day)) return false;
+        if (entry.nth === 0) return true;
+        
+        // e.g. 2TU is the second Tuesday, -1FR the last Friday of the span
+        const sameWeekday = days.filter(other => weekdayOf(other) === entry.weekday);
+        const index = entry.nth > 0 ? entry.nth - 1 : sameWeekday.length + entry.nth;
+        return sameWeekday[index] === day;
+      });
+    });
+  }
+
+  /**
+   * Check BYMONTHDAY (negative values count from the end of the month)
+   * @param {Object} rule - Parsed rule
+   * @param {Object} date - { year, month, day }
+   * @returns {boolean} - Whether the day matches
+   */
+  matchesMonthDay(rule, date) {
+    if (!rule.byMonthDay) return true;
+    
+    const length = daysInMonth(date.year, date.month);
+    return rule.byMonthDay.some(day => (day > 0 ? day : length + day + 1) === date.day);
+  }
+
+  /**
+   * Check a fire time against the exclusions
+   * @param {Object} schedule - Compiled schedule
+   * @param {number} time - Fire time (ms)
+   * @returns {boolean} - Whether it should fire
+   */
+  isIncluded(schedule, time) {
+    const { dates, times } = schedule.exclusions;
+    
+    if (dates.size === 0 && times.size === 0) {
+      return true;
+    }
+    
+    const local = toZoned(time, schedule.timezone);
+    return !dates.has(formatDate(local)) && !times.has(formatLocal(local));
+  }
+
+  /**
+   * List the days of a month
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {Array<Object>} - Days ({ year, month, day })
+   */
+  monthDays(year, month) {
+    return Array.from({ length: daysInMonth(year, month) }, (unused, index) => ({ year, month, day: index + 1 }));
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @returns {Error} - Error
+   */
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new ScheduleService();
@@ -4,8 +4,14 @@
  * 
  * Background worker that processes scheduled messages and automations.
  * This worker is designed to run as a separate process from the main API server.
+ * 
+ * Several workers can run side by side: each claims due tasks with a lease
+ * (claimed rows are skipped by other workers), renews the leases of its running
+ * tasks on a heartbeat, and tasks whose lease runs out (the worker died) are
+ * claimed again by another worker. Maintenance jobs run on one worker at a time.
  */
 
+const os = require('os');
 const { createClient } = require('@supabase/supabase-js');
 const Redis = require('ioredis');
 const { v4: uuidv4 } = require('uuid');
@@ -20,6 +26,12 @@ const GmailConnector = require('../services/connectors/GmailConnector');
 const UberConnector = require('../services/connectors/UberConnector');
 const SpotifyConnector = require('../services/connectors/SpotifyConnector');
 const GoogleCalendarConnector = require('../services/connectors/GoogleCalendarConnector');
+const ConditionalExecutionService = require('../services/automation/ConditionalExecutionService');
+const RetryPolicy = require('../services/automation/RetryPolicy');
+const DeadLetterService = require('../services/automation/DeadLetterService');
+const WorkflowWaitService = require('../services/automation/WorkflowWaitService');
+const ScheduleService = require('../services/automation/ScheduleService');
+const ExecutionTraceService = require('../services/automation/ExecutionTraceService');
 
 // Initialize clients
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
@@ -38,8 +50,19 @@ const serviceConnectors = {
 const config = {
   processInterval: 10000, // 10 seconds
   batchSize: 10, // Process 10 tasks at a time
-  maxRetries: 3, // Max retries for failed tasks
-  retryDelay: 60000, // 1 minute delay between retries
+  messageRetry: RetryPolicy.normalize({
+    maxAttempts: 4, // First attempt plus 3 retries
+    initialDelayMs: 60000, // 1 minute before the first retry, doubling after that
+    maxDelayMs: 30 * 60000,
+    jitter: 'equal',
+    retryOn: ['rate_limited', 'service_unavailable', 'timeout', 'network', 'unknown']
+  }),
+  workflowStaleAfter: 10 * 60 * 1000, // Resume workflow runs with no checkpoint for 10 minutes
+  concurrency: parseInt(process.env.WORKER_CONCURRENCY, 10) || 5, // Tasks run at the same time by this worker
+  leaseMs: parseInt(process.env.WORKER_LEASE_MS, 10) || 60000, // Claimed tasks are taken over by another worker after this
+  heartbeatInterval: parseInt(process.env.WORKER_HEARTBEAT_MS, 10) || 20000, // Renew leases well before they run out
+  drainTimeout: parseInt(process.env.WORKER_DRAIN_TIMEOUT_MS, 10) || 30000, // Wait this long for running tasks on shutdown
+  recurringInterval: 3600000, // Schedule recurring automations every hour
   logLevel: process.env.LOG_LEVEL || 'info' // Log level
 };
 
@@ -62,9 +85,16 @@ const log = (level, message, data = {}) => {
  */
 class ScheduledTasksWorker {
   constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
     this.running = false;
+    this.draining = false;
+    this.polling = false;
     this.lastRunTime = null;
     this.processInterval = null;
+    this.heartbeatInterval = null;
+    this.recurringInterval = null;
+    this.stopPromise = null;
+    this.inFlight = new Map(); // Task ID (or workflow run ID) -> { type, promise }
   }
 
   /**
@@ -72,7 +102,7 @@ class ScheduledTasksWorker {
    */
   async start() {
     try {
-      log('info', 'Starting Scheduled Tasks Worker...');
+      log('info', `Starting Scheduled Tasks Worker ${this.workerId} (concurrency ${config.concurrency})...`);
       
       if (this.running) {
         log('warn', 'Worker already running');
@@ -103,6 +133,18 @@ class ScheduledTasksWorker {
           .catch(err => log('error', 'Error processing scheduled tasks', err));
       }, config.processInterval);
       
+      // Renew the leases of running tasks so other workers leave them alone
+      this.heartbeatInterval = setInterval(() => {
+        this.renewLeases()
+          .catch(err => log('error', 'Error renewing task leases', err));
+      }, config.heartbeatInterval);
+      
+      // Schedule recurring automations
+      this.recurringInterval = setInterval(() => {
+        this.scheduleRecurringAutomations()
+          .catch(err => log('error', 'Error scheduling recurring automations', err));
+      }, config.recurringInterval);
+      
       // Initial process
       await this.processScheduledTasks();
       
@@ -115,24 +157,177 @@ class ScheduledTasksWorker {
   }
 
   /**
-   * Stop the worker
+   * Stop the worker, letting running tasks finish first
+   * @param {Object} options - Stop options
+   * @param {boolean} options.drain - Wait for running tasks (up to the drain timeout)
+   * @returns {Promise<void>}
    */
-  stop() {
-    log('info', 'Stopping worker...');
+  stop({ drain = true } = {}) {
+    if (this.stopPromise) {
+      return this.stopPromise;
+    }
+    
+    log('info', `Stopping worker${drain ? ` (draining ${this.inFlight.size} running tasks)` : ''}...`);
+    
+    // Claim nothing new
+    this.draining = true;
     
     if (this.processInterval) {
       clearInterval(this.processInterval);
       this.processInterval = null;
     }
     
-    this.running = false;
-    log('info', 'Worker stopped');
+    if (this.recurringInterval) {
+      clearInterval(this.recurringInterval);
+      this.recurringInterval = null;
+    }
+    
+    this.stopPromise = (drain ? this.drain() : Promise.resolve())
+      .then(() => {
+        // Keep renewing leases until the running tasks are done or abandoned
+        if (this.heartbeatInterval) {
+          clearInterval(this.heartbeatInterval);
+          this.heartbeatInterval = null;
+        }
+        
+        this.running = false;
+        log('info', 'Worker stopped');
+      });
+    
+    return this.stopPromise;
+  }
+
+  /**
+   * Wait for running tasks to finish
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    const pending = Array.from(this.inFlight.values()).map(task => task.promise);
+    
+    if (pending.length === 0) {
+      return;
+    }
+    
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), config.drainTimeout);
+    });
+    
+    const finished = await Promise.race([
+      Promise.allSettled(pending).then(() => true),
+      timeout
+    ]);
+    
+    clearTimeout(timer);
+    
+    if (!finished) {
+      // Their leases run out and another worker picks them up
+      log('warn', `Drain timed out with ${this.inFlight.size} tasks still running`, {
+        tasks: Array.from(this.inFlight.keys())
+      });
+    }
+  }
+
+  /**
+   * Get the number of tasks this worker can still take on
+   * @returns {number} - Free slots
+   */
+  getCapacity() {
+    if (this.draining) {
+      return 0;
+    }
+    
+    return Math.max(0, config.concurrency - this.inFlight.size);
+  }
+
+  /**
+   * Run a claimed task in the background, keeping track of it until it settles
+   * @param {string} type - message, automation or workflow_run
+   * @param {string} id - Task ID
+   * @param {Function} run - Runs the task
+   */
+  track(type, id, run) {
+    const promise = Promise.resolve()
+      .then(run)
+      .catch(err => log('error', `Unhandled error in ${type} task: ${id}`, err))
+      .finally(() => this.inFlight.delete(id));
+    
+    this.inFlight.set(id, { type, promise });
+  }
+
+  /**
+   * Extend the leases of running tasks
+   */
+  async renewLeases() {
+    // Workflow runs have no lease; they are claimed when resumed
+    const taskIds = Array.from(this.inFlight.entries())
+      .filter(([, task]) => task.type !== 'workflow_run')
+      .map(([id]) => id);
+    
+    if (taskIds.length === 0) {
+      return;
+    }
+    
+    const { data, error } = await supabase.rpc('renew_task_leases', {
+      worker_id: this.workerId,
+      task_ids: taskIds,
+      lease_seconds: Math.ceil(config.leaseMs / 1000)
+    });
+    
+    if (error) {
+      throw error;
+    }
+    
+    const renewed = new Set((data || []).map(row => (typeof row === 'object' ? row.renew_task_leases : row)));
+    const lost = taskIds.filter(id => !renewed.has(id) && this.inFlight.has(id));
+    
+    if (lost.length > 0) {
+      // The heartbeat came too late and another worker may have taken these over
+      log('warn', `Lost the lease on ${lost.length} running tasks`, { tasks: lost });
+    }
+  }
+
+  /**
+   * Run a job on one worker at a time
+   * @param {string} name - Job name
+   * @param {number} ttlMs - How long the lock is held if the worker dies
+   * @param {Function} job - Job to run
+   * @returns {Promise<boolean>} - Whether this worker ran the job
+   */
+  async withLock(name, ttlMs, job) {
+    const key = `worker_lock:${name}`;
+    const acquired = await redis.set(key, this.workerId, 'PX', ttlMs, 'NX');
+    
+    if (acquired !== 'OK') {
+      log('debug', `Skipping ${name}: running on another worker`);
+      return false;
+    }
+    
+    try {
+      await job();
+      return true;
+    } finally {
+      // Only release the lock if it is still ours
+      await redis.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        1,
+        key,
+        this.workerId
+      ).catch(err => log('warn', `Failed to release lock: ${key}`, err));
+    }
   }
 
   /**
    * Process scheduled tasks
    */
   async processScheduledTasks() {
+    // Skip a tick while the previous one is still claiming
+    if (this.polling || this.draining) {
+      return;
+    }
+    
+    this.polling = true;
+    
     try {
       this.lastRunTime = new Date();
       log('debug', 'Processing scheduled tasks...');
@@ -143,9 +338,72 @@ class ScheduledTasksWorker {
       // Process scheduled automations from database
       await this.processScheduledAutomations();
       
+      // Resume workflow runs interrupted by a crash or redeploy (each run is claimed when it is resumed)
+      await this.resumeInterruptedWorkflows();
+      
+      await this.withLock('workflow_maintenance', config.workflowStaleAfter, async () => {
+        // Take the default branch of approvals and event waits that timed out
+        await this.expireWorkflowWaits();
+      });
+      
       log('debug', 'Finished processing scheduled tasks');
     } catch (error) {
       log('error', 'Error in processScheduledTasks', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Resume durable workflow runs that stopped making progress
+   */
+  async resumeInterruptedWorkflows() {
+    try {
+      const capacity = Math.min(this.getCapacity(), config.batchSize);
+      
+      if (capacity === 0) {
+        return;
+      }
+      
+      const runIds = await ConditionalExecutionService.findInterruptedRuns(
+        config.workflowStaleAfter,
+        capacity
+      );
+      
+      log('debug', `Found ${runIds.length} interrupted workflow runs`);
+      
+      // Resumes run in the background like other tasks, so they don't hold up the tick
+      // and a shutdown waits for them
+      for (const runId of runIds.filter(id => !this.inFlight.has(id))) {
+        log('info', `Resuming interrupted workflow run: ${runId}`);
+        
+        this.track('workflow_run', runId, async () => {
+          const result = await ConditionalExecutionService.resumeWorkflow(runId);
+          
+          if (!result) {
+            log('debug', `Workflow run ${runId} was already resumed elsewhere`);
+          } else if (!result.success) {
+            log('warn', `Resumed workflow run failed: ${runId}`, { error: result.error });
+          }
+        });
+      }
+    } catch (error) {
+      log('error', 'Error resuming interrupted workflows', error);
+    }
+  }
+
+  /**
+   * Resolve timed out workflow waits with their default outcome
+   */
+  async expireWorkflowWaits() {
+    try {
+      const expired = await WorkflowWaitService.expireWaits(config.batchSize);
+      
+      if (expired > 0) {
+        log('info', `Expired ${expired} workflow waits`);
+      }
+    } catch (error) {
+      log('error', 'Error expiring workflow waits', error);
     }
   }
 
@@ -154,11 +412,17 @@ class ScheduledTasksWorker {
    */
   async processScheduledMessages() {
     try {
+      const capacity = Math.min(this.getCapacity(), config.batchSize);
+      
+      if (capacity === 0) {
+        return;
+      }
+      
       // Get current timestamp
       const now = Date.now();
       
-      // Get messages due for execution
-      const messageIds = await redis.zrangebyscore('scheduled_messages', 0, now);
+      // Get messages due for execution (some may be running on other workers)
+      const messageIds = await redis.zrangebyscore('scheduled_messages', 0, now, 'LIMIT', 0, capacity + config.concurrency * 4);
       
       log('debug', `Found ${messageIds.length} scheduled messages due for execution`);
       
@@ -166,46 +430,68 @@ class ScheduledTasksWorker {
         return;
       }
       
-      // Process in batches to avoid overwhelming the system
-      for (let i = 0; i < messageIds.length; i += config.batchSize) {
-        const batch = messageIds.slice(i, i + config.batchSize);
-        
-        // Process each message in the batch
-        await Promise.all(batch.map(id => this.executeScheduledMessage(id)));
+      // Claim the ones no other worker holds
+      const { data: messages, error } = await supabase.rpc('claim_scheduled_messages', {
+        worker_id: this.workerId,
+        message_ids: messageIds,
+        batch_size: capacity,
+        lease_seconds: Math.ceil(config.leaseMs / 1000)
+      });
+      
+      if (error) {
+        throw error;
+      }
+      
+      for (const message of messages || []) {
+        this.track('message', message.id, () => this.executeScheduledMessage(message));
       }
+      
+      const claimed = new Set((messages || []).map(message => message.id));
+      await this.removeStaleMessages(messageIds.filter(id => !claimed.has(id)));
     } catch (error) {
       log('error', 'Error processing scheduled messages', error);
     }
   }
 
   /**
-   * Execute a scheduled message
-   * @param {string} messageId - ID of scheduled message
+   * Remove messages from the Redis schedule that were deleted or already finished
+   * @param {Array<string>} messageIds - Due messages this worker did not claim
+   */
+  async removeStaleMessages(messageIds) {
+    if (messageIds.length === 0) {
+      return;
+    }
+    
+    const { data: rows, error } = await supabase
+      .from('scheduled_messages')
+      .select('id, status')
+      .in('id', messageIds);
+    
+    if (error) {
+      throw error;
+    }
+    
+    const pending = new Set((rows || [])
+      .filter(row => !['sent', 'failed'].includes(row.status))
+      .map(row => row.id));
+    const stale = messageIds.filter(id => !pending.has(id));
+    
+    if (stale.length > 0) {
+      log('warn', `Removing ${stale.length} finished or missing messages from the schedule`, { messages: stale });
+      await redis.zrem('scheduled_messages', ...stale);
+    }
+  }
+
+  /**
+   * Execute a scheduled message claimed by this worker
+   * @param {Object} message - Scheduled message
    */
-  async executeScheduledMessage(messageId) {
+  async executeScheduledMessage(message) {
+    const messageId = message.id;
+    
     try {
       log('debug', `Executing scheduled message: ${messageId}`);
       
-      // Get message details from database
-      const { data: message, error } = await supabase
-        .from('scheduled_messages')
-        .select('*')
-        .eq('id', messageId)
-        .single();
-      
-      if (error || !message) {
-        log('error', `Message not found: ${messageId}`, error);
-        // Remove from Redis set regardless
-        await redis.zrem('scheduled_messages', messageId);
-        return;
-      }
-      
-      // Update status to processing
-      await supabase
-        .from('scheduled_messages')
-        .update({ status: 'processing' })
-        .eq('id', messageId);
-      
       // Execute based on service type
       let result;
       
@@ -243,9 +529,12 @@ class ScheduledTasksWorker {
           .update({
             status: 'sent',
             executed_at: new Date().toISOString(),
-            result: result
+            result: result,
+            locked_by: null,
+            locked_until: null
           })
-          .eq('id', messageId);
+          .eq('id', messageId)
+          .eq('locked_by', this.workerId);
         
         // Remove from Redis
         await redis.zrem('scheduled_messages', messageId);
@@ -256,38 +545,63 @@ class ScheduledTasksWorker {
         
         // Increment retry count
         const retryCount = (message.retry_count || 0) + 1;
+        const errorClass = RetryPolicy.classifyError(error);
         
-        if (retryCount <= config.maxRetries) {
+        if (RetryPolicy.shouldRetry(error, retryCount, config.messageRetry)) {
           // Retry later
-          const retryTime = Date.now() + config.retryDelay;
+          const retryTime = Date.now() + RetryPolicy.getDelay(retryCount, config.messageRetry, error);
           
           await supabase
             .from('scheduled_messages')
             .update({
               status: 'retry',
               retry_count: retryCount,
-              error: error.message
+              error: error.message,
+              locked_by: null,
+              locked_until: null
             })
-            .eq('id', messageId);
+            .eq('id', messageId)
+            .eq('locked_by', this.workerId);
           
           // Update Redis scheduled time
           await redis.zadd('scheduled_messages', retryTime, messageId);
           
-          log('warn', `Scheduled retry ${retryCount} for message: ${messageId}`);
+          log('warn', `Scheduled retry ${retryCount} for message: ${messageId} (${errorClass})`);
         } else {
-          // Max retries reached - mark as failed
+          // Max retries reached or not retryable - mark as failed
           await supabase
             .from('scheduled_messages')
             .update({
               status: 'failed',
-              error: error.message
+              error: error.message,
+              locked_by: null,
+              locked_until: null
             })
-            .eq('id', messageId);
+            .eq('id', messageId)
+            .eq('locked_by', this.workerId);
           
           // Remove from Redis
           await redis.zrem('scheduled_messages', messageId);
           
-          log('error', `Max retries reached for message: ${messageId}`);
+          // Keep the message in the dead-letter queue so it can be edited and re-driven
+          error.attempts = retryCount;
+          await DeadLetterService.record({
+            userId: message.user_id,
+            source: 'scheduled_message',
+            referenceId: messageId,
+            action: {
+              service: message.service,
+              type: 'send_message',
+              params: {
+                recipient: message.recipient,
+                subject: message.subject,
+                content: message.content
+              }
+            },
+            error
+          });
+          
+          log('error', `Giving up on message after ${retryCount} attempt(s): ${messageId} (${errorClass})`);
         }
       }
     } catch (error) {
@@ -303,31 +617,32 @@ class ScheduledTasksWorker {
    */
   async processScheduledAutomations() {
     try {
-      // Get current date/time
-      const now = new Date();
+      const capacity = Math.min(this.getCapacity(), config.batchSize);
       
-      // Get automations due for execution
-      const { data: automations, error } = await supabase
-        .from('automation_schedules')
-        .select('id, automation_id, scheduled_at, trigger_data')
-        .eq('status', 'scheduled')
-        .lte('scheduled_at', now.toISOString())
-        .order('scheduled_at', { ascending: true })
-        .limit(config.batchSize);
+      if (capacity === 0) {
+        return;
+      }
+      
+      // Claim automations due for execution, and ones whose worker stopped renewing its lease
+      const { data: automations, error } = await supabase.rpc('claim_automation_schedules', {
+        worker_id: this.workerId,
+        batch_size: capacity,
+        lease_seconds: Math.ceil(config.leaseMs / 1000)
+      });
       
       if (error) {
         throw error;
       }
       
-      log('debug', `Found ${automations.length} scheduled automations due for execution`);
-      
-      if (automations.length === 0) {
-        return;
-      }
+      log('debug', `Claimed ${(automations || []).length} scheduled automations due for execution`);
       
       // Process each automation
-      for (const schedule of automations) {
-        await this.executeScheduledAutomation(schedule);
+      for (const schedule of automations || []) {
+        if (schedule.attempts > 1) {
+          log('warn', `Taking over scheduled automation from an expired lease: ${schedule.id} (attempt ${schedule.attempts})`);
+        }
+        
+        this.track('automation', schedule.id, () => this.executeScheduledAutomation(schedule));
       }
     } catch (error) {
       log('error', 'Error processing scheduled automations', error);
@@ -335,19 +650,18 @@ class ScheduledTasksWorker {
   }
 
   /**
-   * Execute a scheduled automation
+   * Execute a scheduled automation claimed by this worker
    * @param {Object} schedule - Schedule object
    */
   async executeScheduledAutomation(schedule) {
+    // Trace of the run, stored with the execution record
+    const trace = [];
+    let callStartedAt = null;
+    let automationVersion = null;
+    
     try {
       log('debug', `Executing scheduled automation: ${schedule.id}`);
       
-      // Update status to processing
-      await supabase
-        .from('automation_schedules')
-        .update({ status: 'processing' })
-        .eq('id', schedule.id);
-      
       // Get automation details
       const { data: automation, error } = await supabase
         .from('automations')
@@ -359,6 +673,9 @@ class ScheduledTasksWorker {
         throw new Error(`Automation not found: ${schedule.automation_id}`);
       }
       
+      // The execution is pinned to the version read here
+      automationVersion = automation.current_version;
+      
       // Check if automation is enabled
       if (!automation.enabled) {
         log('warn', `Skipping disabled automation: ${automation.id}`);
@@ -369,13 +686,21 @@ class ScheduledTasksWorker {
           .update({
             status: 'skipped',
             executed_at: new Date().toISOString(),
-            error: 'Automation is disabled'
+            error: 'Automation is disabled',
+            locked_by: null,
+            locked_until: null
           })
-          .eq('id', schedule.id);
+          .eq('id', schedule.id)
+          .eq('locked_by', this.workerId);
         
         return;
       }
       
+      // Runs missed while no worker was up follow the automation's misfire policy
+      if (!await this.handleMisfire(automation, schedule)) {
+        return;
+      }
+      
       // Prepare execution parameters
       const executionId = uuidv4();
       const workflow = automation.workflow;
@@ -395,6 +720,7 @@ class ScheduledTasksWorker {
       
       // Execute action based on type
       let result;
+      callStartedAt = Date.now();
       
       switch (workflow.action.type) {
         case 'message_schedule':
@@ -425,7 +751,9 @@ class ScheduledTasksWorker {
             actionParams.access_token,
             actionParams.title,
             actionParams.startTime,
-            actionParams.duration
+            actionParams.duration,
+            actionParams.description,
+            actionParams.timezone || await ScheduleService.getUserTimezone(automation.user_id)
           );
           break;
         case 'music_control':
@@ -439,18 +767,31 @@ class ScheduledTasksWorker {
           throw new Error(`Unsupported action type: ${workflow.action.type}`);
       }
       
+      ExecutionTraceService.record(trace, {
+        path: 'action',
+        type: 'action_call',
+        service: workflow.action.service,
+        action: workflow.action.type,
+        status: 'succeeded',
+        request: ExecutionTraceService.summarize(actionParams),
+        response: ExecutionTraceService.summarize(result),
+        durationMs: Date.now() - callStartedAt
+      });
+      
       // Update execution status
       await supabase
         .from('automation_executions')
         .insert({
           id: executionId,
           automation_id: automation.id,
+          automation_version: automationVersion,
           user_id: automation.user_id,
           automation_type: workflow.action.type,
           service: workflow.action.service,
           parameters: actionParams,
           status: 'success',
           result: result,
+          trace,
           executed_at: new Date().toISOString()
         });
       
@@ -469,9 +810,12 @@ class ScheduledTasksWorker {
         .update({
           status: 'completed',
           executed_at: new Date().toISOString(),
-          execution_id: executionId
+          execution_id: executionId,
+          locked_by: null,
+          locked_until: null
         })
-        .eq('id', schedule.id);
+        .eq('id', schedule.id)
+        .eq('locked_by', this.workerId);
       
       log('info', `Successfully executed scheduled automation: ${schedule.id}`);
     } catch (error) {
@@ -483,9 +827,20 @@ class ScheduledTasksWorker {
         .update({
           status: 'failed',
           error: error.message,
-          executed_at: new Date().toISOString()
+          executed_at: new Date().toISOString(),
+          locked_by: null,
+          locked_until: null
         })
-        .eq('id', schedule.id);
+        .eq('id', schedule.id)
+        .eq('locked_by', this.workerId);
+      
+      ExecutionTraceService.record(trace, {
+        path: 'action',
+        type: callStartedAt ? 'action_call' : 'setup',
+        status: 'failed',
+        error: error.message,
+        durationMs: callStartedAt ? Date.now() - callStartedAt : 0
+      });
       
       // Record failure in executions table
       await supabase
@@ -493,38 +848,112 @@ class ScheduledTasksWorker {
         .insert({
           id: uuidv4(),
           automation_id: schedule.automation_id,
+          automation_version: automationVersion,
           automation_type: 'scheduled',
           status: 'failed',
           error_message: error.message,
+          trace,
           executed_at: new Date().toISOString()
         });
     }
   }
 
+  /**
+   * Apply the misfire policy to a recurring run that is late
+   * @param {Object} automation - Automation object
+   * @param {Object} schedule - Schedule claimed by this worker
+   * @returns {Promise<boolean>} Whether the run should go ahead
+   */
+  async handleMisfire(automation, schedule) {
+    const trigger = automation.workflow && automation.workflow.trigger;
+    const triggerData = schedule.trigger_data || {};
+    
+    // Catch-up runs and one-off schedules run whenever they are claimed
+    if (!trigger || trigger.type !== 'recurring' || !ScheduleService.isRecurring(trigger.config) || triggerData.catchUpFor) {
+      return true;
+    }
+    
+    const timezone = trigger.config.timezone || await ScheduleService.getUserTimezone(automation.user_id);
+    const plan = ScheduleService.planMisfire(trigger.config, {
+      timezone,
+      anchor: automation.created_at,
+      scheduledAt: schedule.scheduled_at
+    });
+    
+    if (!plan) {
+      return true;
+    }
+    
+    await ScheduleService.recordMisfires(automation, plan, schedule.id);
+    
+    log('warn', `Recurring automation ${automation.id} missed ${plan.windows.length} runs, catching up ${plan.catchUp.length} (${plan.policy})`);
+    
+    if (plan.catchUp.length === 0) {
+      await supabase
+        .from('automation_schedules')
+        .update({
+          status: 'skipped',
+          executed_at: new Date().toISOString(),
+          error: `Missed ${plan.windows.length} scheduled run(s) while no worker was running`,
+          locked_by: null,
+          locked_until: null
+        })
+        .eq('id', schedule.id)
+        .eq('locked_by', this.workerId);
+      
+      return false;
+    }
+    
+    // This run covers the first window caught up; the others get runs of their own
+    const [first, ...others] = plan.catchUp;
+    
+    if (others.length > 0) {
+      const now = new Date().toISOString();
+      
+      await supabase
+        .from('automation_schedules')
+        .insert(others.map(date => ({
+          id: uuidv4(),
+          automation_id: automation.id,
+          scheduled_at: now,
+          trigger_data: { ...triggerData, catchUpFor: date.toISOString() },
+          status: 'scheduled',
+          created_at: now
+        })));
+    }
+    
+    schedule.trigger_data = { ...triggerData, catchUpFor: first.toISOString() };
+    
+    return true;
+  }
+
   /**
    * Check for recurring automations and schedule them
    */
   async scheduleRecurringAutomations() {
     try {
-      log('debug', 'Checking for recurring automations...');
-      
-      // Get all enabled recurring automations
-      const { data: automations, error } = await supabase
-        .from('automations')
-        .select('*')
-        .eq('enabled', true)
-        .filter('workflow->trigger->type', 'eq', 'recurring');
-      
-      if (error) {
-        throw error;
-      }
-      
-      log('debug', `Found ${automations.length} recurring automations`);
-      
-      // Check each automation
-      for (const automation of automations) {
-        await this.checkAndScheduleRecurring(automation);
-      }
+      // One worker at a time, or two could both find nothing scheduled and insert a run each
+      await this.withLock('recurring_automations', config.recurringInterval / 2, async () => {
+        log('debug', 'Checking for recurring automations...');
+        
+        // Get all enabled recurring automations
+        const { data: automations, error } = await supabase
+          .from('automations')
+          .select('*')
+          .eq('enabled', true)
+          .filter('workflow->trigger->type', 'eq', 'recurring');
+        
+        if (error) {
+          throw error;
+        }
+        
+        log('debug', `Found ${automations.length} recurring automations`);
+        
+        // Check each automation
+        for (const automation of automations) {
+          await this.checkAndScheduleRecurring(automation);
+        }
+      });
     } catch (error) {
       log('error', 'Error scheduling recurring automations', error);
     }
@@ -540,12 +969,13 @@ class ScheduledTasksWorker {
       const triggerConfig = workflow.trigger.config;
       
       // Check if we need to schedule this automation
-      if (!triggerConfig.schedule || !triggerConfig.time) {
+      if (!ScheduleService.isRecurring(triggerConfig)) {
         return;
       }
       
-      // Calculate next execution time
-      const nextExecutionTime = this.calculateNextExecutionTime(triggerConfig);
+      // Calculate next execution time in the schedule's (or the user's) timezone
+      const timezone = triggerConfig.timezone || await ScheduleService.getUserTimezone(automation.user_id);
+      const nextExecutionTime = this.calculateNextExecutionTime(triggerConfig, timezone, automation.created_at);
       
       if (!nextExecutionTime) {
         return;
@@ -589,102 +1019,14 @@ class ScheduledTasksWorker {
 
   /**
    * Calculate the next execution time for a recurring automation
-   * @param {Object} triggerConfig - Trigger configuration
+   * @param {Object} triggerConfig - Trigger configuration (preset, cron or rrule)
+   * @param {string} timezone - Timezone the schedule's wall times are in
+   * @param {string} anchor - Start of RRULEs that don't define one
    * @returns {Date|null} Next execution time or null
    */
-  calculateNextExecutionTime(triggerConfig) {
+  calculateNextExecutionTime(triggerConfig, timezone = 'UTC', anchor) {
     try {
-      const now = new Date();
-      const [hours, minutes] = triggerConfig.time.split(':').map(Number);
-      
-      let nextExecution = new Date(now);
-      nextExecution.setHours(hours, minutes, 0, 0);
-      
-      // If time today is already past, move to next occurrence
-      if (nextExecution <= now) {
-        nextExecution.setDate(nextExecution.getDate() + 1);
-      }
-      
-      // Adjust based on schedule type
-      switch (triggerConfig.schedule) {
-        case 'daily':
-          // Already set for tomorrow if needed
-          break;
-          
-        case 'weekdays':
-          // Skip to Monday if it's Friday and time has passed
-          if (nextExecution.getDay() === 5 && nextExecution <= now) {
-            nextExecution.setDate(nextExecution.getDate() + 3);
-          }
-          // Skip weekend days
-          else if (nextExecution.getDay() === 0) { // Sunday
-            nextExecution.setDate(nextExecution.getDate() + 1);
-          }
-          else if (nextExecution.getDay() === 6) { // Saturday
-            nextExecution.setDate(nextExecution.getDate() + 2);
-          }
-          break;
-          
-        case 'weekends':
-          // If not a weekend, move to Saturday
-          if (nextExecution.getDay() < 6) {
-            const daysToAdd = 6 - nextExecution.getDay();
-            nextExecution.setDate(nextExecution.getDate() + daysToAdd);
-          }
-          break;
-          
-        case 'weekly':
-          // Move to specified day of week
-          const targetDay = triggerConfig.day;
-          const dayMapping = {
-            'monday': 1, 'tuesday': 2, 'wednesday': 3, 
-            'thursday': 4, 'friday': 5, 'saturday': 6, 'sunday': 0
-          };
-          
-          if (targetDay && dayMapping[targetDay] !== undefined) {
-            const currentDay = nextExecution.getDay();
-            const targetDayNum = dayMapping[targetDay];
-            
-            let daysToAdd = targetDayNum - currentDay;
-            if (daysToAdd <= 0) {
-              daysToAdd += 7;
-            }
-            
-            nextExecution.setDate(nextExecution.getDate() + daysToAdd);
-          }
-          break;
-          
-        case 'monthly':
-          // Move to specified day of month
-          const targetDate = parseInt(triggerConfig.date);
-          
-          if (!isNaN(targetDate) && targetDate >= 1 && targetDate <= 31) {
-            nextExecution.setDate(targetDate);
-            
-            // If date this month is already past, move to next month
-            if (nextExecution <= now) {
-              nextExecution.setMonth(nextExecution.getMonth() + 1);
-            }
-            
-            // Check if date exists in the target month (e.g., Feb 30)
-            const originalMonth = nextExecution.getMonth();
-            nextExecution.setDate(targetDate);
-            
-            // If month changed, it means the date doesn't exist in this month
-            if (nextExecution.getMonth() !== originalMonth) {
-              // Set to last day of intended month
-              nextExecution = new Date(nextExecution.getFullYear(), originalMonth + 1, 0);
-              nextExecution.setHours(hours, minutes, 0, 0);
-            }
-          }
-          break;
-          
-        default:
-          log('warn', `Unknown schedule type: ${triggerConfig.schedule}`);
-          return null;
-      }
-      
-      return nextExecution;
+      return ScheduleService.getNextExecutionTime(triggerConfig, { timezone, anchor });
     } catch (error) {
       log('error', 'Error calculating next execution time', error);
       return null;
@@ -695,22 +1037,31 @@ class ScheduledTasksWorker {
 // Create and start worker
 const worker = new ScheduledTasksWorker();
 
+// Finish running tasks before exiting; a second signal exits right away
+const shutdown = (signal) => {
+  log('info', `Received ${signal} signal`);
+  
+  if (worker.stopPromise) {
+    log('warn', 'Forcing exit before running tasks finished');
+    process.exit(1);
+  }
+  
+  worker.stop()
+    .then(() => process.exit(0))
+    .catch(err => {
+      log('error', 'Error stopping worker', err);
+      process.exit(1);
+    });
+};
+
 // Handle process events
-process.on('SIGTERM', () => {
-  log('info', 'Received SIGTERM signal');
-  worker.stop();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-process.on('SIGINT', () => {
-  log('info', 'Received SIGINT signal');
-  worker.stop();
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 process.on('uncaughtException', (err) => {
   log('error', 'Uncaught exception', err);
-  worker.stop();
+  worker.stop({ drain: false });
   process.exit(1);
 });
 
@@ -721,15 +1072,9 @@ process.on('unhandledRejection', (reason, promise) => {
 // Start the worker
 worker.start()
   .then(() => {
-    // Initially schedule recurring automations
+    // Initially schedule recurring automations (then hourly, see start())
     worker.scheduleRecurringAutomations()
       .catch(err => log('error', 'Error scheduling recurring automations', err));
-    
-    // Schedule recurring automations every hour
-    setInterval(() => {
-      worker.scheduleRecurringAutomations()
-        .catch(err => log('error', 'Error scheduling recurring automations', err));
-    }, 3600000); // 1 hour
   })
   .catch(err => {
     log('error', 'Failed to start worker', err);
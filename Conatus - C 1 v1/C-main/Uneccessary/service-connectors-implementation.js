@@ -9,7 +9,7 @@
 const fetch = require('node-fetch');
 const { createClient } = require('@supabase/supabase-js');
 const Redis = require('ioredis');
-const dayjs = require('dayjs');
+const DateParser = require('../../../shared/dateParser');
 
 // Initialize clients
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
@@ -27,13 +27,14 @@ class WhatsAppConnector {
    * @param {string} recipient - Recipient name or phone number
    * @param {string} content - Message content
    * @param {string} scheduledTime - Time to send the message (optional)
+   * @param {string} timezone - User's timezone, for times without an offset
    * @returns {Promise<Object>} - Send result
    */
-  async sendMessage(accessToken, recipient, content, scheduledTime = 'now') {
+  async sendMessage(accessToken, recipient, content, scheduledTime = 'now', timezone = null) {
     try {
       // Check if we need to schedule the message
       if (scheduledTime && scheduledTime !== 'now') {
-        return this.scheduleMessage(accessToken, recipient, content, scheduledTime);
+        return this.scheduleMessage(accessToken, recipient, content, scheduledTime, timezone);
       }
       
       // Get WhatsApp Business Account ID from Redis cache or config
@@ -92,15 +93,16 @@ class WhatsAppConnector {
    * @param {string} recipient - Recipient name or phone number
    * @param {string} content - Message content
    * @param {string} scheduledTime - When to send the message
+   * @param {string} timezone - User's timezone, for times without an offset
    * @returns {Promise<Object>} - Schedule result
    */
-  async scheduleMessage(accessToken, recipient, content, scheduledTime) {
+  async scheduleMessage(accessToken, recipient, content, scheduledTime, timezone = null) {
     try {
       // Note: WhatsApp Business API doesn't natively support scheduling
       // We'll implement our own scheduling using Redis and a worker
       
       // Parse the scheduled time
-      const scheduledDate = this.parseScheduledTime(scheduledTime);
+      const scheduledDate = this.parseScheduledTime(scheduledTime, timezone);
       
       if (!scheduledDate || scheduledDate < new Date()) {
         throw new Error('Invalid scheduled time. Please provide a future time.');
@@ -265,58 +267,13 @@ class WhatsAppConnector {
   /**
    * Parse a scheduled time string into a Date object
    * @param {string} timeString - Time string (e.g., "tomorrow at 3pm")
+   * @param {string} timezone - Timezone the time is written in (defaults to the server's)
    * @returns {Date|null} - Parsed date or null if invalid
    */
-  parseScheduledTime(timeString) {
-    try {
-      if (!timeString) return null;
-      
-      const now = new Date();
-      
-      // Handle some common natural language time expressions
-      if (timeString.toLowerCase() === 'tomorrow') {
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(9, 0, 0, 0); // Default to 9am
-        return tomorrow;
-      }
-      
-      if (timeString.toLowerCase().includes('tomorrow')) {
-        // Try to extract time from string like "tomorrow at 3pm"
-        const timeMatch = timeString.match(/(\d+)(?::(\d+))?\s*(am|pm)?/i);
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        if (timeMatch) {
-          const hours = parseInt(timeMatch[1]);
-          const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-          const isPM = timeMatch[3] && timeMatch[3].toLowerCase() === 'pm';
-          
-          tomorrow.setHours(
-            isPM ? (hours === 12 ? 12 : hours + 12) : (hours === 12 ? 0 : hours),
-            minutes,
-            0,
-            0
-          );
-        } else {
-          // Default to 9am
-          tomorrow.setHours(9, 0, 0, 0);
-        }
-        
-        return tomorrow;
-      }
-      
-      // Use dayjs for more complex date parsing
-      const parsedDate = dayjs(timeString);
-      if (parsedDate.isValid()) {
-        return parsedDate.toDate();
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('Error parsing scheduled time:', error);
-      return null;
-    }
+  parseScheduledTime(timeString, timezone) {
+    if (!timeString) return null;
+    
+    return DateParser.parseDateTime(timeString, { timezone }).start;
   }
 }
 
@@ -331,7 +288,7 @@ module.exports = new WhatsAppConnector();
 
 const fetch = require('node-fetch');
 const { google } = require('googleapis');
-const dayjs = require('dayjs');
+const DateParser = require('../../../shared/dateParser');
 const { createClient } = require('@supabase/supabase-js');
 const Redis = require('ioredis');
 
@@ -340,6 +297,66 @@ const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SER
 const redis = new Redis(process.env.REDIS_URL);
 
 class GmailConnector {
+  constructor() {
+    // Declarative description of the actions this connector supports
+    this.manifest = {
+      id: 'gmail',
+      version: '1.0.0',
+      auth: { type: 'oauth2', scopes: ['https://www.googleapis.com/auth/gmail.send'] },
+      rateLimit: { requests: 250, windowMs: 1000 },
+      actions: {
+        send_email: {
+          method: 'sendEmail',
+          description: 'Send an email now or at a later time',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['recipient', 'subject', 'content'],
+            properties: {
+              recipient: { type: 'string', format: 'email' },
+              subject: { type: 'string', maxLength: 998 },
+              content: { type: 'string', description: 'Email body' },
+              scheduledTime: { type: 'string', default: 'now', description: 'When to send (e.g. "tomorrow at 9am")' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              messageId: { type: 'string' },
+              recipient: { type: 'string' },
+              status: { type: 'string', enum: ['sent', 'scheduled'] }
+            }
+          }
+        },
+        schedule_email: {
+          method: 'scheduleEmail',
+          description: 'Schedule an email for future delivery',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['recipient', 'subject', 'content', 'scheduledTime'],
+            properties: {
+              recipient: { type: 'string', format: 'email' },
+              subject: { type: 'string', maxLength: 998 },
+              content: { type: 'string', description: 'Email body' },
+              scheduledTime: { type: 'string', description: 'When to send (e.g. "tomorrow at 9am")' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              messageId: { type: 'string' },
+              scheduledAt: { type: 'string', format: 'date-time' },
+              status: { type: 'string' }
+            }
+          }
+        }
+      }
+    };
+  }
+
   /**
    * Send an email via Gmail
    * @param {string} accessToken - Google access token
@@ -347,13 +364,14 @@ class GmailConnector {
    * @param {string} subject - Email subject
    * @param {string} content - Email body
    * @param {string} scheduledTime - When to send the email (optional)
+   * @param {string} timezone - User's timezone, for times without an offset
    * @returns {Promise<Object>} - Send result
    */
-  async sendEmail(accessToken, recipient, subject, content, scheduledTime = 'now') {
+  async sendEmail(accessToken, recipient, subject, content, scheduledTime = 'now', timezone = null) {
     try {
       // Check if we need to schedule the email
       if (scheduledTime && scheduledTime !== 'now') {
-        return this.scheduleEmail(accessToken, recipient, subject, content, scheduledTime);
+        return this.scheduleEmail(accessToken, recipient, subject, content, scheduledTime, timezone);
       }
       
       // Initialize Gmail API
@@ -417,12 +435,13 @@ class GmailConnector {
    * @param {string} subject - Email subject
    * @param {string} content - Email body
    * @param {string} scheduledTime - When to send the email
+   * @param {string} timezone - User's timezone, for times without an offset
    * @returns {Promise<Object>} - Schedule result
    */
-  async scheduleEmail(accessToken, recipient, subject, content, scheduledTime) {
+  async scheduleEmail(accessToken, recipient, subject, content, scheduledTime, timezone = null) {
     try {
       // Parse the scheduled time
-      const scheduledDate = this.parseScheduledTime(scheduledTime);
+      const scheduledDate = this.parseScheduledTime(scheduledTime, timezone);
       
       if (!scheduledDate || scheduledDate < new Date()) {
         throw new Error('Invalid scheduled time. Please provide a future time.');
@@ -479,58 +498,13 @@ class GmailConnector {
   /**
    * Parse a scheduled time string into a Date object
    * @param {string} timeString - Time string (e.g., "tomorrow at 3pm")
+   * @param {string} timezone - Timezone the time is written in (defaults to the server's)
    * @returns {Date|null} - Parsed date or null if invalid
    */
-  parseScheduledTime(timeString) {
-    try {
-      if (!timeString) return null;
-      
-      const now = new Date();
-      
-      // Handle some common natural language time expressions
-      if (timeString.toLowerCase() === 'tomorrow') {
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(9, 0, 0, 0); // Default to 9am
-        return tomorrow;
-      }
-      
-      if (timeString.toLowerCase().includes('tomorrow')) {
-        // Try to extract time from string like "tomorrow at 3pm"
-        const timeMatch = timeString.match(/(\d+)(?::(\d+))?\s*(am|pm)?/i);
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        if (timeMatch) {
-          const hours = parseInt(timeMatch[1]);
-          const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-          const isPM = timeMatch[3] && timeMatch[3].toLowerCase() === 'pm';
-          
-          tomorrow.setHours(
-            isPM ? (hours === 12 ? 12 : hours + 12) : (hours === 12 ? 0 : hours),
-            minutes,
-            0,
-            0
-          );
-        } else {
-          // Default to 9am
-          tomorrow.setHours(9, 0, 0, 0);
-        }
-        
-        return tomorrow;
-      }
-      
-      // Use dayjs for more complex date parsing
-      const parsedDate = dayjs(timeString);
-      if (parsedDate.isValid()) {
-        return parsedDate.toDate();
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('Error parsing scheduled time:', error);
-      return null;
-    }
+  parseScheduledTime(timeString, timezone) {
+    if (!timeString) return null;
+    
+    return DateParser.parseDateTime(timeString, { timezone }).start;
   }
 }
 
@@ -544,7 +518,7 @@ module.exports = new GmailConnector();
  */
 
 const fetch = require('node-fetch');
-const dayjs = require('dayjs');
+const DateParser = require('../../../shared/dateParser');
 const { createClient } = require('@supabase/supabase-js');
 
 // Initialize Supabase client
@@ -553,6 +527,83 @@ const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SER
 class UberConnector {
   constructor() {
     this.apiUrl = 'https://api.uber.com/v1.2';
+    
+    // Declarative description of the actions this connector supports
+    const rideOutput = {
+      type: 'object',
+      properties: {
+        rideId: { type: 'string' },
+        status: { type: 'string' }
+      }
+    };
+    
+    this.manifest = {
+      id: 'uber',
+      version: '1.0.0',
+      auth: { type: 'oauth2', scopes: ['request', 'profile', 'history'] },
+      rateLimit: { requests: 2000, windowMs: 3600000 },
+      actions: {
+        book_ride: {
+          method: 'bookRide',
+          description: 'Request a ride between two locations',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['pickup', 'destination'],
+            properties: {
+              pickup: { type: 'string', description: 'Pickup address or saved place' },
+              destination: { type: 'string', description: 'Destination address or saved place' },
+              scheduledTime: { type: 'string', default: 'now', description: 'Pickup time (e.g. "in 30 minutes")' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: rideOutput
+        },
+        schedule_ride: {
+          method: 'bookRide',
+          description: 'Schedule a ride for a later pickup time',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['pickup', 'destination', 'scheduledTime'],
+            properties: {
+              pickup: { type: 'string', description: 'Pickup address or saved place' },
+              destination: { type: 'string', description: 'Destination address or saved place' },
+              scheduledTime: { type: 'string', description: 'Pickup time (e.g. "tomorrow at 8am")' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: rideOutput
+        },
+        ride_status: {
+          method: 'getRideStatus',
+          description: 'Get the status of a ride',
+          idempotent: true,
+          readOnly: true,
+          input: {
+            type: 'object',
+            required: ['rideId'],
+            properties: {
+              rideId: { type: 'string' }
+            }
+          },
+          output: rideOutput
+        },
+        cancel_ride: {
+          method: 'cancelRide',
+          description: 'Cancel a requested ride',
+          idempotent: true,
+          input: {
+            type: 'object',
+            required: ['rideId'],
+            properties: {
+              rideId: { type: 'string' }
+            }
+          },
+          output: rideOutput
+        }
+      }
+    };
   }
 
   /**
@@ -561,9 +612,10 @@ class UberConnector {
    * @param {string} pickup - Pickup location
    * @param {string} destination - Destination location
    * @param {string} scheduledTime - When to book the ride (optional)
+   * @param {string} timezone - User's timezone, for times without an offset
    * @returns {Promise<Object>} - Booking result
    */
-  async bookRide(accessToken, pickup, destination, scheduledTime = 'now') {
+  async bookRide(accessToken, pickup, destination, scheduledTime = 'now', timezone = null) {
     try {
       // Geocode the pickup and destination addresses
       const pickupCoords = await this.geocodeAddress(pickup);
@@ -575,7 +627,7 @@ class UberConnector {
       
       // Determine if this is an immediate or scheduled ride
       const isScheduled = scheduledTime && scheduledTime !== 'now';
-      const scheduledDate = isScheduled ? this.parseScheduledTime(scheduledTime) : null;
+      const scheduledDate = isScheduled ? this.parseScheduledTime(scheduledTime, timezone) : null;
       
       if (isScheduled && (!scheduledDate || scheduledDate < new Date())) {
         throw new Error('Invalid scheduled time. Please provide a future time.');
@@ -709,58 +761,13 @@ class UberConnector {
   /**
    * Parse a scheduled time string into a Date object
    * @param {string} timeString - Time string (e.g., "tomorrow at 3pm")
+   * @param {string} timezone - Timezone the time is written in (defaults to the server's)
    * @returns {Date|null} - Parsed date or null if invalid
    */
-  parseScheduledTime(timeString) {
-    try {
-      if (!timeString) return null;
-      
-      const now = new Date();
-      
-      // Handle some common natural language time expressions
-      if (timeString.toLowerCase() === 'tomorrow') {
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(9, 0, 0, 0); // Default to 9am
-        return tomorrow;
-      }
-      
-      if (timeString.toLowerCase().includes('tomorrow')) {
-        // Try to extract time from string like "tomorrow at 3pm"
-        const timeMatch = timeString.match(/(\d+)(?::(\d+))?\s*(am|pm)?/i);
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        if (timeMatch) {
-          const hours = parseInt(timeMatch[1]);
-          const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-          const isPM = timeMatch[3] && timeMatch[3].toLowerCase() === 'pm';
-          
-          tomorrow.setHours(
-            isPM ? (hours === 12 ? 12 : hours + 12) : (hours === 12 ? 0 : hours),
-            minutes,
-            0,
-            0
-          );
-        } else {
-          // Default to 9am
-          tomorrow.setHours(9, 0, 0, 0);
-        }
-        
-        return tomorrow;
-      }
-      
-      // Use dayjs for more complex date parsing
-      const parsedDate = dayjs(timeString);
-      if (parsedDate.isValid()) {
-        return parsedDate.toDate();
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('Error parsing scheduled time:', error);
-      return null;
-    }
+  parseScheduledTime(timeString, timezone) {
+    if (!timeString) return null;
+    
+    return DateParser.parseDateTime(timeString, { timezone }).start;
   }
 
   /**
@@ -856,6 +863,77 @@ const redis = new Redis(process.env.REDIS_URL);
 class SpotifyConnector {
   constructor() {
     this.apiUrl = 'https://api.spotify.com/v1';
+    
+    // Declarative description of the actions this connector supports
+    this.manifest = {
+      id: 'spotify',
+      version: '1.0.0',
+      auth: { type: 'oauth2', scopes: ['user-read-playback-state', 'user-modify-playback-state', 'playlist-modify-private'] },
+      rateLimit: { requests: 180, windowMs: 30000 },
+      actions: {
+        play_music: {
+          method: 'playMusic',
+          description: 'Play a track on the active device',
+          idempotent: true,
+          input: {
+            type: 'object',
+            required: ['track'],
+            properties: {
+              track: { type: 'string', description: 'Track name or Spotify URI' },
+              artist: { type: 'string', default: '' }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              status: { type: 'string' },
+              track: { type: 'object' }
+            }
+          }
+        },
+        create_playlist: {
+          method: 'createPlaylist',
+          description: 'Create a new playlist',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              description: { type: 'string', default: '' }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              url: { type: 'string', format: 'uri' }
+            }
+          }
+        },
+        search_music: {
+          method: 'searchTrack',
+          description: 'Find the best matching track for a query',
+          idempotent: true,
+          readOnly: true,
+          input: {
+            type: 'object',
+            required: ['query'],
+            properties: {
+              query: { type: 'string', minLength: 1 }
+            }
+          },
+          output: {
+            type: ['object', 'null'],
+            properties: {
+              uri: { type: 'string' },
+              name: { type: 'string' }
+            }
+          }
+        }
+      }
+    };
   }
 
   /**
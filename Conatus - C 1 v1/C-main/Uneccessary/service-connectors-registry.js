@@ -13,12 +13,17 @@ const DoorDashConnector = require('./DoorDashConnector');
 const GoogleCalendarConnector = require('./GoogleCalendarConnector');
 const SpotifyConnector = require('./SpotifyConnector');
 const VenmoConnector = require('./VenmoConnector');
+const HttpConnector = require('./HttpConnector');
+const ConnectorManifest = require('./ConnectorManifest');
+const ConnectorPluginLoader = require('./ConnectorPluginLoader');
 const MonitoringService = require('../MonitoringService');
 
 class ServiceConnectorsRegistry {
   constructor() {
-    // Register all service connectors
-    this.connectors = {
+    this.connectors = {};
+    
+    // Register all service connectors (capabilities come from each connector's manifest)
+    const builtInConnectors = {
       // Communication
       'whatsapp': {
         id: 'whatsapp',
@@ -26,7 +31,6 @@ class ServiceConnectorsRegistry {
         category: 'Communication',
         connector: WhatsAppConnector,
         description: 'Send and schedule WhatsApp messages',
-        capabilities: ['send_message', 'schedule_message', 'use_templates'],
         setupRequired: true,
         icon: 'whatsapp'
       },
@@ -36,7 +40,6 @@ class ServiceConnectorsRegistry {
         category: 'Communication',
         connector: GmailConnector,
         description: 'Send and schedule emails through Gmail',
-        capabilities: ['send_email', 'schedule_email', 'use_templates'],
         setupRequired: true,
         icon: 'gmail'
       },
@@ -48,7 +51,6 @@ class ServiceConnectorsRegistry {
         category: 'Transportation',
         connector: UberConnector,
         description: 'Book and schedule Uber rides',
-        capabilities: ['book_ride', 'schedule_ride', 'ride_estimate'],
         setupRequired: true,
         icon: 'uber'
       },
@@ -60,7 +62,6 @@ class ServiceConnectorsRegistry {
         category: 'Food',
         connector: DoorDashConnector,
         description: 'Order food from your favorite restaurants',
-        capabilities: ['place_order', 'reorder', 'track_order'],
         setupRequired: true,
         icon: 'doordash'
       },
@@ -72,7 +73,6 @@ class ServiceConnectorsRegistry {
         category: 'Productivity',
         connector: GoogleCalendarConnector,
         description: 'Create and manage calendar events',
-        capabilities: ['create_event', 'schedule_event', 'list_events'],
         setupRequired: true,
         icon: 'calendar'
       },
@@ -84,7 +84,6 @@ class ServiceConnectorsRegistry {
         category: 'Entertainment',
         connector: SpotifyConnector,
         description: 'Control music playback and manage playlists',
-        capabilities: ['play_music', 'create_playlist', 'search_music'],
         setupRequired: true,
         icon: 'spotify'
       },
@@ -96,17 +95,58 @@ class ServiceConnectorsRegistry {
         category: 'Financial',
         connector: VenmoConnector,
         description: 'Send money and manage payments',
-        capabilities: ['send_payment', 'request_payment', 'payment_history'],
         setupRequired: true,
         icon: 'venmo'
+      },
+      
+      // Developer
+      'http': {
+        id: 'http',
+        name: 'HTTP Request',
+        category: 'Developer',
+        connector: HttpConnector,
+        description: 'Call any HTTP API or webhook',
+        setupRequired: false,
+        icon: 'http'
       }
     };
     
+    Object.values(builtInConnectors).forEach(entry => this.registerConnector({ ...entry, source: 'builtin' }));
+    
+    // Register third-party connector plugins (a failing plugin is skipped, not fatal)
+    ConnectorPluginLoader.loadPlugins(this);
+    
     // Initialize health status for all connectors
     this.healthStatus = {};
     this.initializeHealthChecks();
   }
 
+  /**
+   * Register a connector after validating its manifest
+   * @param {Object} entry - Registry entry ({ id, name, category, connector, ... })
+   * @returns {Object} - Registered entry
+   */
+  registerConnector(entry) {
+    const manifest = entry.connector && entry.connector.manifest;
+    const { valid, errors } = ConnectorManifest.validate(manifest, entry.connector);
+    
+    if (!valid) {
+      throw new Error(`Invalid manifest for connector ${entry.id}: ${errors.join('; ')}`);
+    }
+    
+    if (manifest.id !== entry.id) {
+      throw new Error(`Manifest id ${manifest.id} does not match connector ${entry.id}`);
+    }
+    
+    this.connectors[entry.id] = {
+      ...entry,
+      version: manifest.version,
+      capabilities: Object.keys(manifest.actions)
+    };
+    
+    return this.connectors[entry.id];
+  }
+
   /**
    * Get all available service connectors
    * @returns {Object} - Map of all connectors
@@ -133,7 +173,8 @@ class ServiceConnectorsRegistry {
         description: connector.description,
         capabilities: connector.capabilities,
         setupRequired: connector.setupRequired,
-        icon: connector.icon
+        icon: connector.icon,
+        source: connector.source
       });
     });
     
@@ -174,32 +215,164 @@ class ServiceConnectorsRegistry {
     };
   }
 
+  /**
+   * Get the manifest for a specific connector
+   * @param {string} connectorId - Service connector ID
+   * @returns {Object|null} - Connector manifest or null if not found
+   */
+  getConnectorManifest(connectorId) {
+    const connector = this.getConnector(connectorId);
+    return connector ? connector.manifest : null;
+  }
+
+  /**
+   * Get all connector manifests, with display metadata for the workflow builder
+   * @returns {Array<Object>} - Manifests for all registered connectors
+   */
+  getAllManifests() {
+    return Object.values(this.connectors).map(({ id, name, category, description, icon, connector }) => ({
+      ...connector.manifest,
+      id,
+      name,
+      category,
+      description,
+      icon
+    }));
+  }
+
+  /**
+   * Resolve an action declaration by capability ID or method name
+   * @param {string} connectorId - Service connector ID
+   * @param {string} action - Capability ID (e.g. send_message) or method name (e.g. sendMessage)
+   * @returns {Object|null} - { id, ...declaration } or null if not declared
+   */
+  getActionDefinition(connectorId, action) {
+    const manifest = this.getConnectorManifest(connectorId);
+    
+    if (!manifest) {
+      return null;
+    }
+    
+    if (manifest.actions[action]) {
+      return { id: action, ...manifest.actions[action] };
+    }
+    
+    const match = Object.entries(manifest.actions).find(([, declaration]) => declaration.method === action);
+    return match ? { id: match[0], ...match[1] } : null;
+  }
+
+  /**
+   * Create a stand-in for a connector that records every method call instead
+   * of contacting the service (used for workflow dry runs)
+   * @param {string} connectorId - Service connector ID
+   * @param {Function} onCall - Receives { connector, action, method, params }; may return a canned result
+   * @returns {Object|null} - Recording connector or null if the connector is not registered
+   */
+  createRecordingConnector(connectorId, onCall) {
+    const connector = this.getConnector(connectorId);
+    
+    if (!connector) {
+      return null;
+    }
+    
+    const recording = { manifest: connector.manifest };
+    const methods = new Set();
+    
+    // Collect methods from the instance and its class hierarchy
+    for (let target = connector; target && target !== Object.prototype; target = Object.getPrototypeOf(target)) {
+      for (const name of Object.getOwnPropertyNames(target)) {
+        if (name !== 'constructor' && typeof connector[name] === 'function') {
+          methods.add(name);
+        }
+      }
+    }
+    
+    for (const method of methods) {
+      recording[method] = async (accessToken, ...args) => {
+        const definition = this.getActionDefinition(connectorId, method);
+        const params = definition ? ConnectorManifest.toParams(definition, args) : { arguments: args };
+        
+        const result = await onCall({
+          connector: connectorId,
+          action: definition ? definition.id : null,
+          method,
+          params
+        });
+        
+        return result !== undefined ? result : ConnectorManifest.sampleValue(definition && definition.output);
+      };
+    }
+    
+    return recording;
+  }
+
+  /**
+   * Get the outcome of loading connector plugins
+   * @returns {Object} - { loaded, failures }
+   */
+  getPluginStatus() {
+    return ConnectorPluginLoader.getStatus();
+  }
+
   /**
    * Execute an action using the appropriate connector
    * @param {string} connectorId - Service connector ID
    * @param {string} action - Action to execute
    * @param {Object} params - Action parameters
    * @param {string} accessToken - Service access token
+   * @param {Object} options - { connector: use this connector instance instead (e.g. a recording connector),
+   *                            timezone: user's timezone, for actions that take one and were not given one }
    * @returns {Promise<Object>} - Action result
    */
-  async executeAction(connectorId, action, params, accessToken) {
+  async executeAction(connectorId, action, params = {}, accessToken, options = {}) {
     try {
-      const connector = this.getConnector(connectorId);
+      const connector = options.connector || this.getConnector(connectorId);
       
       if (!connector) {
         throw new Error(`Service connector not found: ${connectorId}`);
       }
       
-      // Create trace for monitoring
-      const trace = MonitoringService.createTrace(`${connectorId}.${action}`);
+      // Check if connector declares the requested action
+      const definition = this.getActionDefinition(connectorId, action);
       
-      // Check if connector supports the requested action
-      if (typeof connector[action] !== 'function') {
+      if (!definition) {
         throw new Error(`Action not supported by connector ${connectorId}: ${action}`);
       }
       
+      // Times in the action are written in the user's timezone unless it says otherwise
+      if (options.timezone && definition.input.properties && definition.input.properties.timezone && !params.timezone) {
+        params = { ...params, timezone: options.timezone };
+      }
+      
+      // Validate parameters against the declared input schema
+      const validation = ConnectorManifest.validateParams(definition.input, params);
+      
+      if (!validation.valid) {
+        throw ConnectorManifest.createValidationError(
+          `Invalid parameters for ${connectorId}.${definition.id}`,
+          validation.errors
+        );
+      }
+      
+      // Create trace for monitoring
+      const trace = MonitoringService.createTrace(`${connectorId}.${definition.id}`);
+      
       // Execute the action
-      const result = await connector[action](accessToken, ...Object.values(params));
+      const result = await connector[definition.method](
+        accessToken,
+        ...ConnectorManifest.toArguments(definition, params)
+      );
+      
+      // Output mismatches are logged rather than thrown, the action has already run
+      if (definition.output) {
+        const outputValidation = ConnectorManifest.validateParams(definition.output, result, 'result');
+        
+        if (!outputValidation.valid) {
+          MonitoringService.warn(`Unexpected result shape from ${connectorId}.${definition.id}`, {
+            errors: outputValidation.errors
+          });
+        }
+      }
       
       // End trace
       trace.end();
@@ -0,0 +1,439 @@
+// backend/services/connectors/VenmoConnector.js
+/**
+ * Venmo Connector
+ * 
+ * Handles interaction with the Venmo API for sending and requesting
+ * payments and reviewing payment history.
+ */
+
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const MonitoringService = require('../MonitoringService');
+
+class VenmoConnector {
+  constructor() {
+    // Base URL for Venmo API (overridable for local stubs)
+    this.baseUrl = process.env.VENMO_API_URL || 'https://api.venmo.com/v1';
+    
+    // Upper bound for a single automated payment, in dollars
+    this.maxPaymentAmount = parseFloat(process.env.VENMO_MAX_PAYMENT_AMOUNT || '500');
+    
+    // Declarative description of the actions this connector supports
+    const paymentOutput = {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        paymentId: { type: 'string' },
+        status: { type: 'string' },
+        amount: { type: 'number' }
+      }
+    };
+    
+    this.manifest = {
+      id: 'venmo',
+      version: '1.0.0',
+      auth: { type: 'oauth2', scopes: ['access_profile', 'access_balance', 'make_payments'] },
+      rateLimit: { requests: 30, windowMs: 60000 },
+      actions: {
+        send_payment: {
+          method: 'sendPayment',
+          description: 'Send money to another Venmo user',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['recipient', 'amount'],
+            properties: {
+              recipient: { type: 'string', description: 'Username, phone number or email' },
+              amount: { type: ['number', 'string'], minimum: 0.01, description: 'Amount in dollars' },
+              description: { type: 'string', default: '', description: 'Payment note' },
+              scheduledTime: {
+                type: ['string', 'null'],
+                description: 'Scheduled payments are not supported; omit (or use "now") to pay immediately'
+              }
+            }
+          },
+          output: paymentOutput
+        },
+        request_payment: {
+          method: 'requestPayment',
+          description: 'Request money from another Venmo user',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['recipient', 'amount'],
+            properties: {
+              recipient: { type: 'string', description: 'Username, phone number or email' },
+              amount: { type: ['number', 'string'], minimum: 0.01, description: 'Amount in dollars' },
+              description: { type: 'string', default: '', description: 'Request note' }
+            }
+          },
+          output: paymentOutput
+        },
+        payment_status: {
+          method: 'getPaymentStatus',
+          description: 'Get the status of a payment or request',
+          idempotent: true,
+          readOnly: true,
+          input: {
+            type: 'object',
+            required: ['paymentId'],
+            properties: {
+              paymentId: { type: 'string' }
+            }
+          },
+          output: paymentOutput
+        },
+        cancel_payment: {
+          method: 'cancelPayment',
+          description: 'Cancel a pending payment request',
+          idempotent: true,
+          input: {
+            type: 'object',
+            required: ['paymentId'],
+            properties: {
+              paymentId: { type: 'string' }
+            }
+          },
+          output: paymentOutput
+        },
+        payment_history: {
+          method: 'getPaymentHistory',
+          description: 'List recent payments',
+          idempotent: true,
+          readOnly: true,
+          input: {
+            type: 'object',
+            properties: {
+              limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 }
+            }
+          },
+          output: { type: 'array', items: paymentOutput }
+        }
+      }
+    };
+  }
+
+  /**
+   * Send a payment
+   * @param {string} accessToken - Venmo access token
+   * @param {string} recipient - Recipient username, phone number or email
+   * @param {number|string} amount - Amount in dollars
+   * @param {string} description - Payment note
+   * @param {string|Date} scheduledTime - Must be empty or 'now': scheduled payments are rejected
+   * @param {string} idempotencyKey - Key sent with the request so a retry is not applied twice (a new one by default)
+   * @returns {Promise<Object>} - Payment result
+   */
+  async sendPayment(accessToken, recipient, amount, description = '', scheduledTime = null, idempotencyKey = null) {
+    try {
+      const startedAt = Date.now();
+      const trace = MonitoringService.createTrace('Venmo.sendPayment');
+      trace.startSpan('prepare');
+      
+      // Validate inputs
+      if (!accessToken) {
+        throw new Error('Access token is required');
+      }
+      
+      if (!recipient) {
+        throw new Error('Recipient is required');
+      }
+      
+      const paymentAmount = this.parseAmount(amount);
+      
+      // Venmo has no native scheduling, and a payment is never reported as scheduled without being sent
+      if (scheduledTime && scheduledTime !== 'now') {
+        throw new Error('Scheduled Venmo payments are not supported; schedule the automation instead');
+      }
+      
+      trace.startSpan('send');
+      
+      const response = await fetch(`${this.baseUrl}/payments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+          'Idempotency-Key': idempotencyKey || uuidv4()
+        },
+        body: JSON.stringify({
+          ...this.formatRecipient(recipient),
+          amount: paymentAmount,
+          note: description || 'Payment',
+          audience: 'private'
+        })
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      const payment = result.data?.payment || result.payment || {};
+      
+      // Track success metric
+      MonitoringService.trackAutomationExecution(
+        'venmo_payment',
+        true,
+        Date.now() - startedAt
+      );
+      
+      trace.endSpan();
+      trace.end();
+      
+      return {
+        success: true,
+        paymentId: payment.id,
+        status: payment.status,
+        recipient,
+        amount: paymentAmount,
+        description: description || 'Payment',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      // Track failure metric
+      MonitoringService.trackAutomationExecution('venmo_payment', false);
+      
+      // Log error (never log full payment details)
+      MonitoringService.error('Error sending Venmo payment', error, { recipient });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Request a payment from another user
+   * @param {string} accessToken - Venmo access token
+   * @param {string} recipient - User to charge
+   * @param {number|string} amount - Amount in dollars
+   * @param {string} description - Request note
+   * @param {string} idempotencyKey - Key sent with the request so a retry is not applied twice (a new one by default)
+   * @returns {Promise<Object>} - Request result
+   */
+  async requestPayment(accessToken, recipient, amount, description = '', idempotencyKey = null) {
+    try {
+      if (!accessToken) {
+        throw new Error('Access token is required');
+      }
+      
+      if (!recipient) {
+        throw new Error('Recipient is required');
+      }
+      
+      const requestAmount = this.parseAmount(amount);
+      
+      // Venmo models charges as payments with a negative amount
+      const response = await fetch(`${this.baseUrl}/payments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`,
+          'Idempotency-Key': idempotencyKey || uuidv4()
+        },
+        body: JSON.stringify({
+          ...this.formatRecipient(recipient),
+          amount: -requestAmount,
+          note: description || 'Payment request',
+          audience: 'private'
+        })
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      const payment = result.data?.payment || result.payment || {};
+      
+      MonitoringService.trackAutomationExecution('venmo_request', true);
+      
+      return {
+        success: true,
+        paymentId: payment.id,
+        status: payment.status || 'pending',
+        recipient,
+        amount: requestAmount,
+        description: description || 'Payment request',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      MonitoringService.trackAutomationExecution('venmo_request', false);
+      MonitoringService.error('Error requesting Venmo payment', error, { recipient });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status of a payment or request
+   * @param {string} accessToken - Venmo access token
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} - Payment status
+   */
+  async getPaymentStatus(accessToken, paymentId) {
+    try {
+      const response = await fetch(`${this.baseUrl}/payments/${encodeURIComponent(paymentId)}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      const payment = result.data || {};
+      
+      return {
+        paymentId: payment.id,
+        status: payment.status,
+        amount: payment.amount,
+        description: payment.note,
+        updated_at: payment.date_completed || new Date().toISOString()
+      };
+    } catch (error) {
+      MonitoringService.error('Error getting Venmo payment status', error, { paymentId });
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending payment request
+   * @param {string} accessToken - Venmo access token
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object>} - Cancellation result
+   */
+  async cancelPayment(accessToken, paymentId) {
+    try {
+      // Only pending requests can be cancelled; completed payments cannot be reversed
+      const response = await fetch(`${this.baseUrl}/payments/${encodeURIComponent(paymentId)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${accessToken}`
+        },
+        body: JSON.stringify({ action: 'cancel' })
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      return {
+        success: true,
+        paymentId,
+        status: 'cancelled',
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      MonitoringService.error('Error cancelling Venmo payment', error, { paymentId });
+      throw error;
+    }
+  }
+
+  /**
+   * Get recent payment history
+   * @param {string} accessToken - Venmo access token
+   * @param {number} limit - Maximum number of payments
+   * @returns {Promise<Array>} - Recent payments
+   */
+  async getPaymentHistory(accessToken, limit = 20) {
+    try {
+      const response = await fetch(`${this.baseUrl}/payments?limit=${encodeURIComponent(limit)}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+      
+      if (!response.ok) {
+        throw await this.mapApiError(response);
+      }
+      
+      const result = await response.json();
+      
+      return (result.data || []).map(payment => ({
+        paymentId: payment.id,
+        status: payment.status,
+        action: payment.action,
+        amount: payment.amount,
+        description: payment.note,
+        counterparty: payment.target?.user?.username || payment.target?.email || payment.target?.phone || null,
+        date: payment.date_created
+      }));
+    } catch (error) {
+      MonitoringService.error('Error fetching Venmo payment history', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and normalize a payment amount
+   * @param {number|string} amount - Raw amount (e.g. 20, "20.50", "$20")
+   * @returns {number} - Amount rounded to cents
+   */
+  parseAmount(amount) {
+    const value = typeof amount === 'number'
+      ? amount
+      : parseFloat(String(amount || '').replace(/[$,\s]/g, ''));
+    
+    if (isNaN(value) || value <= 0) {
+      throw new Error(`Invalid payment amount: ${amount}`);
+    }
+    
+    if (value > this.maxPaymentAmount) {
+      throw new Error(`Payment amount exceeds the automated limit of $${this.maxPaymentAmount}`);
+    }
+    
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Build the recipient fields for a payment request
+   * @param {string} recipient - Username, phone number or email
+   * @returns {Object} - Venmo recipient fields
+   */
+  formatRecipient(recipient) {
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient)) {
+      return { email: recipient };
+    }
+    
+    if (/^[+\d\s\-()]+$/.test(recipient)) {
+      return { phone: recipient.replace(/\D/g, '') };
+    }
+    
+    return { username: recipient.replace(/^@/, '') };
+  }
+
+  /**
+   * Map an unsuccessful API response to an Error
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Error>} - Error with status and code attached
+   */
+  async mapApiError(response) {
+    let errorData = {};
+    try {
+      errorData = await response.json();
+    } catch (parseError) {
+      // Non-JSON error body
+    }
+    
+    const error = new Error(`Venmo API error: ${errorData.error?.message || response.statusText}`);
+    error.status = response.status;
+    
+    if (response.status === 401 || response.status === 403) {
+      error.code = 'unauthorized';
+    } else if (response.status === 404) {
+      error.code = 'not_found';
+    } else if (response.status === 429) {
+      error.code = 'rate_limited';
+    } else if (response.status >= 500) {
+      error.code = 'service_unavailable';
+    } else {
+      error.code = errorData.error?.code ? String(errorData.error.code) : 'invalid_request';
+    }
+    
+    return error;
+  }
+}
+
+module.exports = new VenmoConnector();
@@ -0,0 +1,499 @@
+// backend/services/automation/WebhookTriggerService.js
+/**
+ * Webhook Trigger Service
+ * 
+ * Gives each automation an inbound webhook URL. Deliveries must be signed
+ * with the webhook secret:
+ *   X-Conatus-Timestamp: <unix seconds>
+ *   X-Conatus-Delivery: <unique delivery id> (optional; letters, digits, - and _)
+ *   X-Conatus-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<delivery id>.<raw body>">,
+ *                        or of "<timestamp>.<raw body>" without a delivery id
+ * 
+ * The delivery id is signed so a captured request cannot be replayed under a
+ * new one; without it, deliveries are deduplicated on the signature.
+ * 
+ * Verified payloads are validated, mapped into triggerData and passed to
+ * AutomationExecutionService.executeConfiguredAutomation.
+ */
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const AutomationExecutionService = require('./AutomationExecutionService');
+const ConditionalExecutionService = require('./ConditionalExecutionService');
+const ConnectorManifest = require('../connectors/ConnectorManifest');
+
+// Initialize Supabase client
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+class WebhookTriggerService {
+  constructor() {
+    this.config = {
+      // Maximum age of a signed delivery (also bounds the replay window)
+      toleranceSeconds: parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS || '300', 10),
+      // How long the previous secret stays valid after a rotation
+      rotationGraceMs: 24 * 60 * 60 * 1000,
+      maxPayloadBytes: parseInt(process.env.WEBHOOK_MAX_PAYLOAD_BYTES || '262144', 10)
+    };
+  }
+
+  /**
+   * Create (or replace) the inbound webhook for an automation
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @param {Object} options - { payloadSchema, payloadMapping }
+   * @returns {Promise<Object>} - Webhook with URL and secret (the secret is only returned here)
+   */
+  async createWebhook(automationId, userId, options = {}) {
+    try {
+      await this.getOwnedAutomation(automationId, userId);
+      
+      if (options.payloadSchema) {
+        const schemaErrors = ConnectorManifest.validateSchema(options.payloadSchema, 'payloadSchema');
+        if (schemaErrors.length > 0) {
+          throw ConnectorManifest.createValidationError('Invalid payload schema', schemaErrors);
+        }
+      }
+      
+      const secret = this.generateSecret();
+      
+      const { data: webhook, error } = await supabase
+        .from('automation_webhooks')
+        .upsert({
+          automation_id: automationId,
+          user_id: userId,
+          token: crypto.randomBytes(24).toString('hex'),
+          secret,
+          previous_secret: null,
+          previous_secret_expires_at: null,
+          payload_schema: options.payloadSchema || null,
+          payload_mapping: options.payloadMapping || {},
+          enabled: true,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'automation_id' })
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      return { ...this.formatWebhook(webhook), secret };
+    } catch (error) {
+      console.error('Error creating webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the inbound webhook for an automation
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Webhook (without secret) or null if none
+   */
+  async getWebhook(automationId, userId) {
+    try {
+      const { data: webhook, error } = await supabase
+        .from('automation_webhooks')
+        .select('*')
+        .eq('automation_id', automationId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      
+      return webhook ? this.formatWebhook(webhook) : null;
+    } catch (error) {
+      console.error('Error fetching webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update payload handling or enable/disable a webhook
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - { payloadSchema, payloadMapping, enabled }
+   * @returns {Promise<Object>} - Updated webhook
+   */
+  async updateWebhook(automationId, userId, updates) {
+    try {
+      const changes = { updated_at: new Date().toISOString() };
+      
+      if (updates.payloadSchema !== undefined) {
+        if (updates.payloadSchema) {
+          const schemaErrors = ConnectorManifest.validateSchema(updates.payloadSchema, 'payloadSchema');
+          if (schemaErrors.length > 0) {
+            throw ConnectorManifest.createValidationError('Invalid payload schema', schemaErrors);
+          }
+        }
+        changes.payload_schema = updates.payloadSchema || null;
+      }
+      if (updates.payloadMapping !== undefined) changes.payload_mapping = updates.payloadMapping || {};
+      if (updates.enabled !== undefined) changes.enabled = !!updates.enabled;
+      
+      const { data: webhook, error } = await supabase
+        .from('automation_webhooks')
+        .update(changes)
+        .eq('automation_id', automationId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+      
+      if (error || !webhook) {
+        throw this.createError('Webhook not found', 404);
+      }
+      
+      return this.formatWebhook(webhook);
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate the signing secret, keeping the previous one valid for a grace period
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Webhook with the new secret
+   */
+  async rotateSecret(automationId, userId) {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('automation_webhooks')
+        .select('*')
+        .eq('automation_id', automationId)
+        .eq('user_id', userId)
+        .single();
+      
+      if (fetchError || !existing) {
+        throw this.createError('Webhook not found', 404);
+      }
+      
+      const secret = this.generateSecret();
+      
+      const { data: webhook, error } = await supabase
+        .from('automation_webhooks')
+        .update({
+          secret,
+          previous_secret: existing.secret,
+          previous_secret_expires_at: new Date(Date.now() + this.config.rotationGraceMs).toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', existing.id)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      return { ...this.formatWebhook(webhook), secret };
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the inbound webhook for an automation
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteWebhook(automationId, userId) {
+    try {
+      const { error } = await supabase
+        .from('automation_webhooks')
+        .delete()
+        .eq('automation_id', automationId)
+        .eq('user_id', userId);
+      
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get recent deliveries for an automation's webhook
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array>} - Deliveries, newest first
+   */
+  async getDeliveries(automationId, userId, limit = 20) {
+    try {
+      const { data: webhook, error: fetchError } = await supabase
+        .from('automation_webhooks')
+        .select('id')
+        .eq('automation_id', automationId)
+        .eq('user_id', userId)
+        .single();
+      
+      if (fetchError || !webhook) {
+        throw this.createError('Webhook not found', 404);
+      }
+      
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('webhook_id', webhook.id)
+        .order('received_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle an inbound delivery
+   * @param {string} token - Webhook token from the URL
+   * @param {Buffer|string} rawBody - Raw request body (needed for signature verification)
+   * @param {Object} headers - Request headers (lower-cased, as provided by Express)
+   * @returns {Promise<Object>} - { deliveryId, status }
+   */
+  async handleDelivery(token, rawBody, headers) {
+    const { data: webhook, error } = await supabase
+      .from('automation_webhooks')
+      .select('*')
+      .eq('token', token)
+      .single();
+    
+    if (error || !webhook || !webhook.enabled) {
+      throw this.createError('Webhook not found', 404);
+    }
+    
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+    
+    if (Buffer.byteLength(body) > this.config.maxPayloadBytes) {
+      throw this.createError('Payload too large', 413);
+    }
+    
+    // Verify signature and timestamp
+    const deliveryId = this.verifySignature(webhook, body, headers);
+    
+    // Parse and validate the payload before recording the delivery
+    let payload;
+    try {
+      payload = body ? JSON.parse(body) : {};
+    } catch (parseError) {
+      throw this.createError('Payload must be valid JSON', 400);
+    }
+    
+    if (webhook.payload_schema) {
+      const validation = ConnectorManifest.validateParams(webhook.payload_schema, payload, 'payload');
+      if (!validation.valid) {
+        throw ConnectorManifest.createValidationError('Payload does not match schema', validation.errors);
+      }
+    }
+    
+    const triggerData = this.mapPayload(payload, webhook.payload_mapping);
+    
+    // Replay protection: a delivery ID can only be recorded once per webhook
+    const { error: insertError } = await supabase
+      .from('webhook_deliveries')
+      .insert({
+        webhook_id: webhook.id,
+        delivery_id: deliveryId,
+        status: 'accepted',
+        trigger_data: triggerData
+      });
+    
+    if (insertError) {
+      if (insertError.code === '23505') {
+        throw this.createError('Delivery has already been received', 409);
+      }
+      throw insertError;
+    }
+    
+    await supabase
+      .from('automation_webhooks')
+      .update({ last_received_at: new Date().toISOString() })
+      .eq('id', webhook.id);
+    
+    // Run the automation in the background so the sender gets a fast response
+    this.executeDelivery(webhook, deliveryId, triggerData).catch(executionError => {
+      console.error('Error executing webhook delivery:', executionError);
+    });
+    
+    return { deliveryId, status: 'accepted' };
+  }
+
+  /**
+   * Execute the automation for an accepted delivery and record the outcome
+   * @param {Object} webhook - Webhook record
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} triggerData - Mapped trigger data
+   * @returns {Promise<Object>} - Execution result
+   */
+  async executeDelivery(webhook, deliveryId, triggerData) {
+    let status = 'completed';
+    let errorMessage = null;
+    let result = null;
+    
+    try {
+      result = await AutomationExecutionService.executeConfiguredAutomation(
+        webhook.automation_id,
+        triggerData,
+        webhook.user_id
+      );
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+    }
+    
+    await supabase
+      .from('webhook_deliveries')
+      .update({
+        status,
+        error: errorMessage,
+        completed_at: new Date().toISOString()
+      })
+      .eq('webhook_id', webhook.id)
+      .eq('delivery_id', deliveryId);
+    
+    return result;
+  }
+
+  /**
+   * Verify the delivery signature against the current (or recently rotated) secret
+   * @param {Object} webhook - Webhook record
+   * @param {string} body - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {string} - The signed delivery ID, or the verified signature when none was sent
+   */
+  verifySignature(webhook, body, headers) {
+    const timestamp = parseInt(headers['x-conatus-timestamp'], 10);
+    const header = String(headers['x-conatus-signature'] || '');
+    const signature = header.startsWith('sha256=') ? header.slice(7) : header;
+    const deliveryId = headers['x-conatus-delivery'] ? String(headers['x-conatus-delivery']) : null;
+    
+    if (!timestamp || !signature) {
+      throw this.createError('Missing webhook signature', 401);
+    }
+    
+    // Delivery IDs cannot contain the separator, so the signed string is unambiguous
+    if (deliveryId !== null && !/^[A-Za-z0-9_-]{1,200}$/.test(deliveryId)) {
+      throw this.createError('Invalid webhook delivery ID', 400);
+    }
+    
+    const age = Math.abs(Date.now() / 1000 - timestamp);
+    if (age > this.config.toleranceSeconds) {
+      throw this.createError('Webhook timestamp outside the allowed tolerance', 401);
+    }
+    
+    const secrets = [webhook.secret];
+    if (webhook.previous_secret && new Date(webhook.previous_secret_expires_at) > new Date()) {
+      secrets.push(webhook.previous_secret);
+    }
+    
+    const valid = secrets.some(secret => {
+      const expected = this.sign(secret, timestamp, body, deliveryId);
+      return expected.length === signature.length &&
+        crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    });
+    
+    if (!valid) {
+      throw this.createError('Invalid webhook signature', 401);
+    }
+    
+    return deliveryId || signature;
+  }
+
+  /**
+   * Compute the signature for a payload
+   * @param {string} secret - Signing secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw request body
+   * @param {string} deliveryId - Delivery ID, if the sender sets one
+   * @returns {string} - Hex HMAC-SHA256 signature
+   */
+  sign(secret, timestamp, body, deliveryId = null) {
+    const signed = deliveryId ? `${timestamp}.${deliveryId}.${body}` : `${timestamp}.${body}`;
+    return crypto.createHmac('sha256', secret).update(signed).digest('hex');
+  }
+
+  /**
+   * Map a payload into trigger data
+   * @param {any} payload - Parsed payload
+   * @param {Object} mapping - triggerData field -> JSON path (e.g. { amount: 'order.total' })
+   * @returns {Object} - Trigger data (the whole payload when no mapping is configured)
+   */
+  mapPayload(payload, mapping) {
+    if (!mapping || Object.keys(mapping).length === 0) {
+      return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : { payload };
+    }
+    
+    const triggerData = {};
+    for (const [field, path] of Object.entries(mapping)) {
+      triggerData[field] = ConditionalExecutionService.extractByJsonPath(payload, path);
+    }
+    
+    return triggerData;
+  }
+
+  /**
+   * Check that an automation exists and belongs to the user
+   * @param {string} automationId - Automation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Automation
+   */
+  async getOwnedAutomation(automationId, userId) {
+    const { data: automation, error } = await supabase
+      .from('automations')
+      .select('id')
+      .eq('id', automationId)
+      .eq('user_id', userId)
+      .single();
+    
+    if (error || !automation) {
+      throw this.createError('Automation not found', 404);
+    }
+    
+    return automation;
+  }
+
+  /**
+   * Format a webhook record for API responses (never includes secrets)
+   * @param {Object} webhook - Webhook record
+   * @returns {Object} - Formatted webhook
+   */
+  formatWebhook(webhook) {
+    const baseUrl = process.env.API_URL || '';
+    
+    return {
+      id: webhook.id,
+      automationId: webhook.automation_id,
+      url: `${baseUrl}/api/v1/webhooks/${webhook.token}`,
+      payloadSchema: webhook.payload_schema,
+      payloadMapping: webhook.payload_mapping,
+      enabled: webhook.enabled,
+      lastReceivedAt: webhook.last_received_at,
+      createdAt: webhook.created_at
+    };
+  }
+
+  /**
+   * Generate a signing secret
+   * @returns {string} - Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @returns {Error} - Error
+   */
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new WebhookTriggerService();
@@ -0,0 +1,42 @@
+// backend/api/routes/webhooks.js
+/**
+ * Webhooks API Endpoints
+ * 
+ * Public endpoint that receives inbound webhook deliveries and triggers
+ * the matching automation. Requests are authenticated by their HMAC
+ * signature rather than a user session, so this router must be mounted
+ * without the auth middleware and before any JSON body parser (the raw
+ * body is needed to verify the signature).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const WebhookTriggerService = require('../../services/automation/WebhookTriggerService');
+
+/**
+ * @route POST /api/v1/webhooks/:token
+ * @description Receive a signed webhook delivery for an automation
+ * @access Public (HMAC signed)
+ */
+router.post('/:token', express.raw({ type: '*/*', limit: '256kb' }), async (req, res) => {
+  try {
+    const result = await WebhookTriggerService.handleDelivery(req.params.token, req.body, req.headers);
+    
+    res.status(202).json(result);
+  } catch (error) {
+    const status = error.status || (error.name === 'ValidationError' ? 400 : 500);
+    
+    if (status >= 500) {
+      console.error('Error handling webhook delivery:', error);
+    }
+    
+    res.status(status).json({
+      error: status >= 500 ? 'Failed to process webhook' : error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,7 @@
 const fetch = require('node-fetch');
 const { v4: uuidv4 } = require('uuid');
 const MonitoringService = require('../MonitoringService');
+const DateParser = require('../../../shared/dateParser');
 
 class WhatsAppConnector {
   constructor() {
@@ -17,6 +18,92 @@ class WhatsAppConnector {
     
     // Cache for phone number validation
     this.phoneNumberCache = new Map();
+    
+    // Declarative description of the actions this connector supports
+    this.manifest = {
+      id: 'whatsapp',
+      version: '1.0.0',
+      auth: { type: 'oauth2', scopes: ['whatsapp_business_messaging'] },
+      rateLimit: { requests: 80, windowMs: 1000 },
+      actions: {
+        send_message: {
+          method: 'sendMessage',
+          description: 'Send a WhatsApp message now or at a later time',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['recipient', 'content'],
+            properties: {
+              recipient: { type: 'string', description: 'Recipient phone number' },
+              content: { type: 'string', minLength: 1, maxLength: 4096, description: 'Message text' },
+              scheduledTime: { type: ['string', 'null'], description: 'When to send (e.g. "tomorrow at 9am"); omit to send now' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              messageId: { type: 'string' },
+              recipient: { type: 'string' },
+              scheduled: { type: 'boolean' }
+            }
+          }
+        },
+        schedule_message: {
+          method: 'scheduleMessage',
+          description: 'Schedule a WhatsApp message for future delivery',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['recipient', 'content', 'scheduledTime'],
+            properties: {
+              recipient: { type: 'string', description: 'Recipient phone number' },
+              content: { type: 'string', minLength: 1, maxLength: 4096, description: 'Message text' },
+              scheduledTime: { type: 'string', description: 'When to send (e.g. "tomorrow at 9am")' },
+              timezone: { type: ['string', 'null'], description: 'IANA timezone the time is written in (defaults to the user\'s)' }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              messageId: { type: 'string' },
+              scheduledFor: { type: 'string', format: 'date-time' }
+            }
+          }
+        },
+        use_templates: {
+          method: 'sendTemplateMessage',
+          description: 'Send a pre-approved WhatsApp template message',
+          idempotent: false,
+          input: {
+            type: 'object',
+            required: ['recipient', 'templateName'],
+            properties: {
+              recipient: { type: 'string', description: 'Recipient phone number' },
+              templateName: { type: 'string', description: 'Approved template name' },
+              templateParams: { type: 'object', default: {}, description: 'Template body parameters' }
+            }
+          },
+          output: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              messageId: { type: 'string' }
+            }
+          }
+        },
+        list_templates: {
+          method: 'getTemplates',
+          description: 'List message templates available to the business',
+          idempotent: true,
+          readOnly: true,
+          input: { type: 'object', properties: {} },
+          output: { type: 'array', items: { type: 'object' } }
+        }
+      }
+    };
   }
 
   /**
@@ -25,9 +112,10 @@ class WhatsAppConnector {
    * @param {string} recipient - Recipient phone number or contact name
    * @param {string} content - Message content
    * @param {string|Date} scheduledTime - Optional scheduled time (null for immediate)
+   * @param {string} timezone - User's timezone, for scheduled times without an offset
    * @returns {Promise<Object>} - Send result
    */
-  async sendMessage(accessToken, recipient, content, scheduledTime = null) {
+  async sendMessage(accessToken, recipient, content, scheduledTime = null, timezone = null) {
     try {
       const trace = MonitoringService.createTrace('WhatsApp.sendMessage');
       trace.startSpan('prepare');
@@ -59,7 +147,8 @@ class WhatsAppConnector {
           accessToken,
           formattedPhone,
           content,
-          scheduledTime
+          scheduledTime,
+          timezone
         );
         trace.endSpan();
         trace.end();
@@ -135,12 +224,13 @@ class WhatsAppConnector {
    * @param {string} recipient - Formatted recipient phone number
    * @param {string} content - Message content
    * @param {string|Date} scheduledTime - When to send the message
+   * @param {string} timezone - User's timezone, for times without an offset
    * @returns {Promise<Object>} - Scheduling result
    */
-  async scheduleMessage(accessToken, recipient, content, scheduledTime) {
+  async scheduleMessage(accessToken, recipient, content, scheduledTime, timezone = null) {
     try {
       // Determine when to send the message
-      const sendTime = this.parseScheduledTime(scheduledTime);
+      const sendTime = this.parseScheduledTime(scheduledTime, timezone);
       
       // Store in our scheduling system
       const messageId = uuidv4();
@@ -234,91 +324,16 @@ class WhatsAppConnector {
   }
 
   /**
-   * Parse a scheduled time string into a Date object
-   * @param {string|Date} scheduledTime - Time specification
+   * Parse a scheduled time into a Date object
+   * @param {string|Date} scheduledTime - Time specification (e.g. "tomorrow at 9am", "next Friday 6pm")
+   * @param {string} timezone - Timezone the time is written in (defaults to the server's)
    * @returns {Date} - Parsed date
    */
-  parseScheduledTime(scheduledTime) {
-    if (scheduledTime instanceof Date) {
-      return scheduledTime;
-    }
-    
-    const now = new Date();
-    
-    // Handle relative time specifications
-    if (typeof scheduledTime === 'string') {
-      scheduledTime = scheduledTime.toLowerCase();
-      
-      // Handle "now"
-      if (scheduledTime === 'now') {
-        return now;
-      }
-      
-      // Handle "tomorrow at X"
-      const tomorrowMatch = scheduledTime.match(/tomorrow\s+(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
-      if (tomorrowMatch) {
-        const hours = parseInt(tomorrowMatch[1]);
-        const minutes = tomorrowMatch[2] ? parseInt(tomorrowMatch[2]) : 0;
-        const isPm = tomorrowMatch[3]?.toLowerCase() === 'pm';
-        
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        tomorrow.setHours(isPm && hours < 12 ? hours + 12 : hours);
-        tomorrow.setMinutes(minutes);
-        tomorrow.setSeconds(0);
-        tomorrow.setMilliseconds(0);
-        
-        return tomorrow;
-      }
-      
-      // Handle "in X minutes/hours"
-      const inTimeMatch = scheduledTime.match(/in\s+(\d+)\s+(minute|hour|day)s?/i);
-      if (inTimeMatch) {
-        const amount = parseInt(inTimeMatch[1]);
-        const unit = inTimeMatch[2].toLowerCase();
-        
-        const futureTime = new Date(now);
-        if (unit === 'minute') {
-          futureTime.setMinutes(futureTime.getMinutes() + amount);
-        } else if (unit === 'hour') {
-          futureTime.setHours(futureTime.getHours() + amount);
-        } else if (unit === 'day') {
-          futureTime.setDate(futureTime.getDate() + amount);
-        }
-        
-        return futureTime;
-      }
-      
-      // Handle "at HH:MM" today
-      const atTimeMatch = scheduledTime.match(/at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
-      if (atTimeMatch) {
-        const hours = parseInt(atTimeMatch[1]);
-        const minutes = atTimeMatch[2] ? parseInt(atTimeMatch[2]) : 0;
-        const isPm = atTimeMatch[3]?.toLowerCase() === 'pm';
-        
-        const todayAt = new Date(now);
-        todayAt.setHours(isPm && hours < 12 ? hours + 12 : hours);
-        todayAt.setMinutes(minutes);
-        todayAt.setSeconds(0);
-        todayAt.setMilliseconds(0);
-        
-        // If the time has already passed today, schedule for tomorrow
-        if (todayAt < now) {
-          todayAt.setDate(todayAt.getDate() + 1);
-        }
-        
-        return todayAt;
-      }
-      
-      // Try to parse as ISO date string
-      const isoDate = new Date(scheduledTime);
-      if (!isNaN(isoDate.getTime())) {
-        return isoDate;
-      }
-    }
+  parseScheduledTime(scheduledTime, timezone) {
+    const { start } = DateParser.parseDateTime(scheduledTime, { timezone });
     
     // Default: schedule for now
-    return now;
+    return start || new Date();
   }
 
   /**
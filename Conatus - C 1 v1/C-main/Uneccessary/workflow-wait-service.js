@@ -0,0 +1,331 @@
+// backend/services/automation/WorkflowWaitService.js
+/**
+ * Workflow Wait Service
+ * 
+ * Manages paused workflow runs: approval requests and waits for external
+ * events. A wait is created when a run reaches a wait_for_approval or
+ * wait_for_event block, and the run is resumed once the wait is resolved
+ * through the API, by a matching event, or by its timeout.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Initialize Supabase client
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+
+class WorkflowWaitService {
+  /**
+   * Create the wait for a block (or return the existing one) and notify the user
+   * @param {Object} wait - { runId, userId, automationId, blockPath, type, event, match, message,
+   *                          defaultOutcome, timeoutMs, notify, conversationId }
+   * @returns {Promise<Object>} - Wait record
+   */
+  async createWait(wait) {
+    try {
+      const { data, error } = await supabase
+        .from('workflow_waits')
+        .insert({
+          run_id: wait.runId,
+          user_id: wait.userId,
+          automation_id: wait.automationId || null,
+          block_path: wait.blockPath,
+          type: wait.type,
+          event: wait.event || null,
+          match: wait.match || {},
+          message: wait.message || null,
+          default_outcome: wait.defaultOutcome,
+          status: 'pending',
+          expires_at: wait.timeoutMs ? new Date(Date.now() + wait.timeoutMs).toISOString() : null
+        })
+        .select()
+        .single();
+      
+      if (error) {
+        // The wait already exists when a paused run is resumed again before it was resolved
+        if (error.code === '23505') {
+          const { data: existing } = await supabase
+            .from('workflow_waits')
+            .select('*')
+            .eq('run_id', wait.runId)
+            .eq('block_path', wait.blockPath)
+            .single();
+          
+          return existing;
+        }
+        
+        throw error;
+      }
+      
+      if (wait.notify !== false) {
+        await this.notifyInChat(data, wait.conversationId);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Error creating workflow wait:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the user about a wait through a notification and a chat message
+   * @param {Object} wait - Wait record
+   * @param {string} conversationId - Conversation to post in (defaults to the most recent one)
+   */
+  async notifyInChat(wait, conversationId = null) {
+    try {
+      const isApproval = wait.type === 'approval';
+      const title = isApproval ? 'Approval needed' : 'Automation waiting';
+      const message = wait.message || (isApproval
+        ? 'An automation is waiting for your approval'
+        : `An automation is waiting for ${wait.event}`);
+      
+      await supabase
+        .from('notifications')
+        .insert({
+          user_id: wait.user_id,
+          type: isApproval ? 'workflow_approval' : 'workflow_wait',
+          title,
+          message,
+          data: { waitId: wait.id, runId: wait.run_id, automationId: wait.automation_id }
+        });
+      
+      if (!conversationId) {
+        const { data: conversation } = await supabase
+          .from('conversations')
+          .select('id')
+          .eq('user_id', wait.user_id)
+          .order('last_message_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        
+        conversationId = conversation ? conversation.id : null;
+      }
+      
+      if (conversationId) {
+        // Plain text for now: approving or rejecting goes through the waits API (the wait ID is kept in the metadata)
+        await supabase
+          .from('messages')
+          .insert({
+            conversation_id: conversationId,
+            user_id: wait.user_id,
+            role: 'assistant',
+            content: message,
+            metadata: {
+              workflowWait: {
+                id: wait.id,
+                type: wait.type,
+                expiresAt: wait.expires_at
+              }
+            }
+          });
+      }
+    } catch (error) {
+      // The wait can still be resolved from the API, so don't fail the run
+      console.error('Error sending workflow wait notification:', error);
+    }
+  }
+
+  /**
+   * List waits for a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status (default pending), limit }
+   * @returns {Promise<Array>} - Waits, oldest first
+   */
+  async list(userId, filters = {}) {
+    try {
+      const { data, error } = await supabase
+        .from('workflow_waits')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('status', filters.status || 'pending')
+        .order('created_at', { ascending: true })
+        .limit(filters.limit || 50);
+      
+      if (error) throw error;
+      
+      return data || [];
+    } catch (error) {
+      console.error('Error fetching workflow waits:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a wait
+   * @param {string} id - Wait ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Wait record
+   */
+  async get(id, userId) {
+    const { data, error } = await supabase
+      .from('workflow_waits')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+    
+    if (error || !data) {
+      throw this.createError('Wait not found', 404);
+    }
+    
+    return data;
+  }
+
+  /**
+   * Approve or reject a pending approval
+   * @param {string} id - Wait ID
+   * @param {string} userId - User ID
+   * @param {boolean} approved - Whether the user approved
+   * @param {Object} data - Extra response data (e.g. a comment)
+   * @returns {Promise<Object>} - { wait, execution }
+   */
+  async respond(id, userId, approved, data = {}) {
+    const wait = await this.get(id, userId);
+    
+    if (wait.type !== 'approval') {
+      throw this.createError('Only approval waits can be approved or rejected', 400);
+    }
+    
+    return this.resolve(wait, approved ? 'approved' : 'rejected', data);
+  }
+
+  /**
+   * Deliver an event to the user's runs waiting for it
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @returns {Promise<Array>} - [{ wait, execution }] for every resumed run
+   */
+  async emitEvent(userId, event, data = {}) {
+    const { data: waits, error } = await supabase
+      .from('workflow_waits')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('type', 'event')
+      .eq('event', event)
+      .eq('status', 'pending');
+    
+    if (error) throw error;
+    
+    const resumed = [];
+    
+    for (const wait of waits || []) {
+      if (!this.matchesEvent(wait.match, data)) {
+        continue;
+      }
+      
+      try {
+        resumed.push(await this.resolve(wait, 'received', data));
+      } catch (resolveError) {
+        // Another delivery may have resolved the same wait first
+        if (resolveError.status !== 409) throw resolveError;
+      }
+    }
+    
+    return resumed;
+  }
+
+  /**
+   * Resolve waits whose timeout has passed with their default outcome
+   * @param {number} limit - Maximum number of waits to expire
+   * @returns {Promise<number>} - Number of expired waits
+   */
+  async expireWaits(limit = 10) {
+    const { data: waits, error } = await supabase
+      .from('workflow_waits')
+      .select('*')
+      .eq('status', 'pending')
+      .lt('expires_at', new Date().toISOString())
+      .order('expires_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) throw error;
+    
+    let expired = 0;
+    
+    for (const wait of waits || []) {
+      try {
+        await this.resolve(wait, wait.default_outcome, {}, true);
+        expired++;
+      } catch (resolveError) {
+        if (resolveError.status !== 409) {
+          console.error(`Error expiring workflow wait ${wait.id}:`, resolveError);
+        }
+      }
+    }
+    
+    return expired;
+  }
+
+  /**
+   * Resolve a wait and resume its workflow run
+   * @param {Object} wait - Wait record
+   * @param {string} outcome - approved, rejected, received or the default outcome
+   * @param {Object} data - Response or event data
+   * @param {boolean} timedOut - Whether the wait timed out
+   * @returns {Promise<Object>} - { wait, execution }
+   */
+  async resolve(wait, outcome, data = {}, timedOut = false) {
+    const resolvedAt = new Date().toISOString();
+    
+    // Only the first resolution wins (API call, event and timeout can race)
+    const { data: resolved, error } = await supabase
+      .from('workflow_waits')
+      .update({
+        status: timedOut ? 'expired' : 'resolved',
+        outcome,
+        response: data,
+        resolved_at: resolvedAt
+      })
+      .eq('id', wait.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!resolved) {
+      throw this.createError('Wait has already been resolved', 409);
+    }
+    
+    // Required here rather than at the top: ConditionalExecutionService creates
+    // waits through this service
+    const ConditionalExecutionService = require('./ConditionalExecutionService');
+    
+    const execution = await ConditionalExecutionService.resumeWorkflow(wait.run_id, {
+      decisions: {
+        [`${wait.block_path}.resolution`]: { outcome, data, timedOut, resolvedAt }
+      }
+    });
+    
+    return { wait: resolved, execution };
+  }
+
+  /**
+   * Check an event payload against the fields a wait is waiting for
+   * @param {Object} match - Expected values by dot path
+   * @param {Object} data - Event payload
+   * @returns {boolean} - Whether the event matches
+   */
+  matchesEvent(match, data) {
+    return Object.entries(match || {}).every(([path, expected]) => {
+      const actual = path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+      return actual === expected;
+    });
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status code
+   * @returns {Error} - Error
+   */
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = new WorkflowWaitService();
@@ -0,0 +1,94 @@
+// backend/api/routes/workflowWaits.js
+/**
+ * Workflow Waits API Endpoints
+ * 
+ * Lists paused workflow runs and resumes them: approve or reject an
+ * approval request, or deliver an event that runs are waiting for.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const WorkflowWaitService = require('../../services/automation/WorkflowWaitService');
+
+/**
+ * @route GET /api/v1/workflow-waits
+ * @description List pending approvals and event waits
+ * @access Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const waits = await WorkflowWaitService.list(req.user.id, { status: req.query.status, limit });
+    res.json(waits);
+  } catch (error) {
+    console.error('Error fetching workflow waits:', error);
+    res.status(500).json({ error: 'Failed to fetch workflow waits', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/workflow-waits/events
+ * @description Deliver an event to the runs waiting for it
+ * @access Private
+ */
+router.post('/events', async (req, res) => {
+  try {
+    const { event, data } = req.body;
+    
+    if (!event) {
+      return res.status(400).json({ error: 'event is required' });
+    }
+    
+    const resumed = await WorkflowWaitService.emitEvent(req.user.id, event, data || {});
+    res.json({ resumed: resumed.length, runs: resumed });
+  } catch (error) {
+    console.error('Error delivering workflow event:', error);
+    res.status(error.status || 500).json({ error: 'Failed to deliver event', message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/v1/workflow-waits/:id
+ * @description Get a workflow wait
+ * @access Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const wait = await WorkflowWaitService.get(req.params.id, req.user.id);
+    res.json(wait);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to fetch workflow wait', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/workflow-waits/:id/approve
+ * @description Approve a paused run and resume it
+ * @access Private
+ */
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const result = await WorkflowWaitService.respond(req.params.id, req.user.id, true, req.body.data || {});
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to approve', message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/v1/workflow-waits/:id/reject
+ * @description Reject a paused run and resume it on its rejected branch
+ * @access Private
+ */
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const result = await WorkflowWaitService.respond(req.params.id, req.user.id, false, req.body.data || {});
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: 'Failed to reject', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Automation Bundles for Conatus
+ * 
+ * Exports automations as a portable YAML or JSON bundle (to keep them in git)
+ * and imports a bundle into an account. Imports are checked locally first and
+ * then by the API, which maps connectors and reports missing service connections.
+ * 
+ * Usage:
+ * npm run automations:bundle -- export                              (all automations, YAML to stdout)
+ * npm run automations:bundle -- export --ids a,b --format json --out automations.json
+ * npm run automations:bundle -- import automations.yaml --dry-run   (reports what would be imported)
+ * npm run automations:bundle -- import automations.yaml --map gmail=outlook
+ * 
+ * Requires API_URL (e.g. http://localhost:3000) and API_TOKEN (an access token of the account).
+ */
+
+import * as fs from 'fs';
+import chalk from 'chalk';
+import { parseBundle, validateBundle } from '../shared/automationBundle';
+
+/**
+ * Read the value following a flag
+ */
+function getOption(args: string[], name: string): string | undefined {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Call the automations API
+ */
+async function request(path: string, init: RequestInit = {}): Promise<Response> {
+  const response = await fetch(`${process.env.API_URL!.replace(/\/$/, '')}/api/v1/automations${path}`, {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${process.env.API_TOKEN}`,
+      ...init.headers
+    }
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const details: string[] = body.details || [];
+    throw new Error([`${body.error || response.statusText}${body.message ? `: ${body.message}` : ''}`, ...details].join('\n  - '));
+  }
+
+  return response;
+}
+
+async function exportBundle(args: string[]) {
+  const format = getOption(args, '--format') === 'json' ? 'json' : 'yaml';
+  const ids = getOption(args, '--ids');
+  const out = getOption(args, '--out');
+  
+  const query = new URLSearchParams({ format });
+  if (ids) query.set('ids', ids);
+  
+  const response = await request(`/export?${query}`);
+  const content = await response.text();
+  
+  if (!out) {
+    process.stdout.write(content);
+    return;
+  }
+
+  fs.writeFileSync(out, content);
+  
+  const bundle = parseBundle(content);
+  console.log(chalk.green(`✓ Exported ${bundle.automations.length} automation(s) to ${out}`));
+  bundle.automations
+    .filter((entry: any) => entry.secrets)
+    .forEach((entry: any) => console.log(chalk.yellow(`• ${entry.name}: ${entry.secrets.length} secret(s) left out`)));
+}
+
+async function importBundle(args: string[]) {
+  const file = args[1];
+  const dryRun = args.includes('--dry-run');
+  
+  if (!file || file.startsWith('--')) {
+    throw new Error('A bundle file is required');
+  }
+
+  // Mappings are given as --map from=to, once per connector
+  const connectorMap: Record<string, string> = {};
+  args.forEach((arg, index) => {
+    if (arg !== '--map') return;
+    const [from, to] = (args[index + 1] || '').split('=');
+    if (!from || !to) throw new Error(`Invalid mapping ${args[index + 1]}, expected from=to`);
+    connectorMap[from] = to;
+  });
+
+  const content = fs.readFileSync(file, 'utf8');
+  const errors = validateBundle(parseBundle(content));
+  
+  if (errors.length > 0) {
+    console.error(chalk.red(`✗ ${file} is not a valid bundle:`));
+    errors.forEach(message => console.error(chalk.red(`  - ${message}`)));
+    process.exit(1);
+  }
+
+  console.log(chalk.cyan(dryRun ? 'Dry run: nothing will be imported' : `Importing ${file}...`));
+  
+  const response = await request('/import', {
+    method: 'POST',
+    body: JSON.stringify({ content, connectorMap, dryRun })
+  });
+  const report = await response.json();
+  
+  for (const automation of report.imported) {
+    const state = automation.enabled ? chalk.green('enabled') : chalk.yellow('disabled');
+    console.log(`• ${automation.name}${automation.id ? ` (${automation.id})` : ''}: ${state}`);
+    automation.missingSecrets.forEach((path: string) => console.log(chalk.yellow(`  - secret to fill in: ${path}`)));
+    automation.warnings.forEach((message: string) => console.log(chalk.yellow(`  - ${message}`)));
+  }
+
+  if (report.missingConnections.length > 0) {
+    console.log(chalk.yellow.bold('\nConnect these services to enable the automations that use them:'));
+    for (const connection of report.missingConnections) {
+      const scopes = connection.scopes.length > 0 ? ` (scopes: ${connection.scopes.join(', ')})` : '';
+      console.log(chalk.yellow(`• ${connection.service}${scopes}: ${connection.automations.join(', ')}`));
+    }
+  }
+
+  console.log(chalk.cyan.bold('\nSummary:'));
+  console.log(chalk.green(`• ${dryRun ? 'To import' : 'Imported'}: ${report.imported.length}`));
+  console.log(chalk.yellow(`• Missing connections: ${report.missingConnections.length}`));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  
+  if (!process.env.API_URL || !process.env.API_TOKEN) {
+    console.error(chalk.red('API_URL and API_TOKEN must be set'));
+    process.exit(1);
+  }
+
+  try {
+    if (command === 'export') {
+      await exportBundle(args);
+    } else if (command === 'import') {
+      await importBundle(args);
+    } else {
+      console.error(chalk.red('Usage: automation-bundle export [--ids a,b] [--format yaml|json] [--out file]'));
+      console.error(chalk.red('       automation-bundle import <file> [--map from=to] [--dry-run]'));
+      process.exit(1);
+    }
+    
+    process.exit(0);
+  } catch (error) {
+    console.error(chalk.red.bold(`\n✗ ${command === 'import' ? 'Import' : 'Export'} failed:\n`));
+    console.error(chalk.red(error instanceof Error ? error.message : String(error)));
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Condition Converter for Conatus
+ * 
+ * Rewrites the snake_case conditions of stored automations ({ type: 'equals', left, right })
+ * into the shared condition engine format used by the builder and the executor.
+ * The executor still converts old conditions on the fly, so running this is only
+ * needed to make old automations editable in the builder.
+ * 
+ * Usage:
+ * npm run convert:conditions            (reports what would change)
+ * npm run convert:conditions -- --write (saves the converted automations)
+ * 
+ * Requires SUPABASE_URL and SUPABASE_SERVICE_KEY.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import chalk from 'chalk';
+import { convertWorkflowConditions } from '../shared/conditionEngine';
+
+const PAGE_SIZE = 100;
+
+async function main() {
+  const write = process.argv.includes('--write');
+  
+  console.log(chalk.blue.bold('\n=== Conatus Condition Converter ===\n'));
+  console.log(chalk.cyan(write ? 'Converting stored automations...' : 'Dry run: no automations will be changed'));
+  
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+    console.error(chalk.red('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set'));
+    process.exit(1);
+  }
+  
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  
+  let scanned = 0;
+  let updated = 0;
+  let failed = 0;
+  
+  try {
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: automations, error } = await supabase
+        .from('automations')
+        .select('id, name, workflow')
+        .order('created_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+      
+      if (error) throw error;
+      if (!automations || automations.length === 0) break;
+      
+      for (const automation of automations) {
+        scanned++;
+        
+        const { workflow, converted, errors } = convertWorkflowConditions(automation.workflow);
+        
+        if (errors.length > 0) {
+          failed++;
+          console.log(chalk.red(`• ${automation.name} (${automation.id}):`));
+          errors.forEach(message => console.log(chalk.red(`  - ${message}`)));
+        }
+        
+        if (converted === 0) continue;
+        
+        console.log(chalk.green(`• ${automation.name} (${automation.id}): ${converted} condition(s)`));
+        
+        if (write) {
+          const { error: updateError } = await supabase
+            .from('automations')
+            .update({ workflow, updated_at: new Date().toISOString() })
+            .eq('id', automation.id);
+          
+          if (updateError) throw updateError;
+        }
+        
+        updated++;
+      }
+      
+      if (automations.length < PAGE_SIZE) break;
+    }
+    
+    // Print summary
+    console.log(chalk.cyan.bold('\nSummary:'));
+    console.log(chalk.cyan(`• Automations scanned: ${scanned}`));
+    console.log(chalk.green(`• ${write ? 'Converted' : 'To convert'}: ${updated}`));
+    console.log(chalk.red(`• With unconvertible conditions: ${failed}`));
+    
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(chalk.red.bold('\n✗ Conversion failed with an error:\n'));
+    console.error(chalk.red(error instanceof Error ? error.stack : String(error)));
+    process.exit(1);
+  }
+}
+
+main();
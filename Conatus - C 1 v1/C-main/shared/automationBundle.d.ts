@@ -0,0 +1,67 @@
+// shared/automationBundle.d.ts
+// Types for automationBundle.js (see that file for the bundle layout)
+
+export const BUNDLE_FORMAT: 'conatus.automations';
+
+export const BUNDLE_VERSION: number;
+
+export interface BundleConnector {
+  service: string;
+  actions: string[];
+  scopes?: string[];
+}
+
+export interface BundleVariable {
+  name: string;
+  source: 'input' | 'initialization' | 'set_variable';
+  type?: string;
+  default?: any;
+}
+
+export interface BundleEntry {
+  key: string;
+  name: string;
+  description?: string;
+  category?: string;
+  enabled?: boolean;
+  workflow: Record<string, any>;
+  connectors?: BundleConnector[];
+  variables?: BundleVariable[];
+  secrets?: string[];
+}
+
+export interface AutomationBundle {
+  format: typeof BUNDLE_FORMAT;
+  version: number;
+  exportedAt?: string;
+  automations: BundleEntry[];
+}
+
+export interface WorkflowMapping {
+  connectors?: Record<string, string>;
+  workflows?: Record<string, string>;
+  workflowField?: 'automationId' | 'workflowKey';
+}
+
+export function redactSecrets<T>(value: T, path?: string, secrets?: string[], key?: string): T;
+
+export function collectConnectors(workflow: Record<string, any>): BundleConnector[];
+
+export function collectVariables(workflow: Record<string, any>): BundleVariable[];
+
+export function collectWorkflowCalls(workflow: Record<string, any>, field?: 'automationId' | 'workflowKey'): string[];
+
+export function mapWorkflow(workflow: Record<string, any>, mapping?: WorkflowMapping): Record<string, any>;
+
+export function createKey(name: string, taken?: Set<string>): string;
+
+export function createBundle(
+  automations: Array<{ id: string; name: string; description?: string; category?: string; enabled?: boolean; workflow: Record<string, any> }>,
+  options?: { exportedAt?: string; scopes?: Record<string, string[]> }
+): AutomationBundle;
+
+export function validateBundle(bundle: unknown): string[];
+
+export function serializeBundle(bundle: AutomationBundle, format?: 'yaml' | 'json'): string;
+
+export function parseBundle(content: string): any;
@@ -0,0 +1,372 @@
+// shared/automationBundle.js
+/**
+ * Automation bundles
+ *
+ * Portable files (YAML or JSON) holding one or more automations, meant to be
+ * kept in git and imported into another account. Each entry carries the
+ * workflow (trigger config included), the connectors and actions it uses, the
+ * variables it declares and the paths of any secrets that were left out:
+ *
+ *   format: conatus.automations
+ *   version: 1
+ *   exportedAt: 2025-03-15T12:00:00.000Z
+ *   automations:
+ *   - key: daily-digest
+ *     name: Daily digest
+ *     workflow: { trigger, action, logic, ... }
+ *     connectors: [{ service: gmail, actions: [message_schedule], scopes: [...] }]
+ *     variables: [{ name: recipient, source: input, default: me@example.com }]
+ *     secrets: [workflow.action.params.access_token]
+ *
+ * Secret values are replaced with null; template references to them
+ * ({{secrets.api_key}}) are kept. Sub-workflow calls to automations in the
+ * same bundle refer to them by key (workflowKey) instead of their ID.
+ */
+
+const YAML = require('./yaml');
+const { isSecretKey, isSecretValue } = require('./secrets');
+
+const BUNDLE_FORMAT = 'conatus.automations';
+const BUNDLE_VERSION = 1;
+
+/**
+ * Visit every object in a workflow
+ * @param {any} value - Workflow or part of it
+ * @param {Function} visit - Called with (object, path)
+ * @param {string} path - Path of the value
+ */
+function walk(value, visit, path = 'workflow') {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walk(item, visit, `${path}.${index}`));
+    return;
+  }
+
+  if (value && typeof value === 'object') {
+    visit(value, path);
+    for (const [key, item] of Object.entries(value)) {
+      walk(item, visit, `${path}.${key}`);
+    }
+  }
+}
+
+/**
+ * Copy a value with secret literals replaced by null
+ * @param {any} value - Value to copy
+ * @param {string} path - Path of the value (reported for removed secrets)
+ * @param {Array<string>} secrets - Collects the paths of removed secrets
+ * @param {string} key - Key the value is stored under
+ * @returns {any} - Copy without secrets
+ */
+function redactSecrets(value, path = 'workflow', secrets = [], key = '') {
+  const isTemplate = typeof value === 'string' && /^\s*\{\{[^}]+\}\}\s*$/.test(value);
+
+  if (!isTemplate && value !== null && value !== undefined && value !== '' && typeof value !== 'object' &&
+    (isSecretKey(key) || isSecretValue(value))) {
+    secrets.push(path);
+    return null;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => redactSecrets(item, `${path}.${index}`, secrets));
+  }
+
+  if (value && typeof value === 'object') {
+    // The value or default of a secret input or variable ({ name: 'api_key', value }) is secret too
+    const holder = isSecretKey(key) ? key : (isSecretKey(value.name) ? value.name : null);
+    const copy = {};
+
+    for (const [name, item] of Object.entries(value)) {
+      const itemKey = holder && (name === 'value' || name === 'default') ? holder : name;
+      copy[name] = redactSecrets(item, `${path}.${name}`, secrets, itemKey);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * List the connectors a workflow uses and the actions it calls on each
+ * @param {Object} workflow - Workflow definition
+ * @returns {Array<Object>} - [{ service, actions }], sorted by service
+ */
+function collectConnectors(workflow) {
+  const services = new Map();
+
+  const add = (service, action) => {
+    if (!services.has(service)) services.set(service, new Set());
+    services.get(service).add(action);
+  };
+
+  walk(workflow, node => {
+    if (node.type === 'http') {
+      // The oauth preset sends the service's token, so the workflow uses that service
+      const auth = node.params && node.params.auth;
+      if (auth && auth.type === 'oauth' && typeof auth.service === 'string' && auth.service) {
+        add(auth.service, 'http_request');
+      }
+    } else if (typeof node.service === 'string' && node.service && typeof node.type === 'string' && node.type !== 'oauth') {
+      add(node.service, node.type);
+    }
+  });
+
+  return [...services.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([service, actions]) => ({ service, actions: [...actions].sort() }));
+}
+
+/**
+ * List the variables a workflow declares: inputs, initialization steps and set_variable blocks
+ * @param {Object} workflow - Workflow definition
+ * @returns {Array<Object>} - [{ name, source, type?, default? }] (type and default for inputs)
+ */
+function collectVariables(workflow) {
+  const variables = [];
+  const seen = new Set();
+  const add = variable => {
+    if (!variable.name || seen.has(variable.name)) return;
+    seen.add(variable.name);
+    variables.push(variable);
+  };
+
+  const inputs = (workflow && workflow.inputs && workflow.inputs.properties) || {};
+  for (const [name, property] of Object.entries(inputs)) {
+    const variable = { name, source: 'input' };
+    if (property.type) variable.type = property.type;
+    if (property.default !== undefined) variable.default = property.default;
+    add(variable);
+  }
+
+  for (const step of (workflow && workflow.initialization) || []) {
+    add({ name: step.name, source: 'initialization' });
+  }
+
+  walk(workflow && workflow.logic, node => {
+    if (node.type === 'set_variable') add({ name: node.name, source: 'set_variable' });
+  }, 'workflow.logic');
+
+  return redactSecrets(variables, 'variables');
+}
+
+/**
+ * List the automations a workflow calls as sub-workflows
+ * @param {Object} workflow - Workflow definition
+ * @param {string} field - automationId (saved automations) or workflowKey (calls within a bundle)
+ * @returns {Array<string>} - Automation IDs or bundle keys
+ */
+function collectWorkflowCalls(workflow, field = 'automationId') {
+  const calls = new Set();
+
+  walk(workflow, node => {
+    if (node.type === 'call_workflow' && node[field]) {
+      calls.add(node[field]);
+    }
+  });
+
+  return [...calls];
+}
+
+/**
+ * Copy a workflow with connectors and sub-workflow calls replaced
+ * @param {Object} workflow - Workflow definition
+ * @param {Object} mapping - { connectors: { from: to }, workflows: { idOrKey: replacement },
+ *                           workflowField: 'automationId' | 'workflowKey' (field written for mapped calls) }
+ * @returns {Object} - Mapped workflow
+ */
+function mapWorkflow(workflow, mapping = {}) {
+  const connectors = mapping.connectors || {};
+  const workflows = mapping.workflows || {};
+  const field = mapping.workflowField || 'automationId';
+  const copy = JSON.parse(JSON.stringify(workflow || {}));
+
+  walk(copy, node => {
+    if (typeof node.service === 'string' && connectors[node.service]) {
+      node.service = connectors[node.service];
+    }
+
+    if (node.type === 'call_workflow') {
+      const target = node.workflowKey || node.automationId;
+
+      if (target && workflows[target]) {
+        delete node.workflowKey;
+        delete node.automationId;
+        node[field] = workflows[target];
+      }
+    }
+  });
+
+  return copy;
+}
+
+/**
+ * Make a bundle key from an automation name
+ * @param {string} name - Automation name
+ * @param {Set<string>} taken - Keys already used in the bundle
+ * @returns {string} - Unique key
+ */
+function createKey(name, taken = new Set()) {
+  const base = String(name || 'automation')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'automation';
+
+  let key = base;
+  for (let i = 2; taken.has(key); i++) {
+    key = `${base}-${i}`;
+  }
+
+  taken.add(key);
+  return key;
+}
+
+/**
+ * Build a bundle from saved automations
+ * @param {Array<Object>} automations - Automation records ({ id, name, description, category, enabled, workflow })
+ * @param {Object} options - { exportedAt, scopes: { service: [scope] } }
+ * @returns {Object} - Bundle
+ */
+function createBundle(automations, options = {}) {
+  const taken = new Set();
+  const keys = {};
+
+  for (const automation of automations) {
+    keys[automation.id] = createKey(automation.name, taken);
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: options.exportedAt || new Date().toISOString(),
+    automations: automations.map(automation => {
+      const secrets = [];
+      const workflow = redactSecrets(
+        mapWorkflow(automation.workflow, { workflows: keys, workflowField: 'workflowKey' }),
+        'workflow',
+        secrets
+      );
+
+      const entry = {
+        key: keys[automation.id],
+        name: automation.name,
+        description: automation.description || '',
+        category: automation.category || 'other',
+        enabled: automation.enabled !== false,
+        workflow,
+        connectors: collectConnectors(workflow).map(connector => ({
+          ...connector,
+          scopes: (options.scopes && options.scopes[connector.service]) || []
+        })),
+        variables: collectVariables(workflow)
+      };
+
+      if (secrets.length > 0) entry.secrets = secrets;
+      return entry;
+    })
+  };
+}
+
+/**
+ * Check the structure of a bundle
+ * @param {any} bundle - Parsed bundle
+ * @returns {Array<string>} - Errors (empty when valid)
+ */
+function validateBundle(bundle) {
+  const errors = [];
+
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    return ['Bundle must be an object'];
+  }
+
+  if (bundle.format !== BUNDLE_FORMAT) {
+    errors.push(`format must be ${BUNDLE_FORMAT}`);
+  }
+
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    errors.push('version must be a positive integer');
+  } else if (bundle.version > BUNDLE_VERSION) {
+    errors.push(`version ${bundle.version} is newer than the supported version ${BUNDLE_VERSION}`);
+  }
+
+  if (!Array.isArray(bundle.automations) || bundle.automations.length === 0) {
+    errors.push('automations must be a non-empty list');
+    return errors;
+  }
+
+  const keys = new Set();
+
+  bundle.automations.forEach((entry, index) => {
+    const where = `automations.${index}`;
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (typeof entry.key !== 'string' || !entry.key) {
+      errors.push(`${where}.key is required`);
+    } else if (keys.has(entry.key)) {
+      errors.push(`${where}.key ${entry.key} is used more than once`);
+    } else {
+      keys.add(entry.key);
+    }
+
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+      errors.push(`${where}.name is required`);
+    }
+
+    if (!entry.workflow || typeof entry.workflow !== 'object') {
+      errors.push(`${where}.workflow is required`);
+    } else if (!entry.workflow.trigger || !entry.workflow.action) {
+      errors.push(`${where}.workflow must contain trigger and action`);
+    }
+
+    if (entry.connectors !== undefined && !Array.isArray(entry.connectors)) {
+      errors.push(`${where}.connectors must be a list`);
+    }
+
+    if (entry.secrets !== undefined && !Array.isArray(entry.secrets)) {
+      errors.push(`${where}.secrets must be a list`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Write a bundle as YAML or JSON
+ * @param {Object} bundle - Bundle
+ * @param {string} format - yaml or json
+ * @returns {string} - File content
+ */
+function serializeBundle(bundle, format = 'yaml') {
+  if (format === 'json') {
+    return `${JSON.stringify(bundle, null, 2)}\n`;
+  }
+
+  return `# Conatus automation bundle (import with POST /api/v1/automations/import)\n${YAML.stringify(bundle)}`;
+}
+
+/**
+ * Read a bundle from YAML or JSON
+ * @param {string} content - File content
+ * @returns {Object} - Parsed bundle (not yet validated)
+ */
+function parseBundle(content) {
+  const text = String(content || '');
+  return /^\s*\{/.test(text) ? JSON.parse(text) : YAML.parse(text);
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  redactSecrets,
+  collectConnectors,
+  collectVariables,
+  collectWorkflowCalls,
+  mapWorkflow,
+  createKey,
+  createBundle,
+  validateBundle,
+  serializeBundle,
+  parseBundle
+};
@@ -0,0 +1,103 @@
+// shared/conditionEngine.d.ts
+// Types for conditionEngine.js (see that file for the condition format)
+
+export type ConditionOperator =
+  | 'equals'
+  | 'notEquals'
+  | 'contains'
+  | 'notContains'
+  | 'greaterThan'
+  | 'lessThan'
+  | 'greaterThanOrEqual'
+  | 'lessThanOrEqual'
+  | 'startsWith'
+  | 'endsWith'
+  | 'matchesRegex'
+  | 'between'
+  | 'exists'
+  | 'notExists'
+  | 'isEmpty'
+  | 'isNotEmpty';
+
+export type ConditionOperand =
+  | { path: string }
+  | { value: any }
+  | { expression: string }
+  | { type: 'template' | 'function' | 'expression' };
+
+export interface EngineCondition {
+  variable: ConditionOperand;
+  operator: ConditionOperator | string;
+  value?: any;
+  secondValue?: any;
+  valueFrom?: ConditionOperand;
+  secondValueFrom?: ConditionOperand;
+}
+
+// Holds when the expression is truthy
+export interface ExpressionCondition {
+  expression: string;
+}
+
+export interface EngineConditionGroup {
+  logicalOperator: 'and' | 'or';
+  conditions: (EngineCondition | ExpressionCondition | EngineConditionGroup)[];
+  negate?: boolean;
+}
+
+export interface EngineExpression {
+  rootGroup: EngineConditionGroup;
+}
+
+export interface ConditionScope {
+  trigger: Record<string, any>;
+  variables: Record<string, any>;
+  results: Record<string, any>;
+  system: {
+    currentTime: string;
+    currentDate: string;
+    dayOfWeek: number;
+    hour: number;
+    timezone: string;
+    user: Record<string, any>;
+  };
+  [key: string]: any;
+}
+
+export interface EvaluateOptions {
+  resolveOperand?: (operand: ConditionOperand) => any;
+}
+
+export const OPERATORS: Record<ConditionOperator, number>;
+
+export function createScope(sources?: {
+  trigger?: Record<string, any>;
+  variables?: Record<string, any>;
+  results?: Record<string, any>;
+  user?: Record<string, any>;
+  now?: Date | string | number;
+  timezone?: string | null;
+}): ConditionScope;
+
+export function evaluateCondition(
+  expression: EngineExpression | EngineConditionGroup | EngineCondition | ExpressionCondition | null | undefined,
+  scope?: Record<string, any>,
+  options?: EvaluateOptions
+): boolean;
+
+export function getPath(source: any, path: string): any;
+
+export function validateCondition(
+  expression: EngineExpression | EngineConditionGroup | EngineCondition | ExpressionCondition | null | undefined,
+  path?: string
+): string[];
+
+export function isLegacyCondition(condition: any): boolean;
+
+export function fromLegacyCondition(legacy: Record<string, any>): EngineExpression;
+
+export function convertWorkflowConditions<T = Record<string, any>>(workflow: T): {
+  workflow: T;
+  converted: number;
+  errors: string[];
+};
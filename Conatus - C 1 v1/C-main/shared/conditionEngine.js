@@ -0,0 +1,583 @@
+// shared/conditionEngine.js
+/**
+ * Condition Engine
+ * 
+ * Evaluates automation conditions. Used by both the web builder (condition
+ * previews) and the backend executor (ConditionalExecutionService), so a
+ * condition behaves the same in the builder as it does at run time. Depends
+ * only on the other shared modules and runs in Node and in the browser.
+ * The system.* time values are taken in the user's timezone, so both sides
+ * agree on the day and hour whatever timezone their host is in.
+ * 
+ * Conditions use the builder's shape:
+ *   {
+ *     rootGroup: {
+ *       logicalOperator: 'and',
+ *       conditions: [
+ *         { variable: { path: 'trigger.amount' }, operator: 'greaterThan', value: 20 },
+ *         { logicalOperator: 'or', negate: true, conditions: [...] }
+ *       ]
+ *     }
+ *   }
+ * 
+ * The left operand (variable) is { path } (looked up in the scope), { value }
+ * (a constant), { expression } (see expressionLanguage.js) or a computed value
+ * descriptor resolved by the host through options.resolveOperand. The
+ * right-hand side is value / secondValue, or the valueFrom / secondValueFrom
+ * operands. A condition can also be a bare { expression: 'amount > 10' },
+ * which holds when the expression is truthy.
+ * 
+ * Workflows saved before the engine existed use snake_case conditions
+ * ({ type: 'not_equals', left, right }); fromLegacyCondition converts them.
+ */
+
+const ExpressionLanguage = require('./expressionLanguage');
+const { isValidTimezone, getSystemTimezone, toZoned, weekdayOf, formatDate } = require('./timezone');
+
+// Operators and the number of values they compare against
+const OPERATORS = {
+  equals: 1,
+  notEquals: 1,
+  contains: 1,
+  notContains: 1,
+  greaterThan: 1,
+  lessThan: 1,
+  greaterThanOrEqual: 1,
+  lessThanOrEqual: 1,
+  startsWith: 1,
+  endsWith: 1,
+  matchesRegex: 1,
+  between: 2,
+  exists: 0,
+  notExists: 0,
+  isEmpty: 0,
+  isNotEmpty: 0
+};
+
+const LEGACY_TYPES = [
+  'equals',
+  'not_equals',
+  'greater_than',
+  'less_than',
+  'contains',
+  'regex_match',
+  'and',
+  'or',
+  'not',
+  'exists',
+  'is_empty'
+];
+
+// Legacy value descriptors that can be expressed as scope paths
+const LEGACY_PATH_SOURCES = {
+  variable: { key: 'name', root: 'variables' },
+  result: { key: 'name', root: 'results' },
+  trigger: { key: 'field', root: 'trigger' }
+};
+
+/**
+ * Build the scope conditions are evaluated against
+ * @param {Object} sources - { trigger, variables, results, user, now, timezone: the user's
+ *                           IANA timezone (defaults to the host's) }
+ * @returns {Object} - { trigger, variables, results, system }
+ */
+function createScope(sources = {}) {
+  const now = sources.now ? new Date(sources.now) : new Date();
+  const timezone = isValidTimezone(sources.timezone) ? sources.timezone : getSystemTimezone();
+  const local = toZoned(now, timezone);
+  
+  return {
+    trigger: sources.trigger || {},
+    variables: sources.variables || {},
+    results: sources.results || {},
+    system: {
+      currentTime: now.toISOString(),
+      currentDate: formatDate(local),
+      dayOfWeek: weekdayOf(local),
+      hour: local.hour,
+      timezone,
+      user: sources.user || {}
+    }
+  };
+}
+
+/**
+ * Evaluate a condition
+ * @param {Object} expression - Conditional expression ({ rootGroup }), group or single condition
+ * @param {Object} scope - Values referenced by condition paths (see createScope)
+ * @param {Object} options - { resolveOperand(operand): resolves computed operands }
+ * @returns {boolean} - Whether the condition holds (no condition always holds)
+ */
+function evaluateCondition(expression, scope = {}, options = {}) {
+  if (!expression) {
+    return true;
+  }
+
+  if (expression.rootGroup) {
+    return evaluateGroup(expression.rootGroup, scope, options);
+  }
+
+  if (Array.isArray(expression.conditions)) {
+    return evaluateGroup(expression, scope, options);
+  }
+
+  if (isExpressionCondition(expression)) {
+    return !!evaluateExpression(expression.expression, scope);
+  }
+
+  return evaluateSingleCondition(expression, scope, options);
+}
+
+/**
+ * Evaluate a condition group
+ * @param {Object} group - { logicalOperator, conditions, negate }
+ * @param {Object} scope - Evaluation scope
+ * @param {Object} options - Evaluation options
+ * @returns {boolean} - Result (an empty group holds)
+ */
+function evaluateGroup(group, scope, options) {
+  let result;
+  
+  if (group.conditions.length === 0) {
+    result = true;
+  } else if (group.logicalOperator === 'or') {
+    result = group.conditions.some(condition => evaluateCondition(condition, scope, options));
+  } else {
+    result = group.conditions.every(condition => evaluateCondition(condition, scope, options));
+  }
+
+  return group.negate ? !result : result;
+}
+
+/**
+ * Evaluate a single condition
+ * @param {Object} condition - { variable, operator, value, secondValue, valueFrom, secondValueFrom }
+ * @param {Object} scope - Evaluation scope
+ * @param {Object} options - Evaluation options
+ * @returns {boolean} - Result (unknown operators never hold)
+ */
+function evaluateSingleCondition(condition, scope, options) {
+  const value = resolveOperand(condition.variable, scope, options);
+  const expected = condition.valueFrom
+    ? resolveOperand(condition.valueFrom, scope, options)
+    : condition.value;
+  
+  switch (condition.operator) {
+    case 'equals':
+      return value === expected;
+    case 'notEquals':
+      return value !== expected;
+    case 'contains':
+      return contains(value, expected);
+    case 'notContains':
+      return !contains(value, expected);
+    case 'greaterThan':
+      return value > expected;
+    case 'lessThan':
+      return value < expected;
+    case 'greaterThanOrEqual':
+      return value >= expected;
+    case 'lessThanOrEqual':
+      return value <= expected;
+    case 'startsWith':
+      return typeof value === 'string' && value.startsWith(expected);
+    case 'endsWith':
+      return typeof value === 'string' && value.endsWith(expected);
+    case 'matchesRegex':
+      return value !== undefined && value !== null && new RegExp(expected).test(String(value));
+    case 'between': {
+      const upper = condition.secondValueFrom
+        ? resolveOperand(condition.secondValueFrom, scope, options)
+        : condition.secondValue;
+      return value >= expected && value <= upper;
+    }
+    case 'exists':
+      return value !== undefined && value !== null;
+    case 'notExists':
+      return value === undefined || value === null;
+    case 'isEmpty':
+      return isEmpty(value);
+    case 'isNotEmpty':
+      return !isEmpty(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolve an operand to a value
+ * @param {Object} operand - { path }, { value } or a computed value descriptor
+ * @param {Object} scope - Evaluation scope
+ * @param {Object} options - Evaluation options
+ * @returns {any} - Value (undefined if a path does not exist)
+ */
+function resolveOperand(operand, scope, options) {
+  if (!operand) {
+    return undefined;
+  }
+
+  if (typeof operand.path === 'string') {
+    return getPath(scope, operand.path);
+  }
+
+  if ('value' in operand) {
+    return operand.value;
+  }
+
+  if (typeof operand.expression === 'string') {
+    return evaluateExpression(operand.expression, scope);
+  }
+
+  return options.resolveOperand ? options.resolveOperand(operand) : undefined;
+}
+
+/**
+ * Evaluate an expression operand; variables can be used by their own name
+ * @param {string} expression - Expression source
+ * @param {Object} scope - Evaluation scope
+ * @returns {any} - Value
+ */
+function evaluateExpression(expression, scope) {
+  return ExpressionLanguage.evaluate(expression, ExpressionLanguage.createExpressionScope(scope));
+}
+
+/**
+ * Check whether a condition is a bare { expression }
+ * @param {Object} condition - Condition
+ * @returns {boolean} - Whether it is an expression condition
+ */
+function isExpressionCondition(condition) {
+  return typeof condition.expression === 'string' && condition.operator === undefined;
+}
+
+/**
+ * Look up a dot-separated path
+ * @param {Object} source - Object to read from
+ * @param {string} path - Path such as trigger.event.data.subject
+ * @returns {any} - Value, or undefined if any segment is missing
+ */
+function getPath(source, path) {
+  let value = source;
+  
+  for (const key of path.split('.')) {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+/**
+ * Check whether a string, array or object contains an item (objects by key)
+ * @param {any} container - Value to search
+ * @param {any} item - Item to look for
+ * @returns {boolean} - Whether the item was found
+ */
+function contains(container, item) {
+  if (typeof container === 'string' || Array.isArray(container)) {
+    return container.includes(item);
+  }
+
+  if (container && typeof container === 'object') {
+    return item in container;
+  }
+
+  return false;
+}
+
+/**
+ * Check whether a value is empty (null, '', [] or {})
+ * @param {any} value - Value to check
+ * @returns {boolean} - Whether the value is empty
+ */
+function isEmpty(value) {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  if (typeof value === 'string') return value === '';
+  return false;
+}
+
+/**
+ * Validate a condition
+ * @param {Object} expression - Conditional expression, group or single condition
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} - Validation errors
+ */
+function validateCondition(expression, path = 'condition') {
+  if (!expression) {
+    return [];
+  }
+
+  if (expression.rootGroup) {
+    return validateCondition(expression.rootGroup, `${path}.rootGroup`);
+  }
+
+  if (Array.isArray(expression.conditions)) {
+    const errors = [];
+    
+    if (expression.logicalOperator && !['and', 'or'].includes(expression.logicalOperator)) {
+      errors.push(`${path}: logicalOperator must be and or or`);
+    }
+    
+    expression.conditions.forEach((condition, index) => {
+      errors.push(...validateCondition(condition, `${path}.conditions[${index}]`));
+    });
+    
+    return errors;
+  }
+
+  if (isExpressionCondition(expression)) {
+    return validateExpression(expression.expression, `${path}.expression`);
+  }
+
+  if (!(expression.operator in OPERATORS)) {
+    return [`${path}: unknown operator ${expression.operator}`];
+  }
+
+  const errors = [];
+  
+  for (const key of ['variable', 'valueFrom', 'secondValueFrom']) {
+    if (expression[key] && typeof expression[key].expression === 'string') {
+      errors.push(...validateExpression(expression[key].expression, `${path}.${key}.expression`));
+    }
+  }
+
+  if (!expression.variable) {
+    errors.push(`${path}: variable is required`);
+  }
+
+  if (expression.operator === 'matchesRegex' && typeof expression.value === 'string') {
+    try {
+      new RegExp(expression.value);
+    } catch (error) {
+      errors.push(`${path}: invalid regular expression`);
+    }
+  }
+
+  if (OPERATORS[expression.operator] >= 1 && !('value' in expression) && !expression.valueFrom) {
+    errors.push(`${path}: value is required for ${expression.operator}`);
+  }
+
+  if (OPERATORS[expression.operator] === 2 && !('secondValue' in expression) && !expression.secondValueFrom) {
+    errors.push(`${path}: secondValue is required for ${expression.operator}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and type-check an expression operand
+ * @param {string} expression - Expression source
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} - Validation errors
+ */
+function validateExpression(expression, path) {
+  return ExpressionLanguage.validate(expression).errors
+    .map(error => `${path}: ${error.message} (column ${error.column})`);
+}
+
+/**
+ * Check whether a condition uses the legacy snake_case shape
+ * @param {Object} condition - Condition
+ * @returns {boolean} - Whether it needs converting
+ */
+function isLegacyCondition(condition) {
+  return !!condition && typeof condition.type === 'string' && LEGACY_TYPES.includes(condition.type);
+}
+
+/**
+ * Convert a legacy snake_case condition to the shared shape
+ * @param {Object} legacy - Legacy condition ({ type: 'equals', left, right }, ...)
+ * @returns {Object} - Conditional expression ({ rootGroup })
+ */
+function fromLegacyCondition(legacy) {
+  const converted = convertLegacyNode(legacy);
+  
+  // Keep groups as the root so the builder can edit the result
+  return {
+    rootGroup: Array.isArray(converted.conditions)
+      ? converted
+      : { logicalOperator: 'and', conditions: [converted] }
+  };
+}
+
+/**
+ * Convert one legacy condition node
+ * @param {Object} node - Legacy condition
+ * @returns {Object} - Condition or group
+ */
+function convertLegacyNode(node) {
+  switch (node.type) {
+    case 'and':
+    case 'or': {
+      const conditions = (node.conditions || []).map(convertLegacyNode);
+      
+      // An empty legacy "or" never held, while an empty group always does
+      if (node.type === 'or' && conditions.length === 0) {
+        return { logicalOperator: 'and', negate: true, conditions };
+      }
+      
+      return { logicalOperator: node.type, conditions };
+    }
+    
+    case 'not':
+      return { logicalOperator: 'and', negate: true, conditions: [convertLegacyNode(node.condition)] };
+    
+    case 'equals':
+    case 'not_equals':
+    case 'greater_than':
+    case 'less_than':
+      return withExpected({
+        variable: toOperand(node.left),
+        operator: {
+          equals: 'equals',
+          not_equals: 'notEquals',
+          greater_than: 'greaterThan',
+          less_than: 'lessThan'
+        }[node.type]
+      }, node.right);
+    
+    case 'contains':
+      return withExpected({ variable: toOperand(node.container), operator: 'contains' }, node.item);
+    
+    case 'regex_match':
+      return withExpected({ variable: toOperand(node.text), operator: 'matchesRegex' }, node.pattern);
+    
+    case 'exists':
+      return { variable: toOperand(node.value), operator: 'exists' };
+    
+    case 'is_empty':
+      return { variable: toOperand(node.value), operator: 'isEmpty' };
+    
+    default:
+      throw new Error(`Unsupported legacy condition type: ${node.type}`);
+  }
+}
+
+/**
+ * Set the expected value of a converted condition
+ * @param {Object} condition - Converted condition
+ * @param {any} value - Legacy value (literal or value descriptor)
+ * @returns {Object} - Condition with value or valueFrom
+ */
+function withExpected(condition, value) {
+  if (isValueDescriptor(value)) {
+    condition.valueFrom = toOperand(value);
+  } else {
+    condition.value = value;
+  }
+  return condition;
+}
+
+/**
+ * Convert a legacy value to an operand
+ * @param {any} value - Literal or value descriptor ({ type: 'variable', name }, ...)
+ * @returns {Object} - Operand
+ */
+function toOperand(value) {
+  if (!isValueDescriptor(value)) {
+    return { value };
+  }
+
+  const source = LEGACY_PATH_SOURCES[value.type];
+  if (source && value[source.key]) {
+    return { path: `${source.root}.${value[source.key]}` };
+  }
+
+  // Templates, functions and expressions stay computed; the backend resolves them
+  return value;
+}
+
+/**
+ * Check whether a legacy value is a value descriptor rather than a literal
+ * @param {any} value - Legacy value
+ * @returns {boolean} - Whether it is a descriptor
+ */
+function isValueDescriptor(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    ['variable', 'result', 'trigger', 'template', 'function', 'expression'].includes(value.type);
+}
+
+/**
+ * Convert every legacy condition in a workflow (block conditions, if/else
+ * conditions and nested blocks). The workflow passed in is not modified.
+ * @param {Object} workflow - Workflow definition
+ * @returns {Object} - { workflow, converted, errors }
+ */
+function convertWorkflowConditions(workflow) {
+  const copy = JSON.parse(JSON.stringify(workflow || {}));
+  const state = { converted: 0, errors: [] };
+  
+  if (isLegacyCondition(copy.conditionalLogic)) {
+    copy.conditionalLogic = convertField(copy.conditionalLogic, 'conditionalLogic', state);
+  }
+
+  convertBlocks(copy.logic, 'logic', state);
+  
+  return { workflow: copy, converted: state.converted, errors: state.errors };
+}
+
+/**
+ * Convert the conditions of a list of blocks, recursing into nested block lists
+ * @param {Array} blocks - Logic blocks
+ * @param {string} path - Location used in error messages
+ * @param {Object} state - { converted, errors }
+ */
+function convertBlocks(blocks, path, state) {
+  if (!Array.isArray(blocks)) {
+    return;
+  }
+
+  blocks.forEach((block, index) => {
+    if (!block || typeof block !== 'object') {
+      return;
+    }
+    
+    const blockPath = `${path}.${index}`;
+    
+    for (const field of ['condition', 'if']) {
+      if (isLegacyCondition(block[field])) {
+        block[field] = convertField(block[field], `${blockPath}.${field}`, state);
+      }
+    }
+    
+    // Nested block lists: then / else / body / wait outcome branches
+    for (const [key, value] of Object.entries(block)) {
+      if (Array.isArray(value) && value.some(item => item && typeof item === 'object' && item.type)) {
+        convertBlocks(value, `${blockPath}.${key}`, state);
+      }
+    }
+  });
+}
+
+/**
+ * Convert one legacy condition field, recording failures
+ * @param {Object} legacy - Legacy condition
+ * @param {string} path - Location used in error messages
+ * @param {Object} state - { converted, errors }
+ * @returns {Object} - Converted condition, or the original one if it can't be converted
+ */
+function convertField(legacy, path, state) {
+  try {
+    const converted = fromLegacyCondition(legacy);
+    state.converted++;
+    return converted;
+  } catch (error) {
+    state.errors.push(`${path}: ${error.message}`);
+    return legacy;
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  createScope,
+  evaluateCondition,
+  getPath,
+  validateCondition,
+  isLegacyCondition,
+  fromLegacyCondition,
+  convertWorkflowConditions
+};
@@ -0,0 +1,46 @@
+// shared/dateParser.d.ts
+// Types for dateParser.js (see that file for the supported phrases)
+
+export type AmbiguityType =
+  | 'meridiem'
+  | 'date_order'
+  | 'next_weekday'
+  | 'same_weekday'
+  | 'midnight'
+  | 'missing_time'
+  | 'past';
+
+export interface DateAmbiguity {
+  type: AmbiguityType;
+  message: string;
+  question: string;
+  chosen: Date;
+  alternatives: Date[];
+}
+
+export interface DateParserOptions {
+  now?: Date | number | string;
+  timezone?: string;
+  locale?: string;
+  defaultTime?: string;
+  endOfDay?: string;
+  weekStart?: number;
+}
+
+export interface ParsedDateTime {
+  input: string;
+  recognized: boolean;
+  start: Date | null;
+  end: Date | null;
+  timezone: string;
+  hasTime: boolean;
+  ambiguous: boolean;
+  ambiguities: DateAmbiguity[];
+  unparsed: string;
+}
+
+export const DEFAULT_OPTIONS: Required<Pick<DateParserOptions, 'locale' | 'defaultTime' | 'endOfDay' | 'weekStart'>>;
+
+export function parseDateTime(input: string | Date | number | null | undefined, options?: DateParserOptions): ParsedDateTime;
+
+export function getFollowUpQuestion(result: ParsedDateTime | null | undefined): string | null;
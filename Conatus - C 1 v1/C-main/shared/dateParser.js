@@ -0,0 +1,740 @@
+// shared/dateParser.js
+/**
+ * Date Parser
+ *
+ * Turns the times people write in messages and connector parameters into
+ * instants in the user's timezone. Used by the connectors (scheduledTime
+ * parameters) and by automation detection. Has no dependencies and runs in
+ * Node and in the browser. Understands:
+ *   now, asap                          today, tonight, tomorrow morning
+ *   in 20 minutes, 3 days from now     next Friday 6pm, this weekend, next week
+ *   March 15, 15/3/2024, the 15th      end of day, end of week, end of month
+ *   at 6, 18:30, noon, midnight        2-4pm, from Monday to Wednesday
+ *
+ * Whenever the parser has to guess, the result lists the guess as an
+ * ambiguity ({ type, message, question, chosen, alternatives }) so the
+ * intent flow can ask the user instead of silently picking one reading:
+ *   meridiem      - "at 6" could be 6 AM or 6 PM
+ *   date_order    - "03/04" could be March 4 or April 3 (locale decides the default)
+ *   next_weekday  - "next Friday" could be the coming Friday or the one in next week
+ *   same_weekday  - "Friday" said on a Friday could be today or a week later
+ *   midnight      - "Friday midnight" could be the start or the end of Friday
+ *   missing_time  - a day without a time (options.defaultTime is used)
+ *   past          - the time has already passed
+ */
+
+const {
+  isValidTimezone,
+  getSystemTimezone,
+  toZoned,
+  fromZoned,
+  addDays,
+  addMonths,
+  weekdayOf,
+  daysInMonth,
+  dayNumber
+} = require('./timezone');
+
+const DEFAULT_OPTIONS = {
+  locale: 'en-US',
+  defaultTime: '09:00',
+  endOfDay: '17:00',
+  weekStart: 1
+};
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tues: 2, tue: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thurs: 4, thu: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+
+const MONTHS = {
+  january: 1, jan: 1,
+  february: 2, feb: 2,
+  march: 3, mar: 3,
+  april: 4, apr: 4,
+  may: 5,
+  june: 6, jun: 6,
+  july: 7, jul: 7,
+  august: 8, aug: 8,
+  september: 9, sept: 9, sep: 9,
+  october: 10, oct: 10,
+  november: 11, nov: 11,
+  december: 12, dec: 12
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'a couple of': 2, couple: 2
+};
+
+// Default hour and meridiem of each part of the day
+const PERIODS = {
+  morning: { hour: 9, pm: false },
+  afternoon: { hour: 15, pm: true },
+  evening: { hour: 19, pm: true },
+  night: { hour: 20, pm: true }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const alternation = words => Object.keys(words).sort((a, b) => b.length - a.length).join('|');
+
+const WEEKDAY = alternation(WEEKDAYS);
+const MONTH = alternation(MONTHS);
+const AMOUNT = `\\d+|${alternation(NUMBER_WORDS)}`;
+const UNIT = 'minutes?|mins?|hours?|hrs?|days?|weeks?|wks?|months?';
+
+const ISO_INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i;
+const EXPLICIT_ZONE = /\b(?:gmt|utc)\b|\d(?:z|[+-]\d{2}:?\d{2})$/i;
+const NOW = /^(?:right\s+)?now$|^asap$|^immediately$|^straight away$/;
+const FILLER = /\b(?:at|on|by|the|of|for|around|about|from|starting|this|in|until|before)\b|[,.!?]/g;
+
+/**
+ * Parse a natural-language date, time or time range
+ * @param {string|Date|number} input - e.g. "next Friday 6pm", "in 20 minutes", "2-4pm"
+ * @param {Object} options - { now, timezone (default: the runtime's), locale, defaultTime, endOfDay, weekStart }
+ * @returns {Object} - { input, recognized, start, end, timezone, hasTime, ambiguous, ambiguities, unparsed }
+ */
+function parseDateTime(input, options = {}) {
+  const ctx = createContext(options);
+  const result = {
+    input: input instanceof Date ? input.toISOString() : String(input === undefined || input === null ? '' : input),
+    recognized: false,
+    start: null,
+    end: null,
+    timezone: ctx.timezone,
+    hasTime: false,
+    ambiguous: false,
+    ambiguities: [],
+    unparsed: ''
+  };
+
+  if (input instanceof Date || typeof input === 'number') {
+    const date = new Date(input);
+    if (!isNaN(date.getTime())) {
+      Object.assign(result, { recognized: true, start: date, hasTime: true });
+    }
+    return result;
+  }
+
+  const raw = result.input.trim();
+  const text = normalize(raw);
+
+  if (!text) {
+    return result;
+  }
+
+  // Exact instants (ISO or RFC 2822 strings with a zone) are taken as they are
+  if (ISO_INSTANT.test(raw) || (EXPLICIT_ZONE.test(raw) && !isNaN(Date.parse(raw)))) {
+    return Object.assign(result, { recognized: true, start: new Date(raw), hasTime: true });
+  }
+
+  if (NOW.test(text)) {
+    return Object.assign(result, { recognized: true, start: new Date(ctx.now), hasTime: true });
+  }
+
+  const range = splitRange(text);
+  let start = range && parsePoint(range[0], ctx, true);
+  let end = range && parsePoint(range[1], ctx, true);
+
+  if (!start || !end) {
+    start = parsePoint(text, ctx);
+    end = null;
+  }
+
+  if (!start) {
+    // Anything else the platform can read
+    const fallback = Date.parse(raw);
+    if (!isNaN(fallback) && /\d/.test(raw)) {
+      return Object.assign(result, { recognized: true, start: new Date(fallback), hasTime: true });
+    }
+
+    result.unparsed = text;
+    return result;
+  }
+
+  if (end) {
+    shareMeridiem(start, end);
+  }
+
+  const resolvedStart = resolvePoint(start, ctx, null);
+  const resolvedEnd = end ? resolvePoint(end, ctx, resolvedStart) : null;
+  const ambiguities = resolvedStart.ambiguities.concat(resolvedEnd ? resolvedEnd.ambiguities : []);
+
+  return Object.assign(result, {
+    recognized: true,
+    start: new Date(resolvedStart.time),
+    end: resolvedEnd ? new Date(resolvedEnd.time) : null,
+    hasTime: resolvedStart.hasTime,
+    ambiguous: ambiguities.length > 0,
+    ambiguities,
+    unparsed: [start.unparsed, end && end.unparsed].filter(Boolean).join(' ')
+  });
+}
+
+/**
+ * Get the question to ask about the first ambiguity of a parse result
+ * @param {Object} result - Result of parseDateTime
+ * @returns {string|null} - Follow-up question, or null if nothing is ambiguous
+ */
+function getFollowUpQuestion(result) {
+  if (!result || !result.recognized) {
+    return 'When should this happen?';
+  }
+
+  return result.ambiguities.length > 0 ? result.ambiguities[0].question : null;
+}
+
+/**
+ * Build the parsing context
+ * @param {Object} options - Parser options
+ * @returns {Object} - Context
+ */
+function createContext(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const timezone = isValidTimezone(settings.timezone) ? settings.timezone : getSystemTimezone();
+  const now = settings.now !== undefined ? new Date(settings.now).getTime() : Date.now();
+  const current = toZoned(now, timezone);
+
+  return {
+    timezone,
+    now,
+    current,
+    today: { year: current.year, month: current.month, day: current.day },
+    locale: settings.locale,
+    monthFirst: isMonthFirst(settings.locale),
+    defaultTime: parseClock(settings.defaultTime, DEFAULT_OPTIONS.defaultTime),
+    endOfDay: parseClock(settings.endOfDay, DEFAULT_OPTIONS.endOfDay),
+    weekStart: settings.weekStart
+  };
+}
+
+/**
+ * Check whether a locale writes numeric dates month first (3/15 rather than 15/3)
+ * @param {string} locale - BCP 47 locale
+ * @returns {boolean} - Whether the month comes first
+ */
+function isMonthFirst(locale) {
+  try {
+    const parts = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' })
+      .formatToParts(new Date(Date.UTC(2000, 10, 22, 12)))
+      .map(part => part.type);
+    return parts.indexOf('month') < parts.indexOf('day');
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Parse an HH:mm option
+ * @param {string} value - Time of day
+ * @param {string} fallback - Used when value is invalid
+ * @returns {Object} - { hour, minute }
+ */
+function parseClock(value, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return parseClock(fallback, '09:00');
+  }
+
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+/**
+ * Lowercase the input and tidy up spacing and am/pm spellings
+ * @param {string} text - Raw input
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/\b([ap])\.m\.?/g, '$1m')
+    .replace(/\bo'?clock\b/g, '')
+    .replace(/[–—]/g, '-')
+    // 2-4pm is a range, 2024-03-15 and 15-03 are not
+    .replace(/(?<![\d\/.:-])(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)\s*-\s*(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)(?![\d\/.-])/g, '$1 - $2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split a range into its two ends
+ * @param {string} text - Normalized text
+ * @returns {Array<string>|null} - [start, end] or null if it isn't a range
+ */
+function splitRange(text) {
+  const between = /^between (.+?) and (.+)$/.exec(text);
+  if (between) {
+    return [between[1], between[2]];
+  }
+
+  const range = /^(?:from )?(.+?) (?:to|until|till|through|-) (.+)$/.exec(text);
+  return range ? [range[1], range[2]] : null;
+}
+
+/**
+ * Extract the date and time parts of one point in time
+ * @param {string} text - Normalized text
+ * @param {Object} ctx - Parsing context
+ * @param {boolean} rangeEnd - Whether this is one end of a range (where a bare number is an hour)
+ * @returns {Object|null} - Unresolved point, or null if nothing was recognized
+ */
+function parsePoint(text, ctx, rangeEnd = false) {
+  const point = {
+    relativeMs: null,
+    date: null,
+    dateAmbiguity: null,
+    sameWeekday: false,
+    weekday: false,
+    time: null,
+    midnight: false,
+    period: null,
+    endOfDay: false,
+    keepCurrentTime: false,
+    unparsed: ''
+  };
+
+  let rest = ` ${text} `;
+  let found = false;
+
+  // Run a pattern against what's left, removing the match when the handler accepts it
+  const take = (pattern, handler) => {
+    const match = pattern.exec(rest);
+    if (match && handler(match) !== false) {
+      rest = rest.slice(0, match.index) + ' ' + rest.slice(match.index + match[0].length);
+      found = true;
+    }
+  };
+
+  // Relative offsets
+  take(/\bin half an hour\b/, () => { point.relativeMs = 30 * MINUTE_MS; });
+  take(new RegExp(`\\b(?:in|after) (${AMOUNT}) (${UNIT})\\b(?: from now| later)?`), match => addOffset(point, match, ctx));
+  take(new RegExp(`\\b(${AMOUNT}) (${UNIT}) (?:from now|later)\\b`), match => addOffset(point, match, ctx));
+
+  // Dates
+  take(/\b(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?\b/, match => {
+    const date = validDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    if (!date) return false;
+    point.date = date;
+    if (match[4]) point.time = { hour: Number(match[4]), minute: Number(match[5]), ambiguous: false };
+  });
+
+  take(/\b(\d{1,2})([\/.])(\d{1,2})(?:\2(\d{2}|\d{4}))?\b(?! ?(?:am|pm))/, match => {
+    // 6.30 is a time, 15.03.2024 a date
+    if (match[2] === '.' && !match[4]) return false;
+
+    const first = Number(match[1]);
+    const second = Number(match[3]);
+    const year = match[4] ? Number(match[4]) + (match[4].length === 2 ? 2000 : 0) : null;
+    const [month, day] = ctx.monthFirst ? [first, second] : [second, first];
+    const date = datedOrUpcoming(year, month, day, ctx);
+    const swapped = first !== second ? datedOrUpcoming(year, day, month, ctx) : null;
+
+    if (!date && !swapped) return false;
+
+    // Only one order is a real date for 15/3, both are for 3/4
+    point.date = date || swapped;
+    if (date && swapped) point.dateAmbiguity = { type: 'date_order', alternative: swapped };
+  });
+
+  take(new RegExp(`\\b(${MONTH}) (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?\\b`), match => {
+    const date = datedOrUpcoming(match[3] ? Number(match[3]) : null, MONTHS[match[1]], Number(match[2]), ctx);
+    if (!date) return false;
+    point.date = date;
+  });
+
+  take(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)? (?:of )?(${MONTH})(?: (\\d{4}))?\\b`), match => {
+    const date = datedOrUpcoming(match[3] ? Number(match[3]) : null, MONTHS[match[2]], Number(match[1]), ctx);
+    if (!date) return false;
+    point.date = date;
+  });
+
+  take(/\b(?:the )?(\d{1,2})(?:st|nd|rd|th)\b/, match => {
+    const day = Number(match[1]);
+    if (day < 1 || day > 31) return false;
+
+    // This month, or the next month that has the day once it has passed
+    for (let months = 0; months <= 2; months++) {
+      const month = addMonths({ ...ctx.today, day: 1 }, months);
+      const date = validDate(month.year, month.month, day);
+      if (date && dayNumber(date) >= dayNumber(ctx.today)) {
+        point.date = date;
+        return undefined;
+      }
+    }
+    return false;
+  });
+
+  // Named days
+  take(/\bday after tomorrow\b/, () => { point.date = point.date || addDays(ctx.today, 2); });
+  take(/\b(?:tomorrow|tmrw|tmr)\b/, () => { point.date = point.date || addDays(ctx.today, 1); });
+  take(/\btoday\b/, () => { point.date = point.date || ctx.today; });
+  take(/\btonight\b/, () => {
+    point.date = point.date || ctx.today;
+    point.period = 'night';
+  });
+  take(/\b(?:end of (?:the )?(?:business )?day|eod|cob|close of business)\b/, () => {
+    point.date = point.date || ctx.today;
+    point.endOfDay = true;
+  });
+  take(/\b(?:end of (?:the )?week|eow)\b/, () => {
+    point.date = addDays(ctx.today, (5 - weekdayOf(ctx.today) + 7) % 7);
+    point.endOfDay = true;
+  });
+  take(/\b(?:end of (?:the )?month|eom)\b/, () => {
+    point.date = { ...ctx.today, day: daysInMonth(ctx.today.year, ctx.today.month) };
+    point.endOfDay = true;
+  });
+  take(/\bnext week\b/, () => { point.date = addDays(ctx.today, daysToNextWeek(ctx)); });
+  take(/\bnext month\b/, () => { point.date = addMonths({ ...ctx.today, day: 1 }, 1); });
+  take(/\bnext weekend\b/, () => {
+    point.date = addDays(ctx.today, daysToNextWeek(ctx) + (6 - ctx.weekStart + 7) % 7);
+  });
+  take(/\b(?:this )?weekend\b/, () => {
+    const weekday = weekdayOf(ctx.today);
+    point.date = addDays(ctx.today, weekday === 0 ? 0 : 6 - weekday);
+  });
+
+  take(new RegExp(`\\b(?:(this|next|coming|on) )?(${WEEKDAY})\\b`), match => {
+    // An explicit date wins ("Friday March 15")
+    if (point.date) return undefined;
+
+    const weekday = WEEKDAYS[match[2]];
+    const days = (weekday - weekdayOf(ctx.today) + 7) % 7;
+
+    if (match[1] === 'next') {
+      const coming = days === 0 ? 7 : days;
+      const inNextWeek = daysToNextWeek(ctx) + (weekday - ctx.weekStart + 7) % 7;
+      point.date = addDays(ctx.today, inNextWeek);
+      if (inNextWeek !== coming) {
+        point.dateAmbiguity = { type: 'next_weekday', alternative: addDays(ctx.today, coming) };
+      }
+    } else if (match[1] === 'coming') {
+      point.date = addDays(ctx.today, days === 0 ? 7 : days);
+    } else {
+      point.date = addDays(ctx.today, days);
+      point.sameWeekday = days === 0;
+      point.weekday = true;
+    }
+  });
+
+  // Times of day
+  take(/\b(\d{1,2})(?:[:.](\d{2}))? ?(am|pm)\b/, match => {
+    const hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (hour < 1 || hour > 12 || minute > 59) return false;
+    point.time = { hour: (hour % 12) + (match[3] === 'pm' ? 12 : 0), minute, ambiguous: false };
+  });
+
+  take(/\b(\d{1,2}):(\d{2})\b/, match => {
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    if (hour > 23 || minute > 59 || point.time) return false;
+    // 18:30 and 06:30 are 24-hour times, 6:30 could be either
+    point.time = { hour, minute, ambiguous: (hour >= 1 && hour <= 9 && match[1].length === 1) || (hour >= 10 && hour <= 12) };
+  });
+
+  take(/\b(noon|midday|midnight)\b/, match => {
+    if (match[1] === 'midnight') {
+      point.midnight = true;
+    } else {
+      point.time = { hour: 12, minute: 0, ambiguous: false };
+    }
+  });
+
+  take(/\b(?:at|@|around|by) (\d{1,2})\b(?! ?(?:st|nd|rd|th|[\/.:-]\d))/, match => {
+    const hour = Number(match[1]);
+    if (hour > 23 || point.time) return false;
+    point.time = { hour, minute: 0, ambiguous: hour >= 1 && hour <= 12 };
+  });
+
+  take(/\b(?:(this) |in the |at )?(morning|afternoon|evening|night)\b/, match => {
+    point.period = match[2];
+    if (match[1] === 'this' && !point.date) point.date = ctx.today;
+  });
+
+  const leftover = rest.replace(FILLER, ' ').replace(/\s+/g, ' ').trim();
+
+  // A bare number after a day or in a range is an hour ("friday 6", "2 to 4")
+  if ((found || rangeEnd) && !point.time && /^\d{1,2}$/.test(leftover) && Number(leftover) <= 23) {
+    const hour = Number(leftover);
+    point.time = { hour, minute: 0, ambiguous: hour >= 1 && hour <= 12 };
+    found = true;
+  } else {
+    point.unparsed = leftover;
+  }
+
+  return found ? point : null;
+}
+
+/**
+ * Record a relative offset ("in 3 days", "2 hours from now")
+ * @param {Object} point - Point being parsed
+ * @param {Array} match - [text, amount, unit]
+ * @param {Object} ctx - Parsing context
+ * @returns {boolean|undefined} - false if the amount isn't usable
+ */
+function addOffset(point, match, ctx) {
+  const amount = /^\d+$/.test(match[1]) ? Number(match[1]) : NUMBER_WORDS[match[1]];
+  const unit = match[2];
+
+  if (!amount && amount !== 0) return false;
+
+  if (/^(?:minute|min)/.test(unit)) {
+    point.relativeMs = amount * MINUTE_MS;
+  } else if (/^(?:hour|hr)/.test(unit)) {
+    point.relativeMs = amount * 60 * MINUTE_MS;
+  } else {
+    // Calendar offsets keep the current time of day unless a time is given
+    point.date = /^day/.test(unit) ? addDays(ctx.today, amount)
+      : /^(?:week|wk)/.test(unit) ? addDays(ctx.today, amount * 7)
+        : addMonths(ctx.today, amount);
+    point.keepCurrentTime = true;
+  }
+
+  return undefined;
+}
+
+/**
+ * Give a range end without am/pm the meridiem of the other end ("2-4pm")
+ * @param {Object} start - Range start
+ * @param {Object} end - Range end
+ */
+function shareMeridiem(start, end) {
+  if (start.time && start.time.ambiguous && end.time && !end.time.ambiguous && !start.period) {
+    const hour = start.time.hour % 12;
+    const pm = end.time.hour >= 12;
+    // 11-1pm starts in the morning
+    start.time = { hour: pm && hour + 12 <= end.time.hour ? hour + 12 : hour, minute: start.time.minute, ambiguous: false };
+  }
+}
+
+/**
+ * Turn a parsed point into an instant, recording the guesses made
+ * @param {Object} point - Parsed point
+ * @param {Object} ctx - Parsing context
+ * @param {Object|null} base - Resolved range start when resolving a range end
+ * @returns {Object} - { time, date, hasTime, ambiguities }
+ */
+function resolvePoint(point, ctx, base) {
+  const ambiguities = [];
+
+  if (point.relativeMs !== null && !point.date) {
+    return { time: ctx.now + point.relativeMs, date: null, hasTime: true, ambiguities };
+  }
+
+  const floating = !point.date;
+  let date = point.date || (base && base.date) || ctx.today;
+  let clock;
+  let otherClock = null;
+  let hasTime = true;
+  const at = (day, time) => fromZoned({ ...day, hour: time.hour, minute: time.minute }, ctx.timezone);
+
+  if (point.time && point.time.ambiguous) {
+    const morning = { hour: point.time.hour % 12, minute: point.time.minute };
+    const evening = { hour: (point.time.hour % 12) + 12, minute: point.time.minute };
+
+    if (point.period) {
+      clock = PERIODS[point.period].pm ? evening : morning;
+    } else if (base) {
+      // A range end comes after its start
+      clock = at(date, morning) > base.time ? morning : evening;
+    } else {
+      // Working hours: 7-11 in the morning, 12-6 in the afternoon or evening
+      [clock, otherClock] = morning.hour >= 7 && morning.hour <= 11 ? [morning, evening] : [evening, morning];
+      if (dayNumber(date) === dayNumber(ctx.today) && at(date, clock) <= ctx.now && at(date, otherClock) > ctx.now) {
+        [clock, otherClock] = [otherClock, clock];
+      }
+    }
+  } else if (point.time) {
+    clock = { hour: point.time.hour, minute: point.time.minute };
+  } else if (point.midnight) {
+    clock = { hour: 0, minute: 0 };
+    if (floating) {
+      date = addDays(ctx.today, 1);
+    } else {
+      // "Friday midnight" is taken as the end of Friday
+      const startOfDay = at(date, clock);
+      date = addDays(date, 1);
+      ambiguities.push(createAmbiguity('midnight', at(date, clock), [startOfDay], ctx,
+        `Did you mean midnight at the end of ${formatDay(startOfDay, ctx)} or at its start?`));
+    }
+  } else if (point.endOfDay) {
+    clock = ctx.endOfDay;
+  } else if (point.period) {
+    clock = { hour: PERIODS[point.period].hour, minute: 0 };
+  } else if (point.keepCurrentTime) {
+    clock = { hour: ctx.current.hour, minute: ctx.current.minute };
+  } else if (base) {
+    clock = ctx.endOfDay;
+  } else {
+    clock = ctx.defaultTime;
+    hasTime = false;
+  }
+
+  let time = at(date, clock);
+
+  // A bare time that has passed today means tomorrow, a range end before its start the next day
+  if (floating && time <= (base ? base.time : ctx.now)) {
+    date = addDays(date, 1);
+    time = at(date, clock);
+  }
+
+  if (base && point.weekday) {
+    // "Monday to Wednesday" ends on the Wednesday after the Monday
+    while (time <= base.time) {
+      date = addDays(date, 7);
+      time = at(date, clock);
+    }
+  } else if (point.sameWeekday) {
+    if (time <= ctx.now) {
+      date = addDays(date, 7);
+      time = at(date, clock);
+    } else {
+      ambiguities.push(createAmbiguity('same_weekday', time, [at(addDays(date, 7), clock)], ctx));
+    }
+  }
+
+  if (point.dateAmbiguity) {
+    ambiguities.push(createAmbiguity(point.dateAmbiguity.type, time, [at(point.dateAmbiguity.alternative, clock)], ctx));
+  }
+
+  if (otherClock) {
+    const other = at(date, otherClock);
+    ambiguities.push(createAmbiguity('meridiem', time, [other], ctx,
+      `Did you mean ${formatTime(Math.min(time, other), ctx)} or ${formatTime(Math.max(time, other), ctx)}?`));
+  }
+
+  if (!hasTime) {
+    ambiguities.push(createAmbiguity('missing_time', time, [], ctx, `What time on ${formatDay(time, ctx)}?`));
+  }
+
+  if (!base && time < ctx.now - MINUTE_MS) {
+    ambiguities.push(createAmbiguity('past', time, [], ctx,
+      `${formatDay(time, ctx)} at ${formatTime(time, ctx)} has already passed. When should this happen instead?`));
+  }
+
+  return { time, date, hasTime, ambiguities };
+}
+
+/**
+ * Describe a guess the parser made
+ * @param {string} type - Ambiguity type
+ * @param {number} chosen - Instant the parser picked
+ * @param {Array<number>} alternatives - Other readings
+ * @param {Object} ctx - Parsing context
+ * @param {string} question - Follow-up question (defaults to "Did you mean X or Y?")
+ * @returns {Object} - { type, message, question, chosen, alternatives }
+ */
+function createAmbiguity(type, chosen, alternatives, ctx, question) {
+  const describe = time => `${formatDay(time, ctx)} at ${formatTime(time, ctx)}`;
+  const sameDay = alternatives.every(time => formatDay(time, ctx) === formatDay(chosen, ctx));
+  const label = time => (sameDay ? formatTime(time, ctx) : formatDay(time, ctx));
+
+  return {
+    type,
+    message: `Assumed ${describe(chosen)}`,
+    question: question || `Did you mean ${[chosen, ...alternatives].map(label).join(' or ')}?`,
+    chosen: new Date(chosen),
+    alternatives: alternatives.map(time => new Date(time))
+  };
+}
+
+/**
+ * Format an instant as a day in the user's locale and timezone
+ * @param {number} time - Instant
+ * @param {Object} ctx - Parsing context
+ * @returns {string} - e.g. Friday, March 15
+ */
+function formatDay(time, ctx) {
+  return format(time, ctx, { weekday: 'long', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Format an instant as a time of day in the user's locale and timezone
+ * @param {number} time - Instant
+ * @param {Object} ctx - Parsing context
+ * @returns {string} - e.g. 6:00 PM
+ */
+function formatTime(time, ctx) {
+  return format(time, ctx, { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Format an instant, falling back to English for unknown locales
+ * @param {number} time - Instant
+ * @param {Object} ctx - Parsing context
+ * @param {Object} fields - Intl.DateTimeFormat options
+ * @returns {string} - Formatted text
+ */
+function format(time, ctx, fields) {
+  try {
+    return new Intl.DateTimeFormat(ctx.locale, { ...fields, timeZone: ctx.timezone }).format(new Date(time));
+  } catch (error) {
+    return new Intl.DateTimeFormat('en-US', { ...fields, timeZone: ctx.timezone }).format(new Date(time));
+  }
+}
+
+/**
+ * Get the days from today to the first day of next week
+ * @param {Object} ctx - Parsing context
+ * @returns {number} - Days (1-7)
+ */
+function daysToNextWeek(ctx) {
+  return 7 - ((weekdayOf(ctx.today) - ctx.weekStart + 7) % 7);
+}
+
+/**
+ * Check that a date exists
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Object|null} - { year, month, day } or null
+ */
+function validDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+    return null;
+  }
+
+  return { year, month, day };
+}
+
+/**
+ * Build a date, using the next occurrence when the year is left out
+ * @param {number|null} year - Year, if given
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {Object} ctx - Parsing context
+ * @returns {Object|null} - { year, month, day } or null if the date doesn't exist
+ */
+function datedOrUpcoming(year, month, day, ctx) {
+  if (year !== null) {
+    return validDate(year, month, day);
+  }
+
+  const thisYear = validDate(ctx.today.year, month, day);
+  if (thisYear && dayNumber(thisYear) >= dayNumber(ctx.today)) {
+    return thisYear;
+  }
+
+  // Feb 29 may need a few years
+  for (let offset = 1; offset <= 4; offset++) {
+    const date = validDate(ctx.today.year + offset, month, day);
+    if (date) return date;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseDateTime,
+  getFollowUpQuestion
+};
@@ -0,0 +1,63 @@
+// shared/expressionLanguage.d.ts
+// Types for expressionLanguage.js (see that file for the syntax)
+
+export type ExpressionType = 'any' | 'number' | 'string' | 'boolean' | 'null' | 'array' | 'object';
+
+export interface ExpressionLimits {
+  maxLength?: number;
+  maxDepth?: number;
+  maxSteps?: number;
+  timeoutMs?: number;
+  maxStringLength?: number;
+}
+
+export interface ExpressionErrorInfo {
+  message: string;
+  column: number;
+}
+
+export class ExpressionError extends Error {
+  constructor(message: string, source: string, position: number);
+  status: number;
+  reason: string;
+  source: string;
+  position: number;
+  column: number;
+  pointer(): string;
+  toJSON(): ExpressionErrorInfo;
+}
+
+export const DEFAULT_LIMITS: Required<ExpressionLimits>;
+
+export const FUNCTIONS: Record<string, { params: string[]; returns: ExpressionType; lazy?: boolean }>;
+
+export function parse(source: string, limits?: ExpressionLimits): object;
+
+export function check(
+  expression: string | object,
+  options?: { scope?: Record<string, any>; source?: string; limits?: ExpressionLimits }
+): { type: ExpressionType; errors: ExpressionError[] };
+
+export function evaluate(
+  expression: string | object,
+  scope?: Record<string, any>,
+  options?: ExpressionLimits & { source?: string; budget?: object }
+): any;
+
+export function validate(
+  expression: string,
+  options?: { scope?: Record<string, any> }
+): { valid: boolean; type: ExpressionType | null; errors: ExpressionErrorInfo[] };
+
+export function createBudget(limits?: ExpressionLimits): object;
+
+export function parseTemplate(template: string): ({ text: string } | { expression: string; match: string; offset: number })[];
+
+export function renderTemplate(template: string, scope?: Record<string, any>, options?: ExpressionLimits): string;
+
+export function validateTemplate(
+  template: string,
+  options?: { scope?: Record<string, any> }
+): { valid: boolean; errors: ExpressionErrorInfo[] };
+
+export function createExpressionScope(scope?: Record<string, any>): Record<string, any>;
@@ -0,0 +1,1182 @@
+// shared/expressionLanguage.js
+/**
+ * Expression Language
+ * 
+ * A small sandboxed expression language for workflow templates ({{ }}),
+ * computed variables and conditions. Expressions can only read the scope
+ * they are given and call the built-in functions below; there is no
+ * assignment, no method calls and no access to prototypes. Evaluation is
+ * bounded by a step budget and a time limit.
+ * 
+ *   trigger.amount * 1.2 > 100 and not isEmpty(items)
+ *   upper(first(split(trigger.subject, ' '))) ?? 'Untitled'
+ *   if(results.count == 0, 'nothing new', concat(results.count, ' new'))
+ * 
+ * Syntax:
+ *   literals     12, 1.5, 'text', "text", true, false, null, [1, 2]
+ *   paths        name, name.field, name[0], name['key']
+ *   operators    * / %   + -   < <= > >=   == !=   and &&   or ||   ??   a ? b : c
+ *   unary        -x, not x, !x
+ *   calls        round(x, 2) (built-in functions only)
+ * 
+ * == and != are strict, + concatenates when either side is a string, and
+ * reading a missing field gives null instead of failing. Errors (syntax,
+ * type and run time) are ExpressionErrors carrying the offending column.
+ * 
+ * Has no dependencies and runs in Node and in the browser.
+ */
+
+const DEFAULT_LIMITS = {
+  maxLength: 2000,        // characters per expression
+  maxDepth: 40,           // nesting of the syntax tree
+  maxSteps: 10000,        // evaluation steps (nodes visited plus items processed by functions)
+  timeoutMs: 50,          // wall clock per evaluation
+  maxStringLength: 100000 // characters in any intermediate string
+};
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+const WORD_OPERATORS = ['and', 'or', 'not'];
+
+const BLOCKED_PROPERTIES = ['__proto__', 'prototype', 'constructor'];
+
+// Longest first so that <= is not read as <
+const PUNCTUATORS = ['??', '&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']'];
+
+// Binary operator precedence (higher binds tighter)
+const BINARY_PRECEDENCE = {
+  '??': 1,
+  or: 2,
+  '||': 2,
+  and: 3,
+  '&&': 3,
+  '==': 4,
+  '!=': 4,
+  '<': 5,
+  '<=': 5,
+  '>': 5,
+  '>=': 5,
+  '+': 6,
+  '-': 6,
+  '*': 7,
+  '/': 7,
+  '%': 7
+};
+
+/**
+ * Error in an expression, pointing at the offending column
+ */
+class ExpressionError extends Error {
+  /**
+   * @param {string} message - Error message (without position)
+   * @param {string} source - Expression source
+   * @param {number} position - 0-based offset of the offending character
+   */
+  constructor(message, source, position) {
+    const column = (position || 0) + 1;
+    super(`${message} (column ${column})`);
+    this.name = 'ExpressionError';
+    this.status = 400;
+    this.reason = message;
+    this.source = source;
+    this.position = position || 0;
+    this.column = column;
+  }
+
+  /**
+   * Render the expression with a caret under the offending column
+   * @returns {string} - Two-line pointer
+   */
+  pointer() {
+    return `${this.source}\n${' '.repeat(this.position)}^`;
+  }
+
+  /**
+   * Plain representation for API responses
+   * @returns {Object} - { message, column }
+   */
+  toJSON() {
+    return { message: this.reason, column: this.column };
+  }
+}
+
+// Built-in functions: parameter types (a trailing '...' repeats the last one),
+// return type and implementation. The implementation receives the evaluator's
+// step counter so work over collections is charged to the budget.
+const FUNCTIONS = {
+  // Strings
+  concat: { params: ['any...'], returns: 'string', fn: (args) => args.map(toText).join('') },
+  lower: { params: ['string'], returns: 'string', fn: ([s]) => s.toLowerCase() },
+  upper: { params: ['string'], returns: 'string', fn: ([s]) => s.toUpperCase() },
+  trim: { params: ['string'], returns: 'string', fn: ([s]) => s.trim() },
+  substring: { params: ['string', 'number', 'number?'], returns: 'string', fn: ([s, start, end]) => s.substring(start, end === null ? undefined : end) },
+  replace: { params: ['string', 'string', 'string'], returns: 'string', fn: ([s, search, replacement]) => (search === '' ? s : s.split(search).join(replacement)) },
+  split: { params: ['string', 'string'], returns: 'array', fn: ([s, separator], charge) => { charge(s.length); return s.split(separator); } },
+  startsWith: { params: ['string', 'string'], returns: 'boolean', fn: ([s, prefix]) => s.startsWith(prefix) },
+  endsWith: { params: ['string', 'string'], returns: 'boolean', fn: ([s, suffix]) => s.endsWith(suffix) },
+  join: { params: ['array', 'string?'], returns: 'string', fn: ([items, separator], charge) => { charge(items.length); return items.map(toText).join(separator === null ? '' : separator); } },
+  
+  // Numbers
+  round: { params: ['number', 'number?'], returns: 'number', fn: ([n, digits]) => { const factor = Math.pow(10, digits || 0); return Math.round(n * factor) / factor; } },
+  floor: { params: ['number'], returns: 'number', fn: ([n]) => Math.floor(n) },
+  ceil: { params: ['number'], returns: 'number', fn: ([n]) => Math.ceil(n) },
+  abs: { params: ['number'], returns: 'number', fn: ([n]) => Math.abs(n) },
+  min: { params: ['any...'], returns: 'number', fn: (args, charge) => aggregate(args, charge, values => Math.min(...values)) },
+  max: { params: ['any...'], returns: 'number', fn: (args, charge) => aggregate(args, charge, values => Math.max(...values)) },
+  sum: { params: ['any...'], returns: 'number', fn: (args, charge) => aggregate(args, charge, values => values.reduce((total, value) => total + value, 0)) },
+  avg: { params: ['any...'], returns: 'number', fn: (args, charge) => aggregate(args, charge, values => values.reduce((total, value) => total + value, 0) / values.length) },
+  
+  // Collections
+  length: { params: ['any'], returns: 'number', fn: ([value]) => sizeOf(value) },
+  contains: { params: ['any', 'any'], returns: 'boolean', fn: ([container, item], charge) => { charge(sizeOf(container)); return containsItem(container, item); } },
+  isEmpty: { params: ['any'], returns: 'boolean', fn: ([value]) => value === null || ((typeof value === 'string' || typeof value === 'object') && sizeOf(value) === 0) },
+  first: { params: ['array'], returns: 'any', fn: ([items]) => (items.length > 0 ? items[0] : null) },
+  last: { params: ['array'], returns: 'any', fn: ([items]) => (items.length > 0 ? items[items.length - 1] : null) },
+  keys: { params: ['object'], returns: 'array', fn: ([obj], charge) => { const keys = Object.keys(obj); charge(keys.length); return keys; } },
+  values: { params: ['object'], returns: 'array', fn: ([obj], charge) => { const values = Object.values(obj); charge(values.length); return values; } },
+  
+  // Conversion and logic
+  number: { params: ['any'], returns: 'number', fn: ([value]) => toNumber(value) },
+  string: { params: ['any'], returns: 'string', fn: ([value]) => toText(value) },
+  boolean: { params: ['any'], returns: 'boolean', fn: ([value]) => !!value },
+  json: { params: ['any'], returns: 'string', fn: ([value], charge) => { const text = JSON.stringify(value); charge(text ? text.length / 100 : 0); return text; } },
+  coalesce: { params: ['any...'], returns: 'any', fn: (args) => { const found = args.find(value => value !== null); return found === undefined ? null : found; } },
+  if: { params: ['any', 'any', 'any'], returns: 'any', lazy: true },
+  
+  // Dates
+  now: { params: [], returns: 'string', fn: () => new Date().toISOString() },
+  formatDate: { params: ['any', 'string?'], returns: 'string', fn: ([value, format]) => formatDate(value, format || 'ISO') }
+};
+
+/**
+ * Parse an expression
+ * @param {string} source - Expression source
+ * @param {Object} limits - { maxLength, maxDepth }
+ * @returns {Object} - Syntax tree
+ */
+function parse(source, limits = {}) {
+  const { maxLength, maxDepth } = { ...DEFAULT_LIMITS, ...limits };
+  
+  if (typeof source !== 'string') {
+    throw new ExpressionError('Expression must be a string', String(source), 0);
+  }
+
+  if (source.length > maxLength) {
+    throw new ExpressionError(`Expression is longer than ${maxLength} characters`, source, maxLength);
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+  
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const fail = (message, token = peek()) => {
+    throw new ExpressionError(message, source, token.position);
+  };
+  const describe = token => (token.type === 'end' ? 'end of expression' : `'${token.text}'`);
+  const isOperator = (token, ...values) => token.type === 'operator' && values.includes(token.value);
+  const expect = (value, what) => {
+    const token = next();
+    if (!isOperator(token, value)) {
+      fail(`Expected ${what} but found ${describe(token)}`, token);
+    }
+    return token;
+  };
+  const enter = token => {
+    if (++depth > maxDepth) {
+      fail(`Expression is nested more than ${maxDepth} levels deep`, token);
+    }
+  };
+
+  function parseConditional() {
+    enter(peek());
+    const test = parseBinary(1);
+    
+    if (isOperator(peek(), '?')) {
+      const token = next();
+      const consequent = parseConditional();
+      expect(':', "':' in conditional expression");
+      const alternate = parseConditional();
+      depth--;
+      return { type: 'Conditional', test, consequent, alternate, position: token.position };
+    }
+    
+    depth--;
+    return test;
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+    
+    for (;;) {
+      const token = peek();
+      const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+      
+      if (precedence === undefined || precedence < minPrecedence) {
+        return left;
+      }
+      
+      next();
+      enter(token);
+      const right = parseBinary(precedence + 1);
+      depth--;
+      left = { type: 'Binary', operator: normalizeOperator(token.value), left, right, position: token.position };
+    }
+  }
+
+  function parseUnary() {
+    const token = peek();
+    
+    if (isOperator(token, '-', '!', 'not')) {
+      next();
+      enter(token);
+      const argument = parseUnary();
+      depth--;
+      return { type: 'Unary', operator: token.value === '-' ? '-' : 'not', argument, position: token.position };
+    }
+    
+    return parsePostfix(parsePrimary());
+  }
+
+  function parsePostfix(node) {
+    for (;;) {
+      const token = peek();
+      
+      if (isOperator(token, '.')) {
+        next();
+        const name = next();
+        if (name.type !== 'identifier') {
+          fail(`Expected a field name after '.' but found ${describe(name)}`, name);
+        }
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: name.value, position: name.position }, position: name.position };
+      } else if (isOperator(token, '[')) {
+        next();
+        enter(token);
+        const property = parseConditional();
+        depth--;
+        expect(']', "']'");
+        node = { type: 'Member', object: node, property, position: token.position };
+      } else if (isOperator(token, '(')) {
+        fail('Only built-in functions can be called', token);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parsePrimary() {
+    const token = next();
+    
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'Literal', value: token.value, position: token.position };
+      
+      case 'identifier': {
+        if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+          return { type: 'Literal', value: KEYWORDS[token.value], position: token.position };
+        }
+        
+        if (isOperator(peek(), '(')) {
+          return parseCall(token);
+        }
+        
+        return { type: 'Identifier', name: token.value, position: token.position };
+      }
+      
+      case 'operator':
+        if (token.value === '(') {
+          enter(token);
+          const expression = parseConditional();
+          depth--;
+          expect(')', "')'");
+          return expression;
+        }
+        
+        if (token.value === '[') {
+          enter(token);
+          const elements = [];
+          if (!isOperator(peek(), ']')) {
+            do {
+              elements.push(parseConditional());
+            } while (isOperator(peek(), ',') && next());
+          }
+          depth--;
+          expect(']', "',' or ']' in list");
+          return { type: 'Array', elements, position: token.position };
+        }
+        
+        return fail(`Unexpected ${describe(token)}`, token);
+      
+      default:
+        return fail(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected ${describe(token)}`, token);
+    }
+  }
+
+  function parseCall(nameToken) {
+    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, nameToken.value)) {
+      fail(`Unknown function '${nameToken.value}'`, nameToken);
+    }
+    
+    next(); // (
+    enter(nameToken);
+    const args = [];
+    
+    if (!isOperator(peek(), ')')) {
+      do {
+        args.push(parseConditional());
+      } while (isOperator(peek(), ',') && next());
+    }
+    
+    depth--;
+    expect(')', "',' or ')' in function call");
+    
+    return { type: 'Call', name: nameToken.value, args, position: nameToken.position };
+  }
+
+  if (peek().type === 'end') {
+    fail('Expression is empty');
+  }
+
+  const ast = parseConditional();
+  
+  if (peek().type !== 'end') {
+    fail(`Unexpected ${describe(peek())}`);
+  }
+
+  return ast;
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<Object>} - Tokens ({ type, value, text, position }), ending with an end token
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+  
+  while (position < source.length) {
+    const char = source[position];
+    
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+    
+    const start = position;
+    
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[position + 1] || ''))) {
+      const match = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(source.slice(position));
+      position += match[0].length;
+      
+      if (/[A-Za-z_$]/.test(source[position] || '')) {
+        throw new ExpressionError(`Invalid number '${source.slice(start, position + 1)}'`, source, start);
+      }
+      
+      tokens.push({ type: 'number', value: Number(match[0]), text: match[0], position: start });
+      continue;
+    }
+    
+    if (char === '"' || char === "'") {
+      let value = '';
+      position++;
+      
+      while (source[position] !== char) {
+        if (position >= source.length) {
+          throw new ExpressionError('Unterminated string', source, start);
+        }
+        
+        if (source[position] === '\\') {
+          const escaped = source[position + 1];
+          const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' };
+          if (!(escaped in escapes)) {
+            throw new ExpressionError(`Invalid escape '\\${escaped || ''}'`, source, position);
+          }
+          value += escapes[escaped];
+          position += 2;
+        } else {
+          value += source[position++];
+        }
+      }
+      
+      position++;
+      tokens.push({ type: 'string', value, text: source.slice(start, position), position: start });
+      continue;
+    }
+    
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(position));
+      position += match[0].length;
+      
+      const type = WORD_OPERATORS.includes(match[0]) ? 'operator' : 'identifier';
+      tokens.push({ type, value: match[0], text: match[0], position: start });
+      continue;
+    }
+    
+    const punctuator = PUNCTUATORS.find(candidate => source.startsWith(candidate, position));
+    
+    if (!punctuator) {
+      throw new ExpressionError(`Unexpected character '${char}'`, source, position);
+    }
+    
+    position += punctuator.length;
+    tokens.push({ type: 'operator', value: punctuator, text: punctuator, position: start });
+  }
+
+  tokens.push({ type: 'end', value: null, text: '', position: source.length });
+  
+  return tokens;
+}
+
+/**
+ * Map operator spellings to one form (&& and and are the same operator)
+ * @param {string} operator - Operator as written
+ * @returns {string} - Normalized operator
+ */
+function normalizeOperator(operator) {
+  if (operator === '&&') return 'and';
+  if (operator === '||') return 'or';
+  return operator;
+}
+
+/**
+ * Type-check an expression without evaluating it
+ * @param {string|Object} expression - Expression source or syntax tree
+ * @param {Object} options - { scope: sample scope used to type names (unknown names are errors when given),
+ *                             source: source of a pre-parsed tree }
+ * @returns {Object} - { type, errors: [ExpressionError] }
+ */
+function check(expression, options = {}) {
+  const source = typeof expression === 'string' ? expression : options.source || '';
+  const ast = typeof expression === 'string' ? parse(expression, options.limits) : expression;
+  const scope = options.scope;
+  const errors = [];
+  
+  const report = (message, node) => {
+    errors.push(new ExpressionError(message, source, node.position));
+    return 'any';
+  };
+
+  const requireType = (type, expected, node, what) => {
+    if (type !== 'any' && type !== expected && !(type === 'null' && expected !== 'any')) {
+      report(`${what} must be ${withArticle(expected)}, got ${type}`, { position: startOf(node) });
+    }
+  };
+
+  function visit(node) {
+    switch (node.type) {
+      case 'Literal':
+        return typeOf(node.value);
+      
+      case 'Array':
+        node.elements.forEach(visit);
+        return 'array';
+      
+      case 'Identifier':
+        if (scope && !Object.prototype.hasOwnProperty.call(scope, node.name)) {
+          return report(`Unknown name '${node.name}'`, node);
+        }
+        return scope ? typeOf(scope[node.name]) : 'any';
+      
+      case 'Member': {
+        const objectType = visit(node.object);
+        const propertyType = visit(node.property);
+        
+        if (['number', 'boolean'].includes(objectType)) {
+          report(`Cannot read a field of ${withArticle(objectType)}`, node);
+        }
+        
+        if (node.property.type === 'Literal' && BLOCKED_PROPERTIES.includes(node.property.value)) {
+          report(`Field '${node.property.value}' is not accessible`, node);
+        }
+        
+        if (propertyType !== 'any' && propertyType !== 'string' && propertyType !== 'number') {
+          report(`Field name must be a string or number, got ${propertyType}`, node.property);
+        }
+        
+        return 'any';
+      }
+      
+      case 'Unary': {
+        const type = visit(node.argument);
+        if (node.operator === '-') {
+          requireType(type, 'number', node, "Operand of '-'");
+          return 'number';
+        }
+        return 'boolean';
+      }
+      
+      case 'Binary': {
+        const left = visit(node.left);
+        const right = visit(node.right);
+        
+        switch (node.operator) {
+          case '+':
+            if (left === 'string' || right === 'string') return 'string';
+            requireType(left, 'number', node.left, "Left side of '+'");
+            requireType(right, 'number', node.right, "Right side of '+'");
+            return left === 'any' || right === 'any' ? 'any' : 'number';
+          case '-':
+          case '*':
+          case '/':
+          case '%':
+            requireType(left, 'number', node.left, `Left side of '${node.operator}'`);
+            requireType(right, 'number', node.right, `Right side of '${node.operator}'`);
+            return 'number';
+          case '<':
+          case '<=':
+          case '>':
+          case '>=':
+            if (left !== 'any' && right !== 'any' && left !== 'null' && right !== 'null' &&
+                (left !== right || !['number', 'string'].includes(left))) {
+              report(`Cannot compare ${left} with ${right}`, node);
+            }
+            return 'boolean';
+          case '==':
+          case '!=':
+          case 'and':
+          case 'or':
+            return 'boolean';
+          case '??':
+            return left === right ? left : 'any';
+          default:
+            return 'any';
+        }
+      }
+      
+      case 'Conditional': {
+        visit(node.test);
+        const consequent = visit(node.consequent);
+        const alternate = visit(node.alternate);
+        return consequent === alternate ? consequent : 'any';
+      }
+      
+      case 'Call':
+        return checkCall(node);
+      
+      default:
+        return 'any';
+    }
+  }
+
+  function checkCall(node) {
+    const definition = FUNCTIONS[node.name];
+    const argTypes = node.args.map(visit);
+    const arityError = checkArity(node.name, node.args.length);
+    
+    if (arityError) {
+      report(arityError, node);
+    }
+    
+    argTypes.forEach((type, index) => {
+      const expected = paramType(definition.params, index);
+      if (expected !== 'any') {
+        requireType(type, expected, node.args[index], `Argument ${index + 1} of ${node.name}()`);
+      }
+    });
+    
+    if (node.name === 'if') {
+      return argTypes[1] === argTypes[2] ? argTypes[1] : 'any';
+    }
+    
+    return definition.returns;
+  }
+
+  const type = visit(ast);
+  
+  return { type, errors };
+}
+
+/**
+ * Evaluate an expression
+ * @param {string|Object} expression - Expression source or syntax tree
+ * @param {Object} scope - Names the expression can read
+ * @param {Object} options - { maxSteps, timeoutMs, maxStringLength, source: source of a pre-parsed tree,
+ *                             budget: shared step budget (see createBudget) }
+ * @returns {any} - Result (null rather than undefined for missing values)
+ */
+function evaluate(expression, scope = {}, options = {}) {
+  const limits = { ...DEFAULT_LIMITS, ...options };
+  const source = typeof expression === 'string' ? expression : options.source || '';
+  const ast = typeof expression === 'string' ? parse(expression, limits) : expression;
+  const budget = options.budget || createBudget(limits);
+  
+  const fail = (message, node) => {
+    throw new ExpressionError(message, source, node.position);
+  };
+
+  const charge = (steps, node) => {
+    budget.steps += steps;
+    
+    if (budget.steps > limits.maxSteps) {
+      fail(`Expression exceeded ${limits.maxSteps} evaluation steps`, node);
+    }
+    
+    if (budget.steps - budget.checkedAt >= 100) {
+      budget.checkedAt = budget.steps;
+      if (Date.now() > budget.deadline) {
+        fail(`Expression took longer than ${limits.timeoutMs}ms`, node);
+      }
+    }
+  };
+
+  const checkString = (value, node) => {
+    if (typeof value === 'string' && value.length > limits.maxStringLength) {
+      fail(`Result is longer than ${limits.maxStringLength} characters`, node);
+    }
+    return value;
+  };
+
+  function visit(node) {
+    charge(1, node);
+    
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+      
+      case 'Array':
+        return node.elements.map(visit);
+      
+      case 'Identifier':
+        return readField(scope, node.name, node);
+      
+      case 'Member': {
+        const object = visit(node.object);
+        const property = visit(node.property);
+        
+        if (object === null) {
+          return null;
+        }
+        
+        if (typeof property !== 'string' && typeof property !== 'number') {
+          fail(`Field name must be a string or number, got ${typeOf(property)}`, node.property);
+        }
+        
+        if (typeof object !== 'object' && typeof object !== 'string') {
+          fail(`Cannot read field '${property}' of ${withArticle(typeOf(object))}`, node);
+        }
+        
+        return readField(object, String(property), node);
+      }
+      
+      case 'Unary': {
+        const value = visit(node.argument);
+        
+        if (node.operator === '-') {
+          if (typeof value !== 'number') {
+            fail(`Operand of '-' must be a number, got ${typeOf(value)}`, node);
+          }
+          return -value;
+        }
+        
+        return !value;
+      }
+      
+      case 'Binary':
+        return checkString(evaluateBinary(node), node);
+      
+      case 'Conditional':
+        return visit(node.test) ? visit(node.consequent) : visit(node.alternate);
+      
+      case 'Call':
+        return checkString(evaluateCall(node), node);
+      
+      default:
+        return fail(`Unsupported expression '${node.type}'`, node);
+    }
+  }
+
+  function evaluateBinary(node) {
+    // Short-circuit operators only evaluate the right side when needed
+    if (node.operator === 'and') {
+      return !!visit(node.left) && !!visit(node.right);
+    }
+    
+    if (node.operator === 'or') {
+      return !!visit(node.left) || !!visit(node.right);
+    }
+    
+    if (node.operator === '??') {
+      const left = visit(node.left);
+      return left !== null ? left : visit(node.right);
+    }
+    
+    const left = visit(node.left);
+    const right = visit(node.right);
+    
+    switch (node.operator) {
+      case '==':
+        return left === right;
+      
+      case '!=':
+        return left !== right;
+      
+      case '+':
+        if (typeof left === 'string' || typeof right === 'string') {
+          charge(Math.floor((toText(left).length + toText(right).length) / 1000), node);
+          return toText(left) + toText(right);
+        }
+        requireNumbers(left, right, node);
+        return left + right;
+      
+      case '-':
+        requireNumbers(left, right, node);
+        return left - right;
+      
+      case '*':
+        requireNumbers(left, right, node);
+        return left * right;
+      
+      case '/':
+      case '%':
+        requireNumbers(left, right, node);
+        if (right === 0) {
+          fail('Division by zero', node);
+        }
+        return node.operator === '/' ? left / right : left % right;
+      
+      default: {
+        // Comparisons with a missing value are false rather than errors
+        if (left === null || right === null) {
+          return false;
+        }
+        
+        if (typeof left !== typeof right || !['number', 'string'].includes(typeof left)) {
+          fail(`Cannot compare ${typeOf(left)} with ${typeOf(right)}`, node);
+        }
+        
+        switch (node.operator) {
+          case '<': return left < right;
+          case '<=': return left <= right;
+          case '>': return left > right;
+          default: return left >= right;
+        }
+      }
+    }
+  }
+
+  function requireNumbers(left, right, node) {
+    if (typeof left !== 'number' || typeof right !== 'number') {
+      fail(`Operator '${node.operator}' needs numbers, got ${typeOf(left)} and ${typeOf(right)}`, node);
+    }
+  }
+
+  function evaluateCall(node) {
+    const definition = FUNCTIONS[node.name];
+    
+    const params = definition.params;
+    const arityError = checkArity(node.name, node.args.length);
+    
+    if (arityError) {
+      fail(arityError, node);
+    }
+    
+    // if() only evaluates the branch it returns
+    if (definition.lazy) {
+      return visit(node.args[0]) ? visit(node.args[1]) : visit(node.args[2]);
+    }
+    
+    const args = node.args.map(visit);
+    
+    args.forEach((value, index) => {
+      const expected = paramType(params, index);
+      const optional = params[Math.min(index, params.length - 1)].endsWith('?');
+      
+      if (expected !== 'any' && typeOf(value) !== expected && !(optional && value === null)) {
+        fail(`Argument ${index + 1} of ${node.name}() must be ${withArticle(expected)}, got ${typeOf(value)}`, { position: startOf(node.args[index]) });
+      }
+    });
+    
+    // Missing optional arguments are passed as null
+    while (args.length < params.length && params[args.length].endsWith('?')) {
+      args.push(null);
+    }
+    
+    try {
+      const result = definition.fn(args, steps => charge(Math.ceil(steps), node));
+      return result === undefined ? null : result;
+    } catch (error) {
+      if (error instanceof ExpressionError) throw error;
+      return fail(`${node.name}() failed: ${error.message}`, node);
+    }
+  }
+
+  function readField(object, key, node) {
+    if (BLOCKED_PROPERTIES.includes(key)) {
+      fail(`Field '${key}' is not accessible`, node);
+    }
+    
+    // Only own fields: nothing is reachable through prototypes
+    if (object === null || object === undefined || !Object.prototype.hasOwnProperty.call(object, key)) {
+      return null;
+    }
+    
+    const value = object[key];
+    
+    if (typeof value === 'function') {
+      fail(`Field '${key}' is a function and cannot be read`, node);
+    }
+    
+    return value === undefined ? null : value;
+  }
+
+  return visit(ast);
+}
+
+/**
+ * Create a step budget, to share limits across several evaluations (e.g. one template)
+ * @param {Object} limits - { timeoutMs }
+ * @returns {Object} - Budget
+ */
+function createBudget(limits = {}) {
+  const { timeoutMs } = { ...DEFAULT_LIMITS, ...limits };
+  return { steps: 0, checkedAt: 0, deadline: Date.now() + timeoutMs };
+}
+
+/**
+ * Validate an expression: parse and type-check it
+ * @param {string} expression - Expression source
+ * @param {Object} options - { scope: sample scope }
+ * @returns {Object} - { valid, type, errors: [{ message, column }] }
+ */
+function validate(expression, options = {}) {
+  try {
+    const { type, errors } = check(expression, options);
+    return { valid: errors.length === 0, type, errors: errors.map(error => error.toJSON()) };
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error;
+    return { valid: false, type: null, errors: [error.toJSON()] };
+  }
+}
+
+/**
+ * Split a template into text and {{ expression }} parts
+ * @param {string} template - Template string
+ * @returns {Array<Object>} - Parts: { text } or { expression, match, offset }
+ */
+function parseTemplate(template) {
+  const parts = [];
+  const pattern = /\{\{([^}]+)\}\}/g;
+  let last = 0;
+  let match;
+  
+  while ((match = pattern.exec(template)) !== null) {
+    if (match.index > last) {
+      parts.push({ text: template.slice(last, match.index) });
+    }
+    parts.push({ expression: match[1], match: match[0], offset: match.index + 2 });
+    last = match.index + match[0].length;
+  }
+
+  if (last < template.length) {
+    parts.push({ text: template.slice(last) });
+  }
+
+  return parts;
+}
+
+// {{name.field}} placeholders keep the lookup rules they had before expressions
+// existed (a missing parent leaves the placeholder as is)
+const PLAIN_PATH = /^\s*[A-Za-z_$][\w$]*(?:\.[\w$]+)*\s*$/;
+
+/**
+ * Check whether a placeholder is a plain name.field path rather than an
+ * expression (literals such as {{ true }} and operators are expressions)
+ * @param {string} expression - Placeholder contents
+ * @returns {boolean} - True for a plain path
+ */
+function isPlainPath(expression) {
+  if (!PLAIN_PATH.test(expression)) return false;
+  
+  const name = expression.trim().split('.')[0];
+  return !Object.prototype.hasOwnProperty.call(KEYWORDS, name) && !WORD_OPERATORS.includes(name);
+}
+
+/**
+ * Check whether a placeholder's whole text is the name of a variable. Templates
+ * written before expressions existed use names such as {{first-name}} or
+ * {{order id}}, which would otherwise be read as expressions.
+ * @param {string} expression - Placeholder contents
+ * @param {Object} scope - Scope (its variables are checked)
+ * @returns {boolean} - True if the text names a variable
+ */
+function isVariableName(expression, scope) {
+  const variables = scope && scope.variables;
+  const name = expression.trim();
+  
+  return Boolean(variables) && typeof variables === 'object' &&
+    !BLOCKED_PROPERTIES.includes(name) && Object.prototype.hasOwnProperty.call(variables, name);
+}
+
+/**
+ * Render a template, evaluating every {{ expression }}
+ * @param {string} template - Template string
+ * @param {Object} scope - Names expressions can read
+ * @param {Object} options - Evaluation limits (shared by every expression in the template)
+ * @returns {string} - Rendered string
+ */
+function renderTemplate(template, scope = {}, options = {}) {
+  const budget = createBudget(options);
+  
+  return parseTemplate(template).map(part => {
+    if (part.text !== undefined) {
+      return part.text;
+    }
+    
+    if (isVariableName(part.expression, scope)) {
+      return toText(scope.variables[part.expression.trim()]);
+    }
+    
+    if (isPlainPath(part.expression)) {
+      return renderPath(part, scope);
+    }
+    
+    try {
+      return toText(evaluate(part.expression, scope, { ...options, budget }));
+    } catch (error) {
+      // Report the column within the whole template
+      if (error instanceof ExpressionError) {
+        throw new ExpressionError(error.reason, template, part.offset + error.position);
+      }
+      throw error;
+    }
+  }).join('');
+}
+
+/**
+ * Render a plain {{name.field}} placeholder
+ * @param {Object} part - Template part
+ * @param {Object} scope - Scope
+ * @returns {string} - Rendered value
+ */
+function renderPath(part, scope) {
+  let value = scope;
+  
+  for (const key of part.expression.trim().split('.')) {
+    if (value === undefined || value === null) return part.match;
+    if (BLOCKED_PROPERTIES.includes(key) || !Object.prototype.hasOwnProperty.call(value, key)) {
+      value = undefined;
+    } else {
+      value = value[key];
+    }
+  }
+
+  return toText(value);
+}
+
+/**
+ * Validate every expression in a template
+ * @param {string} template - Template string
+ * @param {Object} options - { scope: sample scope }
+ * @returns {Object} - { valid, errors: [{ message, column }] } (columns within the template)
+ */
+function validateTemplate(template, options = {}) {
+  const errors = [];
+  
+  for (const part of parseTemplate(template)) {
+    if (part.expression === undefined || isPlainPath(part.expression) || isVariableName(part.expression, options.scope)) {
+      continue;
+    }
+    
+    for (const error of validate(part.expression, options).errors) {
+      errors.push({ message: error.message, column: part.offset + error.column });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Build the scope expressions see from a condition scope: trigger, results,
+ * system and variables, with every variable also available by its own name
+ * @param {Object} scope - { trigger, variables, results, system }
+ * @returns {Object} - Expression scope
+ */
+function createExpressionScope(scope = {}) {
+  return { ...scope, ...(scope.variables || {}) };
+}
+
+/**
+ * Get the position an expression starts at (binary and member nodes are
+ * positioned at their operator)
+ * @param {Object} node - Syntax tree node
+ * @returns {number} - 0-based offset
+ */
+function startOf(node) {
+  switch (node.type) {
+    case 'Binary':
+      return startOf(node.left);
+    case 'Member':
+      return startOf(node.object);
+    case 'Conditional':
+      return startOf(node.test);
+    default:
+      return node.position;
+  }
+}
+
+/**
+ * Check the number of arguments passed to a function
+ * @param {string} name - Function name
+ * @param {number} count - Number of arguments
+ * @returns {string|null} - Error message, or null if the count is valid
+ */
+function checkArity(name, count) {
+  const params = FUNCTIONS[name].params;
+  const variadic = params.length > 0 && params[params.length - 1].endsWith('...');
+  const required = params.filter(param => !param.endsWith('?') && !param.endsWith('...')).length;
+  
+  if (count >= required && (variadic || count <= params.length)) {
+    return null;
+  }
+
+  let expected;
+  if (variadic) {
+    expected = `at least ${required}`;
+  } else if (required === params.length) {
+    expected = `${required}`;
+  } else {
+    expected = `${required} to ${params.length}`;
+  }
+
+  return `${name}() expects ${expected} argument${expected === '1' ? '' : 's'}, got ${count}`;
+}
+
+/**
+ * Get the type a function expects for an argument
+ * @param {Array<string>} params - Parameter types
+ * @param {number} index - Argument index
+ * @returns {string} - Type name ('any' if unchecked)
+ */
+function paramType(params, index) {
+  const param = params[Math.min(index, params.length - 1)] || 'any';
+  return param.replace(/[?.]+$/, '');
+}
+
+/**
+ * Prefix a type name with a or an
+ * @param {string} type - Type name
+ * @returns {string} - e.g. 'an array'
+ */
+function withArticle(type) {
+  return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+}
+
+/**
+ * Get the expression type of a value
+ * @param {any} value - Value
+ * @returns {string} - Type name
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  if (['number', 'string', 'boolean'].includes(typeof value)) return typeof value;
+  return 'any';
+}
+
+/**
+ * Convert a value to text for templates and concatenation (null becomes '')
+ * @param {any} value - Value
+ * @returns {string} - Text
+ */
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Convert a value to a number (null if it isn't numeric)
+ * @param {any} value - Value
+ * @returns {number|null} - Number
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return null;
+}
+
+/**
+ * Get the size of a string, array or object
+ * @param {any} value - Value
+ * @returns {number} - Size (0 for anything else)
+ */
+function sizeOf(value) {
+  if (typeof value === 'string' || Array.isArray(value)) return value.length;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return 0;
+}
+
+/**
+ * Check whether a string, array or object (by key) contains an item
+ * @param {any} container - Value to search
+ * @param {any} item - Item to look for
+ * @returns {boolean} - Whether the item was found
+ */
+function containsItem(container, item) {
+  if (typeof container === 'string') return typeof item === 'string' && container.includes(item);
+  if (Array.isArray(container)) return container.includes(item);
+  if (container && typeof container === 'object') return Object.prototype.hasOwnProperty.call(container, item);
+  return false;
+}
+
+/**
+ * Apply a numeric aggregate to arguments (a single array argument is spread)
+ * @param {Array} args - Arguments
+ * @param {Function} charge - Step counter
+ * @param {Function} fn - Aggregate over numbers
+ * @returns {number|null} - Result (null without any numbers)
+ */
+function aggregate(args, charge, fn) {
+  const values = (args.length === 1 && Array.isArray(args[0]) ? args[0] : args)
+    .map(toNumber)
+    .filter(value => value !== null);
+  
+  charge(values.length);
+  
+  return values.length > 0 ? fn(values) : null;
+}
+
+/**
+ * Format a date
+ * @param {any} value - Date string or timestamp
+ * @param {string} format - ISO, date, time, localeDate or localeTime
+ * @returns {string} - Formatted date
+ */
+function formatDate(value, format) {
+  const date = new Date(value);
+  
+  if (isNaN(date.getTime())) {
+    throw new Error(`'${value}' is not a date`);
+  }
+
+  if (format === 'ISO') return date.toISOString();
+  if (format === 'date') return date.toISOString().split('T')[0];
+  if (format === 'time') return date.toISOString().split('T')[1].split('.')[0];
+  if (format === 'localeDate') return date.toLocaleDateString();
+  if (format === 'localeTime') return date.toLocaleTimeString();
+  return date.toString();
+}
+
+module.exports = {
+  ExpressionError,
+  FUNCTIONS,
+  DEFAULT_LIMITS,
+  parse,
+  check,
+  evaluate,
+  validate,
+  createBudget,
+  parseTemplate,
+  renderTemplate,
+  validateTemplate,
+  createExpressionScope
+};
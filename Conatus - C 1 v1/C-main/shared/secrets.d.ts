@@ -0,0 +1,10 @@
+// shared/secrets.d.ts
+// Types for secrets.js
+
+export const SECRET_KEY: RegExp;
+
+export const SECRET_VALUE: RegExp;
+
+export function isSecretKey(key: unknown): boolean;
+
+export function isSecretValue(value: unknown): boolean;
@@ -0,0 +1,38 @@
+// shared/secrets.js
+/**
+ * Secret detection
+ *
+ * Decides which values must never leave the server or be stored in plain
+ * view: values kept under credential-like keys (access_token, apiKey,
+ * Authorization, client_secret, ...) and values that look like credentials
+ * whatever their key (bearer headers, JWTs).
+ */
+
+const SECRET_KEY = /token$|secret|passw(or)?d|authorization|api[_-]?key|cookie|credential|private[_-]?key|signature/i;
+
+const SECRET_VALUE = /^(bearer|basic)\s+\S+$|^eyJ[\w-]+\.[\w-]+\.[\w-]+$/i;
+
+/**
+ * Check whether a key holds credentials
+ * @param {string} key - Key
+ * @returns {boolean} - Whether values under the key are secret
+ */
+function isSecretKey(key) {
+  return typeof key === 'string' && SECRET_KEY.test(key);
+}
+
+/**
+ * Check whether a string looks like a credential
+ * @param {any} value - Value
+ * @returns {boolean} - Whether the value is a secret
+ */
+function isSecretValue(value) {
+  return typeof value === 'string' && SECRET_VALUE.test(value.trim());
+}
+
+module.exports = {
+  SECRET_KEY,
+  SECRET_VALUE,
+  isSecretKey,
+  isSecretValue
+};
@@ -0,0 +1,50 @@
+// shared/templateParameters.d.ts
+// Types for templateParameters.js
+
+export type ParameterType =
+  | 'string'
+  | 'text'
+  | 'number'
+  | 'boolean'
+  | 'email'
+  | 'phone'
+  | 'time'
+  | 'timezone'
+  | 'select';
+
+export interface ParameterOption {
+  value: string | number | boolean;
+  label: string;
+}
+
+export interface TemplateParameter {
+  name: string;
+  label?: string;
+  description?: string;
+  type?: ParameterType;
+  required?: boolean;
+  default?: any;
+  options?: Array<string | number | boolean | ParameterOption>;
+  min?: number;
+  max?: number;
+  pattern?: string;
+}
+
+export const PARAMETER_TYPES: ParameterType[];
+
+export function getOptions(parameter: TemplateParameter): ParameterOption[];
+
+export function isRequired(parameter: TemplateParameter): boolean;
+
+export function coerceValue(parameter: TemplateParameter, value: any): { value?: any; error?: string };
+
+export function collectParameterReferences(workflow: Record<string, any>): string[];
+
+export function validateParameterDefinitions(workflow: Record<string, any>): string[];
+
+export function validateParameterValues(
+  parameters: TemplateParameter[],
+  values?: Record<string, any>
+): { values: Record<string, any>; errors: Record<string, string> };
+
+export function applyParameters(workflow: Record<string, any>, values: Record<string, any>): Record<string, any>;
@@ -0,0 +1,289 @@
+// shared/templateParameters.js
+/**
+ * Template parameters
+ *
+ * Shared templates declare the values that differ per install (recipients,
+ * addresses, times) as typed parameters in workflow.parameters and refer to
+ * them as {{params.name}} anywhere in the workflow:
+ *
+ *   parameters:
+ *   - name: recipient
+ *     label: Send the brief to
+ *     type: email
+ *     description: Address that receives the morning email
+ *   - name: time
+ *     type: time
+ *     default: '07:00'
+ *
+ * Installing a template checks the chosen values and writes them into the
+ * workflow. A placeholder that is a whole string keeps the value's type
+ * ({{params.count}} becomes 3); inside text it is inserted as text, and
+ * inside a larger expression it becomes a literal ({{ upper(params.name) }}).
+ * Values may not contain {{ or }}, so they never become expressions.
+ *
+ * Runs in Node (install) and the browser (install wizard).
+ */
+
+const { isValidTimezone } = require('./timezone');
+
+const PARAMETER_TYPES = ['string', 'text', 'number', 'boolean', 'email', 'phone', 'time', 'timezone', 'select'];
+
+const NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[0-9][0-9 ().-]{5,19}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// {{ ... }} placeholders, and params.name references inside them (not trigger.params.name)
+const PLACEHOLDER = /\{\{\s*([^}]*?)\s*\}\}/g;
+const REFERENCE = /(^|[^\w.$\]])params\.([A-Za-z_][A-Za-z0-9_]*)/g;
+const WHOLE_REFERENCE = /^params\.([A-Za-z_][A-Za-z0-9_]*)$/;
+
+/**
+ * Get the values a select parameter accepts
+ * @param {Object} parameter - Parameter definition
+ * @returns {Array<Object>} - [{ value, label }]
+ */
+function getOptions(parameter) {
+  return (parameter.options || []).map(option =>
+    option && typeof option === 'object'
+      ? { value: option.value, label: option.label || String(option.value) }
+      : { value: option, label: String(option) }
+  );
+}
+
+/**
+ * Check whether a parameter must be given a value
+ * @param {Object} parameter - Parameter definition
+ * @returns {boolean} - Required unless it says otherwise or has a default
+ */
+function isRequired(parameter) {
+  return parameter.required !== undefined ? !!parameter.required : parameter.default === undefined;
+}
+
+/**
+ * Convert and check one value
+ * @param {Object} parameter - Parameter definition
+ * @param {any} value - Value (form inputs give strings)
+ * @returns {Object} - { value } or { error }
+ */
+function coerceValue(parameter, value) {
+  const type = parameter.type || 'string';
+
+  if (type === 'number') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number)) return { error: 'must be a number' };
+    if (parameter.min !== undefined && number < parameter.min) return { error: `must be at least ${parameter.min}` };
+    if (parameter.max !== undefined && number > parameter.max) return { error: `must be at most ${parameter.max}` };
+    return { value: number };
+  }
+
+  if (type === 'boolean') {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  }
+
+  if (type === 'select') {
+    const option = getOptions(parameter).find(option => String(option.value) === String(value));
+    return option ? { value: option.value } : { error: 'must be one of the listed options' };
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: 'must be text' };
+  }
+
+  const text = type === 'text' ? String(value) : String(value).trim();
+
+  // Values are written into the workflow, so they must not open placeholders of their own
+  if (/\{\{|\}\}/.test(text)) return { error: 'must not contain {{ or }}' };
+
+  if (type === 'email' && !EMAIL.test(text)) return { error: 'must be an email address' };
+  if (type === 'phone' && !PHONE.test(text)) return { error: 'must be a phone number' };
+  if (type === 'time' && !TIME.test(text)) return { error: 'must be a time (HH:MM)' };
+  if (type === 'timezone' && !isValidTimezone(text)) return { error: 'must be a timezone such as Europe/London' };
+
+  if (parameter.min !== undefined && text.length < parameter.min) return { error: `must be at least ${parameter.min} characters` };
+  if (parameter.max !== undefined && text.length > parameter.max) return { error: `must be at most ${parameter.max} characters` };
+  if (parameter.pattern && !new RegExp(parameter.pattern).test(text)) return { error: 'has the wrong format' };
+
+  return { value: text };
+}
+
+/**
+ * Visit every string in a workflow
+ * @param {any} value - Workflow or part of it
+ * @param {Function} visit - Called with each string; returns its replacement
+ * @returns {any} - Copy with the strings replaced
+ */
+function mapStrings(value, visit) {
+  if (typeof value === 'string') return visit(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, visit));
+
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = mapStrings(item, visit);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * List the parameters a workflow refers to
+ * @param {Object} workflow - Workflow definition
+ * @returns {Array<string>} - Parameter names
+ */
+function collectParameterReferences(workflow) {
+  const names = new Set();
+  const { parameters, ...definition } = workflow || {};
+
+  mapStrings(definition, text => {
+    for (const [, expression] of text.matchAll(PLACEHOLDER)) {
+      for (const [, , name] of expression.matchAll(REFERENCE)) {
+        names.add(name);
+      }
+    }
+    return text;
+  });
+
+  return [...names];
+}
+
+/**
+ * Check the parameter definitions of a template
+ * @param {Object} workflow - Workflow definition (parameters in workflow.parameters)
+ * @returns {Array<string>} - Errors (empty when valid)
+ */
+function validateParameterDefinitions(workflow) {
+  const parameters = (workflow && workflow.parameters) || [];
+  const errors = [];
+
+  if (!Array.isArray(parameters)) {
+    return ['parameters must be a list'];
+  }
+
+  const names = new Set();
+
+  parameters.forEach((parameter, index) => {
+    const where = `parameters.${index}`;
+
+    if (!parameter || typeof parameter !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (typeof parameter.name !== 'string' || !NAME.test(parameter.name)) {
+      errors.push(`${where}.name must be a name made of letters, digits and underscores`);
+      return;
+    }
+
+    if (names.has(parameter.name)) {
+      errors.push(`${where}.name ${parameter.name} is used more than once`);
+    }
+    names.add(parameter.name);
+
+    const type = parameter.type || 'string';
+
+    if (!PARAMETER_TYPES.includes(type)) {
+      errors.push(`${where}.type must be one of ${PARAMETER_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (type === 'select' && getOptions(parameter).length === 0) {
+      errors.push(`${where}.options are required for a select`);
+    }
+
+    if (parameter.pattern) {
+      try {
+        new RegExp(parameter.pattern);
+      } catch (error) {
+        errors.push(`${where}.pattern is not a valid regular expression`);
+        return;
+      }
+    }
+
+    if (parameter.default !== undefined && parameter.default !== null) {
+      const { error } = coerceValue(parameter, parameter.default);
+      if (error) errors.push(`${where}.default ${error}`);
+    }
+  });
+
+  collectParameterReferences(workflow)
+    .filter(name => !names.has(name))
+    .forEach(name => errors.push(`params.${name} is used but not declared`));
+
+  return errors;
+}
+
+/**
+ * Check the values chosen for a template's parameters
+ * @param {Array<Object>} parameters - Parameter definitions
+ * @param {Object} values - { name: value }; missing values take the default
+ * @returns {Object} - { values: converted values, errors: { name: message } }
+ */
+function validateParameterValues(parameters, values = {}) {
+  const result = {};
+  const errors = {};
+
+  for (const parameter of parameters || []) {
+    let given = values[parameter.name];
+    let empty = given === undefined || given === null || given === '';
+
+    // A default is checked and converted like a chosen value ('3' becomes 3)
+    if (empty && parameter.default !== undefined) {
+      given = parameter.default;
+      empty = given === null || given === '';
+    }
+
+    if (empty) {
+      if (isRequired(parameter)) errors[parameter.name] = 'is required';
+      else result[parameter.name] = null;
+      continue;
+    }
+
+    const { value, error } = coerceValue(parameter, given);
+
+    if (error) errors[parameter.name] = error;
+    else result[parameter.name] = value;
+  }
+
+  return { values: result, errors };
+}
+
+/**
+ * Write parameter values into a workflow
+ * @param {Object} workflow - Template workflow
+ * @param {Object} values - Checked values (see validateParameterValues)
+ * @returns {Object} - Workflow without parameters or params references
+ */
+function applyParameters(workflow, values) {
+  const { parameters, ...definition } = workflow || {};
+  const literal = name => JSON.stringify(values[name] === undefined ? null : values[name]);
+
+  return mapStrings(definition, text => {
+    // A whole-string placeholder keeps the value's type
+    const whole = text.match(/^\s*\{\{\s*([^}]*?)\s*\}\}\s*$/);
+    const wholeName = whole && whole[1].match(WHOLE_REFERENCE);
+    if (wholeName) return values[wholeName[1]] === undefined ? null : values[wholeName[1]];
+
+    return text.replace(PLACEHOLDER, (placeholder, expression) => {
+      const name = expression.match(WHOLE_REFERENCE);
+      if (name) return values[name[1]] === undefined || values[name[1]] === null ? '' : String(values[name[1]]);
+      const replaced = expression.replace(REFERENCE, (match, before, reference) => `${before}${literal(reference)}`);
+      return replaced === expression ? placeholder : `{{ ${replaced} }}`;
+    });
+  });
+}
+
+module.exports = {
+  PARAMETER_TYPES,
+  getOptions,
+  isRequired,
+  coerceValue,
+  collectParameterReferences,
+  validateParameterDefinitions,
+  validateParameterValues,
+  applyParameters
+};
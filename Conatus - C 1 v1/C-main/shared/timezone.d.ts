@@ -0,0 +1,40 @@
+// shared/timezone.d.ts
+// Types for timezone.js
+
+export interface LocalDate {
+  year: number;
+  month: number;
+  day: number;
+}
+
+export interface LocalTime extends LocalDate {
+  hour: number;
+  minute: number;
+  second?: number;
+}
+
+export const DAY_MS: number;
+
+export function isValidTimezone(timezone: string): boolean;
+
+export function getSystemTimezone(): string;
+
+export function toZoned(time: number | Date, timezone: string): Required<LocalTime>;
+
+export function getOffset(time: number, timezone: string): number;
+
+export function fromZoned(local: LocalDate & Partial<LocalTime>, timezone: string): number;
+
+export function addDays(date: LocalDate, days: number): LocalDate;
+
+export function addMonths(date: LocalDate, months: number): LocalDate;
+
+export function weekdayOf(date: LocalDate): number;
+
+export function dayNumber(date: LocalDate): number;
+
+export function daysInMonth(year: number, month: number): number;
+
+export function formatDate(date: LocalDate): string;
+
+export function formatLocal(local: LocalDate & Partial<LocalTime>): string;
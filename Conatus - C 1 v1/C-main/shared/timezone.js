@@ -0,0 +1,217 @@
+// shared/timezone.js
+/**
+ * Timezone helpers
+ *
+ * Converts between instants and wall-clock times in IANA timezones using
+ * Intl only, so it runs in Node and in the browser. Wall times are plain
+ * objects ({ year, month, day, hour, minute }, month 1-12); the date helpers
+ * work on the calendar date alone and ignore the time fields.
+ *
+ * Wall times skipped by a DST change resolve to the time after the clocks
+ * moved forward (02:30 becomes 03:30); wall times that occur twice resolve to
+ * the first occurrence.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for a timezone (throws RangeError for unknown zones)
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  return formatters.get(timezone);
+}
+
+/**
+ * Check whether a timezone name is known
+ * @param {string} timezone - IANA timezone
+ * @returns {boolean} - Whether it is valid
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the timezone of the machine running the code
+ * @returns {string} - IANA timezone (UTC if unknown)
+ */
+function getSystemTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Get the wall time of an instant in a timezone
+ * @param {number|Date} time - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function toZoned(time, timezone) {
+  const parts = {};
+
+  for (const part of getFormatter(timezone).formatToParts(new Date(time))) {
+    if (part.type !== 'literal') parts[part.type] = Number(part.value);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {number} time - Instant (ms)
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset (ms, positive east of UTC)
+ */
+function getOffset(time, timezone) {
+  const local = toZoned(time, timezone);
+  const wall = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return wall - (time - (((time % 1000) + 1000) % 1000));
+}
+
+/**
+ * Get the instant of a wall time in a timezone
+ * @param {Object} local - { year, month, day, hour, minute }
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Instant (ms)
+ */
+function fromZoned(local, timezone) {
+  const wall = Date.UTC(local.year, local.month - 1, local.day, local.hour || 0, local.minute || 0);
+
+  // At most one offset change happens within a day on either side
+  const offsetBefore = getOffset(wall - DAY_MS, timezone);
+  const offsetAfter = getOffset(wall + DAY_MS, timezone);
+
+  const matches = [wall - offsetBefore, wall - offsetAfter]
+    .filter(time => getOffset(time, timezone) === wall - time);
+
+  if (matches.length > 0) {
+    return Math.min(...matches);
+  }
+
+  // Skipped by the clocks moving forward
+  return wall - Math.min(offsetBefore, offsetAfter);
+}
+
+/**
+ * Add days to a date
+ * @param {Object} date - { year, month, day }
+ * @param {number} days - Days to add
+ * @returns {Object} - { year, month, day }
+ */
+function addDays(date, days) {
+  const result = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: result.getUTCFullYear(), month: result.getUTCMonth() + 1, day: result.getUTCDate() };
+}
+
+/**
+ * Add months to a date, keeping the day within the target month
+ * @param {Object} date - { year, month, day }
+ * @param {number} months - Months to add
+ * @returns {Object} - { year, month, day }
+ */
+function addMonths(date, months) {
+  const index = date.year * 12 + (date.month - 1) + months;
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+
+  return { year, month, day: Math.min(date.day, daysInMonth(year, month)) };
+}
+
+/**
+ * Get the weekday of a date
+ * @param {Object} date - { year, month, day }
+ * @returns {number} - 0 (Sunday) to 6 (Saturday)
+ */
+function weekdayOf(date) {
+  return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+/**
+ * Get the number of days since the epoch of a date
+ * @param {Object} date - { year, month, day }
+ * @returns {number} - Day number
+ */
+function dayNumber(date) {
+  return Math.floor(Date.UTC(date.year, date.month - 1, date.day) / DAY_MS);
+}
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} - Days
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Object} date - { year, month, day }
+ * @returns {string} - Date key
+ */
+function formatDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+/**
+ * Format a wall time as YYYY-MM-DDTHH:mm
+ * @param {Object} local - { year, month, day, hour, minute }
+ * @returns {string} - Local time key
+ */
+function formatLocal(local) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${formatDate(local)}T${pad(local.hour || 0)}:${pad(local.minute || 0)}`;
+}
+
+module.exports = {
+  DAY_MS,
+  isValidTimezone,
+  getSystemTimezone,
+  toZoned,
+  getOffset,
+  fromZoned,
+  addDays,
+  addMonths,
+  weekdayOf,
+  dayNumber,
+  daysInMonth,
+  formatDate,
+  formatLocal
+};
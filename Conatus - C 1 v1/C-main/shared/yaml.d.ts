@@ -0,0 +1,7 @@
+// shared/yaml.d.ts
+// Types for yaml.js (see that file for the supported subset of YAML)
+
+export function stringify(value: unknown): string;
+
+/** Throws a SyntaxError with a `line` property for invalid documents */
+export function parse(text: string): any;
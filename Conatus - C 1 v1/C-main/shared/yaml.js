@@ -0,0 +1,486 @@
+// shared/yaml.js
+/**
+ * YAML helpers
+ *
+ * A small YAML reader and writer for configuration files that people keep in
+ * git (automation bundles). It covers the block style that stringify() emits
+ * and the usual hand edits: nested maps and lists, comments, quoted and plain
+ * scalars, flow lists and maps on one line ([a, b], {a: 1}) and literal (|)
+ * or folded (>) multi-line strings. Anchors, tags and multiple documents are
+ * not supported.
+ */
+
+const RESERVED = /^(null|~|true|false|yes|no|on|off|y|n)$/i;
+const NUMBER = /^[-+]?(\d[\d_]*)?(\.\d+)?([eE][-+]?\d+)?$/;
+const PLAIN_KEY = /^[A-Za-z_$][\w$.-]*$/;
+
+/**
+ * Check whether a string can be written without quotes
+ * @param {string} value - String value
+ * @returns {boolean} - Whether the plain form reads back as the same string
+ */
+function isPlainSafe(value) {
+  if (value === '' || value.trim() !== value) return false;
+  if (RESERVED.test(value) || (NUMBER.test(value) && /\d/.test(value))) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(value)) return false;
+  return !/[\n\r\t]|: |:$| #/.test(value);
+}
+
+/**
+ * Format a scalar
+ * @param {any} value - null, boolean, number or string
+ * @returns {string} - YAML scalar
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+
+  const text = String(value);
+  return isPlainSafe(text) ? text : JSON.stringify(text);
+}
+
+/**
+ * Format a map key
+ * @param {string} key - Key
+ * @returns {string} - YAML key
+ */
+function formatKey(key) {
+  return PLAIN_KEY.test(key) && !RESERVED.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Write a value as block YAML lines
+ * @param {any} value - Value
+ * @param {number} indent - Indentation of the block
+ * @returns {Array<string>} - Lines
+ */
+function writeBlock(value, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isCollection(item)) {
+        // The item's first line goes on the dash: "- key: value" or "- - item"
+        const child = writeBlock(item, indent + 2);
+        child[0] = `${pad}- ${child[0].slice(indent + 2)}`;
+        lines.push(...child);
+      } else {
+        lines.push(`${pad}- ${formatInline(item)}`);
+      }
+    }
+    return lines;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined || typeof item === 'function') continue;
+
+    if (isCollection(item)) {
+      lines.push(`${pad}${formatKey(key)}:`);
+      lines.push(...writeBlock(item, Array.isArray(item) ? indent : indent + 2));
+    } else {
+      lines.push(`${pad}${formatKey(key)}: ${formatInline(item)}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Check for a non-empty list or map (written as a block)
+ * @param {any} value - Value
+ * @returns {boolean} - Whether the value is a non-empty collection
+ */
+function isCollection(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length > 0;
+}
+
+/**
+ * Format a scalar or an empty collection on one line
+ * @param {any} value - Value
+ * @returns {string} - YAML
+ */
+function formatInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) return '{}';
+  return formatScalar(value);
+}
+
+/**
+ * Convert a value to YAML
+ * @param {any} value - JSON-compatible value
+ * @returns {string} - YAML document
+ */
+function stringify(value) {
+  if (!isCollection(value)) {
+    return `${formatInline(value)}\n`;
+  }
+
+  return `${writeBlock(value, 0).join('\n')}\n`;
+}
+
+/**
+ * Create a parse error pointing at a line
+ * @param {string} message - Error message
+ * @param {number} lineNumber - 1-based line number
+ * @returns {SyntaxError} - Error
+ */
+function parseError(message, lineNumber) {
+  const error = new SyntaxError(`YAML line ${lineNumber}: ${message}`);
+  error.line = lineNumber;
+  return error;
+}
+
+/**
+ * Remove a trailing comment from a line, ignoring # inside quotes
+ * @param {string} text - Line
+ * @returns {string} - Line without comment
+ */
+function stripComment(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+
+  return text.trimEnd();
+}
+
+/**
+ * Find the colon that separates a map key from its value
+ * @param {string} text - Line content
+ * @returns {number} - Index of the colon, or -1 if the line is not a map entry
+ */
+function findKeySeparator(text) {
+  if (text[0] === '"' || text[0] === '\'') {
+    const quote = text[0];
+    let i = 1;
+
+    while (i < text.length && text[i] !== quote) {
+      if (text[i] === '\\' && quote === '"') i++;
+      i++;
+    }
+
+    return text[i + 1] === ':' && (i + 2 === text.length || text[i + 2] === ' ') ? i + 1 : -1;
+  }
+
+  if (/^[[{]/.test(text)) return -1;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === ':' && (i + 1 === text.length || text[i + 1] === ' ')) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Parse a plain, quoted or flow scalar
+ * @param {string} text - Scalar text
+ * @param {number} lineNumber - Line number for errors
+ * @returns {any} - Value
+ */
+function parseScalar(text, lineNumber) {
+  const value = text.trim();
+
+  if (value === '') return null;
+
+  if (value[0] === '"') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw parseError(`Invalid double-quoted string ${value}`, lineNumber);
+    }
+  }
+
+  if (value[0] === '\'') {
+    if (value.length < 2 || value[value.length - 1] !== '\'') {
+      throw parseError(`Unterminated single-quoted string ${value}`, lineNumber);
+    }
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  if (value[0] === '[' || value[0] === '{') {
+    const reader = { text: value, pos: 0, lineNumber };
+    const result = parseFlow(reader);
+    skipSpaces(reader);
+
+    if (reader.pos < value.length) {
+      throw parseError(`Unexpected ${value.slice(reader.pos)} after flow collection`, lineNumber);
+    }
+
+    return result;
+  }
+
+  if (/^(null|~)$/.test(value)) return null;
+  if (/^true$/i.test(value)) return true;
+  if (/^false$/i.test(value)) return false;
+  if (NUMBER.test(value) && /\d/.test(value)) return Number(value.replace(/_/g, ''));
+
+  return value;
+}
+
+/**
+ * Skip spaces in a flow collection
+ * @param {Object} reader - { text, pos }
+ */
+function skipSpaces(reader) {
+  while (reader.pos < reader.text.length && /\s/.test(reader.text[reader.pos])) {
+    reader.pos++;
+  }
+}
+
+/**
+ * Parse a flow value ([a, b], {a: 1}, quoted or plain scalar)
+ * @param {Object} reader - { text, pos, lineNumber }
+ * @returns {any} - Value
+ */
+function parseFlow(reader) {
+  skipSpaces(reader);
+  const { text } = reader;
+  const open = text[reader.pos];
+
+  if (open === '[' || open === '{') {
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+    reader.pos++;
+    skipSpaces(reader);
+
+    if (text[reader.pos] === close) {
+      reader.pos++;
+      return result;
+    }
+
+    while (reader.pos < text.length) {
+      if (open === '[') {
+        result.push(parseFlow(reader));
+      } else {
+        const key = parseFlow(reader);
+        skipSpaces(reader);
+
+        if (text[reader.pos] !== ':') {
+          throw parseError(`Expected : after key ${key} in flow map`, reader.lineNumber);
+        }
+
+        reader.pos++;
+        result[String(key)] = parseFlow(reader);
+      }
+
+      skipSpaces(reader);
+
+      if (text[reader.pos] === ',') {
+        reader.pos++;
+      } else if (text[reader.pos] === close) {
+        reader.pos++;
+        return result;
+      } else {
+        throw parseError(`Expected , or ${close} in flow collection`, reader.lineNumber);
+      }
+    }
+
+    throw parseError(`Unterminated flow collection`, reader.lineNumber);
+  }
+
+  // Quoted or plain scalar, up to the next separator
+  const start = reader.pos;
+
+  if (open === '"' || open === '\'') {
+    reader.pos++;
+    while (reader.pos < text.length && text[reader.pos] !== open) {
+      if (text[reader.pos] === '\\' && open === '"') reader.pos++;
+      reader.pos++;
+    }
+    reader.pos++;
+  } else {
+    while (reader.pos < text.length && !/[,\]}]/.test(text[reader.pos]) &&
+      !(text[reader.pos] === ':' && /[\s,\]}]/.test(text[reader.pos + 1] || ' '))) {
+      reader.pos++;
+    }
+  }
+
+  return parseScalar(text.slice(start, reader.pos), reader.lineNumber);
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML text
+ * @returns {any} - Parsed value
+ */
+function parse(text) {
+  const raw = String(text).replace(/^﻿/, '').split(/\r?\n/);
+  const lines = [];
+
+  raw.forEach((line, index) => {
+    if (/^\s*\t/.test(line)) {
+      throw parseError('Tabs are not allowed for indentation', index + 1);
+    }
+
+    lines.push({
+      number: index + 1,
+      raw: line,
+      indent: line.length - line.trimStart().length,
+      text: stripComment(line).trim()
+    });
+  });
+
+  const state = { lines, pos: 0 };
+  const next = () => {
+    while (state.pos < lines.length) {
+      const line = lines[state.pos];
+      if (line.text !== '' && line.text !== '---' && !(line.indent === 0 && line.text === '...')) return line;
+      state.pos++;
+    }
+    return null;
+  };
+
+  /**
+   * Read a literal (|) or folded (>) block scalar
+   * @param {string} indicator - Block indicator (|, |-, >, >- ...)
+   * @param {number} parentIndent - Indentation of the key or dash
+   * @returns {string} - String value
+   */
+  const readBlockScalar = (indicator, parentIndent) => {
+    const body = [];
+    state.pos++;
+
+    while (state.pos < lines.length) {
+      const line = lines[state.pos];
+      if (line.raw.trim() !== '' && line.indent <= parentIndent) break;
+      body.push(line.raw);
+      state.pos++;
+    }
+
+    while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+
+    const indent = Math.min(...body.filter(line => line.trim() !== '').map(line => line.length - line.trimStart().length));
+    const content = body.map(line => line.slice(Number.isFinite(indent) ? indent : 0));
+    let value = indicator[0] === '>'
+      ? content.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : content.join('\n');
+
+    if (!indicator.includes('-')) value += '\n';
+    return value;
+  };
+
+  /**
+   * Parse the value after "key:" or "- " (inline, block scalar or nested block)
+   * @param {string} rest - Text after the indicator
+   * @param {Object} line - Current line
+   * @param {number} parentIndent - Indentation of the key or dash
+   * @param {boolean} allowSameIndentList - Whether a list may start at the parent's indentation
+   * @returns {any} - Value
+   */
+  const parseValue = (rest, line, parentIndent, allowSameIndentList) => {
+    if (/^[|>][-+]?$/.test(rest)) {
+      return readBlockScalar(rest, parentIndent);
+    }
+
+    if (rest !== '') {
+      state.pos++;
+      return parseScalar(rest, line.number);
+    }
+
+    state.pos++;
+    const child = next();
+
+    if (child && (child.indent > parentIndent ||
+      (allowSameIndentList && child.indent === parentIndent && /^-( |$)/.test(child.text)))) {
+      return parseBlock(child.indent);
+    }
+
+    return null;
+  };
+
+  /**
+   * Parse a map or list starting at the current line
+   * @param {number} indent - Indentation of the block
+   * @returns {any} - Value
+   */
+  const parseBlock = indent => {
+    const first = next();
+
+    if (/^-( |$)/.test(first.text)) {
+      const list = [];
+
+      for (let line = next(); line && line.indent === indent && /^-( |$)/.test(line.text); line = next()) {
+        const rest = line.text.slice(1).trim();
+        const offset = line.raw.indexOf(rest, line.indent + 1);
+
+        if (rest !== '' && (/^-( |$)/.test(rest) || findKeySeparator(rest) > 0)) {
+          // "- key: value" or "- - item": the item is a block starting after the dash
+          state.lines[state.pos] = { ...line, indent: offset, text: rest };
+          list.push(parseBlock(offset));
+        } else {
+          list.push(parseValue(rest, line, indent, false));
+        }
+      }
+
+      return list;
+    }
+
+    if (findKeySeparator(first.text) <= 0) {
+      if (indent === 0 && state.pos === lines.indexOf(first)) {
+        state.pos++;
+        return parseScalar(first.text, first.number);
+      }
+      throw parseError(`Expected "key: value" but found ${first.text}`, first.number);
+    }
+
+    const map = {};
+
+    for (let line = next(); line && line.indent === indent; line = next()) {
+      if (/^-( |$)/.test(line.text)) break;
+
+      const separator = findKeySeparator(line.text);
+      if (separator <= 0) {
+        throw parseError(`Expected "key: value" but found ${line.text}`, line.number);
+      }
+
+      const rawKey = line.text.slice(0, separator).trim();
+      const key = /^["']/.test(rawKey) ? String(parseScalar(rawKey, line.number)) : rawKey;
+
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw parseError(`Duplicate key ${key}`, line.number);
+      }
+
+      map[key] = parseValue(line.text.slice(separator + 1).trim(), line, indent, true);
+    }
+
+    const after = next();
+    if (after && after.indent > indent) {
+      throw parseError(`Unexpected indentation`, after.number);
+    }
+
+    return map;
+  };
+
+  const start = next();
+  if (!start) return null;
+
+  const result = parseBlock(start.indent);
+  const rest = next();
+
+  if (rest) {
+    throw parseError(`Unexpected content ${rest.text}`, rest.number);
+  }
+
+  return result;
+}
+
+module.exports = {
+  stringify,
+  parse
+};
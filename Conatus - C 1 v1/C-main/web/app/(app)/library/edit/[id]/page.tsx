@@ -3,6 +3,7 @@
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import AutomationWorkflowBuilder from '../../../../../components/automation/AutomationWorkflowBuilder';
+import VersionHistory from '../../../../../components/automation/VersionHistory';
 
 // Sample automation for demo purposes
 const sampleAutomation = {
@@ -89,6 +90,13 @@ export default function EditAutomationPage({ params }: { params: { id: string }
     router.push('/library');
   };
   
+  const handleRestored = (restored: any) => {
+    // Show the restored definition in the builder
+    if (restored) {
+      setAutomation((prev: any) => ({ ...prev, ...restored }));
+    }
+  };
+  
   const handleCancel = () => {
     // Redirect back to library page on cancel
     router.push('/library');
@@ -113,6 +121,12 @@ export default function EditAutomationPage({ params }: { params: { id: string }
         onSave={handleSave}
         onCancel={handleCancel}
       />
+      
+      <VersionHistory
+        automationId={id}
+        onRestored={handleRestored}
+        className="mt-8"
+      />
     </div>
   );
 }
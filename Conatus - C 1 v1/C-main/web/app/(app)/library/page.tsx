@@ -8,6 +8,7 @@ import { useAdaptiveLearning } from '@/context/AdaptiveLearningContext';
 import { ErrorBoundary } from '@/components/errors/ErrorBoundary';
 import { measurePerformance } from '@/lib/performance';
 import { SuggestionBanner } from '@/components/suggestions';
+import ExecutionTimeline from '@/components/automation/ExecutionTimeline';
 
 // Mock automation data - in a real implementation, this would come from the API
 interface Automation {
@@ -35,6 +36,7 @@ export default function LibraryPage() {
   const [filter, setFilter] = useState('all');
   const [sortBy, setSortBy] = useState('updated');
   const [searchQuery, setSearchQuery] = useState('');
+  const [historyId, setHistoryId] = useState<string | null>(null);
   
   // Load automations
   useEffect(() => {
@@ -457,12 +459,22 @@ export default function LibraryPage() {
                   </div>
                   
                   <div className="bg-gray-50 px-5 py-3 border-t border-gray-200 flex justify-between">
-                    <Link
-                      href={`/library/edit/${automation.id}`}
-                      className="text-sm font-medium text-primary hover:text-primary-dark"
-                    >
-                      Edit
-                    </Link>
+                    <div className="flex space-x-4">
+                      <Link
+                        href={`/library/edit/${automation.id}`}
+                        className="text-sm font-medium text-primary hover:text-primary-dark"
+                      >
+                        Edit
+                      </Link>
+                      <button
+                        type="button"
+                        onClick={() => setHistoryId(historyId === automation.id ? null : automation.id)}
+                        className="text-sm font-medium text-gray-600 hover:text-gray-900"
+                        aria-expanded={historyId === automation.id}
+                      >
+                        History
+                      </button>
+                    </div>
                     <button
                       type="button"
                       onClick={() => handleDeleteAutomation(automation.id)}
@@ -475,6 +487,24 @@ export default function LibraryPage() {
               ))}
             </div>
           )}
+          
+          {historyId && (
+            <div className="mt-6 bg-white border border-gray-200 rounded-lg shadow-sm p-5">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-lg font-medium text-gray-900">
+                  Run history: {automations.find(automation => automation.id === historyId)?.name}
+                </h2>
+                <button
+                  type="button"
+                  onClick={() => setHistoryId(null)}
+                  className="text-sm font-medium text-gray-500 hover:text-gray-700"
+                >
+                  Close
+                </button>
+              </div>
+              <ExecutionTimeline automationId={historyId} />
+            </div>
+          )}
         </div>
       </div>
     </ErrorBoundary>
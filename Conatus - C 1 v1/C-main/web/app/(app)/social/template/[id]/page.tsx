@@ -4,6 +4,7 @@ import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useAuth } from '@/context/AuthContext';
+import TemplateInstallWizard from '../../../../../components/automation/TemplateInstallWizard';
 
 // Define interfaces for template data
 interface Template {
@@ -59,6 +60,7 @@ export default function TemplatePage({ params }: { params: { id: string } }) {
   const [newComment, setNewComment] = useState('');
   const [isPostingComment, setIsPostingComment] = useState(false);
   const [activeTab, setActiveTab] = useState<'details' | 'config'>('details');
+  const [showInstall, setShowInstall] = useState(false);
   
   // Fetch template and comments
   useEffect(() => {
@@ -328,13 +330,16 @@ export default function TemplatePage({ params }: { params: { id: string } }) {
     }).format(date);
   };
   
-  // Handle template import (use the automation)
+  // Handle template import (use the automation): the wizard collects its settings
   const handleImportTemplate = () => {
     if (!template) return;
     
-    // In a real app, this would add the template to the user's automations
-    // For demo purposes, we'll just navigate to the Library tab
-    router.push('/library');
+    setShowInstall(true);
+  };
+  
+  const handleInstalled = (automation: { id: string }) => {
+    setShowInstall(false);
+    router.push(`/library/edit/${automation.id}`);
   };
   
   // Loading state
@@ -574,6 +579,15 @@ export default function TemplatePage({ params }: { params: { id: string } }) {
         </div>
       </div>
       
+      {showInstall && (
+        <TemplateInstallWizard
+          templateId={template.id}
+          onInstalled={handleInstalled}
+          onClose={() => setShowInstall(false)}
+          className="mb-6"
+        />
+      )}
+      
       {/* Tabs for template details */}
       <div className="bg-white rounded-lg border mb-6 overflow-hidden">
         <div className="flex border-b">
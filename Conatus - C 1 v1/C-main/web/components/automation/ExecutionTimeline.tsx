@@ -0,0 +1,333 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, XCircle, Clock, SkipForward, ChevronRight, ChevronDown, CornerDownRight, RefreshCw } from 'lucide-react';
+import {
+  ExecutionRecord,
+  ExecutionTrace,
+  RunTrace,
+  TraceEntry,
+  getExecutionHistory,
+  getExecutionTrace,
+  getRunTrace
+} from '../../lib/api/executions';
+
+interface ExecutionTimelineProps {
+  automationId: string;
+  limit?: number;
+  className?: string;
+}
+
+// Trace shown in the detail pane: an execution, or a sub-workflow run opened from it
+type SelectedTrace =
+  | { kind: 'execution'; trace: ExecutionTrace }
+  | { kind: 'run'; trace: RunTrace };
+
+// Nesting depth of a block path (logic.2.then.0 -> 1)
+const getDepth = (path?: string): number => {
+  if (!path) return 0;
+  const indexes = path.split('.').filter(segment => /^\d+$/.test(segment)).length;
+  return Math.max(indexes - 1, 0);
+};
+
+// Status of an entry, falling back to whether it recorded an error
+const getEntryStatus = (entry: TraceEntry): string => {
+  if (entry.status) return entry.status;
+  return entry.error ? 'failed' : 'completed';
+};
+
+const statusStyles: Record<string, string> = {
+  completed: 'text-green-600 bg-green-50 border-green-200',
+  success: 'text-green-600 bg-green-50 border-green-200',
+  resolved: 'text-green-600 bg-green-50 border-green-200',
+  returned: 'text-green-600 bg-green-50 border-green-200',
+  failed: 'text-red-600 bg-red-50 border-red-200',
+  failure: 'text-red-600 bg-red-50 border-red-200',
+  waiting: 'text-amber-600 bg-amber-50 border-amber-200',
+  running: 'text-blue-600 bg-blue-50 border-blue-200',
+  skipped: 'text-gray-500 bg-gray-50 border-gray-200',
+  simulated: 'text-purple-600 bg-purple-50 border-purple-200'
+};
+
+const StatusIcon = ({ status }: { status: string }) => {
+  switch (status) {
+    case 'completed':
+    case 'success':
+    case 'resolved':
+    case 'returned':
+      return <CheckCircle className="h-4 w-4 text-green-600" />;
+    case 'failed':
+    case 'failure':
+      return <XCircle className="h-4 w-4 text-red-600" />;
+    case 'skipped':
+      return <SkipForward className="h-4 w-4 text-gray-400" />;
+    default:
+      return <Clock className="h-4 w-4 text-amber-500" />;
+  }
+};
+
+// One-line description of an entry
+const describeEntry = (entry: TraceEntry): string => {
+  switch (entry.type) {
+    case 'action_call':
+      return `${entry.service || 'action'}${entry.action && entry.action !== entry.service ? `.${entry.action}` : ''}${entry.attempt && entry.attempt > 1 ? ` (attempt ${entry.attempt})` : ''}`;
+    case 'variable':
+      return `Set ${entry.name}`;
+    case 'decision':
+      return `Decision: ${JSON.stringify(entry.value)}`;
+    case 'call':
+      return 'Called sub-workflow';
+    case 'wait':
+      return entry.outcome ? `Wait: ${entry.outcome}` : 'Waiting for input';
+    case 'resumed':
+      return `Resumed (attempt ${entry.attempt})`;
+    case 'truncated':
+      return entry.message || 'Trace truncated';
+    default:
+      return entry.type.replace(/_/g, ' ');
+  }
+};
+
+const formatDuration = (ms?: number | null): string => {
+  if (ms === undefined || ms === null) return '';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+};
+
+// Payloads worth expanding for an entry
+const getDetails = (entry: TraceEntry): [string, any][] => {
+  const details: [string, any][] = [];
+  if (entry.request !== undefined && entry.request !== null) details.push(['Request', entry.request]);
+  if (entry.response !== undefined && entry.response !== null) details.push(['Response', entry.response]);
+  if (entry.type === 'variable' && entry.value !== undefined) details.push(['Value', entry.value]);
+  if (entry.result !== undefined && entry.result !== null) details.push(['Result', entry.result]);
+  return details;
+};
+
+export default function ExecutionTimeline({ automationId, limit = 20, className = '' }: ExecutionTimelineProps) {
+  const [executions, setExecutions] = useState<ExecutionRecord[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selected, setSelected] = useState<SelectedTrace | null>(null);
+  const [loadingTrace, setLoadingTrace] = useState(false);
+  const [expanded, setExpanded] = useState<Record<number, boolean>>({});
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setExecutions(await getExecutionHistory(automationId, limit));
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load runs');
+    } finally {
+      setLoading(false);
+    }
+  }, [automationId, limit]);
+
+  useEffect(() => {
+    loadHistory();
+    setSelected(null);
+  }, [loadHistory]);
+
+  const openExecution = async (executionId: string) => {
+    setLoadingTrace(true);
+    setExpanded({});
+    const trace = await getExecutionTrace(automationId, executionId);
+    setSelected(trace ? { kind: 'execution', trace } : null);
+    setLoadingTrace(false);
+  };
+
+  const openRun = async (childAutomationId: string, runId: string) => {
+    setLoadingTrace(true);
+    setExpanded({});
+    const trace = await getRunTrace(childAutomationId, runId);
+    setSelected(trace ? { kind: 'run', trace } : null);
+    setLoadingTrace(false);
+  };
+
+  const toggleEntry = (index: number) => {
+    setExpanded(prev => ({ ...prev, [index]: !prev[index] }));
+  };
+
+  const selectedId = selected?.kind === 'execution' ? selected.trace.executionId : null;
+
+  // Sub-workflows called by the selected execution or started by the selected run
+  const children = !selected
+    ? []
+    : selected.kind === 'execution'
+      ? selected.trace.children.map(child => ({ key: child.executionId, ...child }))
+      : selected.trace.children.map(child => ({ key: child.runId, ...child }));
+
+  return (
+    <div className={`grid grid-cols-1 md:grid-cols-3 gap-4 ${className}`}>
+      {/* Recent executions */}
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b border-gray-200">
+          <span className="text-sm font-medium text-gray-700">Recent runs</span>
+          <button
+            type="button"
+            onClick={loadHistory}
+            className="text-gray-500 hover:text-gray-700"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        {error && <p className="px-3 py-2 text-sm text-red-600">{error}</p>}
+
+        {!loading && !error && executions.length === 0 && (
+          <p className="px-3 py-4 text-sm text-gray-500">This automation hasn't run yet.</p>
+        )}
+
+        <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+          {executions.map(execution => (
+            <li key={execution.id}>
+              <button
+                type="button"
+                onClick={() => openExecution(execution.id)}
+                className={`w-full flex items-center gap-2 px-3 py-2 text-left text-sm hover:bg-gray-50 ${
+                  selectedId === execution.id ? 'bg-blue-50' : ''
+                }`}
+              >
+                <StatusIcon status={execution.status} />
+                <span className="flex-1 truncate">{new Date(execution.executed_at).toLocaleString()}</span>
+                {execution.automation_version && (
+                  <span className="text-xs text-gray-400">v{execution.automation_version}</span>
+                )}
+                {execution.parent_execution_id && (
+                  <span className="text-xs text-gray-400">sub-run</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Trace of the selected run */}
+      <div className="md:col-span-2 border border-gray-200 rounded-lg p-4">
+        {loadingTrace && <p className="text-sm text-gray-500">Loading trace...</p>}
+
+        {!loadingTrace && !selected && (
+          <p className="text-sm text-gray-500">Select a run to see each step it took.</p>
+        )}
+
+        {!loadingTrace && selected && (
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <div className="flex items-center gap-2">
+                <StatusIcon status={selected.trace.status} />
+                <span className="font-medium text-gray-800">
+                  {selected.kind === 'run' ? 'Sub-workflow run' : 'Execution'}
+                </span>
+                <span className={`text-xs px-2 py-0.5 rounded border ${statusStyles[selected.trace.status] || statusStyles.running}`}>
+                  {selected.trace.status}
+                </span>
+                {selected.trace.automationVersion && (
+                  <span className="text-xs text-gray-500">version {selected.trace.automationVersion}</span>
+                )}
+              </div>
+              <span className="text-xs text-gray-500">
+                {selected.kind === 'run'
+                  ? formatDuration(selected.trace.durationMs)
+                  : formatDuration(selected.trace.run?.durationMs)}
+              </span>
+            </div>
+
+            {selected.trace.error && (
+              <div className="mb-3 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded">
+                {selected.trace.error}
+              </div>
+            )}
+
+            {selected.trace.entries.length === 0 && (
+              <p className="text-sm text-gray-500">No steps were recorded for this run.</p>
+            )}
+
+            <ol className="relative border-l border-gray-200 ml-2">
+              {selected.trace.entries.map((entry, index) => {
+                const status = getEntryStatus(entry);
+                const details = getDetails(entry);
+                const isOpen = !!expanded[index];
+
+                return (
+                  <li
+                    key={index}
+                    className="relative mb-2 ml-4"
+                    style={{ paddingLeft: `${getDepth(entry.path) * 16}px` }}
+                  >
+                    <span className="absolute -left-6 top-0.5 bg-white">
+                      <StatusIcon status={status} />
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => details.length > 0 && toggleEntry(index)}
+                      className={`w-full flex items-center gap-2 text-left text-sm ${details.length > 0 ? 'cursor-pointer' : 'cursor-default'}`}
+                    >
+                      {details.length > 0
+                        ? (isOpen ? <ChevronDown className="h-3 w-3 text-gray-400" /> : <ChevronRight className="h-3 w-3 text-gray-400" />)
+                        : <span className="w-3" />}
+                      <span className="text-gray-800">{describeEntry(entry)}</span>
+                      {entry.path && <span className="text-xs text-gray-400 font-mono">{entry.path}</span>}
+                      <span className="flex-1" />
+                      {entry.durationMs !== undefined && (
+                        <span className="text-xs text-gray-500">{formatDuration(entry.durationMs)}</span>
+                      )}
+                    </button>
+
+                    {entry.error && (
+                      <p className="ml-5 mt-1 text-xs text-red-600">
+                        {entry.errorClass ? `${entry.errorClass}: ` : ''}{entry.error}
+                      </p>
+                    )}
+
+                    {entry.type === 'call' && entry.runId && entry.automationId && (
+                      <button
+                        type="button"
+                        onClick={() => openRun(entry.automationId as string, entry.runId as string)}
+                        className="ml-5 mt-1 inline-flex items-center text-xs text-blue-600 hover:underline"
+                      >
+                        <CornerDownRight className="h-3 w-3 mr-1" />
+                        Open sub-workflow run
+                      </button>
+                    )}
+
+                    {isOpen && details.map(([label, value]) => (
+                      <div key={label} className="ml-5 mt-1">
+                        <span className="text-xs font-medium text-gray-600">{label}</span>
+                        <pre className="mt-0.5 p-2 text-xs bg-gray-50 border border-gray-200 rounded overflow-x-auto">
+                          {JSON.stringify(value, null, 2)}
+                        </pre>
+                      </div>
+                    ))}
+                  </li>
+                );
+              })}
+            </ol>
+
+            {children.length > 0 && (
+              <div className="mt-4">
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Sub-workflows</h4>
+                <ul className="space-y-1">
+                  {children.map(child => (
+                    <li key={child.key}>
+                      <button
+                        type="button"
+                        disabled={!child.runId}
+                        onClick={() => child.runId && openRun(child.automationId, child.runId)}
+                        className="flex items-center gap-2 text-sm text-blue-600 hover:underline disabled:text-gray-500 disabled:no-underline"
+                      >
+                        <StatusIcon status={child.status} />
+                        {child.automationId}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
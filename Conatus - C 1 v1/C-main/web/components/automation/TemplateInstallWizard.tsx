@@ -0,0 +1,342 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { CheckCircle, Link2, RefreshCw, X } from 'lucide-react';
+import { ApiError } from '../../lib/api';
+import { getServiceAuthUrl } from '../../lib/api/connectors';
+import {
+  TemplateInstallPlan,
+  TemplateParameter,
+  getTemplateInstallPlan,
+  installTemplate
+} from '../../lib/api/templates';
+import { getOptions, isRequired, validateParameterValues } from '../../../shared/templateParameters';
+
+interface TemplateInstallWizardProps {
+  templateId: string;
+  onInstalled: (automation: any) => void;
+  onClose: () => void;
+  className?: string;
+}
+
+type Step = 'services' | 'parameters' | 'review';
+
+const steps: { id: Step; label: string }[] = [
+  { id: 'services', label: 'Connect services' },
+  { id: 'parameters', label: 'Settings' },
+  { id: 'review', label: 'Review' }
+];
+
+const inputTypes: Record<string, string> = {
+  number: 'number',
+  email: 'email',
+  phone: 'tel',
+  time: 'time'
+};
+
+// Starting form values: the defaults, as the inputs hold them
+const initialValues = (parameters: TemplateParameter[]): Record<string, any> => {
+  const values: Record<string, any> = {};
+  for (const parameter of parameters) {
+    if (parameter.type === 'boolean') values[parameter.name] = parameter.default === true;
+    else values[parameter.name] = parameter.default === undefined || parameter.default === null ? '' : String(parameter.default);
+  }
+  return values;
+};
+
+const displayValue = (value: any): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+export default function TemplateInstallWizard({
+  templateId,
+  onInstalled,
+  onClose,
+  className = ''
+}: TemplateInstallWizardProps) {
+  const [plan, setPlan] = useState<TemplateInstallPlan | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [step, setStep] = useState<Step>('services');
+  const [values, setValues] = useState<Record<string, any>>({});
+  const [errors, setErrors] = useState<Record<string, string>>({});
+  const [name, setName] = useState('');
+  const [installing, setInstalling] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadPlan = useCallback(async (reset: boolean) => {
+    setLoading(true);
+    const next = await getTemplateInstallPlan(templateId);
+    setPlan(next);
+
+    if (next && reset) {
+      setValues(initialValues(next.parameters));
+      setName(next.template.name);
+      setStep(next.ready ? (next.parameters.length > 0 ? 'parameters' : 'review') : 'services');
+    }
+
+    setLoading(false);
+  }, [templateId]);
+
+  useEffect(() => {
+    loadPlan(true);
+  }, [loadPlan]);
+
+  const handleConnect = async (service: string) => {
+    setError(null);
+
+    try {
+      window.location.href = await getServiceAuthUrl(service);
+    } catch (connectError) {
+      setError(connectError instanceof Error ? connectError.message : `Failed to connect ${service}`);
+    }
+  };
+
+  // Check the settings with the same rules the server applies
+  const handleParametersNext = () => {
+    const result = validateParameterValues(plan?.parameters || [], values);
+    setErrors(result.errors);
+
+    if (Object.keys(result.errors).length === 0) {
+      setStep('review');
+    }
+  };
+
+  const handleInstall = async () => {
+    if (!plan) return;
+
+    setInstalling(true);
+    setError(null);
+
+    try {
+      const automation = await installTemplate(templateId, name.trim() || plan.template.name, values);
+      onInstalled(automation);
+    } catch (installError) {
+      const body = installError instanceof ApiError ? installError.body : null;
+
+      if (body?.needsConnection) {
+        // A service was disconnected since the plan was loaded
+        await loadPlan(false);
+        setStep('services');
+      } else if (body?.details && !Array.isArray(body.details)) {
+        setErrors(body.details);
+        setStep('parameters');
+      }
+
+      setError(installError instanceof Error ? installError.message : 'Failed to install template');
+    } finally {
+      setInstalling(false);
+    }
+  };
+
+  const renderField = (parameter: TemplateParameter) => {
+    const id = `template-parameter-${parameter.name}`;
+    const value = values[parameter.name];
+    const setValue = (next: any) => setValues(prev => ({ ...prev, [parameter.name]: next }));
+    const inputClass = `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-primary ${
+      errors[parameter.name] ? 'border-red-400' : 'border-gray-300'
+    }`;
+
+    if (parameter.type === 'boolean') {
+      return (
+        <label htmlFor={id} className="inline-flex items-center gap-2 text-sm text-gray-700">
+          <input id={id} type="checkbox" checked={!!value} onChange={(e) => setValue(e.target.checked)} />
+          {parameter.label || parameter.name}
+        </label>
+      );
+    }
+
+    if (parameter.type === 'select') {
+      return (
+        <select id={id} value={value} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+          <option value="">Choose...</option>
+          {getOptions(parameter).map(option => (
+            <option key={String(option.value)} value={String(option.value)}>{option.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (parameter.type === 'text') {
+      return (
+        <textarea id={id} value={value} onChange={(e) => setValue(e.target.value)} rows={4} className={inputClass} />
+      );
+    }
+
+    return (
+      <input
+        id={id}
+        type={inputTypes[parameter.type || 'string'] || 'text'}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        placeholder={parameter.type === 'timezone' ? 'e.g. America/New_York' : undefined}
+        className={inputClass}
+      />
+    );
+  };
+
+  const stepIndex = steps.findIndex(item => item.id === step);
+
+  return (
+    <div className={`bg-white rounded-lg border p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-medium">Install {plan?.template.name || 'template'}</h2>
+        <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <ol className="flex gap-4 mb-6 text-sm">
+        {steps.map((item, index) => (
+          <li
+            key={item.id}
+            className={index === stepIndex ? 'font-medium text-primary' : index < stepIndex ? 'text-gray-700' : 'text-gray-400'}
+          >
+            {index + 1}. {item.label}
+          </li>
+        ))}
+      </ol>
+
+      {error && <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">{error}</div>}
+
+      {loading && !plan ? (
+        <div className="text-sm text-gray-500">Loading template...</div>
+      ) : !plan ? (
+        <div className="text-sm text-gray-500">This template could not be loaded.</div>
+      ) : step === 'services' ? (
+        <div>
+          <p className="text-sm text-gray-600 mb-4">
+            This template uses the services below. Connect each one before installing.
+          </p>
+
+          <ul className="space-y-2 mb-6">
+            {plan.services.map(service => (
+              <li key={service.service} className="flex items-center justify-between p-3 bg-gray-50 rounded-md">
+                <div>
+                  <div className="font-medium">{service.name}</div>
+                  {service.scopes.length > 0 && (
+                    <div className="text-xs text-gray-500">Permissions: {service.scopes.join(', ')}</div>
+                  )}
+                </div>
+                {service.connected ? (
+                  <span className="inline-flex items-center gap-1 text-sm text-green-700">
+                    <CheckCircle className="w-4 h-4" /> Connected
+                  </span>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => handleConnect(service.service)}
+                    className="inline-flex items-center gap-1 px-3 py-1.5 text-sm bg-primary text-white rounded-md hover:bg-primary/90"
+                  >
+                    <Link2 className="w-4 h-4" /> Connect
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={() => loadPlan(false)}
+              disabled={loading}
+              className="inline-flex items-center gap-1 px-3 py-2 text-sm bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200 disabled:opacity-50"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} /> Check again
+            </button>
+            <button
+              type="button"
+              onClick={() => setStep(plan.parameters.length > 0 ? 'parameters' : 'review')}
+              disabled={!plan.ready}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      ) : step === 'parameters' ? (
+        <div>
+          <div className="space-y-4 mb-6">
+            {plan.parameters.map(parameter => (
+              <div key={parameter.name}>
+                {parameter.type !== 'boolean' && (
+                  <label htmlFor={`template-parameter-${parameter.name}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    {parameter.label || parameter.name}
+                    {isRequired(parameter) && <span className="text-red-500"> *</span>}
+                  </label>
+                )}
+                {renderField(parameter)}
+                {parameter.description && <p className="mt-1 text-xs text-gray-500">{parameter.description}</p>}
+                {errors[parameter.name] && (
+                  <p className="mt-1 text-xs text-red-600">
+                    {parameter.label || parameter.name} {errors[parameter.name]}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={() => setStep('services')}
+              className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200"
+            >
+              Back
+            </button>
+            <button
+              type="button"
+              onClick={handleParametersNext}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div>
+          <label htmlFor="template-install-name" className="block text-sm font-medium text-gray-700 mb-1">
+            Automation name
+          </label>
+          <input
+            id="template-install-name"
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary mb-4"
+          />
+
+          {plan.parameters.length > 0 && (
+            <dl className="grid grid-cols-3 gap-2 text-sm mb-6">
+              {plan.parameters.map(parameter => (
+                <div key={parameter.name} className="contents">
+                  <dt className="text-gray-500">{parameter.label || parameter.name}</dt>
+                  <dd className="col-span-2 text-gray-900 break-words">{displayValue(values[parameter.name])}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={() => setStep(plan.parameters.length > 0 ? 'parameters' : 'services')}
+              className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md hover:bg-gray-200"
+            >
+              Back
+            </button>
+            <button
+              type="button"
+              onClick={handleInstall}
+              disabled={installing}
+              className="px-4 py-2 bg-primary text-white rounded-md hover:bg-primary/90 disabled:opacity-50"
+            >
+              {installing ? 'Installing...' : 'Install'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
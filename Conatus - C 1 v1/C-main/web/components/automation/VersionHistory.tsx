@@ -0,0 +1,199 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { History, RotateCcw, GitCompare } from 'lucide-react';
+import {
+  AutomationVersionSummary,
+  VersionDiff,
+  getVersions,
+  diffVersions,
+  rollbackToVersion
+} from '../../lib/api/versions';
+
+interface VersionHistoryProps {
+  automationId: string;
+  onRestored?: (automation: any) => void;
+  className?: string;
+}
+
+const reasonLabels: Record<AutomationVersionSummary['reason'], string> = {
+  created: 'Created',
+  updated: 'Edited',
+  rollback: 'Restored'
+};
+
+const changeStyles: Record<string, string> = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800',
+  changed: 'bg-amber-50 text-amber-800'
+};
+
+// Compact rendering of a changed value
+const formatValue = (value: any): string => {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+export default function VersionHistory({ automationId, onRestored, className = '' }: VersionHistoryProps) {
+  const [versions, setVersions] = useState<AutomationVersionSummary[]>([]);
+  const [currentVersion, setCurrentVersion] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [compareTo, setCompareTo] = useState<number | null>(null);
+  const [diff, setDiff] = useState<VersionDiff | null>(null);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadVersions = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const history = await getVersions(automationId);
+      setVersions(history.versions);
+      setCurrentVersion(history.currentVersion);
+    } catch (loadError) {
+      setError(loadError instanceof Error ? loadError.message : 'Failed to load versions');
+    } finally {
+      setLoading(false);
+    }
+  }, [automationId]);
+
+  useEffect(() => {
+    setError(null);
+    loadVersions();
+    setCompareTo(null);
+    setDiff(null);
+  }, [loadVersions]);
+
+  // Compare the selected version with the current one
+  const selectVersion = async (version: number) => {
+    setCompareTo(version);
+    setError(null);
+    setDiff(version === currentVersion ? null : await diffVersions(automationId, version));
+  };
+
+  const handleRestore = async (version: number) => {
+    if (!window.confirm(`Restore version ${version}? The current definition stays in the history.`)) {
+      return;
+    }
+
+    setRestoring(true);
+    setError(null);
+
+    try {
+      const automation = await rollbackToVersion(automationId, version);
+      await loadVersions();
+      setCompareTo(null);
+      setDiff(null);
+      onRestored?.(automation);
+    } catch (restoreError) {
+      setError(restoreError instanceof Error ? restoreError.message : 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className={`border border-gray-200 rounded-lg ${className}`}>
+      <div className="flex items-center px-4 py-3 border-b border-gray-200 bg-gray-50">
+        <History className="h-4 w-4 mr-2 text-gray-500" />
+        <h3 className="text-sm font-medium text-gray-800">Version history</h3>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3">
+        <ul className="divide-y divide-gray-100 md:border-r border-gray-200 max-h-96 overflow-y-auto">
+          {loading && <li className="px-4 py-3 text-sm text-gray-500">Loading versions...</li>}
+
+          {!loading && versions.length === 0 && (
+            <li className="px-4 py-3 text-sm text-gray-500">No saved versions yet.</li>
+          )}
+
+          {versions.map(version => (
+            <li key={version.version}>
+              <button
+                type="button"
+                onClick={() => selectVersion(version.version)}
+                className={`w-full px-4 py-2 text-left hover:bg-gray-50 ${compareTo === version.version ? 'bg-blue-50' : ''}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-800">Version {version.version}</span>
+                  {version.version === currentVersion && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-800">Current</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {reasonLabels[version.reason]}
+                  {version.restoredFrom ? ` from version ${version.restoredFrom}` : ''}
+                  {' · '}
+                  {new Date(version.createdAt).toLocaleString()}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="md:col-span-2 p-4">
+          {error && (
+            <div className="mb-3 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded">{error}</div>
+          )}
+
+          {compareTo === null && (
+            <p className="text-sm text-gray-500">Select a version to compare it with the current one.</p>
+          )}
+
+          {compareTo !== null && compareTo === currentVersion && (
+            <p className="text-sm text-gray-500">This is the current version.</p>
+          )}
+
+          {compareTo !== null && compareTo !== currentVersion && (
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center text-sm text-gray-700">
+                  <GitCompare className="h-4 w-4 mr-2 text-gray-500" />
+                  Version {compareTo} → version {currentVersion}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRestore(compareTo)}
+                  disabled={restoring}
+                  className="inline-flex items-center px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <RotateCcw className="h-4 w-4 mr-1" />
+                  {restoring ? 'Restoring...' : `Restore version ${compareTo}`}
+                </button>
+              </div>
+
+              {diff && diff.changes.length === 0 && (
+                <p className="text-sm text-gray-500">No differences.</p>
+              )}
+
+              {diff && diff.changes.length > 0 && (
+                <table className="w-full text-xs border border-gray-200">
+                  <thead className="bg-gray-50 text-gray-600">
+                    <tr>
+                      <th className="px-2 py-1 text-left font-medium">Field</th>
+                      <th className="px-2 py-1 text-left font-medium">Version {diff.from}</th>
+                      <th className="px-2 py-1 text-left font-medium">Version {diff.to}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diff.changes.map(change => (
+                      <tr key={change.path} className={`border-t border-gray-200 ${changeStyles[change.change]}`}>
+                        <td className="px-2 py-1 font-mono align-top">{change.path}</td>
+                        <td className="px-2 py-1 align-top">
+                          <pre className="whitespace-pre-wrap break-all">{formatValue(change.before)}</pre>
+                        </td>
+                        <td className="px-2 py-1 align-top">
+                          <pre className="whitespace-pre-wrap break-all">{formatValue(change.after)}</pre>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ export interface ConditionGroupType {
   id: string;
   logicalOperator: LogicalOperator;
   conditions: (Condition | ConditionGroupType)[];
+  negate?: boolean; // Set on groups converted from saved "not" conditions
 }
 
 interface ConditionGroupProps {
@@ -1,14 +1,17 @@
 'use client';
 
-import { useState } from 'react';
-import { Eye, Code, Info } from 'lucide-react';
+import { useMemo, useState } from 'react';
+import { Eye, Code, Info, CheckCircle, XCircle } from 'lucide-react';
 import { ConditionGroupType, LogicalOperator } from './ConditionGroup';
 import { Condition, OperatorType } from './IfCondition';
 import { Variable, ValueType } from './VariableSelector';
+import { tryEvaluateCondition, createConditionContext } from '../../../lib/conditionEvaluator';
 
 interface ConditionPreviewProps {
   expression: ConditionGroupType;
   className?: string;
+  sampleContext?: Record<string, any>; // Defaults to the current time with an empty trigger
+  timezone?: string; // User's timezone for system.* times in the default context (the browser's if not set)
 }
 
 // Function to get human-readable operator label
@@ -24,8 +27,11 @@ const getOperatorLabel = (operator: OperatorType): string => {
     'lessThanOrEqual': 'is less than or equal to',
     'startsWith': 'starts with',
     'endsWith': 'ends with',
+    'matchesRegex': 'matches pattern',
     'exists': 'exists',
     'notExists': 'does not exist',
+    'isEmpty': 'is empty',
+    'isNotEmpty': 'is not empty',
     'between': 'is between'
   };
   
@@ -59,9 +65,18 @@ const getLogicalOperatorText = (operator: LogicalOperator): string => {
   return operator === 'and' ? 'AND' : 'OR';
 };
 
-export default function ConditionPreview({ expression, className = '' }: ConditionPreviewProps) {
+// Operators that don't compare against a value
+const valuelessOperators: OperatorType[] = ['exists', 'notExists', 'isEmpty', 'isNotEmpty'];
+
+export default function ConditionPreview({ expression, className = '', sampleContext, timezone }: ConditionPreviewProps) {
   const [viewMode, setViewMode] = useState<'visual' | 'code'>('visual');
   
+  // Evaluate with the same engine the executor uses; a condition still being typed may not evaluate
+  const { result: sampleResult, error: sampleError } = useMemo(
+    () => tryEvaluateCondition(expression, sampleContext || createConditionContext({ timezone })),
+    [expression, sampleContext, timezone]
+  );
+  
   // Recursively generate a human-readable description of a condition or group
   const generateConditionDescription = (
     item: Condition | ConditionGroupType, 
@@ -88,7 +103,7 @@ export default function ConditionPreview({ expression, className = '' }: Conditi
             {' '}
             <span className="text-gray-600">{getOperatorLabel(condition.operator)}</span>
             {' '}
-            {condition.operator !== 'exists' && condition.operator !== 'notExists' && (
+            {!valuelessOperators.includes(condition.operator) && (
               <span className="font-medium">
                 {formatValue(condition.value, condition.variable?.valueType)}
                 {condition.operator === 'between' && condition.secondValue !== undefined && 
@@ -117,7 +132,7 @@ export default function ConditionPreview({ expression, className = '' }: Conditi
           {level > 0 && (
             <div className="inline-block w-4 h-4 border-l-2 border-b-2 border-gray-300 mr-2"></div>
           )}
-          Match {group.logicalOperator === 'and' ? 'ALL' : 'ANY'} of:
+          {group.negate && 'NOT: '}Match {group.logicalOperator === 'and' ? 'ALL' : 'ANY'} of:
         </div>
         <div className="ml-2">
           {group.conditions.map((condition, index) => (
@@ -184,6 +199,12 @@ export default function ConditionPreview({ expression, className = '' }: Conditi
         case 'endsWith':
           codeStr += '.endsWith(';
           break;
+        case 'matchesRegex':
+          return `new RegExp(${JSON.stringify(condition.value)}).test(${codeStr})`;
+        case 'isEmpty':
+          return `isEmpty(${codeStr})`;
+        case 'isNotEmpty':
+          return `!isEmpty(${codeStr})`;
         case 'exists':
           return `(${codeStr} !== undefined && ${codeStr} !== null)`;
         case 'notExists':
@@ -213,13 +234,13 @@ export default function ConditionPreview({ expression, className = '' }: Conditi
     const group = item as ConditionGroupType;
     
     if (group.conditions.length === 0) {
-      return 'true'; // Empty group defaults to true
+      return group.negate ? 'false' : 'true'; // Empty group defaults to true
     }
     
     const operator = group.logicalOperator === 'and' ? ' && ' : ' || ';
     const conditions = group.conditions.map(cond => generateConditionCode(cond, level + 1));
     
-    return '(' + conditions.join(operator) + ')';
+    return (group.negate ? '!' : '') + '(' + conditions.join(operator) + ')';
   };
   
   return (
@@ -270,6 +291,25 @@ export default function ConditionPreview({ expression, className = '' }: Conditi
                 {generateConditionCode(expression)}
               </div>
             )}
+            
+            {/* Result against the sample context */}
+            {sampleError ? (
+              <div className="mt-3 flex items-center text-sm text-red-600">
+                <XCircle className="h-4 w-4 mr-1" />
+                Invalid condition: {sampleError}
+              </div>
+            ) : (
+              <div className={`mt-3 flex items-center text-sm ${sampleResult ? 'text-green-700' : 'text-gray-600'}`}>
+                {sampleResult ? (
+                  <CheckCircle className="h-4 w-4 mr-1" />
+                ) : (
+                  <XCircle className="h-4 w-4 mr-1" />
+                )}
+                {sampleContext
+                  ? `Passes with the sample data: ${sampleResult ? 'yes' : 'no'}`
+                  : `Passes right now (empty trigger): ${sampleResult ? 'yes' : 'no'}`}
+              </div>
+            )}
           </>
         ) : (
           <div className="text-center py-8 text-gray-500">
@@ -16,8 +16,11 @@ export type OperatorType =
   | 'lessThanOrEqual' 
   | 'startsWith' 
   | 'endsWith' 
+  | 'matchesRegex' 
   | 'exists' 
   | 'notExists' 
+  | 'isEmpty' 
+  | 'isNotEmpty' 
   | 'between';
 
 // Condition object
@@ -118,6 +121,13 @@ const operators: OperatorOption[] = [
     requiresSecondValue: false,
     applicableTypes: ['string'] 
   },
+  { 
+    value: 'matchesRegex', 
+    label: 'matches pattern', 
+    requiresValue: true, 
+    requiresSecondValue: false,
+    applicableTypes: ['string'] 
+  },
   { 
     value: 'exists', 
     label: 'exists', 
@@ -132,6 +142,20 @@ const operators: OperatorOption[] = [
     requiresSecondValue: false,
     applicableTypes: ['string', 'number', 'boolean', 'date', 'time', 'dateTime', 'array', 'object'] 
   },
+  { 
+    value: 'isEmpty', 
+    label: 'is empty', 
+    requiresValue: false, 
+    requiresSecondValue: false,
+    applicableTypes: ['string', 'array', 'object'] 
+  },
+  { 
+    value: 'isNotEmpty', 
+    label: 'is not empty', 
+    requiresValue: false, 
+    requiresSecondValue: false,
+    applicableTypes: ['string', 'array', 'object'] 
+  },
   { 
     value: 'between', 
     label: 'is between', 
@@ -245,6 +269,15 @@ export default function IfCondition({
       newErrors.secondValue = 'Second value is required';
     }
     
+    // Patterns are compiled at run time, so reject ones that would never match
+    if (data.operator === 'matchesRegex' && data.value) {
+      try {
+        new RegExp(data.value);
+      } catch {
+        newErrors.value = 'Invalid regular expression';
+      }
+    }
+    
     // For between operator, ensure second value is greater than first value for number, date, time
     if (data.operator === 'between' && 
         data.value !== undefined && 
@@ -0,0 +1,120 @@
+/**
+ * API client for service connector manifests and connections
+ */
+
+import { apiClient } from './index';
+
+/**
+ * Subset of JSON schema used by connector manifests
+ */
+export interface JsonSchema {
+  type?: string | string[];
+  description?: string;
+  enum?: any[];
+  default?: any;
+  format?: 'email' | 'uri' | 'date-time';
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  minItems?: number;
+  maxItems?: number;
+  items?: JsonSchema;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+}
+
+/**
+ * Action declared by a connector
+ */
+export interface ConnectorAction {
+  method: string;
+  description: string;
+  idempotent: boolean;
+  readOnly?: boolean;
+  input: JsonSchema;
+  output?: JsonSchema;
+}
+
+/**
+ * Declarative description of a connector and its actions
+ */
+export interface ConnectorManifest {
+  id: string;
+  name?: string;
+  category?: string;
+  description?: string;
+  icon?: string;
+  version: string;
+  auth: {
+    type: 'oauth2' | 'api_key' | 'none';
+    scopes?: string[];
+  };
+  rateLimit?: {
+    requests: number;
+    windowMs: number;
+  };
+  actions: Record<string, ConnectorAction>;
+}
+
+/**
+ * Get manifests for all available connectors
+ * @returns Array of connector manifests
+ */
+export const getConnectorManifests = async (): Promise<ConnectorManifest[]> => {
+  try {
+    const response = await apiClient.get<{ manifests: ConnectorManifest[] }>('/integrations/manifests');
+    return response.manifests || [];
+  } catch (error) {
+    console.error('Error getting connector manifests:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the manifest for a single connector
+ * @param connectorId - Connector ID
+ * @returns Connector manifest or null if not found
+ */
+export const getConnectorManifest = async (
+  connectorId: string
+): Promise<ConnectorManifest | null> => {
+  try {
+    const response = await apiClient.get<{ manifest: ConnectorManifest }>(
+      `/integrations/${connectorId}/manifest`
+    );
+    return response.manifest || null;
+  } catch (error) {
+    console.error('Error getting connector manifest:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the ordered list of input fields for an action, for rendering action forms
+ * @param action - Connector action
+ * @returns Fields with their schema and whether they are required
+ */
+export const getActionFields = (
+  action: ConnectorAction
+): { name: string; schema: JsonSchema; required: boolean }[] => {
+  const required = action.input.required || [];
+
+  return Object.entries(action.input.properties || {}).map(([name, schema]) => ({
+    name,
+    schema,
+    required: required.includes(name),
+  }));
+};
+
+/**
+ * Start connecting a service (OAuth)
+ * @param service - Service ID
+ * @returns URL to send the user to for authorization
+ */
+export const getServiceAuthUrl = async (service: string): Promise<string> => {
+  const response = await apiClient.post<{ authUrl: string }>(`/integrations/${service}/auth`);
+  return response.authUrl;
+};
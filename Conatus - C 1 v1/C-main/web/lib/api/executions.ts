@@ -0,0 +1,151 @@
+/**
+ * API client for automation execution history and traces
+ */
+
+import { apiClient } from './index';
+
+/**
+ * Execution record as returned by the history endpoint
+ */
+export interface ExecutionRecord {
+  id: string;
+  automation_id: string;
+  automation_version: number | null;
+  automation_type: string;
+  service: string | null;
+  status: 'pending' | 'success' | 'failure' | 'failed' | 'partial';
+  error_message: string | null;
+  workflow_run_id: string | null;
+  parent_execution_id: string | null;
+  executed_at: string;
+}
+
+/**
+ * One step of a trace: a block, a decision, a variable or a connector call.
+ * Values are redacted and summarized by the server.
+ */
+export interface TraceEntry {
+  at: string;
+  path?: string;
+  type: string;
+  status?: string;
+  durationMs?: number;
+  name?: string;
+  value?: any;
+  result?: any;
+  service?: string;
+  action?: string;
+  attempt?: number;
+  request?: any;
+  response?: any;
+  error?: string;
+  errorClass?: string;
+  outcome?: string;
+  runId?: string;
+  executionId?: string;
+  automationId?: string;
+  message?: string;
+}
+
+/**
+ * Workflow run summary
+ */
+export interface WorkflowRunSummary {
+  runId: string;
+  automationId: string;
+  automationVersion: number | null;
+  status: 'running' | 'waiting' | 'completed' | 'failed';
+  attempt: number;
+  error: string | null;
+  startedAt: string;
+  completedAt: string | null;
+  durationMs: number | null;
+}
+
+/**
+ * Trace of an execution
+ */
+export interface ExecutionTrace {
+  executionId: string;
+  automationId: string;
+  automationVersion: number | null;
+  type: string;
+  service: string | null;
+  status: string;
+  error: string | null;
+  executedAt: string;
+  parameters: Record<string, any> | null;
+  run: WorkflowRunSummary | null;
+  entries: TraceEntry[];
+  children: {
+    executionId: string;
+    automationId: string;
+    status: string;
+    error: string | null;
+    runId: string | null;
+    executedAt: string;
+  }[];
+}
+
+/**
+ * Trace of a workflow run
+ */
+export interface RunTrace extends WorkflowRunSummary {
+  entries: TraceEntry[];
+  children: WorkflowRunSummary[];
+}
+
+/**
+ * Get recent executions of an automation
+ * @param automationId - Automation ID
+ * @param limit - Maximum number of executions
+ * @returns Executions, newest first (throws if they could not be loaded)
+ */
+export const getExecutionHistory = async (
+  automationId: string,
+  limit = 20
+): Promise<ExecutionRecord[]> => {
+  try {
+    const history = await apiClient.get<ExecutionRecord[]>(`/automations/${automationId}/history?limit=${limit}`);
+    return history || [];
+  } catch (error) {
+    console.error(`Error getting execution history for ${automationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get the trace of an execution
+ * @param automationId - Automation ID
+ * @param executionId - Execution ID
+ * @returns Execution trace or null if not found
+ */
+export const getExecutionTrace = async (
+  automationId: string,
+  executionId: string
+): Promise<ExecutionTrace | null> => {
+  try {
+    return await apiClient.get<ExecutionTrace>(`/automations/${automationId}/executions/${executionId}/trace`);
+  } catch (error) {
+    console.error(`Error getting trace for execution ${executionId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get the trace of a workflow run
+ * @param automationId - Automation ID
+ * @param runId - Workflow run ID
+ * @returns Run trace or null if not found
+ */
+export const getRunTrace = async (
+  automationId: string,
+  runId: string
+): Promise<RunTrace | null> => {
+  try {
+    return await apiClient.get<RunTrace>(`/automations/${automationId}/runs/${runId}/trace`);
+  } catch (error) {
+    console.error(`Error getting trace for run ${runId}:`, error);
+    return null;
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * API client for installing shared automation templates
+ */
+
+import { apiClient } from './index';
+import { TemplateParameter } from '../../../shared/templateParameters';
+
+export type { TemplateParameter };
+
+/**
+ * Service a template uses, with whether the user has connected it
+ */
+export interface TemplateService {
+  service: string;
+  name: string;
+  actions: string[];
+  scopes: string[];
+  connected: boolean;
+}
+
+/**
+ * What installing a template needs
+ */
+export interface TemplateInstallPlan {
+  template: {
+    id: string;
+    name: string;
+    description: string | null;
+    category: string | null;
+  };
+  parameters: TemplateParameter[];
+  services: TemplateService[];
+  ready: boolean;
+}
+
+/**
+ * Get the parameters and services of a template before installing it
+ * @param templateId - Template ID
+ * @returns Install plan or null if the template was not found
+ */
+export const getTemplateInstallPlan = async (
+  templateId: string
+): Promise<TemplateInstallPlan | null> => {
+  try {
+    return await apiClient.get<TemplateInstallPlan>(`/automations/import/${templateId}`);
+  } catch (error) {
+    console.error(`Error getting install plan for template ${templateId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Install a template as a new automation
+ * @param templateId - Template ID
+ * @param name - Name of the new automation
+ * @param parameters - Values for the template's parameters
+ * @returns Created automation
+ */
+export const installTemplate = async (
+  templateId: string,
+  name: string,
+  parameters: Record<string, any>
+): Promise<any> => {
+  return apiClient.post(`/automations/import/${templateId}`, { name, parameters });
+};
@@ -0,0 +1,115 @@
+/**
+ * API client for automation version history
+ */
+
+import { apiClient } from './index';
+
+/**
+ * Entry in an automation's version history
+ */
+export interface AutomationVersionSummary {
+  version: number;
+  name: string;
+  reason: 'created' | 'updated' | 'rollback';
+  restoredFrom: number | null;
+  createdAt: string;
+}
+
+/**
+ * Saved version of an automation with its full definition
+ */
+export interface AutomationVersion extends AutomationVersionSummary {
+  automationId: string;
+  description: string | null;
+  category: string | null;
+  workflow: Record<string, any>;
+}
+
+/**
+ * Single difference between two versions
+ */
+export interface VersionChange {
+  path: string;
+  change: 'added' | 'removed' | 'changed';
+  before: any;
+  after: any;
+}
+
+/**
+ * Differences between two versions
+ */
+export interface VersionDiff {
+  from: number;
+  to: number;
+  changes: VersionChange[];
+}
+
+/**
+ * Get the version history of an automation
+ * @param automationId - Automation ID
+ * @returns Current version and versions, newest first (throws if they could not be loaded)
+ */
+export const getVersions = async (
+  automationId: string
+): Promise<{ currentVersion: number; versions: AutomationVersionSummary[] }> => {
+  try {
+    return await apiClient.get<{ currentVersion: number; versions: AutomationVersionSummary[] }>(
+      `/automations/${automationId}/versions`
+    );
+  } catch (error) {
+    console.error(`Error getting versions for ${automationId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Get one version of an automation
+ * @param automationId - Automation ID
+ * @param version - Version number
+ * @returns Version or null if not found
+ */
+export const getVersion = async (
+  automationId: string,
+  version: number
+): Promise<AutomationVersion | null> => {
+  try {
+    return await apiClient.get<AutomationVersion>(`/automations/${automationId}/versions/${version}`);
+  } catch (error) {
+    console.error(`Error getting version ${version} of ${automationId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Compare two versions of an automation
+ * @param automationId - Automation ID
+ * @param from - Older version
+ * @param to - Newer version (defaults to the current version)
+ * @returns Differences or null if either version was not found
+ */
+export const diffVersions = async (
+  automationId: string,
+  from: number,
+  to?: number
+): Promise<VersionDiff | null> => {
+  try {
+    const query = to ? `from=${from}&to=${to}` : `from=${from}`;
+    return await apiClient.get<VersionDiff>(`/automations/${automationId}/versions/diff?${query}`);
+  } catch (error) {
+    console.error(`Error comparing versions of ${automationId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Restore an automation to an earlier version
+ * @param automationId - Automation ID
+ * @param version - Version to restore
+ * @returns Updated automation
+ */
+export const rollbackToVersion = async (
+  automationId: string,
+  version: number
+): Promise<any> => {
+  return apiClient.post(`/automations/${automationId}/versions/${version}/rollback`);
+};
@@ -1,112 +1,75 @@
-import { ConditionalExpressionType, ConditionGroupType, Condition } from '../components/automation/logic';
+import { ConditionalExpressionType, ConditionGroupType } from '../components/automation/logic';
+import {
+  createScope,
+  evaluateCondition as evaluateWithEngine,
+  validateCondition as validateWithEngine
+} from '../../shared/conditionEngine';
 
 /**
- * Evaluates a conditional expression against a context object
- * @param expression - The conditional expression to evaluate
- * @param context - The context object containing variable values
+ * Evaluates a conditional expression against a context object.
+ * Uses the shared condition engine, the same one the automation executor runs,
+ * so a condition previewed in the builder behaves exactly as it will at run time.
+ * Missing variables evaluate as undefined (so "does not exist" holds for them).
+ * @param expression - The conditional expression (or a single group) to evaluate
+ * @param context - The context object containing variable values (see createConditionContext)
  * @returns boolean - The result of the evaluation
  */
 export const evaluateCondition = (
-  expression: ConditionalExpressionType | undefined,
+  expression: ConditionalExpressionType | ConditionGroupType | undefined,
   context: Record<string, any>
 ): boolean => {
   // If no conditions, return true (automation runs)
-  if (!expression || !expression.rootGroup) {
+  if (!expression) {
     return true;
   }
-  
-  // Evaluate the root group
-  return evaluateGroup(expression.rootGroup, context);
+
+  return evaluateWithEngine(expression, context);
 };
 
 /**
- * Evaluates a condition group against a context object
- * @param group - The condition group to evaluate
- * @param context - The context object containing variable values
- * @returns boolean - The result of the evaluation
+ * Evaluates a conditional expression for a preview. A condition that is still
+ * being edited can fail to evaluate (e.g. a half-typed regex pattern); the error
+ * is returned instead of thrown so the builder can show the condition as invalid.
+ * @param expression - The conditional expression (or a single group) to evaluate
+ * @param context - The context object containing variable values (see createConditionContext)
+ * @returns The result, or the error that stopped the evaluation
  */
-const evaluateGroup = (
-  group: ConditionGroupType,
+export const tryEvaluateCondition = (
+  expression: ConditionalExpressionType | ConditionGroupType | undefined,
   context: Record<string, any>
-): boolean => {
-  // If no conditions, return true
-  if (group.conditions.length === 0) {
-    return true;
-  }
-  
-  // Evaluate all conditions in the group
-  const results = group.conditions.map(condition => {
-    if ('operator' in condition) {
-      // Evaluate single condition
-      return evaluateSingleCondition(condition as Condition, context);
-    } else {
-      // Evaluate nested group
-      return evaluateGroup(condition as ConditionGroupType, context);
-    }
-  });
-  
-  // Apply logical operator
-  if (group.logicalOperator === 'and') {
-    return results.every(result => result === true);
-  } else {
-    return results.some(result => result === true);
+): { result: boolean; error: string | null } => {
+  try {
+    return { result: evaluateCondition(expression, context), error: null };
+  } catch (error) {
+    return { result: false, error: error instanceof Error ? error.message : String(error) };
   }
 };
 
 /**
- * Evaluates a single condition against a context object
- * @param condition - The condition to evaluate
- * @param context - The context object containing variable values
- * @returns boolean - The result of the evaluation
+ * Validates a conditional expression the same way the executor does
+ * @param expression - The conditional expression (or a single group) to validate
+ * @returns string[] - Validation errors (empty when valid)
  */
-const evaluateSingleCondition = (
-  condition: Condition,
-  context: Record<string, any>
-): boolean => {
-  // Get the variable value from context using dot notation path
-  const path = condition.variable.path.split('.');
-  let value = context;
-  
-  for (const key of path) {
-    if (value === undefined || value === null) {
-      return false; // Path doesn't exist
-    }
-    value = value[key];
-  }
-  
-  // Evaluate based on operator
-  switch (condition.operator) {
-    case 'equals':
-      return value === condition.value;
-    case 'notEquals':
-      return value !== condition.value;
-    case 'contains':
-      return typeof value === 'string' ? 
-        value.includes(condition.value) : 
-        Array.isArray(value) && value.includes(condition.value);
-    case 'notContains':
-      return typeof value === 'string' ? 
-        !value.includes(condition.value) : 
-        !Array.isArray(value) || !value.includes(condition.value);
-    case 'greaterThan':
-      return value > condition.value;
-    case 'lessThan':
-      return value < condition.value;
-    case 'greaterThanOrEqual':
-      return value >= condition.value;
-    case 'lessThanOrEqual':
-      return value <= condition.value;
-    case 'startsWith':
-      return typeof value === 'string' && value.startsWith(condition.value);
-    case 'endsWith':
-      return typeof value === 'string' && value.endsWith(condition.value);
-    case 'exists':
-      return value !== undefined && value !== null;
-    case 'notExists':
-      return value === undefined || value === null;
-    case 'between':
-      return value >= condition.value && value <= condition.secondValue;
-    default:
-      return false;
-  }
+export const validateCondition = (
+  expression: ConditionalExpressionType | ConditionGroupType | undefined
+): string[] => {
+  return validateWithEngine(expression);
+};
+
+/**
+ * Builds the context conditions are evaluated against at run time
+ * (trigger, variables, results and the system.* variables)
+ * @param sources - Sample trigger data, variables, results, user, time and the
+ *                  user's timezone (system.* times default to the browser's)
+ * @returns Record<string, any> - The evaluation context
+ */
+export const createConditionContext = (sources: {
+  trigger?: Record<string, any>;
+  variables?: Record<string, any>;
+  results?: Record<string, any>;
+  user?: Record<string, any>;
+  now?: Date;
+  timezone?: string;
+} = {}): Record<string, any> => {
+  return createScope(sources);
 };
@@ -9,6 +9,8 @@ const nextConfig = {
   // Enable experimental features if needed
   experimental: {
     serverActions: true,
+    // Allow importing ../shared (the condition engine shared with the backend)
+    externalDir: true,
   },
   // Custom headers for security
   async headers() {